@@ -13,6 +13,8 @@
  * - update      Update an existing service configuration
  * - diagnose    Diagnose and report issues with an existing service
  * - assess      Run intelligent capability assessment
+ * - openapi     Write the OpenAPI document for a router module
+ * - cron        List cron jobs with next fire times, or run one locally
  * - list-types  List available service types and their features
  */
 
@@ -45,7 +47,9 @@ async function registerAvailableCommands() {
     { name: 'update', path: pathToFileURL(join(commandsDir, 'update.js')).href, register: 'registerUpdateCommand' },
     { name: 'diagnose', path: pathToFileURL(join(commandsDir, 'diagnose.js')).href, register: 'registerDiagnoseCommand' },
     { name: 'assess', path: pathToFileURL(join(commandsDir, 'assess.js')).href, register: 'registerAssessCommand' },
-    { name: 'init-config', path: pathToFileURL(join(commandsDir, 'init-config.js')).href, register: 'registerInitConfigCommand' }
+    { name: 'init-config', path: pathToFileURL(join(commandsDir, 'init-config.js')).href, register: 'registerInitConfigCommand' },
+    { name: 'openapi', path: pathToFileURL(join(commandsDir, 'openapi.js')).href, register: 'registerOpenApiCommand' },
+    { name: 'cron', path: pathToFileURL(join(commandsDir, 'cron.js')).href, register: 'registerCronCommand' }
   ];
 
   for (const cmd of commands) {
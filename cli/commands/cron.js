@@ -0,0 +1,97 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { readFile } from 'fs/promises';
+import { StandardOptions } from '../../lib/shared/utils/cli-options.js';
+
+/**
+ * Load the ScheduledHandler exported by a service module: an instance, or a
+ * (possibly async) factory returning one
+ * @param {string} entry - Path to the module
+ * @param {string} [exportName] - Named export; defaults to `default`, then `scheduler`, `scheduledHandler`, `handler`
+ * @returns {Promise<Object>} ScheduledHandler
+ */
+async function loadScheduler(entry, exportName) {
+  const module = await import(pathToFileURL(resolve(entry)).href);
+  const candidates = exportName ? [exportName] : ['default', 'scheduler', 'scheduledHandler', 'handler'];
+
+  for (const name of candidates) {
+    let value = module[name];
+    if (typeof value === 'function' && typeof value.schedules !== 'function') {
+      value = await value();
+    }
+    if (value && typeof value.schedules === 'function' && typeof value.trigger === 'function') {
+      return value;
+    }
+  }
+
+  throw new Error(`${entry} does not export a ScheduledHandler (tried: ${candidates.join(', ')})`);
+}
+
+/**
+ * Execution context for local runs; waitUntil() work is awaited before exiting
+ * @returns {Object}
+ */
+function createLocalContext() {
+  const tasks = [];
+  return {
+    tasks,
+    waitUntil: (promise) => tasks.push(promise),
+    passThroughOnException: () => {}
+  };
+}
+
+export function registerCronCommand(program) {
+  const command = program
+    .command('cron <entry>')
+    .description('List the cron jobs of a ScheduledHandler module with their next fire times, or run one locally')
+    .option('--export <name>', 'Export holding the ScheduledHandler or a factory returning it')
+    .option('-n, --next <count>', 'Fire times to show per job', '3')
+    .option('--from <time>', 'List fire times after this ISO time instead of now')
+    .option('--run <job>', 'Run the named job now instead of listing')
+    .option('--env <file>', 'JSON file with the env passed to --run');
+
+  // Add standard options (--verbose, --quiet, --json, --no-color, --config-file)
+  StandardOptions.define(command)
+    .action(async (entry, options) => {
+      const output = new (await import('../../lib/shared/utils/output-formatter.js')).OutputFormatter(options);
+
+      try {
+        const scheduler = await loadScheduler(entry, options.export);
+
+        if (options.run) {
+          const env = options.env ? JSON.parse(await readFile(resolve(options.env), 'utf8')) : {};
+          const ctx = createLocalContext();
+          const run = await scheduler.trigger(options.run, env, ctx);
+          await Promise.allSettled(ctx.tasks);
+
+          if (run.status === 'skipped') {
+            output.warning(`Job '${options.run}' was skipped: ${run.error || 'shouldRun() returned false'}`);
+          } else {
+            output.success(`Job '${options.run}' finished in ${run.durationMs}ms`, { run });
+          }
+          return;
+        }
+
+        const from = options.from ? new Date(options.from) : new Date();
+        if (Number.isNaN(from.getTime())) {
+          throw new Error(`Invalid --from time: ${options.from}`);
+        }
+
+        const schedules = scheduler.schedules({ count: Number(options.next) || 3, from });
+        if (schedules.length === 0) {
+          output.warning('No cron jobs registered');
+          return;
+        }
+
+        output.section(`Cron jobs (UTC, after ${from.toISOString()})`);
+        output.table(schedules.map(({ name, cron, next }) => ({
+          job: name,
+          cron,
+          next: next.length > 0 ? next.map(date => date.toISOString()).join(', ') : 'never'
+        })), ['job', 'cron', 'next']);
+      } catch (error) {
+        output.error(`Cron command failed: ${error.message}`);
+        process.exit(1);
+      }
+    });
+}
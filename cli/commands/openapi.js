@@ -0,0 +1,66 @@
+import { resolve, dirname } from 'path';
+import { pathToFileURL } from 'url';
+import { writeFile, mkdir } from 'fs/promises';
+import { StandardOptions } from '../../lib/shared/utils/cli-options.js';
+
+/**
+ * Load the router exported by a service module: an EnhancedRouter instance,
+ * or a (possibly async) factory returning one
+ * @param {string} entry - Path to the module
+ * @param {string} [exportName] - Named export; defaults to `default`, then `router`
+ * @returns {Promise<Object>} Router with an openapi() method
+ */
+async function loadRouter(entry, exportName) {
+  const module = await import(pathToFileURL(resolve(entry)).href);
+  const candidates = exportName ? [exportName] : ['default', 'router', 'createRouter'];
+
+  for (const name of candidates) {
+    let value = module[name];
+    if (typeof value === 'function' && typeof value.openapi !== 'function') {
+      value = await value();
+    }
+    if (value && typeof value.openapi === 'function') {
+      return value;
+    }
+  }
+
+  throw new Error(`${entry} does not export an EnhancedRouter (tried: ${candidates.join(', ')})`);
+}
+
+export function registerOpenApiCommand(program) {
+  const command = program
+    .command('openapi <entry>')
+    .description('Write the OpenAPI 3.1 document for a router module (for client codegen)')
+    .option('-o, --output <file>', 'Output file', 'openapi.json')
+    .option('--export <name>', 'Export holding the router or a factory returning it')
+    .option('--title <title>', 'API title')
+    .option('--api-version <version>', 'API version')
+    .option('--server <url...>', 'Server URL(s)');
+
+  // Add standard options (--verbose, --quiet, --json, --no-color, --config-file)
+  StandardOptions.define(command)
+    .action(async (entry, options) => {
+      const output = new (await import('../../lib/shared/utils/output-formatter.js')).OutputFormatter(options);
+
+      try {
+        const router = await loadRouter(entry, options.export);
+        const info = {};
+        if (options.title) info.title = options.title;
+        if (options.apiVersion) info.version = options.apiVersion;
+
+        const document = router.openapi({
+          info,
+          ...(options.server && { servers: options.server.map(url => ({ url })) })
+        });
+
+        const file = resolve(options.output);
+        await mkdir(dirname(file), { recursive: true });
+        await writeFile(file, `${JSON.stringify(document, null, 2)}\n`, 'utf8');
+
+        output.success(`Wrote OpenAPI document with ${Object.keys(document.paths).length} paths to ${file}`);
+      } catch (error) {
+        output.error(`OpenAPI generation failed: ${error.message}`);
+        process.exit(1);
+      }
+    });
+}
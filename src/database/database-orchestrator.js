@@ -8,12 +8,13 @@
  */
 
 import { exec } from 'child_process';
-import { writeFile, access, mkdir, stat, appendFile } from 'fs/promises';
+import { writeFile, readFile, readdir, access, mkdir, stat, appendFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { promisify } from 'util';
 import { databaseExists, createDatabase } from '../utils/cloudflare/index.js';
+import { MigrationGenerator } from '../schema/MigrationGenerator.js';
 
 const execAsync = promisify(exec);
 
@@ -509,6 +510,66 @@ export class DatabaseOrchestrator {
     }
   }
 
+  /**
+   * Generate the next numbered migration from registered SchemaManager models
+   * Diffs the models against the snapshot stored beside the migrations and
+   * writes both the new .sql file and the updated snapshot.
+   * @param {Object} [options] - Generation options
+   * @param {string} [options.name] - Migration name
+   * @param {Object} [options.renames] - Rename hints passed to MigrationGenerator.diff()
+   * @param {SchemaManager} [options.schemaManager] - Model source (default: shared instance)
+   * @param {boolean} [options.allowDestructive=false] - Emit DROP statements uncommented
+   * @returns {Promise<Object>} Generation result
+   */
+  async generateSchemaMigration(options = {}) {
+    if (!this.migrationPaths) {
+      throw new Error('Schema migrations require a project root with a migrations directory');
+    }
+
+    const migrationsDir = options.migrationsDir || this.migrationPaths.root;
+    const snapshotPath = join(migrationsDir, 'schema-snapshot.json');
+    await this.ensureDirectoryExists(migrationsDir);
+
+    const existing = (await readdir(migrationsDir)).filter(file => file.endsWith('.sql'));
+    const previous = existsSync(snapshotPath)
+      ? JSON.parse(await readFile(snapshotPath, 'utf8'))
+      : null;
+
+    const generator = new MigrationGenerator({
+      schemaManager: options.schemaManager,
+      allowDestructive: options.allowDestructive
+    });
+    const migration = generator.generateMigration(previous, {
+      name: options.name,
+      renames: options.renames,
+      models: options.models,
+      existing
+    });
+
+    if (migration.empty) {
+      console.log('   ✅ Schema is up to date - no migration generated');
+      return { status: 'up-to-date', changes: [], warnings: migration.warnings };
+    }
+
+    const filePath = join(migrationsDir, migration.filename);
+    if (this.dryRun) {
+      console.log(`   🔍 DRY RUN: Would write ${migration.filename} (${migration.changes.length} changes)`);
+      return { status: 'dry-run', filePath, ...migration };
+    }
+
+    await writeFile(filePath, migration.sql);
+    await writeFile(snapshotPath, JSON.stringify(migration.snapshot, null, 2) + '\n');
+    console.log(`   ✅ Generated ${migration.filename} (${migration.changes.length} changes)`);
+    migration.warnings.forEach(warning => console.warn(`   ⚠️ ${warning}`));
+
+    await this.logAuditEvent('SCHEMA_MIGRATION_GENERATED', 'SYSTEM', {
+      filename: migration.filename,
+      changes: migration.changes.length
+    });
+
+    return { status: 'generated', filePath, ...migration };
+  }
+
   /**
    * Create comprehensive backup across environments
    * @param {string} environment - Environment to backup
@@ -0,0 +1,22 @@
+/**
+ * Data-layer Error Classes
+ * Raised by GenericDataService; GenericRouteHandler maps them to HTTP statuses
+ */
+
+import { HttpError } from './httpErrors.js';
+
+/**
+ * Error thrown when a write loses an optimistic-locking race
+ * (the row's version no longer matches the version the caller read)
+ */
+export class ConflictError extends HttpError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code='CONFLICT'] - Error code for programmatic handling
+   * @param {Object} [details] - Additional error details (model, id, expected version)
+   */
+  constructor(message, code = 'CONFLICT', details = {}) {
+    super(409, message, code, details);
+    this.name = 'ConflictError';
+  }
+}
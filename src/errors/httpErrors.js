@@ -0,0 +1,140 @@
+/**
+ * HTTP Error Classes
+ * Thrown by handlers, middleware and services at request time; the router's
+ * error boundary renders them as `application/problem+json` (RFC 7807)
+ */
+
+/**
+ * Base class for errors that map to an HTTP status
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message (sent to clients for 4xx)
+   * @param {string} [code] - Error code for programmatic handling
+   * @param {Object} [details] - Additional error details
+   */
+  constructor(status = 500, message = 'Internal Server Error', code = 'HTTP_ERROR', details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = {};
+    // Client errors describe the request, so their message is safe to return
+    this.expose = status < 500;
+  }
+}
+
+/**
+ * Error thrown when the request is malformed or fails validation
+ * (400; request validators answer 422)
+ */
+export class ValidationError extends HttpError {
+  /**
+   * @param {string} [message='Validation failed'] - Error message
+   * @param {Array<Object>} [errors] - Field errors `{ field, message, code }`
+   * @param {string} [code='VALIDATION_FAILED'] - Error code
+   * @param {number} [status=400] - HTTP status (400 or 422)
+   */
+  constructor(message = 'Validation failed', errors = [], code = 'VALIDATION_FAILED', status = 400) {
+    super(status, message, code, { errors });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+
+  /**
+   * Build from a SchemaManager.validateData() result
+   * @param {Object} validation - `{ valid, errors }`
+   * @param {string} [message] - Error message; defaults to the joined field messages
+   * @returns {ValidationError}
+   */
+  static fromValidation(validation, message) {
+    const errors = (validation.errors || []).map(({ field, message: text, code }) => ({ field, message: text, code }));
+    return new ValidationError(
+      message || `Validation failed: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`,
+      errors
+    );
+  }
+}
+
+/**
+ * Error thrown when the request lacks valid credentials (401)
+ */
+export class UnauthorizedError extends HttpError {
+  /**
+   * @param {string} [message='Authentication required'] - Error message
+   * @param {string} [code='UNAUTHORIZED'] - Error code
+   * @param {Object} [details] - Additional error details
+   */
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED', details = {}) {
+    super(401, message, code, details);
+    this.name = 'UnauthorizedError';
+    this.headers['WWW-Authenticate'] = 'Bearer';
+  }
+}
+
+/**
+ * Error thrown when the caller is authenticated but not allowed (403)
+ */
+export class ForbiddenError extends HttpError {
+  /**
+   * @param {string} [message='Forbidden'] - Error message
+   * @param {string} [code='FORBIDDEN'] - Error code
+   * @param {Object} [details] - Additional error details
+   */
+  constructor(message = 'Forbidden', code = 'FORBIDDEN', details = {}) {
+    super(403, message, code, details);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Error thrown when a resource does not exist (404)
+ */
+export class NotFoundError extends HttpError {
+  /**
+   * @param {string} [message='Resource not found'] - Error message
+   * @param {string} [code='NOT_FOUND'] - Error code
+   * @param {Object} [details] - Additional error details (model, id)
+   */
+  constructor(message = 'Resource not found', code = 'NOT_FOUND', details = {}) {
+    super(404, message, code, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error thrown when a conditional request's precondition
+ * (If-Match, If-Unmodified-Since) does not hold (412)
+ */
+export class PreconditionFailedError extends HttpError {
+  /**
+   * @param {string} [message='Precondition Failed'] - Error message
+   * @param {string} [code='PRECONDITION_FAILED'] - Error code
+   * @param {Object} [details] - Additional error details (model, id)
+   */
+  constructor(message = 'Precondition Failed', code = 'PRECONDITION_FAILED', details = {}) {
+    super(412, message, code, details);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+/**
+ * Error thrown when the caller exceeded a rate limit (429)
+ */
+export class TooManyRequestsError extends HttpError {
+  /**
+   * @param {string} [message='Too Many Requests'] - Error message
+   * @param {number} [retryAfter] - Seconds until the request may be retried
+   * @param {string} [code='RATE_LIMITED'] - Error code
+   */
+  constructor(message = 'Too Many Requests', retryAfter = undefined, code = 'RATE_LIMITED') {
+    super(429, message, code, retryAfter === undefined ? {} : { retryAfter });
+    this.name = 'TooManyRequestsError';
+    this.retryAfter = retryAfter;
+    if (retryAfter !== undefined) {
+      this.headers['Retry-After'] = String(retryAfter);
+    }
+  }
+}
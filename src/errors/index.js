@@ -2,4 +2,7 @@
  * Error classes and utilities
  */
 
-export * from './integrationErrors.js';
\ No newline at end of file
+export * from './integrationErrors.js';
+export * from './dataErrors.js';
+export * from './httpErrors.js';
+export * from './problemDetails.js';
@@ -0,0 +1,138 @@
+/**
+ * Problem Details (RFC 7807)
+ * Renders thrown errors as `application/problem+json` responses
+ */
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+const STATUS_TITLES = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  410: 'Gone',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+const CORRELATION_HEADERS = ['x-request-id', 'x-correlation-id', 'cf-ray'];
+
+/**
+ * Correlation id for the request: an id already stored as `requestId`, the
+ * caller's X-Request-Id / X-Correlation-Id, Cloudflare's CF-Ray, or a new UUID.
+ * The id is stored on the context so logs and responses agree.
+ * @param {RequestContext|Request} [source] - Router context or raw request
+ * @returns {string} Correlation id
+ */
+export function getCorrelationId(source) {
+  const stored = source?.get?.('requestId');
+  if (stored) return stored;
+
+  const headers = source?.request?.headers || source?.headers;
+  let id = null;
+  if (headers?.get) {
+    for (const name of CORRELATION_HEADERS) {
+      id = headers.get(name);
+      if (id) break;
+    }
+  }
+  id = id || crypto.randomUUID();
+
+  source?.set?.('requestId', id);
+  return id;
+}
+
+const DEBUG_ENVIRONMENTS = ['development', 'debug'];
+
+/**
+ * True when the environment explicitly asks for internal error details:
+ * `ENVIRONMENT` or `NODE_ENV` is `development` or `debug`, or `DEBUG` is set.
+ * A missing or unrecognized environment hides them.
+ * @param {Object} [env] - Worker environment bindings
+ * @returns {boolean}
+ */
+export function exposesInternals(env = {}) {
+  const environment = String(env?.ENVIRONMENT || env?.NODE_ENV || '').toLowerCase();
+  const debug = String(env?.DEBUG ?? '').toLowerCase();
+  return DEBUG_ENVIRONMENTS.includes(environment) || debug === 'true' || debug === '1';
+}
+
+/**
+ * Convert an error to a problem details object
+ * @param {Error} error - Thrown error; `status` (or `statusCode`), `code`, `errors` and `type` are honored
+ * @param {Object} [options]
+ * @param {string} [options.instance] - URI of the failing request
+ * @param {string} [options.correlationId] - Correlation id to include
+ * @param {boolean} [options.exposeInternal=false] - Include messages of 5xx / untyped errors
+ * @returns {Object} `{ type, title, status, detail, instance, code, correlationId, errors? }`
+ */
+export function toProblemDetails(error, options = {}) {
+  const candidate = error?.status ?? error?.statusCode;
+  const status = Number.isInteger(candidate) && candidate >= 400 && candidate <= 599 ? candidate : 500;
+  const exposed = error?.expose ?? status < 500;
+
+  const problem = {
+    type: error?.type || 'about:blank',
+    title: STATUS_TITLES[status] || 'Error',
+    status
+  };
+
+  if (exposed || options.exposeInternal) {
+    problem.detail = error?.message;
+    if (error?.code) problem.code = error.code;
+  } else {
+    problem.detail = 'An unexpected error occurred';
+  }
+  if (options.instance) problem.instance = options.instance;
+  if (options.correlationId) problem.correlationId = options.correlationId;
+  if (exposed && Array.isArray(error?.errors) && error.errors.length > 0) {
+    problem.errors = error.errors;
+  }
+  if (exposed && error?.retryAfter !== undefined) {
+    problem.retryAfter = error.retryAfter;
+  }
+
+  return problem;
+}
+
+/**
+ * Render an error as an `application/problem+json` response
+ *
+ * Internal messages (5xx and untyped errors) are replaced with a generic
+ * detail unless the environment asks for them (see exposesInternals); the correlation id is returned in the body and the
+ * X-Request-Id header so the failure can be found in the logs.
+ * @param {Error} error - Thrown error
+ * @param {RequestContext|Request} [source] - Router context or raw request
+ * @param {Object} [options]
+ * @param {boolean} [options.exposeInternal] - Defaults to exposesInternals(env)
+ * @returns {Response} Problem response
+ */
+export function problemResponse(error, source = null, options = {}) {
+  const correlationId = getCorrelationId(source);
+  const request = source?.request || (source instanceof Request ? source : null);
+  const exposeInternal = options.exposeInternal ?? exposesInternals(source?.env);
+
+  const problem = toProblemDetails(error, {
+    instance: request ? new URL(request.url).pathname : undefined,
+    correlationId,
+    exposeInternal
+  });
+
+  const headers = {
+    ...(error?.headers || {}),
+    'Content-Type': PROBLEM_CONTENT_TYPE,
+    'X-Request-Id': correlationId
+  };
+
+  return new Response(JSON.stringify(problem), { status: problem.status, headers });
+}
@@ -1,10 +1,31 @@
 import { schemaManager } from '../schema/SchemaManager.js';
 import { createDataService } from '../services/GenericDataService.js';
 import { moduleManager } from '../modules/ModuleManager.js';
+import { parseFilterQuery, FilterError } from '../schema/QueryFilter.js';
+import { CursorError } from '../services/CursorCodec.js';
+import { parseIncludePaths } from '../services/RelationLoader.js';
+import { HttpError, NotFoundError, PreconditionFailedError, UnauthorizedError, ValidationError } from '../errors/httpErrors.js';
+import { problemResponse } from '../errors/problemDetails.js';
+import { JwtVerifier, JwtError } from '../security/JwtVerifier.js';
+import { generateETag, evaluatePreconditions, notModifiedResponse } from '../routing/conditional.js';
 
 /**
  * Generic Route Handlers
  * Provides reusable CRUD handlers for any configured data model
+ *
+ * Failures are answered as `application/problem+json`: typed errors
+ * (ValidationError, NotFoundError, ConflictError, ...) keep their status,
+ * anything else becomes a 500 whose message is hidden outside development.
+ *
+ * Every request acts on behalf of the authenticated user (or null when
+ * anonymous), so the model's `access` policy decides which roles may run
+ * each operation, which rows are visible, which fields may be written and
+ * which are returned (see services/AccessPolicy.js).
+ *
+ * Reads carry an ETag (a digest of the returned data) and answer 304 to a
+ * matching If-None-Match, or If-Modified-Since when records have `updated_at`.
+ * Updates and deletes honor If-Match / If-Unmodified-Since against the
+ * record's current ETag and answer 412 when it has changed.
  */
 
 export class GenericRouteHandler {
@@ -13,42 +34,60 @@ export class GenericRouteHandler {
    * @param {Object} d1Client - D1 database client
    * @param {string} modelName - Name of the model
    * @param {Object} options - Handler options
+   * @param {string} [options.cursorSecret] - Secret used to sign list cursors
+   * @param {Function} [options.resolveActor] - (request, context) => actor id for audit columns;
+   *   defaults to the `user` stored on the RequestContext by auth middleware
+   * @param {boolean} [options.requireAuth=true] - Require an authenticated user (reads too, unless allowPublicRead)
+   * @param {Object|JwtVerifier} [options.jwt] - Verify bearer tokens for requireAuth (JwtVerifier or its options)
+   * @param {Function} [options.authenticate] - (request, context) => user|null; replaces the built-in check
+   * @param {string|false} [options.etag='strong'] - ETags on responses: 'strong', 'weak' or false
    */
   constructor(d1Client, modelName, options = {}) {
     this.d1Client = d1Client;
     this.modelName = modelName;
-    this.dataService = createDataService(d1Client, modelName);
+    this.dataService = createDataService(d1Client, modelName, { cursorSecret: options.cursorSecret });
     this.options = {
       requireAuth: options.requireAuth !== false, // Default to requiring auth
       allowPublicRead: options.allowPublicRead || false,
       customValidators: options.customValidators || {},
       hooks: options.hooks || {},
+      etag: 'strong',
       ...options
     };
   }
 
   /**
    * Handle GET /:model - List all records
+   *
+   * Passing `?cursor=` (empty for the first page) switches to keyset
+   * pagination: `?cursor=&limit=20&sort=-created_at` returns
+   * `pagination.nextCursor`/`prevCursor` to send back as `?cursor=<token>`.
+   * The total is only computed when `?count=true` is given.
+   *
+   * `?include=author,comments.author` eager-loads declared relationships and
+   * `?fields=id,title` returns only the listed (visible) fields.
    * @param {Request} request - HTTP request
+   * @param {RequestContext} [context] - Router context; carries a user authenticated by middleware
    * @returns {Promise<Response>} HTTP response
    */
-  async handleList(request) {
+  async handleList(request, context = null) {
     try {
       // Check authentication if required
+      let authResult = null;
       if (this.options.requireAuth && !this.options.allowPublicRead) {
-        const authResult = await this._checkAuth(request);
+        authResult = await this._checkAuth(request, context);
         if (!authResult.authenticated) {
-          return new Response(
-            JSON.stringify({ success: false, error: 'Authentication required' }),
-            { status: 401, headers: { 'Content-Type': 'application/json' } }
-          );
+          throw authResult.error || new UnauthorizedError();
         }
       }
+      const principal = this._authorize('read', authResult, context);
 
       // Parse query parameters
       const url = new URL(request.url);
       const criteria = this._parseQueryCriteria(url.searchParams);
       const pagination = this._parsePagination(url.searchParams);
+      const include = this._parseInclude(url.searchParams);
+      const fields = this._parseFields(url.searchParams);
 
       // Execute hooks
       await moduleManager.executeHooks('before.list', {
@@ -59,11 +98,24 @@ export class GenericRouteHandler {
       });
 
       // Get data
+      const orderBy = this._parseSort(url.searchParams);
       let result;
-      if (pagination.limit) {
-        result = await this.dataService.paginate(criteria, pagination);
+      if (pagination.cursor !== null) {
+        result = await this.dataService.findAll({
+          where: criteria,
+          orderBy,
+          limit: pagination.limit || undefined,
+          pagination: 'cursor',
+          cursor: pagination.cursor || null,
+          withCount: ['true', '1'].includes(url.searchParams.get('count')),
+          include,
+          principal,
+          fields
+        });
+      } else if (pagination.limit) {
+        result = await this.dataService.paginate(criteria, pagination, { include, principal, fields, orderBy });
       } else {
-        const data = await this.dataService.find(criteria);
+        const data = await this.dataService.find(criteria, include, fields, { principal, orderBy });
         result = { data, pagination: null };
       }
 
@@ -74,46 +126,37 @@ export class GenericRouteHandler {
         result
       });
 
-      return new Response(
-        JSON.stringify({
-          success: true,
-          data: result.data,
-          pagination: result.pagination
-        }),
-        { status: 200, headers: { 'Content-Type': 'application/json' } }
-      );
+      return await this._readResponse(request, {
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
 
     } catch (error) {
-      console.error(`Error in ${this.modelName} list:`, error);
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: 'Failed to retrieve records',
-          message: error.message
-        }),
-        { status: 500, headers: { 'Content-Type': 'application/json' } }
-      );
+      return this._errorResponse(error, request, context, 'list');
     }
   }
 
   /**
    * Handle GET /:model/:id - Get single record
+   *
+   * Accepts `?include=` and `?fields=` like handleList.
    * @param {Request} request - HTTP request
    * @param {string} id - Record ID
+   * @param {RequestContext} [context] - Router context; carries a user authenticated by middleware
    * @returns {Promise<Response>} HTTP response
    */
-  async handleGet(request, id) {
+  async handleGet(request, id, context = null) {
     try {
       // Check authentication if required
+      let authResult = null;
       if (this.options.requireAuth && !this.options.allowPublicRead) {
-        const authResult = await this._checkAuth(request);
+        authResult = await this._checkAuth(request, context);
         if (!authResult.authenticated) {
-          return new Response(
-            JSON.stringify({ success: false, error: 'Authentication required' }),
-            { status: 401, headers: { 'Content-Type': 'application/json' } }
-          );
+          throw authResult.error || new UnauthorizedError();
         }
       }
+      const principal = this._authorize('read', authResult, context);
 
       // Execute hooks
       await moduleManager.executeHooks('before.get', {
@@ -123,13 +166,16 @@ export class GenericRouteHandler {
       });
 
       // Get data
-      const record = await this.dataService.findById(id);
+      const { searchParams } = new URL(request.url);
+      const record = await this.dataService.findById(
+        id,
+        this._parseInclude(searchParams),
+        this._parseFields(searchParams),
+        { principal }
+      );
 
       if (!record) {
-        return new Response(
-          JSON.stringify({ success: false, error: 'Record not found' }),
-          { status: 404, headers: { 'Content-Type': 'application/json' } }
-        );
+        throw this._notFound(id);
       }
 
       // Execute hooks
@@ -139,44 +185,34 @@ export class GenericRouteHandler {
         record
       });
 
-      return new Response(
-        JSON.stringify({ success: true, data: record }),
-        { status: 200, headers: { 'Content-Type': 'application/json' } }
-      );
+      return await this._readResponse(request, { success: true, data: record }, record);
 
     } catch (error) {
-      console.error(`Error in ${this.modelName} get:`, error);
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: 'Failed to retrieve record',
-          message: error.message
-        }),
-        { status: 500, headers: { 'Content-Type': 'application/json' } }
-      );
+      return this._errorResponse(error, request, context, 'get');
     }
   }
 
   /**
    * Handle POST /:model - Create new record
    * @param {Request} request - HTTP request
+   * @param {RequestContext} [context] - Router context; supplies the acting user for audit columns
    * @returns {Promise<Response>} HTTP response
    */
-  async handleCreate(request) {
+  async handleCreate(request, context = null) {
     try {
       // Check authentication if required
+      let authResult = null;
       if (this.options.requireAuth) {
-        const authResult = await this._checkAuth(request);
+        authResult = await this._checkAuth(request, context);
         if (!authResult.authenticated) {
-          return new Response(
-            JSON.stringify({ success: false, error: 'Authentication required' }),
-            { status: 401, headers: { 'Content-Type': 'application/json' } }
-          );
+          throw authResult.error || new UnauthorizedError();
         }
       }
+      const principal = this._authorize('create', authResult, context);
 
       // Parse request body
-      const data = await request.json();
+      const data = await this._parseBody(request);
+      this.dataService.accessPolicy.assertWritable(data, 'create');
 
       // Execute hooks
       await moduleManager.executeHooks('before.create', {
@@ -189,19 +225,12 @@ export class GenericRouteHandler {
       if (this.options.customValidators.create) {
         const validation = await this.options.customValidators.create(data, request);
         if (!validation.valid) {
-          return new Response(
-            JSON.stringify({
-              success: false,
-              error: 'Validation failed',
-              details: validation.errors
-            }),
-            { status: 400, headers: { 'Content-Type': 'application/json' } }
-          );
+          throw ValidationError.fromValidation(validation, 'Validation failed');
         }
       }
 
       // Create record
-      const record = await this.dataService.create(data);
+      const record = await this.dataService.create(data, { actor: await this._resolveActor(request, context), principal });
 
       // Execute hooks
       await moduleManager.executeHooks('after.create', {
@@ -210,53 +239,50 @@ export class GenericRouteHandler {
         record
       });
 
-      return new Response(
-        JSON.stringify({ success: true, data: record }),
-        { status: 201, headers: { 'Content-Type': 'application/json' } }
-      );
+      return await this._recordResponse(record, 201);
 
     } catch (error) {
-      console.error(`Error in ${this.modelName} create:`, error);
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: 'Failed to create record',
-          message: error.message
-        }),
-        { status: 500, headers: { 'Content-Type': 'application/json' } }
-      );
+      return this._errorResponse(error, request, context, 'create');
     }
   }
 
   /**
    * Handle PATCH /:model/:id - Update record
+   *
+   * Versioned models expect the body to carry the `version` that was read;
+   * a stale version returns 409. A matching If-Match header can stand in for
+   * it. If-Match with the ETag of a different revision returns 412.
    * @param {Request} request - HTTP request
    * @param {string} id - Record ID
+   * @param {RequestContext} [context] - Router context; supplies the acting user for audit columns
    * @returns {Promise<Response>} HTTP response
    */
-  async handleUpdate(request, id) {
+  async handleUpdate(request, id, context = null) {
     try {
       // Check authentication if required
+      let authResult = null;
       if (this.options.requireAuth) {
-        const authResult = await this._checkAuth(request);
+        authResult = await this._checkAuth(request, context);
         if (!authResult.authenticated) {
-          return new Response(
-            JSON.stringify({ success: false, error: 'Authentication required' }),
-            { status: 401, headers: { 'Content-Type': 'application/json' } }
-          );
+          throw authResult.error || new UnauthorizedError();
         }
       }
+      const principal = this._authorize('update', authResult, context);
 
       // Parse request body
-      const updates = await request.json();
+      const updates = await this._parseBody(request);
+      this.dataService.accessPolicy.assertWritable(updates, 'update');
 
-      // Check if record exists
-      const existing = await this.dataService.findById(id);
+      // Check if record exists (and is within the caller's row filter)
+      const existing = await this._findExisting(id, principal, 'update');
       if (!existing) {
-        return new Response(
-          JSON.stringify({ success: false, error: 'Record not found' }),
-          { status: 404, headers: { 'Content-Type': 'application/json' } }
-        );
+        throw this._notFound(id);
+      }
+      await this._checkPreconditions(request, existing, principal);
+
+      // The matched If-Match pins the revision, so let the version check make the write atomic
+      if (request.headers.has('If-Match') && this.dataService.schema.version === true && updates.version === undefined) {
+        updates.version = existing.version;
       }
 
       // Execute hooks
@@ -272,19 +298,12 @@ export class GenericRouteHandler {
       if (this.options.customValidators.update) {
         const validation = await this.options.customValidators.update(updates, request, existing);
         if (!validation.valid) {
-          return new Response(
-            JSON.stringify({
-              success: false,
-              error: 'Validation failed',
-              details: validation.errors
-            }),
-            { status: 400, headers: { 'Content-Type': 'application/json' } }
-          );
+          throw ValidationError.fromValidation(validation, 'Validation failed');
         }
       }
 
       // Update record
-      const record = await this.dataService.update(id, updates);
+      const record = await this.dataService.update(id, updates, { actor: await this._resolveActor(request, context), principal });
 
       // Execute hooks
       await moduleManager.executeHooks('after.update', {
@@ -293,21 +312,10 @@ export class GenericRouteHandler {
         record
       });
 
-      return new Response(
-        JSON.stringify({ success: true, data: record }),
-        { status: 200, headers: { 'Content-Type': 'application/json' } }
-      );
+      return await this._recordResponse(record, 200);
 
     } catch (error) {
-      console.error(`Error in ${this.modelName} update:`, error);
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: 'Failed to update record',
-          message: error.message
-        }),
-        { status: 500, headers: { 'Content-Type': 'application/json' } }
-      );
+      return this._errorResponse(error, request, context, 'update');
     }
   }
 
@@ -315,29 +323,27 @@ export class GenericRouteHandler {
    * Handle DELETE /:model/:id - Delete record
    * @param {Request} request - HTTP request
    * @param {string} id - Record ID
+   * @param {RequestContext} [context] - Router context; supplies the acting user for audit columns
    * @returns {Promise<Response>} HTTP response
    */
-  async handleDelete(request, id) {
+  async handleDelete(request, id, context = null) {
     try {
       // Check authentication if required
+      let authResult = null;
       if (this.options.requireAuth) {
-        const authResult = await this._checkAuth(request);
+        authResult = await this._checkAuth(request, context);
         if (!authResult.authenticated) {
-          return new Response(
-            JSON.stringify({ success: false, error: 'Authentication required' }),
-            { status: 401, headers: { 'Content-Type': 'application/json' } }
-          );
+          throw authResult.error || new UnauthorizedError();
         }
       }
+      const principal = this._authorize('delete', authResult, context);
 
-      // Check if record exists
-      const existing = await this.dataService.findById(id);
+      // Check if record exists (and is within the caller's row filter)
+      const existing = await this._findExisting(id, principal, 'delete');
       if (!existing) {
-        return new Response(
-          JSON.stringify({ success: false, error: 'Record not found' }),
-          { status: 404, headers: { 'Content-Type': 'application/json' } }
-        );
+        throw this._notFound(id);
       }
+      await this._checkPreconditions(request, existing, principal);
 
       // Execute hooks
       await moduleManager.executeHooks('before.delete', {
@@ -348,7 +354,7 @@ export class GenericRouteHandler {
       });
 
       // Delete record
-      const success = await this.dataService.delete(id);
+      const success = await this.dataService.delete(id, { actor: await this._resolveActor(request, context), principal });
 
       if (success) {
         // Execute hooks
@@ -367,63 +373,264 @@ export class GenericRouteHandler {
       }
 
     } catch (error) {
-      console.error(`Error in ${this.modelName} delete:`, error);
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: 'Failed to delete record',
-          message: error.message
-        }),
-        { status: 500, headers: { 'Content-Type': 'application/json' } }
-      );
+      return this._errorResponse(error, request, context, 'delete');
     }
   }
 
   /**
-   * Check authentication (placeholder - integrate with your auth system)
+   * Check authentication
+   *
+   * A user already stored on the context (e.g. by createJwtAuth) is accepted.
+   * Otherwise the `authenticate` option or the `jwt` verifier decides; with
+   * neither configured, every request is rejected rather than trusting an
+   * unverified Authorization header.
    * @param {Request} request - HTTP request
-   * @returns {Promise<Object>} Auth result
+   * @param {RequestContext} [context] - Router context
+   * @returns {Promise<Object>} Auth result { authenticated, user, code?, message?, error? }
    * @private
    */
-  async _checkAuth(request) {
-    // This should integrate with your existing auth middleware
-    // For now, return authenticated if there's an authorization header
-    const authHeader = request.headers.get('authorization');
+  async _checkAuth(request, context = null) {
+    const existing = context?.get?.('user');
+    if (existing) {
+      return { authenticated: true, user: existing };
+    }
+
+    if (this.options.authenticate) {
+      const user = await this.options.authenticate(request, context);
+      if (user && context) context.set('user', user);
+      return { authenticated: !!user, user: user || null };
+    }
+
+    const verifier = this._getJwtVerifier();
+    if (verifier) {
+      const header = request.headers.get('authorization') || '';
+      if (!header.startsWith('Bearer ')) {
+        return { authenticated: false, user: null };
+      }
+      try {
+        const claims = await verifier.verify(header.slice(7).trim());
+        if (context) {
+          context.set('jwt', claims);
+          context.set('user', claims);
+        }
+        return { authenticated: true, user: claims };
+      } catch (error) {
+        if (!(error instanceof JwtError)) throw error;
+        return { authenticated: false, user: null, code: error.code, message: error.message, error };
+      }
+    }
+
+    // No way to verify a caller: fail closed
     return {
-      authenticated: !!authHeader,
-      user: authHeader ? { id: 'user-from-token' } : null
+      authenticated: false,
+      user: null,
+      message: `${this.modelName} routes require auth but neither 'jwt' nor 'authenticate' is configured`
     };
   }
 
+  /**
+   * JwtVerifier from the `jwt` option (an instance or verifier options), created once
+   * @returns {JwtVerifier|null}
+   * @private
+   */
+  _getJwtVerifier() {
+    const { jwt } = this.options;
+    if (!jwt) return null;
+    if (!this._jwtVerifier) {
+      this._jwtVerifier = jwt instanceof JwtVerifier ? jwt : new JwtVerifier(jwt);
+    }
+    return this._jwtVerifier;
+  }
+
+  /**
+   * Resolve the acting user id recorded in audit columns
+   * @param {Request} request - HTTP request
+   * @param {RequestContext} [context] - Router context
+   * @returns {Promise<string|null>} Actor id
+   * @private
+   */
+  async _resolveActor(request, context) {
+    if (this.options.resolveActor) {
+      return (await this.options.resolveActor(request, context)) ?? null;
+    }
+
+    const user = context?.get?.('user');
+    if (!user) return null;
+    return typeof user === 'object' ? (user.id ?? user.sub ?? null) : String(user);
+  }
+
+  /**
+   * Resolve the caller and check the policy's role requirement for an operation
+   * @param {string} operation - 'read' | 'create' | 'update' | 'delete'
+   * @param {Object|null} authResult - Result of _checkAuth, when authentication ran
+   * @param {RequestContext} [context] - Router context
+   * @returns {Object|null} Principal (null when anonymous)
+   * @private
+   */
+  _authorize(operation, authResult, context) {
+    const principal = authResult?.user ?? context?.get?.('user') ?? null;
+    this.dataService.accessPolicy.assertAllowed(operation, principal);
+    return principal;
+  }
+
+  /**
+   * Load the record a write targets, as seen through the operation's row filter.
+   * Read past the query cache: preconditions must be checked against the stored row.
+   * @param {string} id - Record ID
+   * @param {Object|null} principal - Acting user
+   * @param {string} operation - 'update' | 'delete'
+   * @returns {Promise<Object|null>} Record, or null when missing or out of scope
+   * @private
+   */
+  async _findExisting(id, principal, operation) {
+    const criteria = this.dataService.accessPolicy.scope({ id }, principal, operation);
+    const [record] = await this.dataService.find(criteria, [], null, { useCache: false });
+    return record || null;
+  }
+
+  /**
+   * Render a failure as problem+json; untyped errors are logged
+   * @param {Error} error - Error raised while handling the request
+   * @param {Request} request - HTTP request
+   * @param {RequestContext} [context] - Router context (correlation id, env)
+   * @param {string} action - Handler name for the log line
+   * @returns {Response} Problem response
+   * @private
+   */
+  _errorResponse(error, request, context, action) {
+    if (error instanceof FilterError) {
+      error = this._filterError(error);
+    } else if (!(error instanceof HttpError)) {
+      console.error(`Error in ${this.modelName} ${action}:`, error);
+    }
+    return problemResponse(error, context || request);
+  }
+
+  /**
+   * ETag for data as this handler serializes it, or null when ETags are off
+   * @param {*} data - Record or response payload
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async _etag(data) {
+    if (!this.options.etag) return null;
+    return generateETag(JSON.stringify(data), { weak: this.options.etag === 'weak' });
+  }
+
+  /**
+   * Answer a read, or 304 / 412 when the request's preconditions say so
+   * @param {Request} request - HTTP request
+   * @param {Object} payload - Response body
+   * @param {Object} [tagged=payload] - What the ETag describes (the record for single reads)
+   * @returns {Promise<Response>} HTTP response
+   * @private
+   */
+  async _readResponse(request, payload, tagged = payload) {
+    const headers = { 'Content-Type': 'application/json' };
+    const etag = await this._etag(tagged);
+    const lastModified = lastModifiedOf(tagged);
+    if (etag) headers.ETag = etag;
+    if (lastModified) headers['Last-Modified'] = lastModified.toUTCString();
+
+    const status = evaluatePreconditions(request, { etag, lastModified, weakIfMatch: true });
+    if (status === 304) {
+      return notModifiedResponse(headers);
+    }
+    if (status === 412) {
+      throw new PreconditionFailedError();
+    }
+    return new Response(JSON.stringify(payload), { status: 200, headers });
+  }
+
+  /**
+   * Answer a write with the record and its new ETag
+   * @param {Object} record - Written record
+   * @param {number} status - HTTP status
+   * @returns {Promise<Response>} HTTP response
+   * @private
+   */
+  async _recordResponse(record, status) {
+    const headers = { 'Content-Type': 'application/json' };
+    const etag = await this._etag(record);
+    if (etag) headers.ETag = etag;
+    return new Response(JSON.stringify({ success: true, data: record }), { status, headers });
+  }
+
+  /**
+   * Check If-Match / If-None-Match / If-Unmodified-Since against the record a
+   * write targets, as the caller would read it with GET
+   *
+   * Only updates of versioned models make the check and the write atomic
+   * (handleUpdate passes the matched version on). Otherwise they are separate
+   * statements, and a write landing between them is not detected.
+   * @param {Request} request - HTTP request
+   * @param {Object} existing - Current record
+   * @param {Object|null} principal - Acting user
+   * @throws {PreconditionFailedError} The record has changed
+   * @private
+   */
+  async _checkPreconditions(request, existing, principal) {
+    const { headers } = request;
+    if (!headers.has('If-Match') && !headers.has('If-None-Match') && !headers.has('If-Unmodified-Since')) return;
+
+    const etag = await this._etag(this.dataService.accessPolicy.redact(existing, principal));
+    if (evaluatePreconditions(request, { etag, lastModified: lastModifiedOf(existing), weakIfMatch: true }) !== null) {
+      throw new PreconditionFailedError(
+        `${this.modelName} '${existing.id}' does not match the request's preconditions`,
+        'PRECONDITION_FAILED',
+        { model: this.modelName, id: existing.id }
+      );
+    }
+  }
+
+  /**
+   * @param {string} id - Record ID
+   * @returns {NotFoundError}
+   * @private
+   */
+  _notFound(id) {
+    return new NotFoundError(`${this.modelName} '${id}' not found`, 'NOT_FOUND', { model: this.modelName, id });
+  }
+
+  /**
+   * Parse a JSON request body; malformed JSON is a client error
+   * @param {Request} request - HTTP request
+   * @returns {Promise<Object>} Parsed body
+   * @private
+   */
+  async _parseBody(request) {
+    try {
+      return await request.json();
+    } catch {
+      throw new ValidationError('Request body must be valid JSON', [], 'INVALID_JSON');
+    }
+  }
+
   /**
    * Parse query parameters into search criteria
+   *
+   * Supports the filter grammar from QueryFilter.js (`?age[gte]=18&status[in]=a,b`,
+   * `?or[0][status]=a&or[1][role]=admin`) plus the legacy `field_gt`, `field_lt`
+   * and `field_like` suffixes. Fields are validated against the model columns
+   * when the query is executed.
    * @param {URLSearchParams} params - Query parameters
    * @returns {Object} Search criteria
    * @private
    */
   _parseQueryCriteria(params) {
-    const criteria = {};
+    const columns = this.dataService.schema.columns;
+    const normalized = new URLSearchParams();
 
     for (const [key, value] of params.entries()) {
-      // Skip pagination params
-      if (['page', 'limit', 'offset'].includes(key)) continue;
-
-      // Handle different query types
-      if (key.endsWith('_gt')) {
-        const field = key.slice(0, -3);
-        criteria[field] = { $gt: value };
-      } else if (key.endsWith('_lt')) {
-        const field = key.slice(0, -3);
-        criteria[field] = { $lt: value };
-      } else if (key.endsWith('_like')) {
-        const field = key.slice(0, -5);
-        criteria[field] = { $like: value };
+      const legacy = /^(.+)_(gt|lt|like)$/.exec(key);
+      if (legacy && !columns[key] && columns[legacy[1]]) {
+        normalized.append(`${legacy[1]}[${legacy[2]}]`, value);
       } else {
-        criteria[key] = value;
+        normalized.append(key, value);
       }
     }
 
-    return criteria;
+    return parseFilterQuery(normalized);
   }
 
   /**
@@ -436,9 +643,81 @@ export class GenericRouteHandler {
     return {
       page: parseInt(params.get('page')) || 1,
       limit: parseInt(params.get('limit')) || null,
-      offset: parseInt(params.get('offset')) || null
+      offset: parseInt(params.get('offset')) || null,
+      cursor: params.has('cursor') ? params.get('cursor') : null
     };
   }
+
+  /**
+   * Parse `?include=author,comments.author` into relationship paths;
+   * names are validated against the model's relationships by the data service
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Array<string>} Include paths
+   * @private
+   */
+  _parseInclude(params) {
+    return parseIncludePaths(params.getAll('include').join(','));
+  }
+
+  /**
+   * Parse `?fields=id,title` into a sparse fieldset; fields are checked
+   * against what the caller may see by the data service
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Array<string>|null} Field names, or null for all fields
+   * @private
+   */
+  _parseFields(params) {
+    const fields = params.getAll('fields').join(',').split(',').map(field => field.trim()).filter(Boolean);
+    return fields.length > 0 ? [...new Set(fields)] : null;
+  }
+
+  /**
+   * Convert an invalid filter, cursor or include into a ValidationError
+   * @param {FilterError} error - Query error
+   * @returns {ValidationError} 400 error naming the offending parameter
+   * @private
+   */
+  _filterError(error) {
+    let code = 'INVALID_FILTER';
+    if (error instanceof CursorError) {
+      code = 'INVALID_CURSOR';
+    } else if (error.field === 'include') {
+      code = 'INVALID_INCLUDE';
+    }
+
+    return new ValidationError(error.message, [{ field: error.field, message: error.message, code }], code);
+  }
+
+  /**
+   * Parse `?sort=-created_at,name` (or `?orderBy=created_at:desc,name`) into
+   * findAll orderBy options; fields are validated by the data service
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object|undefined} Sort options {field: 'asc'|'desc'}
+   * @private
+   */
+  _parseSort(params) {
+    const value = params.get('sort') || params.get('orderBy');
+    if (!value) return undefined;
+
+    return Object.fromEntries(
+      value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        if (item.startsWith('-')) return [item.slice(1), 'desc'];
+        const [field, direction = 'asc'] = item.split(':');
+        return [field, direction];
+      })
+    );
+  }
+}
+
+/**
+ * Last modification time of a record with an `updated_at` column
+ * @private
+ */
+function lastModifiedOf(record) {
+  const value = record?.updated_at;
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
 }
 
 /**
@@ -20,11 +20,34 @@ export {
   createCorsMiddleware,
   createErrorHandler,
   createRateLimitGuard,
+  createIdempotencyMiddleware,
   createLogger,
   createBearerAuth,
   createApiKeyAuth,
+  createJwtAuth,
+  requireScopes,
+  requireRoles,
   composeMiddleware
 } from './middleware/factories.js';
+export {
+  MemoryRateLimitStore,
+  KVRateLimitStore,
+  DurableObjectRateLimitStore,
+  UpstashRateLimitStore,
+  applyRateLimit,
+  RATE_LIMIT_ALGORITHMS
+} from './middleware/rateLimitStores.js';
+export {
+  MemoryIdempotencyStore,
+  KVIdempotencyStore,
+  D1IdempotencyStore,
+  DurableObjectIdempotencyStore
+} from './middleware/idempotencyStores.js';
+export {
+  createRequestValidator,
+  isValidationSpec,
+  VALIDATION_TARGETS
+} from './middleware/validation.js';
 
 // ─── NEW: Environment Guard ──────────────────────────────────────────
 export {
@@ -44,6 +67,24 @@ export { FEATURE_BINDING_MAP } from './config/service-schema-config.js';
 // Core data and schema components
 export * from './services/GenericDataService.js';
 export * from './schema/SchemaManager.js';
+export {
+  MigrationGenerator,
+  createMigrationGenerator,
+  nextMigrationNumber,
+  formatMigrationFilename
+} from './schema/MigrationGenerator.js';
+export {
+  buildWhereClause,
+  parseFilterQuery,
+  FilterError,
+  FILTER_OPERATORS
+} from './schema/QueryFilter.js';
+export { columnToJsonSchema, modelToJsonSchema } from './schema/JsonSchema.js';
+export { CursorCodec, CursorError } from './services/CursorCodec.js';
+export { RelationLoader, parseIncludePaths, MAX_INCLUDE_DEPTH } from './services/RelationLoader.js';
+export { AccessPolicy } from './services/AccessPolicy.js';
+export { OutboxRelay, generateOutboxSQL, OUTBOX_TABLE } from './services/Outbox.js';
+export { JwtVerifier, JwtError, JWT_ALGORITHMS } from './security/JwtVerifier.js';
 export * from './modules/ModuleManager.js';
 export * from './routing/EnhancedRouter.js';
 export * from './handlers/GenericRouteHandler.js';
@@ -78,7 +119,19 @@ export {
   ParameterNotSupportedError,
   VersionCompatibilityError
 } from './errors/integrationErrors.js';
+export { ConflictError } from './errors/dataErrors.js';
+export {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  PreconditionFailedError,
+  TooManyRequestsError
+} from './errors/httpErrors.js';
+export { problemResponse, toProblemDetails, getCorrelationId, PROBLEM_CONTENT_TYPE } from './errors/problemDetails.js';
 export { MockServiceOrchestrator, createMockFramework } from './testing/mockFramework.js';
+export { createTestEnv, createExecutionContext, createTestClient, createD1Client, createMessageBatch } from './testing/index.js';
 
 // CLI utilities (for framework CLI commands)
 export { StandardOptions } from '../lib/shared/utils/cli-options.js';
@@ -1,43 +1,136 @@
+import { RequestContext } from '../routing/RequestContext.js';
+
 // Middleware composer that runs middleware in sequence and supports short-circuiting
+//
+// Two middleware shapes can be mixed in one chain:
+//   - onion functions `async (c, next) => Response | void`, which receive the
+//     shared RequestContext and call `await next()` to run the rest of the chain
+//   - lifecycle objects with preprocess/authenticate/validate/postprocess hooks,
+//     which receive the raw Request (plus the context as a trailing argument)
+//     and may define `onError(error, c)` to turn a downstream error into a Response
+//
+// Lifecycle objects may also wrap execution, for error handling, timing or tracing:
+//   - `around(c, next)` encloses the object's own phases and everything downstream:
+//       around → preprocess → authenticate → validate → (rest of chain) → onError → postprocess
+//     so it sees failures and time spent in all of them
+//   - `wrapHandler(request, handler)` (older shape) runs the same phases through
+//     `handler(request)` and returns the Response; a one-argument
+//     `wrapHandler(handler)` instead receives `(request, env, ctx) => Response`
+//     and returns a replacement with that signature
+//
+// One RequestContext is shared by every middleware and the handler, so values
+// stored with `c.set()` are visible to everything that runs after.
 export class MiddlewareComposer {
+  /**
+   * @param {...(Function|Object)} middlewares - Onion functions or lifecycle objects
+   * @returns {Function} Composed `(c, next)` middleware with an `execute(input, handler, env?, executionCtx?)` method
+   */
   static compose(...middlewares) {
-    const chain = middlewares.filter(Boolean);
-
-    return {
-      async execute(request, handler) {
-        // Preprocess/auth/validate phases
-        for (const m of chain) {
-          if (typeof m.preprocess === 'function') {
-            const res = await m.preprocess(request);
-            if (res) return res;
-          }
-
-          if (typeof m.authenticate === 'function') {
-            const res = await m.authenticate(request);
-            if (res) return res;
-          }
-
-          if (typeof m.validate === 'function') {
-            const res = await m.validate(request);
-            if (res) return res;
-          }
+    const chain = middlewares.filter(Boolean).map(MiddlewareComposer.toHandler);
+
+    const run = (c, last) => {
+      let index = -1;
+
+      const dispatch = async (i) => {
+        if (i <= index) {
+          throw new Error('next() called multiple times');
         }
+        index = i;
 
-        // Call the final handler
-        let response = await handler(request);
-
-        // Postprocess in reverse order
-        for (const m of chain.slice().reverse()) {
-          if (typeof m.postprocess === 'function') {
-            // Pass the original request as the second argument so postprocess can access per-request state
-            const updated = await m.postprocess(response, request);
-            // Allow middleware to replace response
-            if (updated instanceof Response) response = updated;
-          }
+        if (i === chain.length) {
+          return last();
         }
 
-        return response;
+        let downstream;
+        let called = false;
+        const next = async () => {
+          called = true;
+          downstream = await dispatch(i + 1);
+          return downstream;
+        };
+
+        const result = await chain[i](c, next);
+        if (result instanceof Response) return result;
+        if (called) return downstream;
+        throw new Error('Middleware must return a Response or call next()');
+      };
+
+      return dispatch(0);
+    };
+
+    const composed = (c, next) => run(c, next);
+
+    /**
+     * Run the chain around a handler
+     * @param {Request|RequestContext} input - Request, or an existing context to share
+     * @param {Function} handler - Receives `input` unchanged
+     * @param {Object} [env] - Bindings for a context created from a Request
+     * @param {Object} [executionCtx] - Execution context for a context created from a Request
+     * @returns {Promise<Response>}
+     */
+    composed.execute = (input, handler, env = {}, executionCtx = {}) => {
+      const c = input instanceof RequestContext ? input : new RequestContext(input, env, executionCtx);
+      return run(c, () => handler(input));
+    };
+
+    return composed;
+  }
+
+  /**
+   * Normalize a middleware into an onion `(c, next)` function
+   * @param {Function|Object} middleware - Onion function, lifecycle object or nested chain
+   * @returns {Function} `(c, next) => Promise<Response|void>`
+   */
+  static toHandler(middleware) {
+    if (typeof middleware === 'function') return middleware;
+
+    if (typeof middleware.execute === 'function') {
+      return (c, next) => middleware.execute(c, () => next());
+    }
+
+    const lifecycle = async (c, next) => {
+      const request = c.request;
+
+      // Preprocess/auth/validate phases
+      for (const phase of ['preprocess', 'authenticate', 'validate']) {
+        if (typeof middleware[phase] === 'function') {
+          const res = await middleware[phase](request, c);
+          if (res) return res;
+        }
+      }
+
+      let response;
+      try {
+        response = await next();
+      } catch (error) {
+        if (typeof middleware.onError !== 'function') throw error;
+        response = await middleware.onError(error, c);
+        if (!(response instanceof Response)) throw error;
       }
+
+      if (typeof middleware.postprocess === 'function') {
+        // Pass the original request as the second argument so postprocess can access per-request state
+        const updated = await middleware.postprocess(response, request, c);
+        // Allow middleware to replace response
+        if (updated instanceof Response) response = updated;
+      }
+
+      return response;
     };
+
+    if (typeof middleware.around === 'function') {
+      return (c, next) => middleware.around(c, () => lifecycle(c, next));
+    }
+    if (typeof middleware.wrapHandler === 'function') {
+      // Told apart by arity: (request, handler) returns a Response, (handler) returns a function
+      if (middleware.wrapHandler.length >= 2) {
+        return (c, next) => middleware.wrapHandler(c.request, () => lifecycle(c, next));
+      }
+      return (c, next) => {
+        const wrapped = middleware.wrapHandler(() => lifecycle(c, next));
+        return wrapped(c.request, c.env, c.executionCtx);
+      };
+    }
+    return lifecycle;
   }
 }
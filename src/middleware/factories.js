@@ -1,10 +1,13 @@
 /**
  * Middleware Factories — High-level composable middleware for Cloudflare Workers
- * 
- * These factory functions create middleware objects compatible with both
- * the MiddlewareComposer lifecycle (preprocess/authenticate/validate/postprocess)
- * and the EnhancedRouter's .use() method.
- * 
+ *
+ * These factory functions create onion-style `async (c, next)` middleware
+ * for the EnhancedRouter's .use() method and MiddlewareComposer. Each one
+ * receives the request's shared RequestContext, so anything it stores with
+ * `c.set()` (e.g. the authenticated user) is available to later middleware
+ * and to the handler via `c.get()`. Callback options (validators, key
+ * functions, onError) receive the context as well.
+ *
  * @example
  * import {
  *   createCorsMiddleware,
@@ -13,17 +16,39 @@
  *   createLogger,
  *   composeMiddleware
  * } from '@tamyla/clodo-framework';
- * 
+ *
  * const middleware = composeMiddleware(
  *   createCorsMiddleware({ origins: ['*'] }),
  *   createLogger({ level: 'info' }),
  *   createRateLimitGuard({ maxRequests: 100, windowMs: 60000 }),
  *   createErrorHandler({ includeStack: false })
  * );
- * 
+ *
  * @module @tamyla/clodo-framework/middleware/factories
  */
 
+import { MiddlewareComposer } from './Composer.js';
+import { problemResponse } from '../errors/problemDetails.js';
+import { JwtVerifier, JwtError } from '../security/JwtVerifier.js';
+import { MemoryRateLimitStore, KVRateLimitStore, normalizeRateLimitRule } from './rateLimitStores.js';
+import { MemoryIdempotencyStore, KVIdempotencyStore } from './idempotencyStores.js';
+import { ValidationError } from '../errors/httpErrors.js';
+import { ConflictError } from '../errors/dataErrors.js';
+
+/**
+ * Copy a response with extra headers
+ * @private
+ */
+function withHeaders(response, headers) {
+  const h = new Headers(response.headers);
+  Object.entries(headers).forEach(([key, value]) => h.set(key, value));
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: h
+  });
+}
+
 // ─── CORS Middleware ───────────────────────────────────────────────────
 
 /**
@@ -34,7 +59,7 @@
  * @param {string[]} [options.headers=['Content-Type','Authorization']] - Allowed headers
  * @param {boolean} [options.credentials=false] - Allow credentials
  * @param {number} [options.maxAge=86400] - Preflight cache duration (seconds)
- * @returns {Object} Middleware object with preprocess and postprocess
+ * @returns {Function} Middleware (c, next) => Response
  */
 export function createCorsMiddleware(options = {}) {
   const origins = options.origins || options.origin || '*';
@@ -50,34 +75,23 @@ export function createCorsMiddleware(options = {}) {
     return null;
   }
 
-  return {
-    preprocess(request) {
-      const requestOrigin = request.headers.get('Origin') || '';
-      const origin = getOriginHeader(requestOrigin);
-
-      if (request.method === 'OPTIONS') {
-        const h = new Headers();
-        if (origin) h.set('Access-Control-Allow-Origin', origin);
-        h.set('Access-Control-Allow-Methods', methods);
-        h.set('Access-Control-Allow-Headers', headers);
-        h.set('Access-Control-Max-Age', maxAge);
-        if (credentials) h.set('Access-Control-Allow-Credentials', 'true');
-        return new Response(null, { status: 204, headers: h });
-      }
-      return null; // pass through to next middleware
-    },
+  return async function cors(c, next) {
+    const origin = getOriginHeader(c.req.header('Origin') || '');
 
-    postprocess(response) {
-      const h = new Headers(response.headers);
-      const origin = allowOrigin.includes('*') ? '*' : allowOrigin[0];
-      h.set('Access-Control-Allow-Origin', origin);
+    if (c.req.method === 'OPTIONS') {
+      const h = new Headers();
+      if (origin) h.set('Access-Control-Allow-Origin', origin);
+      h.set('Access-Control-Allow-Methods', methods);
+      h.set('Access-Control-Allow-Headers', headers);
+      h.set('Access-Control-Max-Age', maxAge);
       if (credentials) h.set('Access-Control-Allow-Credentials', 'true');
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: h
-      });
+      return new Response(null, { status: 204, headers: h });
     }
+
+    const response = await next();
+    const extra = { 'Access-Control-Allow-Origin': origin || allowOrigin[0] };
+    if (credentials) extra['Access-Control-Allow-Credentials'] = 'true';
+    return withHeaders(response, extra);
   };
 }
 
@@ -85,51 +99,45 @@ export function createCorsMiddleware(options = {}) {
 
 /**
  * Create error handler middleware
+ *
+ * Catches errors thrown by everything after it in the chain (later
+ * middleware, including their preprocess/postprocess hooks, and the
+ * handler), so register it first. Errors are answered as problem+json like
+ * the router's error boundary; typed errors (NotFoundError, ...) keep their
+ * status and internal messages are hidden outside development.
  * @param {Object} [options]
  * @param {boolean} [options.includeStack=false] - Include stack trace in response
  * @param {boolean} [options.logErrors=true] - Log errors to console
- * @param {Function} [options.onError] - Custom error handler: (error, request) => Response | null
- * @returns {Object} Middleware object
+ * @param {Function} [options.onError] - Custom error handler: (error, c) => Response | null
+ * @returns {Function} Middleware (c, next) => Response
  */
 export function createErrorHandler(options = {}) {
   const includeStack = options.includeStack || false;
   const logErrors = options.logErrors !== false;
   const onError = options.onError || null;
 
-  return {
-    /**
-     * Wraps the handler execution — this is used by the compose function
-     * to catch errors from the handler and any downstream middleware.
-     */
-    async wrapHandler(request, handler) {
-      try {
-        return await handler(request);
-      } catch (error) {
-        if (logErrors) {
-          console.error(`[ErrorHandler] ${error.message}`, error.stack);
-        }
-
-        // Custom error handler
-        if (onError) {
-          const custom = onError(error, request);
-          if (custom instanceof Response) return custom;
-        }
+  return async function errorHandler(c, next) {
+    try {
+      return await next();
+    } catch (error) {
+      if (logErrors) {
+        console.error(`[ErrorHandler] ${error.message}`, error.stack);
+      }
 
-        const status = error.status || error.statusCode || 500;
-        const body = {
-          error: error.message || 'Internal Server Error',
-          status
-        };
+      // Custom error handler
+      if (onError) {
+        const custom = await onError(error, c);
+        if (custom instanceof Response) return custom;
+      }
 
-        if (includeStack && error.stack) {
-          body.stack = error.stack;
-        }
+      const response = problemResponse(error, c);
+      if (!includeStack || !error.stack) return response;
 
-        return new Response(JSON.stringify(body), {
-          status,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
+      const body = await response.json();
+      return new Response(JSON.stringify({ ...body, stack: error.stack }), {
+        status: response.status,
+        headers: response.headers
+      });
     }
   };
 }
@@ -137,94 +145,284 @@ export function createErrorHandler(options = {}) {
 // ─── Rate Limit Guard Middleware ──────────────────────────────────────
 
 /**
- * Create rate-limiting middleware using a simple in-memory token bucket.
- * For production use with multiple Workers instances, back this with KV or Durable Objects.
- * 
+ * Create rate-limiting middleware.
+ *
+ * Counters live in a pluggable store (see rateLimitStores.js): in memory per
+ * isolate by default, or shared through KV, a Durable Object or Upstash Redis.
+ * Responses carry the draft-standard `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` (seconds) and `RateLimit-Policy` headers, plus the legacy
+ * `X-RateLimit-*` ones; denied requests get 429 with `Retry-After`.
+ *
+ * The current window is stored on the context as `c.get('rateLimit')`:
+ * `{ limit, remaining, reset }` (reset in epoch seconds).
+ *
  * @param {Object} [options]
- * @param {number} [options.maxRequests=100] - Max requests per window
+ * @param {number|Function} [options.maxRequests=100] - Requests per window, or (c, key) => number for per-key limits
  * @param {number} [options.windowMs=60000] - Window duration in milliseconds
- * @param {Function} [options.keyFn] - Function to extract rate-limit key from request (default: IP)
- * @param {Object} [options.kvBinding] - Optional KV namespace for distributed rate limiting
- * @returns {Object} Middleware object with preprocess
+ * @param {string} [options.algorithm='sliding-window'] - 'sliding-window' | 'fixed-window' | 'token-bucket'
+ * @param {number} [options.burst] - Token-bucket capacity (default: maxRequests)
+ * @param {Object|Function} [options.store] - Store with hit(key, rule), or (c) => store; defaults to a MemoryRateLimitStore
+ * @param {Object} [options.kvBinding] - KV namespace; shorthand for `store: new KVRateLimitStore(kvBinding)`
+ * @param {Function} [options.keyFn] - Function to extract rate-limit key: (c) => string (default: IP)
+ * @param {string} [options.prefix='rl'] - Namespace for keys, so several guards can share a store
+ * @param {boolean} [options.perRoute=false] - Count each route (method + pattern) separately
+ * @param {boolean} [options.standardHeaders=true] - Send `RateLimit-*` headers
+ * @param {boolean} [options.legacyHeaders=true] - Send `X-RateLimit-*` headers
+ * @param {boolean} [options.failOpen=true] - Let requests through when the store fails
+ * @returns {Function} Middleware (c, next) => Response
+ *
+ * @example
+ * router.use('/api', createRateLimitGuard({ store: (c) => new DurableObjectRateLimitStore(c.env.RATE_LIMITER) }));
+ * router.post('/login', createRateLimitGuard({ maxRequests: 5, windowMs: 60000, prefix: 'login' }), login);
  */
 export function createRateLimitGuard(options = {}) {
   const maxRequests = options.maxRequests || 100;
   const windowMs = options.windowMs || 60000;
-  const keyFn = options.keyFn || ((request) => request.headers.get('CF-Connecting-IP') || 'unknown');
-  const buckets = new Map();
+  const algorithm = options.algorithm || 'sliding-window';
+  const keyFn = options.keyFn || ((c) => c.req.header('CF-Connecting-IP') || 'unknown');
+  const prefix = options.prefix ?? 'rl';
+  const standardHeaders = options.standardHeaders !== false;
+  const legacyHeaders = options.legacyHeaders !== false;
+  const failOpen = options.failOpen !== false;
+
+  // Fail fast on a bad algorithm or window instead of on the first request
+  normalizeRateLimitRule({ algorithm, limit: 1, windowMs });
+
+  const storeOption = options.store || (options.kvBinding ? new KVRateLimitStore(options.kvBinding) : null);
+  const memoryStore = storeOption ? null : new MemoryRateLimitStore();
+
+  function headersFor(result, rule) {
+    const headers = {};
+    const resetSeconds = Math.max(0, Math.ceil((result.reset - Date.now()) / 1000));
+    if (standardHeaders) {
+      headers['RateLimit-Limit'] = String(result.limit);
+      headers['RateLimit-Remaining'] = String(result.remaining);
+      headers['RateLimit-Reset'] = String(resetSeconds);
+      headers['RateLimit-Policy'] = `${rule.limit};w=${Math.ceil(rule.windowMs / 1000)}` +
+        (rule.algorithm === 'token-bucket' ? `;burst=${rule.burst}` : '');
+    }
+    if (legacyHeaders) {
+      headers['X-RateLimit-Limit'] = String(result.limit);
+      headers['X-RateLimit-Remaining'] = String(result.remaining);
+      headers['X-RateLimit-Reset'] = String(Math.ceil(result.reset / 1000));
+    }
+    return headers;
+  }
 
-  function getBucket(key) {
-    const now = Date.now();
-    let bucket = buckets.get(key);
+  return async function rateLimitGuard(c, next) {
+    // A store factory lets bindings come from the request's env
+    const store = typeof storeOption === 'function' ? await storeOption(c) : (storeOption || memoryStore);
+    const key = await keyFn(c);
+    const limit = typeof maxRequests === 'function' ? await maxRequests(c, key) : maxRequests;
+    const rule = normalizeRateLimitRule({ algorithm, limit, windowMs, burst: options.burst });
+
+    const routePath = c.get('routePath');
+    const scope = options.perRoute ? `${c.req.method} ${routePath || c.req.path}:` : '';
+
+    let result;
+    try {
+      result = await store.hit(`${prefix}:${scope}${key}`, rule);
+    } catch (error) {
+      if (!failOpen) throw error;
+      console.error(`[RateLimitGuard] Store failed, allowing request: ${error.message}`);
+      return next();
+    }
 
-    if (!bucket || now - bucket.windowStart > windowMs) {
-      bucket = { windowStart: now, count: 0 };
-      buckets.set(key, bucket);
+    const headers = headersFor(result, rule);
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfter / 1000));
+      return new Response(JSON.stringify({
+        error: 'Too Many Requests',
+        retryAfter
+      }), {
+        status: 429,
+        headers: {
+          'Content-Type': 'application/json',
+          'Retry-After': String(retryAfter),
+          ...headers
+        }
+      });
     }
 
-    return bucket;
-  }
+    // Expose the window to downstream middleware and the handler
+    c.set('rateLimit', { limit: result.limit, remaining: result.remaining, reset: Math.ceil(result.reset / 1000) });
 
-  // Periodic cleanup to prevent memory leaks (every 10 windows)
-  let cleanupCounter = 0;
-  function maybeCleanup() {
-    if (++cleanupCounter % (maxRequests * 10) === 0) {
-      const now = Date.now();
-      for (const [key, bucket] of buckets.entries()) {
-        if (now - bucket.windowStart > windowMs * 2) {
-          buckets.delete(key);
-        }
-      }
+    const response = await next();
+    return withHeaders(response, headers);
+  };
+}
+
+// ─── Idempotency Middleware ──────────────────────────────────────────
+
+/**
+ * Create Idempotency-Key middleware for mutating routes.
+ *
+ * The first request carrying a key runs normally and its response is stored
+ * (see idempotencyStores.js); repeats within `ttl` get the stored response
+ * back with `Idempotent-Replayed: true` instead of running the handler again.
+ * A key is tied to the request's fingerprint (SHA-256 of method, path, query
+ * and body): reusing it for a different request answers 422
+ * IDEMPOTENCY_KEY_REUSED. A duplicate that arrives while the first is still
+ * running waits for its response, up to `waitTimeout`, then answers 409
+ * IDEMPOTENCY_KEY_IN_USE with `Retry-After`.
+ *
+ * 5xx responses and thrown errors are not stored, so the client can retry
+ * with the same key. Keys are scoped per caller by default: the user id from
+ * `c.get('user')`, or a hash of the Authorization header when the middleware
+ * runs before authentication, so callers never share stored responses.
+ *
+ * @param {Object} [options]
+ * @param {Object|Function} [options.store] - Store with acquire/complete/release, or (c) => store; defaults to a MemoryIdempotencyStore
+ * @param {Object} [options.kvBinding] - KV namespace; shorthand for `store: new KVIdempotencyStore(kvBinding)`
+ * @param {number} [options.ttl=86400] - Seconds a response is replayed
+ * @param {string[]} [options.methods=['POST','PATCH']] - Methods the middleware applies to
+ * @param {string} [options.header='Idempotency-Key'] - Request header holding the key
+ * @param {boolean} [options.required=false] - Answer 400 when a request has no key
+ * @param {number} [options.maxKeyLength=255] - Longest accepted key
+ * @param {number} [options.lockTtl=60] - Seconds an in-flight request holds its key
+ * @param {number} [options.waitTimeout=10000] - Milliseconds a duplicate waits for the in-flight response
+ * @param {number} [options.pollInterval=100] - Milliseconds between checks while waiting
+ * @param {Function} [options.scopeFn] - Caller scope for keys: (c) => string (default: user id, else credential hash)
+ * @param {string} [options.prefix='idem'] - Namespace for keys, so several middleware can share a store
+ * @returns {Function} Middleware (c, next) => Response
+ *
+ * @example
+ * router.use('/api', createIdempotencyMiddleware({ store: (c) => new D1IdempotencyStore(c.env.DB) }));
+ */
+export function createIdempotencyMiddleware(options = {}) {
+  const ttlMs = (options.ttl || 86400) * 1000;
+  const lockTtlMs = (options.lockTtl || 60) * 1000;
+  const methods = (options.methods || ['POST', 'PATCH']).map(method => method.toUpperCase());
+  const headerName = options.header || 'Idempotency-Key';
+  const required = options.required || false;
+  const maxKeyLength = options.maxKeyLength || 255;
+  const waitTimeout = options.waitTimeout ?? 10000;
+  const pollInterval = options.pollInterval || 100;
+  const prefix = options.prefix ?? 'idem';
+  const scopeFn = options.scopeFn || defaultIdempotencyScope;
+
+  const storeOption = options.store || (options.kvBinding ? new KVIdempotencyStore(options.kvBinding) : null);
+  const memoryStore = storeOption ? null : new MemoryIdempotencyStore();
+
+  return async function idempotency(c, next) {
+    if (!methods.includes(c.req.method)) return next();
+
+    const key = c.req.header(headerName);
+    if (!key) {
+      if (!required) return next();
+      return problemResponse(new ValidationError(`${headerName} header is required`, [], 'IDEMPOTENCY_KEY_REQUIRED'), c);
+    }
+    if (key.length > maxKeyLength) {
+      return problemResponse(
+        new ValidationError(`${headerName} must be at most ${maxKeyLength} characters`, [], 'IDEMPOTENCY_KEY_INVALID'),
+        c
+      );
     }
-  }
 
-  return {
-    preprocess(request) {
-      const key = keyFn(request);
-      const bucket = getBucket(key);
-
-      maybeCleanup();
-
-      bucket.count++;
-
-      if (bucket.count > maxRequests) {
-        const retryAfter = Math.ceil((bucket.windowStart + windowMs - Date.now()) / 1000);
-        return new Response(JSON.stringify({
-          error: 'Too Many Requests',
-          retryAfter
-        }), {
-          status: 429,
-          headers: {
-            'Content-Type': 'application/json',
-            'Retry-After': String(Math.max(retryAfter, 1)),
-            'X-RateLimit-Limit': String(maxRequests),
-            'X-RateLimit-Remaining': '0',
-            'X-RateLimit-Reset': String(Math.ceil((bucket.windowStart + windowMs) / 1000))
-          }
-        });
+    // A store factory lets bindings come from the request's env
+    const store = typeof storeOption === 'function' ? await storeOption(c) : (storeOption || memoryStore);
+    const scope = await scopeFn(c);
+    const storageKey = `${prefix}:${scope ? `${scope}:` : ''}${key}`;
+    const fingerprint = await fingerprintRequest(c.request);
+    const deadline = Date.now() + waitTimeout;
+
+    let record;
+    while ((record = await store.acquire(storageKey, fingerprint, lockTtlMs))) {
+      if (record.fingerprint !== fingerprint) {
+        return problemResponse(new ValidationError(
+          `${headerName} was already used for a different request`, [], 'IDEMPOTENCY_KEY_REUSED', 422
+        ), c);
       }
-
-      // Add rate limit headers to request for downstream use
-      request._rateLimitRemaining = maxRequests - bucket.count;
-      return null; // pass through
-    },
-
-    postprocess(response, request) {
-      // Add rate limit info headers to every response
-      const h = new Headers(response.headers);
-      h.set('X-RateLimit-Limit', String(maxRequests));
-      if (request?._rateLimitRemaining !== undefined) {
-        h.set('X-RateLimit-Remaining', String(request._rateLimitRemaining));
+      if (record.status === 'complete') {
+        return replayResponse(record.response);
       }
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: h
-      });
+      if (Date.now() >= deadline) {
+        const error = new ConflictError(`A request with this ${headerName} is still being processed`, 'IDEMPOTENCY_KEY_IN_USE');
+        error.headers['Retry-After'] = String(Math.max(1, Math.ceil((record.lockedUntil - Date.now()) / 1000)));
+        return problemResponse(error, c);
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+
+    c.set('idempotencyKey', key);
+
+    let response;
+    try {
+      response = await next();
+    } catch (error) {
+      await store.release(storageKey);
+      throw error;
     }
+
+    if (response.status >= 500) {
+      await store.release(storageKey);
+      return response;
+    }
+    await store.complete(storageKey, fingerprint, await serializeResponse(response), ttlMs);
+    return response;
   };
 }
 
+/**
+ * User id when authentication already ran, otherwise a hash of the credential
+ * @private
+ */
+async function defaultIdempotencyScope(c) {
+  const user = c.get('user');
+  const id = user?.id ?? user?.sub;
+  if (id !== undefined && id !== null && id !== '') return `user:${id}`;
+
+  const credential = c.req.header('Authorization');
+  return credential ? `auth:${await sha256Hex(new TextEncoder().encode(credential))}` : '';
+}
+
+/**
+ * SHA-256 of method, path, query and body; reads a clone so the body stays unread
+ * @private
+ */
+async function fingerprintRequest(request) {
+  const url = new URL(request.url);
+  const head = new TextEncoder().encode(`${request.method}\n${url.pathname}${url.search}\n`);
+  const body = new Uint8Array(request.body ? await request.clone().arrayBuffer() : 0);
+
+  const bytes = new Uint8Array(head.length + body.length);
+  bytes.set(head);
+  bytes.set(body, head.length);
+
+  return sha256Hex(bytes);
+}
+
+/**
+ * @private
+ */
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @private
+ */
+async function serializeResponse(response) {
+  const bytes = new Uint8Array(await response.clone().arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { status: response.status, headers: [...response.headers], body: btoa(binary) };
+}
+
+/**
+ * @private
+ */
+function replayResponse(stored) {
+  const headers = new Headers(stored.headers);
+  headers.set('Idempotent-Replayed', 'true');
+  const body = stored.body ? Uint8Array.from(atob(stored.body), char => char.charCodeAt(0)) : null;
+  return new Response(body, { status: stored.status, headers });
+}
+
 // ─── Logger Middleware ────────────────────────────────────────────────
 
 /**
@@ -235,7 +433,7 @@ export function createRateLimitGuard(options = {}) {
  * @param {boolean} [options.includeHeaders=false] - Log request headers
  * @param {boolean} [options.includeLatency=true] - Log response latency
  * @param {Function} [options.logger=console] - Custom logger
- * @returns {Object} Middleware object
+ * @returns {Function} Middleware (c, next) => Response
  */
 export function createLogger(options = {}) {
   const level = options.level || 'info';
@@ -253,29 +451,22 @@ export function createLogger(options = {}) {
     }
   }
 
-  return {
-    preprocess(request) {
-      const url = new URL(request.url);
-      const logLine = `${prefix}→ ${request.method} ${url.pathname}${url.search}`;
-      log('info', logLine);
+  return async function requestLogger(c, next) {
+    const { pathname, search } = c.url;
+    log('info', `${prefix}→ ${c.req.method} ${pathname}${search}`);
 
-      if (includeHeaders) {
-        const headers = Object.fromEntries(request.headers.entries());
-        log('debug', `${prefix}  Headers:`, headers);
-      }
+    if (includeHeaders) {
+      const headers = Object.fromEntries(c.req.headers.entries());
+      log('debug', `${prefix}  Headers:`, headers);
+    }
 
-      // Store start time for latency calculation
-      request._startTime = Date.now();
-      return null; // pass through
-    },
+    const startTime = Date.now();
+    const response = await next();
 
-    postprocess(response) {
-      if (includeLatency && response) {
-        const latency = Date.now() - (response._startTime || Date.now());
-        log('info', `${prefix}← ${response.status} (${latency}ms)`);
-      }
-      return response;
+    if (includeLatency && response) {
+      log('info', `${prefix}← ${response.status} (${Date.now() - startTime}ms)`);
     }
+    return response;
   };
 }
 
@@ -283,11 +474,14 @@ export function createLogger(options = {}) {
 
 /**
  * Create bearer token authentication middleware
+ *
+ * On success the token is stored as `c.get('token')`; when the validator
+ * returns an object instead of `true`, it is stored as `c.get('user')`.
  * @param {Object} options
- * @param {string|Function} options.token - Expected token string, or async (token, request) => boolean validator
+ * @param {string|Function} options.token - Expected token string, or async (token, c) => boolean|Object validator
  * @param {string} [options.realm='API'] - WWW-Authenticate realm
  * @param {string} [options.headerName='Authorization'] - Header to check
- * @returns {Object} Middleware object with authenticate
+ * @returns {Function} Middleware (c, next) => Response
  */
 export function createBearerAuth(options = {}) {
   const tokenValidator = typeof options.token === 'function'
@@ -296,32 +490,32 @@ export function createBearerAuth(options = {}) {
   const realm = options.realm || 'API';
   const headerName = options.headerName || 'Authorization';
 
-  return {
-    async authenticate(request) {
-      const header = request.headers.get(headerName);
-
-      if (!header || !header.startsWith('Bearer ')) {
-        return new Response(JSON.stringify({ error: 'Authentication required' }), {
-          status: 401,
-          headers: {
-            'Content-Type': 'application/json',
-            'WWW-Authenticate': `Bearer realm="${realm}"`
-          }
-        });
-      }
+  return async function bearerAuth(c, next) {
+    const header = c.req.header(headerName);
 
-      const token = header.slice(7); // remove 'Bearer '
-      const valid = await tokenValidator(token, request);
+    if (!header || !header.startsWith('Bearer ')) {
+      return new Response(JSON.stringify({ error: 'Authentication required' }), {
+        status: 401,
+        headers: {
+          'Content-Type': 'application/json',
+          'WWW-Authenticate': `Bearer realm="${realm}"`
+        }
+      });
+    }
 
-      if (!valid) {
-        return new Response(JSON.stringify({ error: 'Invalid token' }), {
-          status: 403,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
+    const token = header.slice(7); // remove 'Bearer '
+    const result = await tokenValidator(token, c);
 
-      return null; // authenticated — pass through
+    if (!result) {
+      return new Response(JSON.stringify({ error: 'Invalid token' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
+
+    c.set('token', token);
+    if (typeof result === 'object') c.set('user', result);
+    return next();
   };
 }
 
@@ -329,11 +523,14 @@ export function createBearerAuth(options = {}) {
 
 /**
  * Create API key authentication middleware
+ *
+ * On success the key is stored as `c.get('apiKey')`; when the validator
+ * returns an object instead of `true`, it is stored as `c.get('user')`.
  * @param {Object} options
- * @param {string|string[]|Function} options.keys - Valid API key(s) or async validator function
+ * @param {string|string[]|Function} options.keys - Valid API key(s) or async (key, c) => boolean|Object validator
  * @param {string} [options.headerName='X-API-Key'] - Header to check
  * @param {string} [options.queryParam] - Optional query parameter name to check
- * @returns {Object} Middleware object with authenticate
+ * @returns {Function} Middleware (c, next) => Response
  */
 export function createApiKeyAuth(options = {}) {
   const keys = Array.isArray(options.keys) ? options.keys : [options.keys];
@@ -343,116 +540,200 @@ export function createApiKeyAuth(options = {}) {
   const headerName = options.headerName || 'X-API-Key';
   const queryParam = options.queryParam;
 
-  return {
-    async authenticate(request) {
-      let key = request.headers.get(headerName);
+  return async function apiKeyAuth(c, next) {
+    let key = c.req.header(headerName);
 
-      // Fallback to query parameter if configured
-      if (!key && queryParam) {
-        const url = new URL(request.url);
-        key = url.searchParams.get(queryParam);
-      }
+    // Fallback to query parameter if configured
+    if (!key && queryParam) {
+      key = c.req.query(queryParam);
+    }
 
-      if (!key) {
-        return new Response(JSON.stringify({ error: 'API key required' }), {
-          status: 401,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
+    if (!key) {
+      return new Response(JSON.stringify({ error: 'API key required' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
 
-      const valid = await validator(key, request);
+    const result = await validator(key, c);
 
-      if (!valid) {
-        return new Response(JSON.stringify({ error: 'Invalid API key' }), {
-          status: 403,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
+    if (!result) {
+      return new Response(JSON.stringify({ error: 'Invalid API key' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    c.set('apiKey', key);
+    if (typeof result === 'object') c.set('user', result);
+    return next();
+  };
+}
+
+// ─── JWT Auth Middleware ─────────────────────────────────────────────
+
+/**
+ * Read the bearer token from a header
+ * @private
+ */
+function readBearerToken(c, headerName) {
+  const header = c.req.header(headerName) || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Create JWT authentication middleware
+ *
+ * Verifies the bearer token (HS256 with `secret`, RS256/ES256 with `keys` or
+ * a cached `jwksUrl`) and stores the verified claims as `c.get('jwt')` and
+ * as `c.get('user')` (or whatever `mapUser` returns), so handlers, audit
+ * columns and route guards (`requireScopes`, `requireRoles`) can use them.
+ * @param {Object} options - JwtVerifier options (secret, keys, jwksUrl, algorithms, issuer, audience, clockSkew, jwksCacheTtl)
+ * @param {JwtVerifier} [options.verifier] - Existing verifier to share (instead of verifier options)
+ * @param {boolean} [options.optional=false] - Let requests without a token through unauthenticated
+ * @param {Function} [options.mapUser] - (claims, c) => user stored as `c.get('user')`
+ * @param {string} [options.realm='API'] - WWW-Authenticate realm
+ * @param {string} [options.headerName='Authorization'] - Header to check
+ * @returns {Function} Middleware (c, next) => Response, with its `verifier` attached
+ *
+ * @example
+ * router.use('/api', createJwtAuth({ jwksUrl: env.JWKS_URL, issuer: 'https://auth.example.com/', audience: 'api' }));
+ * router.delete('/api/posts/:id', requireScopes('posts:write'), deletePost);
+ */
+export function createJwtAuth(options = {}) {
+  const verifier = options.verifier || new JwtVerifier(options);
+  const realm = options.realm || 'API';
+  const headerName = options.headerName || 'Authorization';
+  const mapUser = options.mapUser || ((claims) => claims);
+
+  function unauthorized(message, code) {
+    const challenge = code
+      ? `Bearer realm="${realm}", error="invalid_token", error_description="${message.replace(/["\\]/g, '')}"`
+      : `Bearer realm="${realm}"`;
+    return new Response(JSON.stringify({ error: message, ...(code && { code }) }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json', 'WWW-Authenticate': challenge }
+    });
+  }
+
+  async function jwtAuth(c, next) {
+    const token = readBearerToken(c, headerName);
+    if (!token) {
+      return options.optional ? next() : unauthorized('Authentication required');
+    }
+
+    let claims;
+    try {
+      claims = await verifier.verify(token);
+    } catch (error) {
+      if (error instanceof JwtError) return unauthorized(error.message, error.code);
+      throw error;
+    }
+
+    c.set('jwt', claims);
+    c.set('token', token);
+    c.set('user', await mapUser(claims, c));
+    return next();
+  }
+
+  jwtAuth.verifier = verifier;
+  return jwtAuth;
+}
+
+/**
+ * Scopes granted by verified claims (`scope` string or `scp`/`scopes` array)
+ * @private
+ */
+function claimScopes(claims) {
+  const value = claims.scope ?? claims.scp ?? claims.scopes ?? [];
+  return Array.isArray(value) ? value : String(value).split(' ').filter(Boolean);
+}
+
+/**
+ * Roles granted by verified claims (`roles` array or `role` string)
+ * @private
+ */
+function claimRoles(claims) {
+  const value = claims.roles ?? claims.role ?? [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build a guard that checks the JWT claims stored by createJwtAuth
+ * @private
+ */
+function createClaimGuard(label, required, extract, every) {
+  return async function claimGuard(c, next) {
+    const claims = c.get('jwt');
+    if (!claims) {
+      return new Response(JSON.stringify({ error: 'Authentication required' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const granted = extract(claims);
+    const allowed = every
+      ? required.every((value) => granted.includes(value))
+      : required.some((value) => granted.includes(value));
 
-      return null; // authenticated
+    if (!allowed) {
+      return new Response(JSON.stringify({ error: `Insufficient ${label}`, required }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
+    return next();
   };
 }
 
+/**
+ * Route guard requiring every listed scope in the verified JWT
+ * @param {...string} scopes - Required scopes
+ * @returns {Function} Middleware (c, next) => Response; 401 without claims, 403 when a scope is missing
+ */
+export function requireScopes(...scopes) {
+  return createClaimGuard('scope', scopes.flat(), claimScopes, true);
+}
+
+/**
+ * Route guard requiring at least one of the listed roles in the verified JWT
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} Middleware (c, next) => Response; 401 without claims, 403 when no role matches
+ */
+export function requireRoles(...roles) {
+  return createClaimGuard('role', roles.flat(), claimRoles, false);
+}
+
 // ─── Compose Middleware ──────────────────────────────────────────────
 
 /**
  * Compose multiple middleware into a single executable middleware chain.
  * This is the recommended way to combine middleware for use with the router.
- * 
- * Execution order:
- *   preprocess → authenticate → validate → handler → postprocess (reverse)
- * 
- * Any phase returning a Response short-circuits the chain.
- * 
- * @param {...Object} middlewares - Middleware objects
- * @returns {Object} Composed middleware with execute(request, handler) method
- * 
+ *
+ * Middleware runs in order around the handler (onion model): each one
+ * runs its code before `await next()`, then the rest of the chain, then
+ * its code after. Returning a Response without calling next() short-circuits
+ * the chain. Lifecycle objects (preprocess/authenticate/validate/postprocess)
+ * may be mixed in.
+ *
+ * @param {...(Function|Object)} middlewares - Middleware functions or objects
+ * @returns {Function} Composed (c, next) middleware with an execute(request, handler) method
+ *
  * @example
  * const composed = composeMiddleware(
+ *   createErrorHandler(),
  *   createCorsMiddleware({ origins: ['*'] }),
  *   createLogger({ prefix: 'api' }),
- *   createRateLimitGuard({ maxRequests: 100 }),
- *   createErrorHandler()
+ *   createRateLimitGuard({ maxRequests: 100 })
  * );
- * 
+ *
  * // Use with router
  * router.use(composed);
- * 
+ *
  * // Or use directly
  * const response = await composed.execute(request, handler);
  */
 export function composeMiddleware(...middlewares) {
-  const chain = middlewares.filter(Boolean);
-
-  return {
-    async execute(request, handler) {
-      // Find error handler if one exists (it wraps the handler)
-      const errorHandler = chain.find(m => typeof m.wrapHandler === 'function');
-
-      // Pre-handler phases (in order)
-      for (const m of chain) {
-        if (typeof m.preprocess === 'function') {
-          const res = await m.preprocess(request);
-          if (res instanceof Response) return res;
-        }
-      }
-
-      for (const m of chain) {
-        if (typeof m.authenticate === 'function') {
-          const res = await m.authenticate(request);
-          if (res instanceof Response) return res;
-        }
-      }
-
-      for (const m of chain) {
-        if (typeof m.validate === 'function') {
-          const res = await m.validate(request);
-          if (res instanceof Response) return res;
-        }
-      }
-
-      // Execute handler (wrapped by error handler if present)
-      let response;
-      if (errorHandler) {
-        response = await errorHandler.wrapHandler(request, handler);
-      } else {
-        response = await handler(request);
-      }
-
-      // Post-handler phase (in reverse order)
-      for (const m of chain.slice().reverse()) {
-        if (typeof m.postprocess === 'function') {
-          const updated = await m.postprocess(response);
-          if (updated instanceof Response) response = updated;
-        }
-      }
-
-      return response;
-    },
-
-    // Also expose as a preprocess-only middleware for nesting
-    preprocess: chain.length === 1 && chain[0].preprocess ? chain[0].preprocess : undefined,
-    postprocess: chain.length === 1 && chain[0].postprocess ? chain[0].postprocess : undefined
-  };
+  return MiddlewareComposer.compose(...middlewares);
 }
@@ -0,0 +1,294 @@
+/**
+ * Idempotency Stores — where createIdempotencyMiddleware() keeps its records
+ *
+ * Each Idempotency-Key maps to one record:
+ *   { fingerprint, status: 'pending' | 'complete', lockedUntil, expiresAt, response? }
+ *
+ * A store implements:
+ *   acquire(key, fingerprint, lockTtlMs) → null when the caller now holds the
+ *     key, otherwise the live record (pending or complete)
+ *   complete(key, fingerprint, response, ttlMs) → record the response to replay
+ *   release(key) → drop a pending record so the request can be retried
+ *
+ * `response` is the serialized form `{ status, headers: [[name, value]], body }`
+ * with the body base64-encoded.
+ *
+ * Stores:
+ *   MemoryIdempotencyStore          per isolate (default)
+ *   KVIdempotencyStore              shared through Workers KV; not atomic, so
+ *                                   simultaneous duplicates may both run
+ *   D1IdempotencyStore              atomic upsert in a D1 table
+ *   DurableObjectIdempotencyStore   atomic; one IdempotencyLedger Durable Object per key
+ *
+ * @module @tamyla/clodo-framework/middleware/idempotencyStores
+ */
+
+/**
+ * Claim a key against its stored record. Pure: returns the record to persist.
+ * Completed records live until `expiresAt`; pending ones until `lockedUntil`,
+ * so a request that died mid-flight does not hold its key forever.
+ * @param {Object|null} record - Previously stored record (null for a new key)
+ * @param {string} fingerprint - Fingerprint of the claiming request
+ * @param {number} lockTtlMs - How long the claim holds the key
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {{ acquired: boolean, record: Object }}
+ */
+export function claimIdempotencyKey(record, fingerprint, lockTtlMs, now = Date.now()) {
+  if (isLive(record, now)) {
+    return { acquired: false, record };
+  }
+  const lockedUntil = now + lockTtlMs;
+  return {
+    acquired: true,
+    record: { fingerprint, status: 'pending', lockedUntil, expiresAt: lockedUntil }
+  };
+}
+
+/**
+ * Build the completed record for a response
+ * @param {string} fingerprint - Request fingerprint
+ * @param {Object} response - Serialized response
+ * @param {number} ttlMs - How long the response is replayed
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {Object} Record
+ */
+export function completedIdempotencyRecord(fingerprint, response, ttlMs, now = Date.now()) {
+  return { fingerprint, status: 'complete', lockedUntil: now, expiresAt: now + ttlMs, response };
+}
+
+/**
+ * @private
+ */
+function isLive(record, now) {
+  if (!record) return false;
+  return record.status === 'complete' ? record.expiresAt > now : record.lockedUntil > now;
+}
+
+/**
+ * In-memory store; records are per isolate, so duplicates that reach
+ * different isolates are not caught. Use it for tests and single-instance dev.
+ */
+export class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+    this.claims = 0;
+  }
+
+  async acquire(key, fingerprint, lockTtlMs) {
+    const now = Date.now();
+    const { acquired, record } = claimIdempotencyKey(this.records.get(key) || null, fingerprint, lockTtlMs, now);
+    if (!acquired) return record;
+
+    this.records.set(key, record);
+
+    // Periodic cleanup to prevent memory leaks
+    if (++this.claims % 1000 === 0) {
+      for (const [recordKey, stored] of this.records) {
+        if (!isLive(stored, now)) this.records.delete(recordKey);
+      }
+    }
+    return null;
+  }
+
+  async complete(key, fingerprint, response, ttlMs) {
+    this.records.set(key, completedIdempotencyRecord(fingerprint, response, ttlMs));
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Workers KV store. KV has no atomic compare-and-set and writes take time to
+ * propagate, so two duplicates arriving together in different locations can
+ * both run; use the D1 or Durable Object store where that matters.
+ */
+export class KVIdempotencyStore {
+  /**
+   * @param {KVNamespace} kv - KV namespace binding
+   * @param {Object} [options]
+   * @param {string} [options.prefix='idempotency:'] - Key prefix
+   */
+  constructor(kv, options = {}) {
+    if (!kv) throw new Error('KVIdempotencyStore requires a KV namespace');
+    this.kv = kv;
+    this.prefix = options.prefix ?? 'idempotency:';
+  }
+
+  async acquire(key, fingerprint, lockTtlMs) {
+    const storageKey = this.prefix + key;
+    const { acquired, record } = claimIdempotencyKey(await this.kv.get(storageKey, 'json'), fingerprint, lockTtlMs);
+    if (!acquired) return record;
+
+    await this._put(storageKey, record);
+    return null;
+  }
+
+  async complete(key, fingerprint, response, ttlMs) {
+    await this._put(this.prefix + key, completedIdempotencyRecord(fingerprint, response, ttlMs));
+  }
+
+  async release(key) {
+    await this.kv.delete(this.prefix + key);
+  }
+
+  /**
+   * @private
+   */
+  async _put(storageKey, record) {
+    // KV requires a TTL of at least 60 seconds
+    await this.kv.put(storageKey, JSON.stringify(record), {
+      expirationTtl: Math.max(60, Math.ceil((record.expiresAt - Date.now()) / 1000))
+    });
+  }
+}
+
+/**
+ * D1 store. The claim is a single upsert that only overwrites expired
+ * records, so concurrent duplicates are serialized by the database.
+ * The table is created on first use unless `autoCreate` is false:
+ *
+ *   CREATE TABLE idempotency_keys (
+ *     key TEXT PRIMARY KEY, fingerprint TEXT NOT NULL, status TEXT NOT NULL,
+ *     response TEXT, locked_until INTEGER NOT NULL, expires_at INTEGER NOT NULL
+ *   )
+ */
+export class D1IdempotencyStore {
+  /**
+   * @param {D1Database} db - D1 database binding
+   * @param {Object} [options]
+   * @param {string} [options.table='idempotency_keys'] - Table name
+   * @param {boolean} [options.autoCreate=true] - Create the table if it does not exist
+   */
+  constructor(db, options = {}) {
+    if (!db) throw new Error('D1IdempotencyStore requires a D1 database');
+    this.db = db;
+    this.table = options.table || 'idempotency_keys';
+    this.autoCreate = options.autoCreate !== false;
+    this.ready = null;
+  }
+
+  async acquire(key, fingerprint, lockTtlMs) {
+    await this._ensureTable();
+    const now = Date.now();
+    const { record } = claimIdempotencyKey(null, fingerprint, lockTtlMs, now);
+
+    const result = await this.db.prepare(
+      `INSERT INTO ${this.table} (key, fingerprint, status, response, locked_until, expires_at)
+       VALUES (?, ?, 'pending', NULL, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET
+         fingerprint = excluded.fingerprint, status = 'pending', response = NULL,
+         locked_until = excluded.locked_until, expires_at = excluded.expires_at
+       WHERE (status = 'complete' AND expires_at <= ?) OR (status = 'pending' AND locked_until <= ?)`
+    ).bind(key, fingerprint, record.lockedUntil, record.expiresAt, now, now).run();
+    if (result.meta?.changes > 0) return null;
+
+    const row = await this.db.prepare(
+      `SELECT fingerprint, status, response, locked_until, expires_at FROM ${this.table} WHERE key = ?`
+    ).bind(key).first();
+    // Released or purged between the two statements; the caller claims again
+    if (!row) return { fingerprint, status: 'pending', lockedUntil: now + lockTtlMs, expiresAt: now + lockTtlMs };
+
+    return {
+      fingerprint: row.fingerprint,
+      status: row.status,
+      lockedUntil: row.locked_until,
+      expiresAt: row.expires_at,
+      ...(row.response && { response: JSON.parse(row.response) })
+    };
+  }
+
+  async complete(key, fingerprint, response, ttlMs) {
+    await this._ensureTable();
+    const record = completedIdempotencyRecord(fingerprint, response, ttlMs);
+    await this.db.prepare(
+      `UPDATE ${this.table} SET status = 'complete', response = ?, locked_until = ?, expires_at = ? WHERE key = ?`
+    ).bind(JSON.stringify(response), record.lockedUntil, record.expiresAt, key).run();
+  }
+
+  async release(key) {
+    await this._ensureTable();
+    await this.db.prepare(`DELETE FROM ${this.table} WHERE key = ? AND status = 'pending'`).bind(key).run();
+  }
+
+  /**
+   * Delete expired records; call it from a scheduled handler
+   * @returns {Promise<number>} Rows removed
+   */
+  async purgeExpired() {
+    await this._ensureTable();
+    const now = Date.now();
+    const result = await this.db.prepare(
+      `DELETE FROM ${this.table} WHERE (status = 'complete' AND expires_at <= ?) OR (status = 'pending' AND locked_until <= ?)`
+    ).bind(now, now).run();
+    return result.meta?.changes || 0;
+  }
+
+  /**
+   * @private
+   */
+  _ensureTable() {
+    if (!this.autoCreate) return null;
+    if (!this.ready) {
+      this.ready = this.db.prepare(
+        `CREATE TABLE IF NOT EXISTS ${this.table} (
+          key TEXT PRIMARY KEY,
+          fingerprint TEXT NOT NULL,
+          status TEXT NOT NULL,
+          response TEXT,
+          locked_until INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        )`
+      ).run().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+}
+
+/**
+ * Durable Object store. Each key maps to one instance of the framework's
+ * IdempotencyLedger Durable Object (utilities/durable-objects), which claims
+ * and completes records atomically and deletes them when they expire.
+ */
+export class DurableObjectIdempotencyStore {
+  /**
+   * @param {DurableObjectNamespace} namespace - Binding for the IdempotencyLedger class
+   */
+  constructor(namespace) {
+    if (!namespace) throw new Error('DurableObjectIdempotencyStore requires a Durable Object namespace');
+    this.namespace = namespace;
+  }
+
+  async acquire(key, fingerprint, lockTtlMs) {
+    const { record } = await this._call(key, 'acquire', { fingerprint, lockTtlMs });
+    return record;
+  }
+
+  async complete(key, fingerprint, response, ttlMs) {
+    await this._call(key, 'complete', { fingerprint, response, ttlMs });
+  }
+
+  async release(key) {
+    await this._call(key, 'release', {});
+  }
+
+  /**
+   * @private
+   */
+  async _call(key, action, payload) {
+    const stub = this.namespace.get(this.namespace.idFromName(key));
+    const response = await stub.fetch(`https://idempotency-ledger/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      throw new Error(`IdempotencyLedger Durable Object responded with status ${response.status}`);
+    }
+    return response.json();
+  }
+}
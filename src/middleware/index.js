@@ -7,8 +7,31 @@ export {
   createCorsMiddleware,
   createErrorHandler,
   createRateLimitGuard,
+  createIdempotencyMiddleware,
   createLogger,
   createBearerAuth,
   createApiKeyAuth,
+  createJwtAuth,
+  requireScopes,
+  requireRoles,
   composeMiddleware
 } from './factories.js';
+export {
+  MemoryRateLimitStore,
+  KVRateLimitStore,
+  DurableObjectRateLimitStore,
+  UpstashRateLimitStore,
+  applyRateLimit,
+  RATE_LIMIT_ALGORITHMS
+} from './rateLimitStores.js';
+export {
+  MemoryIdempotencyStore,
+  KVIdempotencyStore,
+  D1IdempotencyStore,
+  DurableObjectIdempotencyStore
+} from './idempotencyStores.js';
+export {
+  createRequestValidator,
+  isValidationSpec,
+  VALIDATION_TARGETS
+} from './validation.js';
@@ -0,0 +1,355 @@
+/**
+ * Rate Limit Stores — counters behind createRateLimitGuard
+ *
+ * A store records hits for a key and answers whether the request fits the
+ * rule. Every store implements:
+ *
+ *   hit(key, rule) → Promise<{ allowed, limit, remaining, reset, retryAfter }>
+ *   reset(key)     → Promise<void>
+ *
+ * where `rule` is `{ algorithm, limit, windowMs, burst?, cost? }`, `reset` is
+ * the epoch ms at which the budget is fully restored and `retryAfter` is the
+ * wait in ms before a denied request can succeed (0 when allowed).
+ *
+ * Algorithms:
+ *   sliding-window  current window's count plus the previous window's count,
+ *                   weighted by how much of it still overlaps (smooths bursts
+ *                   at window edges)
+ *   fixed-window    plain counter reset at each window boundary
+ *   token-bucket    `burst` tokens (default `limit`), refilled at
+ *                   `limit` per `windowMs`; each request takes `cost` tokens
+ *
+ * Stores:
+ *   MemoryRateLimitStore          per isolate (default)
+ *   KVRateLimitStore              shared through Workers KV; eventually consistent,
+ *                                 so limits are approximate across locations
+ *   DurableObjectRateLimitStore   exact; one RateLimiter Durable Object per key
+ *   UpstashRateLimitStore         exact; atomic Lua script on Upstash Redis
+ *
+ * @module @tamyla/clodo-framework/middleware/rateLimitStores
+ */
+
+/**
+ * Supported algorithms
+ */
+export const RATE_LIMIT_ALGORITHMS = ['sliding-window', 'fixed-window', 'token-bucket'];
+
+/**
+ * Validate a rule and fill in defaults
+ * @param {Object} rule - { algorithm, limit, windowMs, burst?, cost? }
+ * @returns {Object} Normalized rule
+ */
+export function normalizeRateLimitRule(rule) {
+  const algorithm = rule.algorithm || 'sliding-window';
+  if (!RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown rate limit algorithm '${algorithm}'. Use one of: ${RATE_LIMIT_ALGORITHMS.join(', ')}`);
+  }
+  if (!(rule.limit > 0) || !(rule.windowMs > 0)) {
+    throw new Error('Rate limit rules require a positive limit and windowMs');
+  }
+  return {
+    algorithm,
+    limit: rule.limit,
+    windowMs: rule.windowMs,
+    burst: rule.burst || rule.limit,
+    cost: rule.cost ?? 1
+  };
+}
+
+/**
+ * Apply one hit to a stored state. Pure: returns the next state to persist.
+ * @param {Object|null} state - Previously stored state (null for a new key)
+ * @param {Object} rule - Normalized rule
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {{ state: Object, result: Object }}
+ */
+export function applyRateLimit(state, rule, now = Date.now()) {
+  const { algorithm, limit, windowMs, burst, cost } = rule;
+
+  if (algorithm === 'token-bucket') {
+    const ratePerMs = limit / windowMs;
+    const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+    let tokens = state ? Math.min(burst, state.tokens + elapsed * ratePerMs) : burst;
+
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+
+    return {
+      state: { tokens, updatedAt: now },
+      result: {
+        allowed,
+        limit: burst,
+        remaining: Math.floor(tokens),
+        reset: now + Math.ceil((burst - tokens) / ratePerMs),
+        retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / ratePerMs)
+      }
+    };
+  }
+
+  const windowStart = now - (now % windowMs);
+  const reset = windowStart + windowMs;
+
+  if (algorithm === 'fixed-window') {
+    const count = state && state.start === windowStart ? state.count : 0;
+    const allowed = count + cost <= limit;
+    const next = allowed ? count + cost : count;
+
+    return {
+      state: { start: windowStart, count: next },
+      result: {
+        allowed,
+        limit,
+        remaining: Math.max(0, limit - next),
+        reset,
+        retryAfter: allowed ? 0 : reset - now
+      }
+    };
+  }
+
+  // sliding-window
+  let current = 0;
+  let previous = 0;
+  if (state && state.start === windowStart) {
+    ({ current, previous } = state);
+  } else if (state && state.start === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const weight = 1 - (now - windowStart) / windowMs;
+  const allowed = previous * weight + current + cost <= limit;
+  if (allowed) current += cost;
+
+  let retryAfter = 0;
+  if (!allowed) {
+    // Wait until enough of the previous window has slid out, or for the next window
+    const room = limit - current - cost;
+    retryAfter = room >= 0 && previous > 0
+      ? Math.max(1, Math.ceil((1 - room / previous) * windowMs) - (now - windowStart))
+      : reset - now;
+  }
+
+  return {
+    state: { start: windowStart, current, previous },
+    result: {
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - previous * weight - current)),
+      reset,
+      retryAfter
+    }
+  };
+}
+
+/**
+ * How long a key's state stays relevant after its last hit
+ * @private
+ */
+function stateTtlMs(rule) {
+  return rule.algorithm === 'token-bucket'
+    ? Math.ceil(rule.burst * rule.windowMs / rule.limit)
+    : rule.windowMs * 2;
+}
+
+/**
+ * In-memory store; limits apply per isolate
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map(); // key → { state, expiresAt }
+    this.hits = 0;
+  }
+
+  async hit(key, rule) {
+    const normalized = normalizeRateLimitRule(rule);
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    const { state, result } = applyRateLimit(entry && entry.expiresAt > now ? entry.state : null, normalized, now);
+    this.entries.set(key, { state, expiresAt: now + stateTtlMs(normalized) });
+
+    // Periodic cleanup to prevent memory leaks
+    if (++this.hits % 1000 === 0) {
+      for (const [entryKey, { expiresAt }] of this.entries) {
+        if (expiresAt <= now) this.entries.delete(entryKey);
+      }
+    }
+
+    return result;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Workers KV store. KV is eventually consistent and has no atomic
+ * read-modify-write, so concurrent hits in different locations can
+ * exceed the limit; use the Durable Object or Upstash store for exact limits.
+ */
+export class KVRateLimitStore {
+  /**
+   * @param {KVNamespace} kv - KV namespace binding
+   * @param {Object} [options]
+   * @param {string} [options.prefix='ratelimit:'] - Key prefix
+   */
+  constructor(kv, options = {}) {
+    if (!kv) throw new Error('KVRateLimitStore requires a KV namespace');
+    this.kv = kv;
+    this.prefix = options.prefix ?? 'ratelimit:';
+  }
+
+  async hit(key, rule) {
+    const normalized = normalizeRateLimitRule(rule);
+    const storageKey = this.prefix + key;
+    const state = await this.kv.get(storageKey, 'json');
+    const { state: next, result } = applyRateLimit(state, normalized);
+
+    // KV requires a TTL of at least 60 seconds
+    await this.kv.put(storageKey, JSON.stringify(next), {
+      expirationTtl: Math.max(60, Math.ceil(stateTtlMs(normalized) / 1000))
+    });
+
+    return result;
+  }
+
+  async reset(key) {
+    await this.kv.delete(this.prefix + key);
+  }
+}
+
+/**
+ * Durable Object store. Each key maps to one instance of the framework's
+ * RateLimiter Durable Object (utilities/durable-objects), which applies the
+ * rule atomically.
+ */
+export class DurableObjectRateLimitStore {
+  /**
+   * @param {DurableObjectNamespace} namespace - Binding for the RateLimiter class
+   */
+  constructor(namespace) {
+    if (!namespace) throw new Error('DurableObjectRateLimitStore requires a Durable Object namespace');
+    this.namespace = namespace;
+  }
+
+  async hit(key, rule) {
+    const response = await this._stub(key).fetch('https://rate-limiter/hit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(normalizeRateLimitRule(rule))
+    });
+    if (!response.ok) {
+      throw new Error(`RateLimiter Durable Object responded with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async reset(key) {
+    await this._stub(key).fetch('https://rate-limiter/reset', { method: 'POST' });
+  }
+
+  /**
+   * @private
+   */
+  _stub(key) {
+    return this.namespace.get(this.namespace.idFromName(key));
+  }
+}
+
+/**
+ * Lua mirror of applyRateLimit for Upstash; keeps the state in a hash.
+ * Returns { allowed, remaining, reset, retryAfter, limit } as strings.
+ * @private
+ */
+const UPSTASH_SCRIPT = `
+local alg = ARGV[1]
+local limit = tonumber(ARGV[2])
+local window = tonumber(ARGV[3])
+local burst = tonumber(ARGV[4])
+local cost = tonumber(ARGV[5])
+local now = tonumber(ARGV[6])
+local ttl = tonumber(ARGV[7])
+local key = KEYS[1]
+
+if alg == 'token-bucket' then
+  local s = redis.call('HMGET', key, 'tokens', 'updated')
+  local rate = limit / window
+  local tokens = burst
+  if s[1] then
+    tokens = math.min(burst, tonumber(s[1]) + math.max(0, now - tonumber(s[2])) * rate)
+  end
+  local allowed = tokens >= cost
+  if allowed then tokens = tokens - cost end
+  redis.call('HSET', key, 'tokens', tostring(tokens), 'updated', tostring(now))
+  redis.call('PEXPIRE', key, ttl)
+  local retry = 0
+  if not allowed then retry = math.ceil((cost - tokens) / rate) end
+  return { allowed and 1 or 0, math.floor(tokens), now + math.ceil((burst - tokens) / rate), retry, burst }
+end
+
+local start = now - (now % window)
+local reset = start + window
+local s = redis.call('HMGET', key, 'start', 'current', 'previous')
+local current = 0
+local previous = 0
+if s[1] and tonumber(s[1]) == start then
+  current = tonumber(s[2])
+  previous = tonumber(s[3])
+elseif s[1] and tonumber(s[1]) == start - window then
+  previous = tonumber(s[2])
+end
+
+if alg == 'fixed-window' then previous = 0 end
+local weight = 1 - (now - start) / window
+local allowed = previous * weight + current + cost <= limit
+if allowed then current = current + cost end
+redis.call('HSET', key, 'start', tostring(start), 'current', tostring(current), 'previous', tostring(previous))
+redis.call('PEXPIRE', key, ttl)
+
+local retry = 0
+if not allowed then
+  local room = limit - current - cost
+  if room >= 0 and previous > 0 then
+    retry = math.max(1, math.ceil((1 - room / previous) * window) - (now - start))
+  else
+    retry = reset - now
+  end
+end
+return { allowed and 1 or 0, math.max(0, math.floor(limit - previous * weight - current)), reset, retry, limit }
+`;
+
+/**
+ * Upstash Redis store; one atomic script call per hit
+ */
+export class UpstashRateLimitStore {
+  /**
+   * @param {UpstashRedis} redis - Client from utilities/cache (needs `pipeline`)
+   * @param {Object} [options]
+   * @param {string} [options.prefix='ratelimit:'] - Key prefix
+   */
+  constructor(redis, options = {}) {
+    if (!redis) throw new Error('UpstashRateLimitStore requires an UpstashRedis client');
+    this.redis = redis;
+    this.prefix = options.prefix ?? 'ratelimit:';
+  }
+
+  async hit(key, rule) {
+    const normalized = normalizeRateLimitRule(rule);
+    const { algorithm, limit, windowMs, burst, cost } = normalized;
+
+    const [reply] = await this.redis.pipeline([[
+      'EVAL', UPSTASH_SCRIPT, 1, this.prefix + key,
+      algorithm, limit, windowMs, burst, cost, Date.now(), stateTtlMs(normalized)
+    ]]);
+    if (!Array.isArray(reply)) {
+      throw new Error('Upstash rate limit script returned no result');
+    }
+
+    const [allowed, remaining, reset, retryAfter, effectiveLimit] = reply.map(Number);
+    return { allowed: allowed === 1, limit: effectiveLimit, remaining, reset, retryAfter };
+  }
+
+  async reset(key) {
+    await this.redis.del(this.prefix + key);
+  }
+}
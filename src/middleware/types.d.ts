@@ -1,12 +1,46 @@
+/** Per-request context shared by middleware and the handler (see routing/RequestContext.js) */
+export interface IRequestContext {
+  readonly request: Request;
+  readonly env: any;
+  readonly executionCtx: any;
+  /** Request accessors; valid() returns data checked by a route's validation spec */
+  readonly req: {
+    valid<T = any>(target: 'body' | 'query' | 'params' | 'headers'): T;
+    [key: string]: any;
+  };
+  set(key: string, value: any): void;
+  get(key: string): any;
+  [key: string]: any;
+}
+
+/** Onion-style middleware: runs code before and after `await next()` */
+export type MiddlewareHandler = (
+  c: IRequestContext,
+  next: () => Promise<Response>
+) => Promise<Response | void> | Response | void;
+
 export interface IServiceMiddleware {
-  preprocess?(request: Request): Promise<Response | null> | Response | null;
-  authenticate?(request: Request): Promise<Response | null> | Response | null;
+  preprocess?(request: Request, c?: IRequestContext): Promise<Response | null> | Response | null;
+  authenticate?(request: Request, c?: IRequestContext): Promise<Response | null> | Response | null;
   authorize?(request: Request, context?: any): Promise<boolean | Response | null>;
-  validate?(request: Request): Promise<Response | null> | Response | null;
-  postprocess?(response: Response): Promise<Response> | Response;
+  validate?(request: Request, c?: IRequestContext): Promise<Response | null> | Response | null;
+  postprocess?(response: Response, request?: Request, c?: IRequestContext): Promise<Response> | Response;
   error?(error: Error, request: Request): Promise<Response> | Response;
+  /** Turn an error thrown further down the chain into a Response (rethrown when none is returned) */
+  onError?(error: Error, c: IRequestContext): Promise<Response | void> | Response | void;
+  /** Enclose this middleware's own phases and everything downstream (error handling, timing, tracing) */
+  around?(c: IRequestContext, next: () => Promise<Response>): Promise<Response> | Response;
+  /**
+   * Older wrapping shape, placed like `around`: `(request, handler)` returns the Response.
+   * A one-argument `(handler)` form returning a replacement handler is also accepted.
+   */
+  wrapHandler?:
+    | ((request: Request, handler: (request: Request) => Promise<Response>) => Promise<Response> | Response)
+    | ((
+        handler: (request: Request, env?: any, ctx?: any) => Promise<Response>
+      ) => (request: Request, env?: any, ctx?: any) => Promise<Response> | Response);
 }
 
-export interface IMiddlewareChain {
-  execute(request: Request, handler: (req: Request) => Promise<Response>): Promise<Response>;
+export interface IMiddlewareChain extends MiddlewareHandler {
+  execute(request: Request | IRequestContext, handler: (input: any) => Promise<Response> | Response, env?: any, executionCtx?: any): Promise<Response>;
 }
@@ -0,0 +1,328 @@
+/**
+ * Request Validation — declarative body / query / params / headers checks
+ *
+ * A validation spec maps request parts to schemas. Each schema is either a
+ * zod schema or the name of a SchemaManager model:
+ *
+ *   router.post('/notes', { body: 'notes', query: z.object({ draft: z.boolean().optional() }) }, (c) => {
+ *     const note = c.req.valid('body');
+ *     const { draft } = c.req.valid('query');
+ *     ...
+ *   });
+ *
+ * Query strings and path params arrive as strings; they are coerced to the
+ * number / boolean / array types the schema declares before validation.
+ * Model names validate with SchemaManager.validateData(); required fields are
+ * only enforced for POST / PUT bodies, so PATCH bodies and queries may be partial.
+ *
+ * Model names are resolved on the first request; a name SchemaManager does not
+ * know is a configuration error and throws rather than answering 422.
+ *
+ * Failures answer 422 problem+json with one entry per failing field:
+ *   { "status": 422, "code": "REQUEST_VALIDATION_FAILED",
+ *     "errors": [{ "in": "body", "field": "email", "message": "...", "code": "..." }] }
+ * A body that is not valid JSON answers 400 INVALID_JSON.
+ *
+ * @module @tamyla/clodo-framework/middleware/validation
+ */
+
+import { z } from 'zod';
+import { schemaManager } from '../schema/SchemaManager.js';
+import { modelToJsonSchema } from '../schema/JsonSchema.js';
+import { ValidationError } from '../errors/httpErrors.js';
+import { problemResponse } from '../errors/problemDetails.js';
+
+/**
+ * Request parts a spec may validate
+ */
+export const VALIDATION_TARGETS = ['body', 'query', 'params', 'headers'];
+
+const WRAPPER_TYPES = ['optional', 'nullable', 'default', 'prefault', 'catch', 'readonly', 'nonoptional'];
+const NUMERIC_COLUMN_TYPES = ['integer', 'int', 'real', 'number', 'float'];
+const BOOLEAN_COLUMN_TYPES = ['boolean', 'bool'];
+
+/**
+ * True for a plain object whose keys are all validation targets, e.g.
+ * `{ body: 'users' }` — the form registerRoute() accepts inline
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidationSpec(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  if (Object.getPrototypeOf(value) !== Object.prototype) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => VALIDATION_TARGETS.includes(key));
+}
+
+/**
+ * Create route middleware that validates the request against a spec
+ *
+ * Validated values are read with `c.req.valid(target)`.
+ * @param {Object} spec - { body?, query?, params?, headers? }: zod schema or model name each
+ * @param {Object} [options]
+ * @param {string} [options.message='Request validation failed'] - Problem detail
+ * @returns {Function} Middleware `(c, next) => Response`
+ */
+export function createRequestValidator(spec, options = {}) {
+  if (!isValidationSpec(spec)) {
+    throw new Error(`Validation spec must map ${VALIDATION_TARGETS.join(', ')} to schemas`);
+  }
+  for (const [target, schema] of Object.entries(spec)) {
+    if (typeof schema !== 'string' && typeof schema?.safeParse !== 'function') {
+      throw new Error(`Validation schema for '${target}' must be a zod schema or a model name`);
+    }
+  }
+
+  const message = options.message || 'Request validation failed';
+  let models = null;
+
+  const validator = async function requestValidator(c, next) {
+    models ??= resolveModels(spec);
+    const errors = [];
+
+    for (const target of VALIDATION_TARGETS) {
+      if (!spec[target]) continue;
+
+      let raw;
+      try {
+        raw = await readTarget(c, target);
+      } catch (error) {
+        return problemResponse(error, c);
+      }
+
+      const result = validateTarget(spec[target], models[target], target, raw, c.request.method);
+      if (result.valid) {
+        c.req.addValidatedData(target, result.data);
+      } else {
+        errors.push(...result.errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      return problemResponse(new ValidationError(message, errors, 'REQUEST_VALIDATION_FAILED', 422), c);
+    }
+    return next();
+  };
+
+  validator.validation = spec;
+  return validator;
+}
+
+/**
+ * Describe a spec as describeRoute() metadata (`requestBody`, `query`, header `parameters`)
+ * @param {Object} spec - Validation spec
+ * @param {string} [method='POST'] - Route method; model bodies of PATCH routes are partial
+ * @returns {Object} Route metadata
+ */
+export function validationToRouteMeta(spec, method = 'POST') {
+  const meta = {};
+  if (spec.body) {
+    meta.requestBody = toJsonSchema(spec.body, method === 'PATCH' ? 'update' : 'create');
+  }
+  if (spec.query) {
+    meta.query = toJsonSchema(spec.query, 'update');
+  }
+  if (spec.headers) {
+    const schema = toJsonSchema(spec.headers, 'update');
+    meta.parameters = Object.entries(schema.properties || {}).map(([name, property]) => ({
+      name,
+      in: 'header',
+      required: (schema.required || []).includes(name),
+      schema: property
+    }));
+  }
+  return meta;
+}
+
+/**
+ * Look up the SchemaManager model of every target named by a string
+ * @private
+ * @throws {Error} When a model name is not registered
+ */
+function resolveModels(spec) {
+  const models = {};
+  for (const [target, schema] of Object.entries(spec)) {
+    if (typeof schema !== 'string') continue;
+    models[target] = schemaManager.getModel(schema);
+    if (!models[target]) {
+      throw new Error(`Validation schema for '${target}' names unknown model '${schema}'`);
+    }
+  }
+  return models;
+}
+
+/**
+ * Read the raw value of one request part
+ * @private
+ */
+async function readTarget(c, target) {
+  switch (target) {
+  case 'query': {
+    const query = {};
+    for (const key of new Set(c.url.searchParams.keys())) {
+      const values = c.url.searchParams.getAll(key);
+      query[key] = values.length > 1 ? values : values[0];
+    }
+    return query;
+  }
+  case 'params':
+    return { ...c.req.param() };
+  case 'headers':
+    return Object.fromEntries(c.request.headers);
+  default:
+    return readBody(c.request);
+  }
+}
+
+/**
+ * Parse the body without consuming it, so handlers can still read it
+ * @private
+ */
+async function readBody(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+    return Object.fromEntries(await request.clone().formData());
+  }
+
+  const text = await request.clone().text();
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ValidationError('Request body is not valid JSON', [], 'INVALID_JSON');
+  }
+}
+
+/**
+ * Coerce and validate one request part
+ * @private
+ * @returns {{ valid: boolean, data?: *, errors?: Array<Object> }}
+ */
+function validateTarget(schema, model, target, raw, method) {
+  const coerce = target === 'query' || target === 'params' || target === 'headers';
+
+  if (typeof schema === 'string') {
+    const data = coerce ? coerceWithModel(raw, model) : raw;
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return { valid: false, errors: [{ in: target, field: '', message: 'Expected an object', code: 'INVALID_TYPE' }] };
+    }
+
+    const requireAll = target === 'body' && (method === 'POST' || method === 'PUT');
+    const validation = schemaManager.validateData(schema, data);
+    const errors = validation.errors.filter(error => requireAll || error.code !== 'REQUIRED_FIELD_MISSING');
+    if (errors.length > 0) {
+      return {
+        valid: false,
+        errors: errors.map(({ field, message, code }) => ({ in: target, field, message, code }))
+      };
+    }
+    return { valid: true, data: validation.data || data };
+  }
+
+  const result = schema.safeParse(coerce ? coerceWithZod(raw, schema) : raw);
+  if (result.success) {
+    return { valid: true, data: result.data };
+  }
+  return {
+    valid: false,
+    errors: result.error.issues.map(issue => ({
+      in: target,
+      field: issue.path.join('.'),
+      message: issue.message,
+      code: issue.code
+    }))
+  };
+}
+
+/**
+ * Unwrap optional / default / pipe wrappers to the zod type that receives the input
+ * @private
+ */
+function innerZodType(schema) {
+  let current = schema;
+  while (current?.def) {
+    if (WRAPPER_TYPES.includes(current.def.type)) {
+      current = current.def.innerType;
+    } else if (current.def.type === 'pipe') {
+      current = current.def.in;
+    } else {
+      break;
+    }
+  }
+  return current;
+}
+
+/**
+ * Convert a string to the primitive a type expects; other values pass through
+ * @private
+ */
+function coerceValue(value, kind) {
+  if (typeof value !== 'string') return value;
+  if (kind === 'number' || kind === 'bigint') {
+    const number = Number(value);
+    return value.trim() !== '' && !Number.isNaN(number) ? number : value;
+  }
+  if (kind === 'boolean') {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function coerceWithZod(raw, schema) {
+  const objectSchema = innerZodType(schema);
+  const shape = objectSchema?.def?.type === 'object' ? objectSchema.def.shape : null;
+  if (!shape || !raw) return raw;
+
+  const data = { ...raw };
+  for (const [key, value] of Object.entries(data)) {
+    const type = innerZodType(shape[key]);
+    const kind = type?.def?.type;
+    if (kind === 'array') {
+      const elementKind = innerZodType(type.def.element)?.def?.type;
+      data[key] = (Array.isArray(value) ? value : [value]).map(item => coerceValue(item, elementKind));
+    } else if (!Array.isArray(value)) {
+      data[key] = coerceValue(value, kind);
+    }
+  }
+  return data;
+}
+
+/**
+ * @private
+ */
+function coerceWithModel(raw, model) {
+  if (!raw) return raw;
+
+  const data = { ...raw };
+  for (const [key, value] of Object.entries(data)) {
+    const type = model.columns?.[key]?.type;
+    if (NUMERIC_COLUMN_TYPES.includes(type)) {
+      data[key] = coerceValue(value, 'number');
+    } else if (BOOLEAN_COLUMN_TYPES.includes(type)) {
+      data[key] = coerceValue(value, 'boolean');
+    }
+  }
+  return data;
+}
+
+/**
+ * JSON Schema for a zod schema or model name
+ * @private
+ */
+function toJsonSchema(schema, mode) {
+  if (typeof schema === 'string') {
+    const model = schemaManager.getModel(schema);
+    return model ? modelToJsonSchema(model, { mode }) : { type: 'object' };
+  }
+  try {
+    const jsonSchema = z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+    delete jsonSchema.$schema;
+    return jsonSchema;
+  } catch {
+    return {};
+  }
+}
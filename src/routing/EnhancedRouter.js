@@ -2,6 +2,11 @@ import { createRouteHandlers } from '../handlers/GenericRouteHandler.js';
 import { schemaManager } from '../schema/SchemaManager.js';
 import { MiddlewareComposer } from '../middleware/Composer.js';
 import { RequestContext, createRequestContext } from './RequestContext.js';
+import { RouteTrie } from './RouteTrie.js';
+import { buildOpenApiDocument, describeRoute, mergeRouteMeta } from './OpenApiBuilder.js';
+import { HttpError, NotFoundError } from '../errors/httpErrors.js';
+import { problemResponse } from '../errors/problemDetails.js';
+import { createRequestValidator, isValidationSpec, validationToRouteMeta } from '../middleware/validation.js';
 
 /**
  * Enhanced Router
@@ -25,6 +30,18 @@ import { RequestContext, createRequestContext } from './RequestContext.js';
  * router.get('/legacy', async (request, env, ctx) => {
  *   return new Response('ok');
  * });
+ *
+ * Routes are matched with a segment trie (see RouteTrie.js for the pattern
+ * syntax: optional `:id?`, constrained `:id(\\d+)` and wildcard `*` segments).
+ * Unknown paths answer 404 and a path registered under other methods answers
+ * 405 with an `Allow` header, both as problem+json; HEAD falls back to the GET handler without a body, and OPTIONS is answered
+ * automatically unless a route handles it. The matched pattern is available
+ * to middleware and handlers as `c.get('routePath')`.
+ *
+ * Errors thrown by middleware or handlers are rendered as
+ * `application/problem+json` with a correlation id (see problemDetails.js);
+ * typed errors such as NotFoundError keep their status, and internal messages
+ * are hidden unless `env.ENVIRONMENT` is `development` or `debug`.
  */
 
 export class EnhancedRouter {
@@ -34,14 +51,20 @@ export class EnhancedRouter {
    * @param {Object} [options={}] - Router options
    * @param {boolean} [options.autoRegisterGenericRoutes=true] - Auto-register CRUD routes for schema models
    * @param {boolean} [options.useRequestContext=true] - Pass RequestContext to handlers instead of raw request
+   * @param {boolean} [options.errorBoundary=true] - Render uncaught errors as problem+json; false rethrows them
    */
   constructor(d1Client = null, options = {}) {
     this.d1Client = d1Client;
     this.options = options;
     this.routes = new Map();
+    this._routeTrie = new RouteTrie();
     this.middleware = [];
     this.scopedMiddleware = new Map(); // path prefix → middleware[]
+    this.routeMiddleware = new Map(); // 'METHOD /path' → middleware[]
+    this.routeMeta = new Map(); // 'METHOD /path' → describeRoute() metadata
+    this.genericRoutes = new Set(); // route keys registered for auto-CRUD
     this.middlewareExecutor = null;
+    this.errorHandler = null;
 
     // Only auto-register CRUD routes if D1 client is provided and option is enabled
     const autoRegister = options.autoRegisterGenericRoutes !== false && d1Client;
@@ -53,86 +76,117 @@ export class EnhancedRouter {
 
   /**
    * Register a custom route
+   *
+   * Any arguments before the handler are middleware for this route only,
+   * run after global and path-scoped middleware:
+   * `router.get('/admin/stats', requireAdmin, handler)`. describeRoute()
+   * markers among them supply OpenAPI metadata instead, and validation specs
+   * (`{ body, query, params, headers }`, see middleware/validation.js) become
+   * request validators: `router.post('/users', { body: 'users' }, handler)`.
    * @param {string} method - HTTP method
    * @param {string} path - Route path (supports :params and * wildcards)
-   * @param {Function} handler - Route handler: (c: RequestContext) => Response or (request, env, ctx) => Response
+   * @param {...(Object|Array<Object>|Function)} handlers - Route middleware (objects or arrays), then the handler:
+   *   (c: RequestContext) => Response or (request, env, ctx) => Response
    */
-  registerRoute(method, path, handler) {
-    const key = `${method.toUpperCase()} ${path}`;
+  registerRoute(method, path, ...handlers) {
+    const verb = method.toUpperCase();
+    const key = `${verb} ${path}`;
+    const handler = handlers.pop();
+    if (typeof handler !== 'function') {
+      throw new Error(`Route ${key} requires a handler function`);
+    }
+
+    this._getRouteTrie().add(verb, path, handler);
     this.routes.set(key, handler);
+
+    const entries = handlers.flat().filter(Boolean)
+      .map(entry => (isValidationSpec(entry) ? createRequestValidator(entry) : entry));
+    const meta = mergeRouteMeta(entries.filter(entry => entry.openapi).map(entry => entry.openapi));
+    if (meta) {
+      this.routeMeta.set(key, meta);
+    } else {
+      this.routeMeta.delete(key);
+    }
+
+    const middleware = entries.filter(entry => !entry.openapi);
+    if (middleware.length > 0) {
+      this.routeMiddleware.set(key, middleware);
+    } else {
+      this.routeMiddleware.delete(key);
+    }
   }
 
   /**
    * Express-like convenience method: Register GET route
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  get(path, handler) {
-    return this.registerRoute('GET', path, handler);
+  get(path, ...handlers) {
+    return this.registerRoute('GET', path, ...handlers);
   }
 
   /**
    * Express-like convenience method: Register POST route
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  post(path, handler) {
-    return this.registerRoute('POST', path, handler);
+  post(path, ...handlers) {
+    return this.registerRoute('POST', path, ...handlers);
   }
 
   /**
    * Express-like convenience method: Register PUT route
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  put(path, handler) {
-    return this.registerRoute('PUT', path, handler);
+  put(path, ...handlers) {
+    return this.registerRoute('PUT', path, ...handlers);
   }
 
   /**
    * Express-like convenience method: Register PATCH route
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  patch(path, handler) {
-    return this.registerRoute('PATCH', path, handler);
+  patch(path, ...handlers) {
+    return this.registerRoute('PATCH', path, ...handlers);
   }
 
   /**
    * Express-like convenience method: Register DELETE route
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  delete(path, handler) {
-    return this.registerRoute('DELETE', path, handler);
+  delete(path, ...handlers) {
+    return this.registerRoute('DELETE', path, ...handlers);
   }
 
   /**
    * Express-like convenience method: Register OPTIONS route
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  options(path, handler) {
-    return this.registerRoute('OPTIONS', path, handler);
+  options(path, ...handlers) {
+    return this.registerRoute('OPTIONS', path, ...handlers);
   }
 
   /**
    * Express-like convenience method: Register HEAD route
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  head(path, handler) {
-    return this.registerRoute('HEAD', path, handler);
+  head(path, ...handlers) {
+    return this.registerRoute('HEAD', path, ...handlers);
   }
 
   /**
    * Register a route handler for ALL HTTP methods
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Object|Function)} handlers - Optional route middleware, then the route handler
    */
-  all(path, handler) {
+  all(path, ...handlers) {
     for (const method of ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD']) {
-      this.registerRoute(method, path, handler);
+      this.registerRoute(method, path, ...handlers);
     }
   }
 
@@ -151,60 +205,133 @@ export class EnhancedRouter {
    * @returns {Promise<Response>} HTTP response
    */
   async handleRequest(method, path, request, env = {}, ctx = {}) {
-    // Create a handler function that will be executed with middleware
-    let handler = null;
-    let params = {};
-
-    // Check for exact match first
-    const key = `${method.toUpperCase()} ${path}`;
-    if (this.routes.has(key)) {
-      handler = this.routes.get(key);
-    } else {
-      // Check for parameterized routes
-      for (const [routeKey, routeHandler] of this.routes.entries()) {
-        const [routeMethod, routePath] = routeKey.split(' ');
+    const verb = method.toUpperCase();
+    const trie = this._getRouteTrie();
+    let match = trie.match(verb, path);
+
+    // HEAD is answered by the GET handler; the body is dropped below
+    const headFallback = !match && verb === 'HEAD';
+    if (headFallback) {
+      match = trie.match('GET', path);
+    }
 
-        if (routeMethod !== method.toUpperCase()) continue;
+    let handler = match?.handler || null;
+    const params = match?.params || {};
+    const routeKey = match ? `${headFallback ? 'GET' : verb} ${match.pattern}` : null;
 
-        const match = this._matchRoute(routePath, path);
-        if (match) {
-          params = match.params;
-          handler = routeHandler;
-          break;
-        }
+    if (!handler) {
+      const allowed = trie.allowedMethods(path);
+
+      // If no route matches the path at all, return 404
+      if (allowed.length === 0) {
+        return problemResponse(new NotFoundError(`No route for ${path}`, 'ROUTE_NOT_FOUND'), new RequestContext(request, env, ctx));
       }
-    }
 
-    // If no handler found, return 404
-    if (!handler) {
-      return new Response(JSON.stringify({ error: 'Not Found', path }), {
-        status: 404,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      const allow = this._formatAllow(allowed);
+      if (verb !== 'OPTIONS') {
+        const error = new HttpError(405, `${verb} is not allowed for ${path}`, 'METHOD_NOT_ALLOWED');
+        error.headers.Allow = allow;
+        return problemResponse(error, new RequestContext(request, env, ctx));
+      }
+
+      // Automatic OPTIONS; runs through middleware so CORS can decorate it
+      handler = () => new Response(null, { status: 204, headers: { Allow: allow } });
     }
 
+    // One context per request, shared by middleware and the handler
+    const c = new RequestContext(request, env, ctx, params);
+    if (match) c.set('routePath', match.pattern);
+
     // Detect handler arity to decide: RequestContext vs raw (request, env, ctx)
     const useContext = this.options.useRequestContext !== false;
     
     // Build the actual handler execution function
-    const executeHandler = async (req) => {
+    const executeHandler = async () => {
       if (useContext && handler.length <= 1) {
         // Hono-style: single argument = RequestContext
-        const c = new RequestContext(req, env, ctx, params);
         return await handler(c);
       } else {
         // Classic style: (request, env, ctx) — attach params to request
-        req.params = params;
-        return await handler(req, env, ctx);
+        request.params = params;
+        return await handler(request, env, ctx);
       }
     };
 
+    // Global, then path-scoped, then route middleware
+    const extra = [...this._getScopedMiddleware(path), ...(this.routeMiddleware.get(routeKey) || [])];
+    const executor = extra.length > 0
+      ? MiddlewareComposer.compose(...this.middleware, ...extra)
+      : this.middlewareExecutor;
+
     // Execute with middleware if available, otherwise execute directly
-    if (this.middlewareExecutor) {
-      return await this.middlewareExecutor.execute(request, executeHandler);
-    } else {
-      return await executeHandler(request);
+    let response;
+    try {
+      response = executor
+        ? await executor.execute(c, executeHandler)
+        : await executeHandler();
+    } catch (error) {
+      if (this.errorHandler) {
+        response = await this.errorHandler(error, c);
+      } else if (this.options.errorBoundary === false) {
+        throw error;
+      } else {
+        if (!(error instanceof HttpError)) {
+          console.error(`Unhandled error in ${verb} ${path}:`, error);
+        }
+        response = problemResponse(error, c);
+      }
+    }
+
+    if (headFallback && response instanceof Response) {
+      return new Response(null, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+    return response;
+  }
+
+  /**
+   * Middleware registered with use(prefix, ...) whose prefix covers the path
+   * @param {string} path - Request path
+   * @returns {Array} Middleware in registration order
+   * @private
+   */
+  _getScopedMiddleware(path) {
+    const matched = [];
+    for (const [prefix, middleware] of this.scopedMiddleware) {
+      if (prefix === '' || path === prefix || path.startsWith(`${prefix}/`)) {
+        matched.push(...middleware);
+      }
     }
+    return matched;
+  }
+
+  /**
+   * Build the Allow header value: registered methods, HEAD when GET exists, and OPTIONS
+   * @param {string[]} methods - Methods registered for the path
+   * @returns {string} Comma-separated methods
+   * @private
+   */
+  _formatAllow(methods) {
+    const allowed = new Set(methods);
+    if (allowed.has('GET')) allowed.add('HEAD');
+    allowed.add('OPTIONS');
+    return [...allowed].join(', ');
+  }
+
+  /**
+   * Route trie for `routes`; rebuilt if the map was changed without registerRoute()
+   * @returns {RouteTrie} Route trie
+   * @private
+   */
+  _getRouteTrie() {
+    if (this._routeTrie.size !== this.routes.size) {
+      const trie = new RouteTrie();
+      for (const [key, handler] of this.routes) {
+        const separator = key.indexOf(' ');
+        trie.add(key.slice(0, separator), key.slice(separator + 1), handler);
+      }
+      this._routeTrie = trie;
+    }
+    return this._routeTrie;
   }
 
   /**
@@ -214,6 +341,11 @@ export class EnhancedRouter {
   _registerGenericRoutes() {
     if (!this.genericHandlers) return;
 
+    // Generic handlers take (request, id, context); adapt from either handler calling convention
+    const crudRoute = (fn) => (input) => (input instanceof RequestContext
+      ? fn(input.request, input.req.param('id'), input)
+      : fn(input, input.params?.id, null));
+
     for (const [modelName] of schemaManager.getAllModels()) {
       const handler = this.genericHandlers[modelName];
       if (!handler) continue;
@@ -221,11 +353,14 @@ export class EnhancedRouter {
       const basePath = `/api/${modelName}`;
 
       // CRUD routes
-      this.registerRoute('GET', basePath, (req) => handler.handleList(req));
-      this.registerRoute('POST', basePath, (req) => handler.handleCreate(req));
-      this.registerRoute('GET', `${basePath}/:id`, (req, id) => handler.handleGet(req, id));
-      this.registerRoute('PATCH', `${basePath}/:id`, (req, id) => handler.handleUpdate(req, id));
-      this.registerRoute('DELETE', `${basePath}/:id`, (req, id) => handler.handleDelete(req, id));
+      this.registerRoute('GET', basePath, crudRoute((req, id, c) => handler.handleList(req, c)));
+      this.registerRoute('POST', basePath, crudRoute((req, id, c) => handler.handleCreate(req, c)));
+      this.registerRoute('GET', `${basePath}/:id`, crudRoute((req, id, c) => handler.handleGet(req, id, c)));
+      this.registerRoute('PATCH', `${basePath}/:id`, crudRoute((req, id, c) => handler.handleUpdate(req, id, c)));
+      this.registerRoute('DELETE', `${basePath}/:id`, crudRoute((req, id, c) => handler.handleDelete(req, id, c)));
+      for (const key of [`GET ${basePath}`, `POST ${basePath}`, `GET ${basePath}/:id`, `PATCH ${basePath}/:id`, `DELETE ${basePath}/:id`]) {
+        this.genericRoutes.add(key);
+      }
 
       if (this.options.verbose || (typeof process !== 'undefined' && process.env?.DEBUG)) {
         console.log(`✅ Registered generic routes for: ${modelName}`);
@@ -234,44 +369,18 @@ export class EnhancedRouter {
   }
 
   /**
-   * Match a route pattern against a path
+   * Match a single route pattern against a path
    * @param {string} pattern - Route pattern (e.g., '/users/:id')
    * @param {string} path - Request path
    * @returns {Object|null} Match result or null
    * @private
    */
   _matchRoute(pattern, path) {
-    const patternParts = pattern.split('/');
-    const pathParts = path.split('/');
-
-    if (patternParts.length !== pathParts.length) {
-      return null;
-    }
-
-    const params = {};
-    const args = [];
-
-    for (let i = 0; i < patternParts.length; i++) {
-      const patternPart = patternParts[i];
-      const pathPart = pathParts[i];
-
-      if (patternPart.startsWith(':')) {
-        // Parameter
-        const paramName = patternPart.slice(1);
-        params[paramName] = pathPart;
-        args.push(pathPart);
-      } else if (patternPart === '*') {
-        // Wildcard — matches anything
-        params['*'] = pathParts.slice(i).join('/');
-        args.push(params['*']);
-        break;
-      } else if (patternPart !== pathPart) {
-        // No match
-        return null;
-      }
-    }
+    const trie = new RouteTrie();
+    trie.add('*', pattern, true);
 
-    return { params, args };
+    const match = trie.match('*', path);
+    return match ? { params: match.params, args: Object.values(match.params) } : null;
   }
 
   /**
@@ -286,20 +395,30 @@ export class EnhancedRouter {
    * Add middleware to the router
    * 
    * Supports two signatures:
-   * - use(middleware)         — global middleware
-   * - use('/path', middleware) — scoped to a path prefix
+   * - use(middleware)              — global middleware
+   * - use('/path', ...middleware)  — scoped to a path prefix
+   *
+   * A prefix covers the path itself and everything below it, so
+   * `use('/admin', auth)` (or `'/admin/*'`) runs for `/admin` and
+   * `/admin/users/1` but not `/administrators`. Scoped middleware runs
+   * after global middleware, in registration order.
+   *
+   * Middleware is either an onion function `async (c, next) => { ... }`
+   * sharing the handler's RequestContext (`c.set('user', user)` in
+   * middleware, `c.get('user')` in the handler), or a lifecycle object
+   * with preprocess/authenticate/validate/postprocess hooks.
    * 
    * @param {string|Function|Object} pathOrMiddleware - Path prefix or middleware
-   * @param {Function|Object} [middleware] - Middleware (when first arg is a path)
+   * @param {...(Function|Object)} [middleware] - Middleware (when first arg is a path)
    */
-  use(pathOrMiddleware, middleware) {
-    if (typeof pathOrMiddleware === 'string' && middleware) {
+  use(pathOrMiddleware, ...middleware) {
+    if (typeof pathOrMiddleware === 'string' && middleware.length > 0) {
       // Scoped middleware: use('/api', corsMiddleware)
-      const prefix = pathOrMiddleware;
+      const prefix = pathOrMiddleware.replace(/\/?\*$/, '').replace(/\/+$/, '');
       if (!this.scopedMiddleware.has(prefix)) {
         this.scopedMiddleware.set(prefix, []);
       }
-      this.scopedMiddleware.get(prefix).push(middleware);
+      this.scopedMiddleware.get(prefix).push(...middleware.flat().filter(Boolean));
     } else {
       // Global middleware
       this.middleware.push(pathOrMiddleware);
@@ -309,6 +428,75 @@ export class EnhancedRouter {
     this._rebuildMiddlewareExecutor();
   }
 
+  /**
+   * Build an OpenAPI 3.1 document for the registered routes and auto-CRUD models
+   * (see OpenApiBuilder.js)
+   * @param {Object} [options]
+   * @param {Object} [options.info] - { title, version, description }
+   * @param {Array<Object>} [options.servers] - OpenAPI servers
+   * @returns {Object} OpenAPI document
+   */
+  openapi(options = {}) {
+    const models = {};
+    for (const [modelName, handler] of Object.entries(this.genericHandlers || {})) {
+      const model = schemaManager.getModel(modelName);
+      if (model) models[modelName] = { model, handlerOptions: handler.options };
+    }
+
+    // Request validators describe the body, query and headers unless describeRoute() does
+    const routeMeta = new Map(this.routeMeta);
+    for (const [key, middleware] of this.routeMiddleware) {
+      const metas = middleware.filter(entry => entry.validation)
+        .map(entry => validationToRouteMeta(entry.validation, key.slice(0, key.indexOf(' '))));
+      if (metas.length > 0) {
+        routeMeta.set(key, mergeRouteMeta([...metas, routeMeta.get(key) || {}]));
+      }
+    }
+
+    return buildOpenApiDocument({
+      routes: this.routes,
+      routeMeta,
+      genericRoutes: this.genericRoutes,
+      models
+    }, options);
+  }
+
+  /**
+   * Serve the OpenAPI document as JSON
+   *
+   * The document is built on the first request, after all routes are registered.
+   * @param {string} [path='/openapi.json'] - Route to serve it at
+   * @param {Object} [options] - Options for openapi()
+   * @returns {EnhancedRouter} this — for chaining
+   */
+  serveOpenApi(path = '/openapi.json', options = {}) {
+    let document = null;
+    this.registerRoute('GET', path, describeRoute({ hide: true }), (c) => {
+      document = document || this.openapi(options);
+      return c.json(document);
+    });
+    return this;
+  }
+
+  /**
+   * Handle errors thrown by middleware or handlers
+   *
+   * Without a handler, errors are rendered as problem+json (or propagate to
+   * the caller of handleRequest() when `errorBoundary: false`).
+   * @param {Function} handler - (error, c: RequestContext) => Response
+   * @returns {EnhancedRouter} this — for chaining
+   *
+   * @example
+   * router.onError((err, c) => {
+   *   console.error(getCorrelationId(c), err);
+   *   return problemResponse(err, c);
+   * });
+   */
+  onError(handler) {
+    this.errorHandler = handler;
+    return this;
+  }
+
   /**
    * Rebuild the middleware executor when middleware changes
    * @private
@@ -323,8 +511,14 @@ export class EnhancedRouter {
 
   /**
    * Create a route group with a shared prefix
+   *
+   * Middleware passed between the prefix and the callback runs for every
+   * route registered in the group (and its nested groups), before the
+   * route's own middleware. `group.use(mw)` scopes middleware to the
+   * group's prefix instead, including routes registered elsewhere under it.
    * @param {string} prefix - Path prefix for all routes in the group
-   * @param {Function} callback - (group: EnhancedRouter) => void
+   * @param {...(Object|Array<Object>|Function)} args - Optional group middleware, then the callback:
+   *   (group) => void
    * @returns {EnhancedRouter} this — for chaining
    * 
    * @example
@@ -332,18 +526,37 @@ export class EnhancedRouter {
    *   api.get('/users', listUsers);
    *   api.post('/users', createUser);
    *   api.get('/users/:id', getUser);
+   *
+   *   api.group('/admin', requireAdmin, (admin) => {
+   *     admin.delete('/users/:id', deleteUser);
+   *   });
    * });
    */
-  group(prefix, callback) {
+  group(prefix, ...args) {
+    const callback = args.pop();
+    if (typeof callback !== 'function') {
+      throw new Error(`Route group '${prefix}' requires a callback`);
+    }
+    const groupMiddleware = args.flat().filter(Boolean);
+
+    const route = (method) => (path, ...handlers) =>
+      this.registerRoute(method, prefix + path, ...groupMiddleware, ...handlers);
+
     const groupRouter = {
-      get: (path, handler) => this.get(prefix + path, handler),
-      post: (path, handler) => this.post(prefix + path, handler),
-      put: (path, handler) => this.put(prefix + path, handler),
-      patch: (path, handler) => this.patch(prefix + path, handler),
-      delete: (path, handler) => this.delete(prefix + path, handler),
-      options: (path, handler) => this.options(prefix + path, handler),
-      head: (path, handler) => this.head(prefix + path, handler),
-      all: (path, handler) => this.all(prefix + path, handler),
+      get: route('GET'),
+      post: route('POST'),
+      put: route('PUT'),
+      patch: route('PATCH'),
+      delete: route('DELETE'),
+      options: route('OPTIONS'),
+      head: route('HEAD'),
+      all: (path, ...handlers) => this.all(prefix + path, ...groupMiddleware, ...handlers),
+      use: (...middleware) => this.use(prefix, ...middleware),
+      group: (subPrefix, ...subArgs) => {
+        const subCallback = subArgs.pop();
+        this.group(prefix + subPrefix, ...groupMiddleware, ...subArgs, subCallback);
+        return groupRouter;
+      }
     };
     callback(groupRouter);
     return this;
@@ -362,3 +575,14 @@ export function createEnhancedRouter(d1Client = null, options = {}) {
 
 // Re-export RequestContext for direct usage
 export { RequestContext, createRequestContext } from './RequestContext.js';
+export { RouteTrie, parseRoutePattern } from './RouteTrie.js';
+export { describeRoute, buildOpenApiDocument, OPENAPI_VERSION } from './OpenApiBuilder.js';
+export {
+  generateETag,
+  parseETags,
+  etagMatches,
+  evaluatePreconditions,
+  evaluateIfRange,
+  parseRange,
+  notModifiedResponse
+} from './conditional.js';
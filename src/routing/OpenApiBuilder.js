@@ -0,0 +1,394 @@
+/**
+ * OpenAPI Builder
+ * Builds an OpenAPI 3.1 document for an EnhancedRouter from three sources:
+ *   - routes registered on the router, with metadata from describeRoute()
+ *   - SchemaManager models, converted to JSON Schema components
+ *   - the auto-CRUD `/api/:model` endpoints, with their filter and pagination parameters
+ *
+ * @example
+ * router.post('/auth/login', describeRoute({
+ *   summary: 'Exchange credentials for a token',
+ *   tags: ['auth'],
+ *   requestBody: { type: 'object', properties: { email: { type: 'string' } }, required: ['email'] },
+ *   responses: { 200: { type: 'object', properties: { token: { type: 'string' } } } }
+ * }), login);
+ *
+ * const document = router.openapi({ info: { title: 'Notes API', version: '2.1.0' } });
+ */
+
+import { parseRoutePattern } from './RouteTrie.js';
+import { modelToJsonSchema, columnToJsonSchema } from '../schema/JsonSchema.js';
+import { FILTER_OPERATORS } from '../schema/QueryFilter.js';
+
+export const OPENAPI_VERSION = '3.1.0';
+
+const DOCUMENTED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+const PROBLEM_SCHEMA = {
+  type: 'object',
+  description: 'RFC 7807 problem details',
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    code: { type: 'string' },
+    correlationId: { type: 'string' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { field: { type: 'string' }, message: { type: 'string' }, code: { type: 'string' } }
+      }
+    }
+  },
+  required: ['title', 'status']
+};
+
+const PAGINATION_SCHEMA = {
+  type: ['object', 'null'],
+  description: 'Offset pagination (`page`, `limit`, `total`, ...) or cursor pagination (`nextCursor`, `prevCursor`, ...)',
+  additionalProperties: true
+};
+
+/**
+ * Attach OpenAPI metadata to a route
+ *
+ * Returns a marker passed like route middleware; it is not run per request.
+ * Markers given to a group apply to every route in it (tags are combined).
+ * @param {Object} meta - Operation metadata
+ * @param {string} [meta.summary]
+ * @param {string} [meta.description]
+ * @param {string[]} [meta.tags]
+ * @param {string} [meta.operationId]
+ * @param {boolean} [meta.deprecated]
+ * @param {Array<Object>} [meta.security] - OpenAPI security requirements
+ * @param {Object} [meta.query] - JSON Schema object; each property becomes a query parameter
+ * @param {Object} [meta.requestBody] - JSON Schema of a JSON body, or a full OpenAPI requestBody object
+ * @param {Object} [meta.responses] - { status: JSON Schema | OpenAPI response object }
+ * @param {boolean} [meta.hide] - Leave the route out of the document
+ * @returns {Function} Route marker
+ */
+export function describeRoute(meta = {}) {
+  const marker = (c, next) => next();
+  marker.openapi = meta;
+  return marker;
+}
+
+/**
+ * Merge metadata from several describeRoute() markers (group, then route)
+ * @param {Array<Object>} metas - Metadata objects in registration order
+ * @returns {Object|null} Merged metadata
+ */
+export function mergeRouteMeta(metas) {
+  if (metas.length === 0) return null;
+  return metas.reduce((merged, meta) => ({
+    ...merged,
+    ...meta,
+    tags: [...new Set([...(merged.tags || []), ...(meta.tags || [])])]
+  }), {});
+}
+
+/**
+ * Convert a route pattern into OpenAPI paths (optional parameters expand into several)
+ * @param {string} pattern - Route pattern, e.g. '/users/:id(\\d+)'
+ * @returns {Array<{ path: string, params: Array<Object> }>}
+ */
+export function toOpenApiPaths(pattern) {
+  let variants = [{ segments: [], params: [] }];
+
+  for (const segment of parseRoutePattern(pattern)) {
+    let text;
+    let param = null;
+    if (segment.type === 'static') {
+      text = segment.value;
+    } else {
+      const name = segment.type === 'wildcard' && segment.name === '*' ? 'wildcard' : segment.name;
+      text = `{${name}}`;
+      param = { name, source: segment.source, wildcard: segment.type === 'wildcard' };
+    }
+
+    const extended = variants.map(({ segments, params }) => ({
+      segments: [...segments, text],
+      params: param ? [...params, param] : params
+    }));
+    variants = segment.optional ? [...variants, ...extended] : extended;
+  }
+
+  return variants.map(({ segments, params }) => ({ path: segments.join('/') || '/', params }));
+}
+
+/**
+ * Wrap a JSON Schema as JSON content unless it already is an OpenAPI object
+ * @private
+ */
+function jsonContent(schemaOrObject, description) {
+  if (schemaOrObject?.content || schemaOrObject?.$ref?.startsWith('#/components/responses/')) {
+    return { description, ...schemaOrObject };
+  }
+  return { description, content: { 'application/json': { schema: schemaOrObject } } };
+}
+
+/**
+ * Build the operation for a custom route
+ * @private
+ */
+function customOperation(method, params, meta) {
+  const operation = {};
+  if (meta?.summary) operation.summary = meta.summary;
+  if (meta?.description) operation.description = meta.description;
+  if (meta?.tags?.length) operation.tags = meta.tags;
+  if (meta?.operationId) operation.operationId = meta.operationId;
+  if (meta?.deprecated) operation.deprecated = true;
+  if (meta?.security) operation.security = meta.security;
+
+  const parameters = params.map(param => ({
+    name: param.name,
+    in: 'path',
+    required: true,
+    schema: param.source ? { type: 'string', pattern: `^(?:${param.source})$` } : { type: 'string' },
+    ...(param.wildcard && { description: 'Rest of the path' })
+  }));
+
+  for (const [name, schema] of Object.entries(meta?.query?.properties || {})) {
+    parameters.push({
+      name,
+      in: 'query',
+      required: (meta.query.required || []).includes(name),
+      schema
+    });
+  }
+  if (meta?.parameters) parameters.push(...meta.parameters);
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (meta?.requestBody) {
+    operation.requestBody = meta.requestBody.content
+      ? meta.requestBody
+      : { required: true, content: { 'application/json': { schema: meta.requestBody } } };
+  }
+
+  const responses = {};
+  for (const [status, response] of Object.entries(meta?.responses || {})) {
+    responses[status] = jsonContent(response, response?.description || (Number(status) < 400 ? 'Successful response' : 'Error response'));
+  }
+  if (Object.keys(responses).length === 0) {
+    responses[method === 'POST' ? '201' : '200'] = { description: 'Successful response' };
+  }
+  operation.responses = responses;
+
+  return operation;
+}
+
+/**
+ * Query parameters accepted by the auto-CRUD list endpoint
+ * @private
+ */
+function listParameters(model) {
+  const parameters = [
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Page number (with `limit`)' },
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Page size' },
+    { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0 } },
+    { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'Keyset pagination; send an empty value for the first page, then `pagination.nextCursor`' },
+    { name: 'count', in: 'query', schema: { type: 'boolean' }, description: 'Include the total with cursor pagination' },
+    { name: 'sort', in: 'query', schema: { type: 'string' }, description: 'Comma-separated fields; prefix with `-` for descending', example: '-created_at,name' }
+  ];
+
+  const relationships = Object.keys(model.relationships || {});
+  if (relationships.length > 0) {
+    parameters.push({
+      name: 'include',
+      in: 'query',
+      schema: { type: 'string' },
+      description: `Comma-separated relationships to eager-load (nested with dots): ${relationships.join(', ')}`
+    });
+  }
+
+  for (const [name, column] of Object.entries(model.columns || {})) {
+    if (name === 'deleted_at' && model.softDelete) continue;
+    const valueSchema = columnToJsonSchema(column);
+    delete valueSchema.default;
+    parameters.push({
+      name,
+      in: 'query',
+      style: 'deepObject',
+      explode: true,
+      description: `Filter on ${name}: \`?${name}=value\` or \`?${name}[op]=value\``,
+      schema: {
+        type: 'object',
+        properties: Object.fromEntries(FILTER_OPERATORS.map(op => {
+          if (op === 'isNull') return [op, { type: 'boolean' }];
+          if (['in', 'notIn', 'between'].includes(op)) return [op, { type: 'string', description: 'Comma-separated values' }];
+          return [op, valueSchema];
+        }))
+      }
+    });
+  }
+
+  return parameters;
+}
+
+/**
+ * Operations for one model's auto-CRUD endpoints
+ * @private
+ */
+function crudPaths(modelName, model, handlerOptions = {}) {
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const requireAuth = handlerOptions.requireAuth !== false;
+  const readSecurity = requireAuth && !handlerOptions.allowPublicRead ? [{ bearerAuth: [] }] : undefined;
+  const writeSecurity = requireAuth ? [{ bearerAuth: [] }] : undefined;
+  const problem = (description) => ({ $ref: `#/components/responses/${description}` });
+  const single = (description) => jsonContent({
+    type: 'object',
+    properties: { success: { const: true }, data: ref(modelName) },
+    required: ['success', 'data']
+  }, description);
+  const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+  const includeParams = listParameters(model).filter(param => param.name === 'include');
+  const withSecurity = (operation, security) => (security ? { ...operation, security } : operation);
+  const authErrors = (security) => (security ? { 401: problem('Unauthorized') } : {});
+  const tags = [modelName];
+
+  return {
+    [`/api/${modelName}`]: {
+      get: withSecurity({
+        tags,
+        operationId: `list_${modelName}`,
+        summary: `List ${modelName}`,
+        parameters: listParameters(model),
+        responses: {
+          200: jsonContent({
+            type: 'object',
+            properties: {
+              success: { const: true },
+              data: { type: 'array', items: ref(modelName) },
+              pagination: PAGINATION_SCHEMA
+            },
+            required: ['success', 'data']
+          }, `Matching ${modelName}`),
+          400: problem('BadRequest'),
+          ...authErrors(readSecurity)
+        }
+      }, readSecurity),
+      post: withSecurity({
+        tags,
+        operationId: `create_${modelName}`,
+        summary: `Create a ${modelName} record`,
+        requestBody: { required: true, content: { 'application/json': { schema: ref(`${modelName}Create`) } } },
+        responses: {
+          201: single('Created record'),
+          400: problem('BadRequest'),
+          ...authErrors(writeSecurity),
+          409: problem('Conflict')
+        }
+      }, writeSecurity)
+    },
+    [`/api/${modelName}/{id}`]: {
+      get: withSecurity({
+        tags,
+        operationId: `get_${modelName}`,
+        summary: `Get a ${modelName} record`,
+        parameters: [idParam, ...includeParams],
+        responses: { 200: single('The record'), 400: problem('BadRequest'), ...authErrors(readSecurity), 404: problem('NotFound') }
+      }, readSecurity),
+      patch: withSecurity({
+        tags,
+        operationId: `update_${modelName}`,
+        summary: `Update a ${modelName} record`,
+        parameters: [idParam],
+        requestBody: { required: true, content: { 'application/json': { schema: ref(`${modelName}Update`) } } },
+        responses: {
+          200: single('Updated record'),
+          400: problem('BadRequest'),
+          ...authErrors(writeSecurity),
+          404: problem('NotFound'),
+          409: problem('Conflict')
+        }
+      }, writeSecurity),
+      delete: withSecurity({
+        tags,
+        operationId: `delete_${modelName}`,
+        summary: `Delete a ${modelName} record`,
+        parameters: [idParam],
+        responses: {
+          200: jsonContent({
+            type: 'object',
+            properties: { success: { const: true }, data: { type: 'object', properties: { id: { type: 'string' } } } }
+          }, 'Deleted'),
+          ...authErrors(writeSecurity),
+          404: problem('NotFound')
+        }
+      }, writeSecurity)
+    }
+  };
+}
+
+/**
+ * Build an OpenAPI 3.1 document
+ * @param {Object} source
+ * @param {Map<string, Function>} source.routes - 'METHOD /path' → handler
+ * @param {Map<string, Object>} source.routeMeta - 'METHOD /path' → describeRoute() metadata
+ * @param {Set<string>} source.genericRoutes - Route keys registered for auto-CRUD
+ * @param {Object} source.models - Model name → { model, handlerOptions } for the auto-CRUD endpoints
+ * @param {Object} [options]
+ * @param {Object} [options.info] - OpenAPI info ({ title, version, description })
+ * @param {Array<Object>} [options.servers] - OpenAPI servers
+ * @returns {Object} OpenAPI document
+ */
+export function buildOpenApiDocument(source, options = {}) {
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: { title: 'API', version: '1.0.0', ...(options.info || {}) },
+    ...(options.servers && { servers: options.servers }),
+    paths: {},
+    components: {
+      schemas: { Problem: PROBLEM_SCHEMA },
+      responses: {
+        BadRequest: jsonProblem('Invalid request'),
+        Unauthorized: jsonProblem('Authentication required'),
+        NotFound: jsonProblem('Record not found'),
+        Conflict: jsonProblem('Version conflict or unique violation')
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+
+  for (const [modelName, { model, handlerOptions }] of Object.entries(source.models || {})) {
+    document.components.schemas[modelName] = modelToJsonSchema(model, { mode: 'read' });
+    document.components.schemas[`${modelName}Create`] = modelToJsonSchema(model, { mode: 'create' });
+    document.components.schemas[`${modelName}Update`] = modelToJsonSchema(model, { mode: 'update' });
+    Object.assign(document.paths, crudPaths(modelName, model, handlerOptions));
+  }
+
+  for (const key of source.routes.keys()) {
+    if (source.genericRoutes?.has(key)) continue;
+
+    const separator = key.indexOf(' ');
+    const method = key.slice(0, separator);
+    const pattern = key.slice(separator + 1);
+    const meta = source.routeMeta?.get(key) || null;
+
+    if (meta?.hide || !DOCUMENTED_METHODS.includes(method)) continue;
+    // HEAD and OPTIONS are answered automatically; only document them when described
+    if ((method === 'HEAD' || method === 'OPTIONS') && !meta) continue;
+
+    for (const { path, params } of toOpenApiPaths(pattern)) {
+      document.paths[path] = document.paths[path] || {};
+      document.paths[path][method.toLowerCase()] = customOperation(method, params, meta);
+    }
+  }
+
+  return document;
+}
+
+/**
+ * @private
+ */
+function jsonProblem(description) {
+  return {
+    description,
+    content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } }
+  };
+}
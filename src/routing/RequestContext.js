@@ -31,6 +31,7 @@ export class RequestContext {
     this._headers = new Headers();
     this._status = 200;
     this._store = new Map(); // per-request storage for middleware data sharing
+    this._validated = {}; // validated body / query / params / headers (see middleware/validation.js)
   }
 
   // ─── Request Accessors ──────────────────────────────────────────────
@@ -350,6 +351,24 @@ export class RequestContext {
        */
       get path() {
         return ctx.url.pathname;
+      },
+
+      /**
+       * Get data validated by a route's validation spec
+       * @param {string} target - 'body' | 'query' | 'params' | 'headers'
+       * @returns {*} Coerced, validated value (undefined if the target was not validated)
+       */
+      valid(target) {
+        return ctx._validated[target];
+      },
+
+      /**
+       * Store validated data for valid() — called by request validators
+       * @param {string} target - 'body' | 'query' | 'params' | 'headers'
+       * @param {*} data - Validated value
+       */
+      addValidatedData(target, data) {
+        ctx._validated[target] = data;
       }
     };
   }
@@ -0,0 +1,211 @@
+/**
+ * Route Trie
+ * Segment trie used by EnhancedRouter to match a request in time proportional
+ * to the path depth rather than the number of registered routes.
+ *
+ * Pattern syntax:
+ *   /users/:id            named parameter (one segment)
+ *   /users/:id?           optional parameter (route also matches /users)
+ *   /users/:id(\d+)       parameter constrained by a regular expression
+ *   /files/*              wildcard, rest of the path in params['*']
+ *   /files/*path          named wildcard, rest of the path in params.path
+ *
+ * Precedence is deterministic: static segments win over parameters,
+ * constrained parameters over unconstrained ones (in registration order),
+ * and parameters over wildcards. When a branch fails deeper down, the
+ * matcher backtracks to the next candidate.
+ */
+
+const PARAM_PATTERN = /^:([A-Za-z_$][\w$]*)(?:\((.+)\))?(\?)?$/;
+const WILDCARD_PATTERN = /^\*([A-Za-z_$][\w$]*)?$/;
+
+/**
+ * @private
+ */
+function createNode() {
+  return {
+    static: new Map(),
+    params: [],
+    wildcard: null,
+    handlers: new Map()
+  };
+}
+
+/**
+ * Parse a route pattern into segment descriptors
+ * @param {string} pattern - Route pattern
+ * @returns {Array<Object>} [{ type: 'static'|'param'|'wildcard', value|name, regex?, optional? }]
+ * @throws {Error} For malformed parameters, invalid constraints or misplaced wildcards
+ */
+export function parseRoutePattern(pattern) {
+  const parts = String(pattern).split('/');
+
+  return parts.map((part, index) => {
+    if (part.startsWith(':')) {
+      const match = PARAM_PATTERN.exec(part);
+      if (!match) {
+        throw new Error(`Invalid route parameter '${part}' in '${pattern}'`);
+      }
+      const [, name, source, optional] = match;
+      let regex = null;
+      if (source) {
+        try {
+          regex = new RegExp(`^(?:${source})$`);
+        } catch (error) {
+          throw new Error(`Invalid constraint for ':${name}' in '${pattern}': ${error.message}`);
+        }
+      }
+      return { type: 'param', name, source: source || null, regex, optional: !!optional };
+    }
+
+    const wildcard = WILDCARD_PATTERN.exec(part);
+    if (wildcard) {
+      if (index !== parts.length - 1) {
+        throw new Error(`Wildcard must be the last segment in '${pattern}'`);
+      }
+      return { type: 'wildcard', name: wildcard[1] || '*' };
+    }
+
+    return { type: 'static', value: part };
+  });
+}
+
+/**
+ * Expand optional parameters into every concrete segment list they allow
+ * @private
+ */
+function expandOptional(segments) {
+  return segments.reduce((variants, segment) => {
+    const withSegment = variants.map((variant) => [...variant, segment]);
+    return segment.optional ? [...variants, ...withSegment] : withSegment;
+  }, [[]]);
+}
+
+export class RouteTrie {
+  constructor() {
+    this.root = createNode();
+    this.keys = new Set();
+  }
+
+  /**
+   * Number of distinct (method, pattern) pairs registered
+   * @returns {number}
+   */
+  get size() {
+    return this.keys.size;
+  }
+
+  /**
+   * Register a handler; registering the same method and pattern again replaces it
+   * @param {string} method - HTTP method (upper case)
+   * @param {string} pattern - Route pattern
+   * @param {*} handler - Handler stored for the route
+   */
+  add(method, pattern, handler) {
+    const segments = parseRoutePattern(pattern);
+
+    expandOptional(segments).forEach((variant) => {
+      let node = this.root;
+      variant.forEach((segment) => {
+        node = this._child(node, segment);
+      });
+      node.handlers.set(method, { handler, pattern });
+    });
+
+    this.keys.add(`${method} ${pattern}`);
+  }
+
+  /**
+   * Find the handler for a method and path
+   * @param {string} method - HTTP method (upper case)
+   * @param {string} path - Request path
+   * @returns {Object|null} { handler, pattern, params } or null
+   */
+  match(method, path) {
+    let result = null;
+    this._search(this.root, String(path).split('/'), 0, {}, (node, params) => {
+      const route = node.handlers.get(method);
+      if (!route) return false;
+      result = { handler: route.handler, pattern: route.pattern, params };
+      return true;
+    });
+    return result;
+  }
+
+  /**
+   * Methods registered for any route matching the path
+   * @param {string} path - Request path
+   * @returns {string[]} Methods, in registration order
+   */
+  allowedMethods(path) {
+    const methods = new Set();
+    this._search(this.root, String(path).split('/'), 0, {}, (node) => {
+      node.handlers.forEach((route, method) => methods.add(method));
+      return false;
+    });
+    return [...methods];
+  }
+
+  /**
+   * Get or create the child node for a segment
+   * @private
+   */
+  _child(node, segment) {
+    if (segment.type === 'static') {
+      if (!node.static.has(segment.value)) {
+        node.static.set(segment.value, createNode());
+      }
+      return node.static.get(segment.value);
+    }
+
+    if (segment.type === 'wildcard') {
+      // One wildcard per position; the most recent registration names it
+      node.wildcard = { name: segment.name, node: node.wildcard?.node || createNode() };
+      return node.wildcard.node;
+    }
+
+    let param = node.params.find((entry) => entry.name === segment.name && entry.source === segment.source);
+    if (!param) {
+      param = { name: segment.name, source: segment.source, regex: segment.regex, node: createNode() };
+      // Constrained parameters are tried before unconstrained ones
+      const firstUnconstrained = node.params.findIndex((entry) => !entry.regex);
+      if (param.regex && firstUnconstrained !== -1) {
+        node.params.splice(firstUnconstrained, 0, param);
+      } else {
+        node.params.push(param);
+      }
+    }
+    return param.node;
+  }
+
+  /**
+   * Depth-first search in precedence order; `visit` returns true to stop
+   * @private
+   */
+  _search(node, parts, index, params, visit) {
+    if (index === parts.length) {
+      return node.handlers.size > 0 && visit(node, params);
+    }
+
+    const part = parts[index];
+
+    const staticChild = node.static.get(part);
+    if (staticChild && this._search(staticChild, parts, index + 1, params, visit)) {
+      return true;
+    }
+
+    for (const param of node.params) {
+      if (param.regex && !param.regex.test(part)) continue;
+      if (this._search(param.node, parts, index + 1, { ...params, [param.name]: part }, visit)) {
+        return true;
+      }
+    }
+
+    if (node.wildcard && node.wildcard.node.handlers.size > 0) {
+      const rest = { ...params, [node.wildcard.name]: parts.slice(index).join('/') };
+      return visit(node.wildcard.node, rest);
+    }
+
+    return false;
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Conditional Requests (RFC 9110 §13, §14)
+ * ETag generation and evaluation of If-Match / If-None-Match /
+ * If-Modified-Since / If-Unmodified-Since, plus Range / If-Range parsing,
+ * shared by GenericRouteHandler and serveFile()
+ *
+ * @example
+ * const etag = await generateETag(JSON.stringify(data));
+ * const status = evaluatePreconditions(request, { etag });
+ * if (status === 304) return notModifiedResponse({ ETag: etag });
+ * if (status === 412) throw new PreconditionFailedError();
+ */
+
+// Headers a 304 must repeat from the 200 it stands for (RFC 9110 §15.4.5)
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary'];
+
+/**
+ * Entity tag for a representation: a SHA-256 digest of its bytes
+ * @param {string|ArrayBuffer|Uint8Array} body - Representation
+ * @param {Object} [options]
+ * @param {boolean} [options.weak=false] - Return a weak tag (`W/"..."`)
+ * @returns {Promise<string>} Quoted entity tag
+ */
+export async function generateETag(body, options = {}) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const tag = `"${Array.from(digest.subarray(0, 16), byte => byte.toString(16).padStart(2, '0')).join('')}"`;
+  return options.weak ? `W/${tag}` : tag;
+}
+
+/**
+ * Split an If-Match / If-None-Match value into entity tags
+ * @param {string|null} header - Header value
+ * @returns {Array<string>} Tags (`['*']` for a wildcard)
+ */
+export function parseETags(header) {
+  if (!header) return [];
+  if (header.trim() === '*') return ['*'];
+  return header.match(/(?:W\/)?"[^"]*"/g) || [];
+}
+
+/**
+ * Compare an entity tag against an If-Match / If-None-Match value
+ * @param {string|null} header - Header value
+ * @param {string} etag - Current entity tag
+ * @param {Object} [options]
+ * @param {boolean} [options.weak=false] - Weak comparison (ignore `W/`); strong comparison never matches weak tags
+ * @returns {boolean}
+ */
+export function etagMatches(header, etag, options = {}) {
+  const tags = parseETags(header);
+  if (tags.includes('*')) return Boolean(etag);
+  if (!etag) return false;
+
+  if (options.weak) {
+    const opaque = stripWeak(etag);
+    return tags.some(tag => stripWeak(tag) === opaque);
+  }
+  return !etag.startsWith('W/') && tags.includes(etag);
+}
+
+/**
+ * Evaluate a request's preconditions in the order RFC 9110 §13.2.2 prescribes
+ * @param {Request} request - Incoming request
+ * @param {Object} validators - The current representation's validators
+ * @param {string} [validators.etag] - Entity tag
+ * @param {Date|string|number} [validators.lastModified] - Last modification time
+ * @param {boolean} [validators.weakIfMatch=false] - Compare If-Match weakly, e.g. when a
+ *   proxy may have weakened the tag the client saw
+ * @returns {304|412|null} Status to answer with, or null to proceed
+ */
+export function evaluatePreconditions(request, validators = {}) {
+  const { etag, weakIfMatch = false } = validators;
+  const lastModified = toSeconds(validators.lastModified);
+  const headers = request.headers;
+  const safe = request.method === 'GET' || request.method === 'HEAD';
+
+  const ifMatch = headers.get('If-Match');
+  if (ifMatch !== null) {
+    if (!etagMatches(ifMatch, etag, { weak: weakIfMatch })) return 412;
+  } else {
+    const since = toSeconds(headers.get('If-Unmodified-Since'));
+    if (since !== null && lastModified !== null && lastModified > since) return 412;
+  }
+
+  const ifNoneMatch = headers.get('If-None-Match');
+  if (ifNoneMatch !== null) {
+    if (etagMatches(ifNoneMatch, etag, { weak: true })) return safe ? 304 : 412;
+  } else if (safe) {
+    const since = toSeconds(headers.get('If-Modified-Since'));
+    if (since !== null && lastModified !== null && lastModified <= since) return 304;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a Range header should be honored: true without If-Range, or when
+ * If-Range names the current representation (strong ETag, or exactly its
+ * Last-Modified date)
+ * @param {Request} request - Incoming request
+ * @param {Object} validators - { etag, lastModified } of the current representation
+ * @returns {boolean}
+ */
+export function evaluateIfRange(request, validators = {}) {
+  const ifRange = request.headers.get('If-Range');
+  if (ifRange === null) return true;
+
+  if (/^(W\/)?"/.test(ifRange.trim())) {
+    return etagMatches(ifRange.trim(), validators.etag);
+  }
+  const since = toSeconds(ifRange);
+  const lastModified = toSeconds(validators.lastModified);
+  return since !== null && since === lastModified;
+}
+
+/**
+ * Parse a `bytes=` Range header against a representation's length
+ *
+ * Open-ended (`500-`) and suffix (`-500`) ranges are resolved to absolute
+ * offsets; ranges past the end are clamped. Overlapping and adjacent ranges
+ * are merged and returned in ascending order, and a header asking for more
+ * bytes in total than the representation has is ignored, so no byte is sent twice.
+ * @param {string|null} header - Range header value
+ * @param {number} size - Representation length in bytes
+ * @param {Object} [options]
+ * @param {number} [options.maxRanges=16] - Ignore headers asking for more ranges than this
+ * @returns {Array<{ start: number, end: number }>|null} Inclusive ranges; an empty
+ *   array when none is satisfiable (answer 416), null when the header should be ignored
+ */
+export function parseRange(header, size, options = {}) {
+  const maxRanges = options.maxRanges || 16;
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > maxRanges) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = Number(parts[2]);
+      if (length > 0 && size > 0) ranges.push({ start: Math.max(0, size - length), end: size - 1 });
+      continue;
+    }
+
+    const start = Number(parts[1]);
+    const end = parts[2] === '' ? Infinity : Number(parts[2]);
+    if (end < start) return null;
+    if (start < size) ranges.push({ start, end: Math.min(end, size - 1) });
+  }
+
+  const requested = ranges.reduce((total, { start, end }) => total + end - start + 1, 0);
+  if (requested > size) return null;
+  return mergeRanges(ranges);
+}
+
+/**
+ * Build a 304 response carrying the validators and caching headers of the full response
+ * @param {Headers|Object} headers - Headers the 200 response would have had
+ * @returns {Response}
+ */
+export function notModifiedResponse(headers) {
+  const kept = new Headers();
+  for (const [name, value] of new Headers(headers)) {
+    if (NOT_MODIFIED_HEADERS.includes(name)) kept.set(name, value);
+  }
+  return new Response(null, { status: 304, headers: kept });
+}
+
+/**
+ * Sort ranges and coalesce the ones that overlap or touch
+ * @private
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * @private
+ */
+function stripWeak(tag) {
+  return tag.startsWith('W/') ? tag.slice(2) : tag;
+}
+
+/**
+ * HTTP dates have one-second precision; null for missing or invalid values
+ * @private
+ */
+function toSeconds(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
@@ -0,0 +1,133 @@
+/**
+ * JSON Schema Conversion
+ * Describes SchemaManager models as JSON Schema (draft 2020-12, the dialect
+ * used by OpenAPI 3.1), mirroring the checks SchemaManager.validateData applies.
+ */
+
+/**
+ * Column type (or text `format`) → JSON Schema fragment
+ */
+const TYPE_SCHEMAS = {
+  text: { type: 'string' },
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  int: { type: 'integer' },
+  real: { type: 'number' },
+  number: { type: 'number' },
+  float: { type: 'number' },
+  boolean: { type: 'boolean' },
+  bool: { type: 'boolean' },
+  json: {},
+  datetime: { type: 'string', format: 'date-time' },
+  timestamp: { type: 'string', format: 'date-time' },
+  date: { type: 'string', format: 'date' },
+  uuid: { type: 'string', format: 'uuid' },
+  email: { type: 'string', format: 'email' },
+  url: { type: 'string', format: 'uri' },
+  blob: { type: 'string', contentEncoding: 'base64' }
+};
+
+/**
+ * Columns the framework fills in; they are read-only for API clients
+ */
+const MANAGED_COLUMNS = ['created_at', 'updated_at', 'deleted_at', 'created_by', 'updated_by'];
+
+/**
+ * Convert one column definition to JSON Schema
+ * @param {Object} column - Column config ({ type, format, values, min, max, minLength, maxLength, pattern, default, description })
+ * @param {Object} [options]
+ * @param {boolean} [options.nullable=false] - Also accept null
+ * @returns {Object} JSON Schema
+ */
+export function columnToJsonSchema(column = {}, options = {}) {
+  let schema;
+  if (column.type === 'enum') {
+    const values = column.values || column.enum || [];
+    schema = { enum: [...values] };
+    const types = [...new Set(values.map(value => (Number.isInteger(value) ? 'integer' : typeof value)))];
+    if (types.length === 1 && ['string', 'integer', 'number', 'boolean'].includes(types[0])) {
+      schema.type = types[0];
+    }
+  } else {
+    schema = { ...(TYPE_SCHEMAS[column.type] || { type: 'string' }) };
+  }
+
+  if (column.format && TYPE_SCHEMAS[column.format]?.format) {
+    schema.format = TYPE_SCHEMAS[column.format].format;
+  }
+  if (column.minLength !== undefined) schema.minLength = column.minLength;
+  if (column.maxLength !== undefined) schema.maxLength = column.maxLength;
+  if ((column.min ?? column.minimum) !== undefined) schema.minimum = column.min ?? column.minimum;
+  if ((column.max ?? column.maximum) !== undefined) schema.maximum = column.max ?? column.maximum;
+  if (column.pattern) schema.pattern = column.pattern instanceof RegExp ? column.pattern.source : column.pattern;
+  if (column.default !== undefined && typeof column.default !== 'function') schema.default = column.default;
+  if (column.description) schema.description = column.description;
+
+  if (options.nullable) {
+    if (typeof schema.type === 'string') {
+      schema.type = [schema.type, 'null'];
+    } else if (schema.enum) {
+      schema.enum.push(null);
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a registered model to JSON Schema
+ *
+ * Columns hidden by the model's `access` policy are left out; its read-only
+ * and non-writable columns only appear in read mode.
+ *
+ * Modes:
+ *   read    every column; optional columns are nullable
+ *   create  writable columns; `validation.required` / `required` columns are required
+ *   update  writable columns, none required except `version` on versioned models
+ * @param {Object} model - Model from SchemaManager.getModel()
+ * @param {Object} [options]
+ * @param {string} [options.mode='read'] - 'read' | 'create' | 'update'
+ * @returns {Object} JSON Schema object
+ */
+export function modelToJsonSchema(model, options = {}) {
+  const mode = options.mode || 'read';
+  const requiredFields = new Set(model.validation?.required || []);
+  const access = model.access || {};
+  const writable = Array.isArray(access.writable) ? access.writable : access.writable?.[mode];
+  const properties = {};
+  const required = [];
+
+  for (const [name, column] of Object.entries(model.columns || {})) {
+    if ((access.hidden || []).includes(name)) continue;
+    const managed = MANAGED_COLUMNS.includes(name) || (name === 'version' && model.version);
+    const readOnly = managed || (access.readOnly || []).includes(name);
+    const isRequired = requiredFields.has(name) || column.required || column.notNull || column.nullable === false;
+
+    if (mode === 'read') {
+      const schema = columnToJsonSchema(column, { nullable: !isRequired && !column.primaryKey });
+      if (readOnly) schema.readOnly = true;
+      properties[name] = schema;
+      required.push(name);
+      continue;
+    }
+
+    if (name === 'version' && model.version) {
+      if (mode === 'update') {
+        properties.version = { type: 'integer', description: 'Version that was read; a stale version is rejected with 409' };
+        required.push('version');
+      }
+      continue;
+    }
+    if (readOnly || (column.primaryKey && column.autoIncrement) || (writable && !writable.includes(name))) continue;
+
+    properties[name] = columnToJsonSchema(column, { nullable: !isRequired && !column.primaryKey });
+    if (mode === 'create' && isRequired && !column.primaryKey && column.default === undefined) {
+      required.push(name);
+    }
+  }
+
+  const schema = { type: 'object', properties };
+  if (required.length > 0) schema.required = required;
+  if (model.description) schema.description = model.description;
+  return schema;
+}
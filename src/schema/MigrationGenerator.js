@@ -0,0 +1,329 @@
+import { schemaManager as defaultSchemaManager } from './SchemaManager.js';
+import {
+  normalizeModel,
+  buildColumnSQL,
+  buildCreateTableSQL,
+  buildCreateIndexSQL
+} from './SchemaDDL.js';
+
+/**
+ * Schema Migration Generator
+ * Emits D1 DDL from registered SchemaManager models and diffs two schema
+ * snapshots into a numbered, wrangler-compatible migration file.
+ *
+ * @example
+ * import { MigrationGenerator } from '@tamyla/clodo-framework/schema/migrations';
+ *
+ * const generator = new MigrationGenerator();
+ * const migration = generator.generateMigration(previousSnapshot, {
+ *   name: 'add user status',
+ *   existing: ['0001_initial.sql'],
+ *   renames: { columns: { users: { fullname: 'name' } } }
+ * });
+ * // migration.filename === '0002_add_user_status.sql'
+ * // persist migration.snapshot for the next diff
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+export class MigrationGenerator {
+  /**
+   * @param {Object} [options]
+   * @param {SchemaManager} [options.schemaManager] - Source of model definitions (default: shared instance)
+   * @param {boolean} [options.allowDestructive=false] - Emit DROP TABLE / DROP COLUMN instead of commenting them out
+   */
+  constructor(options = {}) {
+    this.schemaManager = options.schemaManager || defaultSchemaManager;
+    this.allowDestructive = options.allowDestructive || false;
+  }
+
+  /**
+   * Capture the current models as a JSON-serializable snapshot
+   * @param {string[]} [modelNames] - Restrict to these models (default: all registered)
+   * @returns {Object} Schema snapshot
+   */
+  createSnapshot(modelNames = null) {
+    const models = this.schemaManager.getAllModels();
+    const names = modelNames || [...models.keys()];
+    const tables = {};
+
+    names.forEach((modelName) => {
+      const model = this.schemaManager.getModel(modelName);
+      if (!model) {
+        throw new Error(`Model '${modelName}' not found`);
+      }
+      const table = normalizeModel(model, (name) => this.schemaManager.getModel(name));
+      tables[table.tableName] = table;
+    });
+
+    return { version: SNAPSHOT_VERSION, tables };
+  }
+
+  /**
+   * Generate the full DDL (tables, then indexes) for the current models
+   * @param {string[]} [modelNames] - Restrict to these models
+   * @returns {string} SQL script
+   */
+  generateDDL(modelNames = null) {
+    const { tables } = this.createSnapshot(modelNames);
+    const statements = [];
+
+    Object.values(tables).forEach((table) => statements.push(buildCreateTableSQL(table)));
+    Object.values(tables).forEach((table) => {
+      table.indexes.forEach((index) => statements.push(buildCreateIndexSQL(table.tableName, index)));
+    });
+
+    return statements.join('\n\n') + '\n';
+  }
+
+  /**
+   * Diff two snapshots into ordered DDL statements
+   * @param {Object|null} previous - Previous snapshot (null for an empty database)
+   * @param {Object} [next] - Target snapshot (default: current models)
+   * @param {Object} [renames] - Explicit rename hints
+   * @param {Object} [renames.tables] - { oldTable: 'newTable' }
+   * @param {Object} [renames.columns] - { table: { oldColumn: 'newColumn' } } keyed by the new table name
+   * @returns {Object} { statements, changes, warnings }
+   */
+  diff(previous, next = this.createSnapshot(), renames = {}) {
+    const prevTables = this._assertSnapshot(previous || { version: SNAPSHOT_VERSION, tables: {} }).tables;
+    const nextTables = this._assertSnapshot(next).tables;
+    const tableRenames = renames.tables || {};
+    const columnRenames = renames.columns || {};
+
+    const phases = {
+      renameTables: [],
+      createTables: [],
+      renameColumns: [],
+      addColumns: [],
+      dropIndexes: [],
+      createIndexes: [],
+      dropColumns: [],
+      dropTables: []
+    };
+    const changes = [];
+    const warnings = [];
+    const matchedPrevious = new Set();
+
+    Object.entries(tableRenames).forEach(([from, to]) => {
+      if (!prevTables[from]) {
+        throw new Error(`Rename hint refers to unknown table '${from}'`);
+      }
+      if (!nextTables[to]) {
+        throw new Error(`Rename hint targets unknown table '${to}'`);
+      }
+    });
+
+    Object.values(nextTables).forEach((table) => {
+      const previousName = Object.keys(tableRenames).find((from) => tableRenames[from] === table.tableName)
+        || table.tableName;
+      const prevTable = prevTables[previousName];
+
+      if (!prevTable) {
+        phases.createTables.push(buildCreateTableSQL(table));
+        table.indexes.forEach((index) => phases.createIndexes.push(buildCreateIndexSQL(table.tableName, index)));
+        changes.push({ type: 'createTable', table: table.tableName });
+        return;
+      }
+
+      matchedPrevious.add(previousName);
+      if (previousName !== table.tableName) {
+        phases.renameTables.push(`ALTER TABLE ${previousName} RENAME TO ${table.tableName};`);
+        changes.push({ type: 'renameTable', from: previousName, to: table.tableName });
+      }
+
+      this._diffColumns(prevTable, table, columnRenames[table.tableName] || {}, phases, changes, warnings);
+      this._diffIndexes(prevTable, table, phases, changes);
+    });
+
+    Object.keys(prevTables).forEach((tableName) => {
+      if (matchedPrevious.has(tableName)) return;
+      phases.dropTables.push(this._destructive(`DROP TABLE IF EXISTS ${tableName};`));
+      changes.push({ type: 'dropTable', table: tableName });
+      if (!this.allowDestructive) {
+        warnings.push(`Table '${tableName}' was removed; DROP TABLE left commented out`);
+      }
+    });
+
+    return {
+      statements: Object.values(phases).flat(),
+      changes,
+      warnings
+    };
+  }
+
+  /**
+   * Build a numbered migration file from the difference between a previous snapshot and the current models
+   * @param {Object|null} previous - Previous snapshot (null for the initial migration)
+   * @param {Object} [options]
+   * @param {string} [options.name='schema_update'] - Human-readable migration name
+   * @param {number} [options.number] - Explicit migration number
+   * @param {string[]} [options.existing=[]] - Existing migration filenames, used to pick the next number
+   * @param {Object} [options.renames] - Rename hints (see diff())
+   * @param {string[]} [options.models] - Restrict to these models
+   * @returns {Object} { number, filename, sql, snapshot, changes, warnings, empty }
+   */
+  generateMigration(previous, options = {}) {
+    const snapshot = this.createSnapshot(options.models || null);
+    const { statements, changes, warnings } = this.diff(previous, snapshot, options.renames || {});
+    const number = options.number || nextMigrationNumber(options.existing || []);
+    const name = options.name || (previous ? 'schema_update' : 'initial_schema');
+    const filename = formatMigrationFilename(number, name);
+
+    const header = [
+      `-- Migration ${String(number).padStart(4, '0')}: ${name}`,
+      '-- Generated by Clodo MigrationGenerator from registered schema models',
+      ...warnings.map((warning) => `-- WARNING: ${warning}`)
+    ];
+
+    return {
+      number,
+      filename,
+      sql: `${header.join('\n')}\n\n${statements.join('\n\n')}\n`,
+      snapshot,
+      changes,
+      warnings,
+      empty: statements.length === 0
+    };
+  }
+
+  /**
+   * Diff the columns of a table present in both snapshots
+   * @private
+   */
+  _diffColumns(prevTable, table, renames, phases, changes, warnings) {
+    const tableName = table.tableName;
+    const prevColumns = { ...prevTable.columns };
+
+    Object.entries(renames).forEach(([from, to]) => {
+      if (!prevColumns[from]) {
+        throw new Error(`Rename hint refers to unknown column '${tableName}.${from}'`);
+      }
+      if (!table.columns[to]) {
+        throw new Error(`Rename hint targets unknown column '${tableName}.${to}'`);
+      }
+      phases.renameColumns.push(`ALTER TABLE ${tableName} RENAME COLUMN ${from} TO ${to};`);
+      changes.push({ type: 'renameColumn', table: tableName, from, to });
+      prevColumns[to] = prevColumns[from];
+      delete prevColumns[from];
+    });
+
+    Object.entries(table.columns).forEach(([columnName, column]) => {
+      const prevColumn = prevColumns[columnName];
+
+      if (!prevColumn) {
+        if (column.primaryKey) {
+          throw new Error(`Cannot add primary key column '${tableName}.${columnName}' to an existing table`);
+        }
+        if (column.notNull && column.default == null) {
+          warnings.push(`Column '${tableName}.${columnName}' is NOT NULL without a default; added as nullable`);
+        }
+        phases.addColumns.push(
+          `ALTER TABLE ${tableName} ADD COLUMN ${buildColumnSQL(columnName, column, { forAlter: true })};`
+        );
+        // SQLite cannot add a UNIQUE column, so enforce it with an index instead
+        if (column.unique) {
+          phases.createIndexes.push(buildCreateIndexSQL(tableName, {
+            name: `uidx_${tableName}_${columnName}`,
+            columns: [columnName],
+            unique: true
+          }));
+        }
+        changes.push({ type: 'addColumn', table: tableName, column: columnName });
+        return;
+      }
+
+      if (JSON.stringify(prevColumn) !== JSON.stringify(column)) {
+        warnings.push(`Column '${tableName}.${columnName}' changed definition; SQLite requires a manual table rebuild`);
+        changes.push({ type: 'alterColumn', table: tableName, column: columnName, from: prevColumn, to: column });
+      }
+    });
+
+    Object.keys(prevColumns).forEach((columnName) => {
+      if (table.columns[columnName]) return;
+      phases.dropColumns.push(this._destructive(`ALTER TABLE ${tableName} DROP COLUMN ${columnName};`));
+      changes.push({ type: 'dropColumn', table: tableName, column: columnName });
+      if (!this.allowDestructive) {
+        warnings.push(`Column '${tableName}.${columnName}' was removed; DROP COLUMN left commented out`);
+      }
+    });
+  }
+
+  /**
+   * Diff indexes by name; a changed definition is dropped and recreated
+   * @private
+   */
+  _diffIndexes(prevTable, table, phases, changes) {
+    const prevIndexes = new Map(prevTable.indexes.map((index) => [index.name, index]));
+    const nextIndexes = new Map(table.indexes.map((index) => [index.name, index]));
+
+    prevIndexes.forEach((index, name) => {
+      const replacement = nextIndexes.get(name);
+      if (!replacement || JSON.stringify(replacement) !== JSON.stringify(index)) {
+        phases.dropIndexes.push(`DROP INDEX IF EXISTS ${name};`);
+        if (!replacement) changes.push({ type: 'dropIndex', table: table.tableName, index: name });
+      }
+    });
+
+    nextIndexes.forEach((index, name) => {
+      const existing = prevIndexes.get(name);
+      if (existing && JSON.stringify(existing) === JSON.stringify(index)) return;
+      phases.createIndexes.push(buildCreateIndexSQL(table.tableName, index));
+      changes.push({ type: existing ? 'alterIndex' : 'createIndex', table: table.tableName, index: name });
+    });
+  }
+
+  /**
+   * Comment out a destructive statement unless explicitly allowed
+   * @private
+   */
+  _destructive(statement) {
+    return this.allowDestructive ? statement : `-- ${statement}`;
+  }
+
+  /**
+   * @private
+   */
+  _assertSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot.tables !== 'object') {
+      throw new Error('Invalid schema snapshot: missing tables');
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported schema snapshot version: ${snapshot.version}`);
+    }
+    return snapshot;
+  }
+}
+
+/**
+ * Determine the next migration number from existing wrangler migration filenames
+ * @param {string[]} existing - Filenames such as '0001_initial.sql'
+ * @returns {number} Next migration number
+ */
+export function nextMigrationNumber(existing = []) {
+  const numbers = existing
+    .map((file) => /^(\d+)_/.exec(file.split(/[\\/]/).pop()))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+  return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+}
+
+/**
+ * Format a wrangler-compatible migration filename
+ * @param {number} number - Migration number
+ * @param {string} name - Human-readable name
+ * @returns {string} e.g. '0003_add_user_status.sql'
+ */
+export function formatMigrationFilename(number, name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'migration';
+  return `${String(number).padStart(4, '0')}_${slug}.sql`;
+}
+
+/**
+ * Create a migration generator
+ * @param {Object} [options] - Generator options
+ * @returns {MigrationGenerator} Generator instance
+ */
+export function createMigrationGenerator(options = {}) {
+  return new MigrationGenerator(options);
+}
@@ -0,0 +1,332 @@
+/**
+ * Query Filter Grammar
+ * Compiles filter objects into parameterized SQL WHERE clauses.
+ *
+ * Every field is checked against the model's declared columns and every
+ * operator against a fixed whitelist, so only bound parameters ever carry
+ * caller-supplied values.
+ *
+ * @example
+ * buildWhereClause(schema, {
+ *   age: { gte: 18 },
+ *   status: { in: ['active', 'trial'] },
+ *   $or: [{ role: 'admin' }, { score: { between: [50, 100] } }]
+ * });
+ * // → { clause: 'age >= ? AND status IN (?, ?) AND ((role = ?) OR (score BETWEEN ? AND ?))', params: [...] }
+ */
+
+import { canonicalType } from './SchemaDDL.js';
+
+/**
+ * Supported operators; $-prefixed spellings ($gt, $like, ...) are accepted as aliases
+ */
+export const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'like', 'isNull', 'between'];
+
+const COMPARISON_SQL = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE' };
+const LOGICAL_KEYS = { $or: 'OR', $and: 'AND' };
+const MAX_LIST_SIZE = 100;
+
+/**
+ * Query string keys that are never treated as filters
+ */
+export const RESERVED_QUERY_KEYS = ['page', 'limit', 'offset', 'cursor', 'sort', 'orderBy', 'include', 'fields', 'count'];
+
+/**
+ * Error raised for filters that reference unknown columns or operators
+ */
+export class FilterError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [field] - Offending field
+   */
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'FilterError';
+    this.code = 'INVALID_FILTER';
+    this.status = 400;
+    this.field = field;
+  }
+}
+
+/**
+ * Compile a filter object into a WHERE clause (without the WHERE keyword)
+ * @param {Object} schema - Registered model schema
+ * @param {Object} filter - Filter object
+ * @returns {Object} { clause, params } — clause is '' for an empty filter
+ */
+export function buildWhereClause(schema, filter = {}) {
+  const params = [];
+  const clause = compileGroup(schema, filter, params, 'AND');
+  return { clause, params };
+}
+
+/**
+ * Parse URL query parameters into a filter object
+ *
+ * Supported forms:
+ *   ?status=active                 equality
+ *   ?age[gte]=18                   operator
+ *   ?status[in]=a,b                list operators (in, notIn, between) split on commas
+ *   ?deleted_at[isNull]=true       null checks
+ *   ?or[0][status]=a&or[1][age][lt]=18   OR group; each index is one alternative
+ *
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {Object} [options]
+ * @param {string[]} [options.reserved] - Keys to ignore (default: RESERVED_QUERY_KEYS)
+ * @returns {Object} Filter object
+ */
+export function parseFilterQuery(searchParams, options = {}) {
+  const reserved = new Set(options.reserved || RESERVED_QUERY_KEYS);
+  const filter = {};
+  const alternatives = new Map();
+
+  for (const [key, rawValue] of searchParams.entries()) {
+    const match = /^([A-Za-z_][A-Za-z0-9_]*)((?:\[[^\]]*\])*)$/.exec(key);
+    if (!match) {
+      throw new FilterError(`Invalid filter parameter '${key}'`, key);
+    }
+
+    const [, base, bracketPart] = match;
+    const path = [...bracketPart.matchAll(/\[([^\]]*)\]/g)].map(m => m[1]);
+    if (path.length === 0 && reserved.has(base)) continue;
+
+    if (base === 'or') {
+      const [rawIndex, field, operator] = path;
+      if (!/^\d+$/.test(rawIndex || '') || !field) {
+        throw new FilterError(`Invalid OR filter parameter '${key}'`, key);
+      }
+      // Group indexes only order the alternatives; keep them as digit strings
+      // so a huge index costs nothing
+      const index = rawIndex.replace(/^0+(?=\d)/, '');
+      if (!alternatives.has(index)) {
+        if (alternatives.size >= MAX_LIST_SIZE) {
+          throw new FilterError(`OR filters accept at most ${MAX_LIST_SIZE} alternatives`, 'or');
+        }
+        alternatives.set(index, {});
+      }
+      assignCondition(alternatives.get(index), field, operator, rawValue);
+      continue;
+    }
+
+    if (path.length > 1) {
+      throw new FilterError(`Invalid filter parameter '${key}'`, key);
+    }
+    assignCondition(filter, base, path[0], rawValue);
+  }
+
+  if (alternatives.size > 0) {
+    filter.$or = [...alternatives.entries()]
+      .sort(([a], [b]) => (a.length - b.length) || (a < b ? -1 : a > b ? 1 : 0))
+      .map(([, group]) => group);
+  }
+
+  return filter;
+}
+
+/**
+ * Column names a filter object references, including those inside $or / $and
+ * @param {Object} filter - Filter object
+ * @returns {Array<string>} Field names
+ */
+export function filterFields(filter) {
+  const fields = new Set();
+  const visit = (group) => {
+    if (group === null || typeof group !== 'object' || Array.isArray(group)) return;
+    for (const [key, value] of Object.entries(group)) {
+      if (LOGICAL_KEYS[key]) {
+        if (Array.isArray(value)) value.forEach(visit);
+      } else if (value !== undefined) {
+        fields.add(key);
+      }
+    }
+  };
+  visit(filter);
+  return [...fields];
+}
+
+/**
+ * Merge one query-string condition into a filter object
+ * @private
+ */
+function assignCondition(target, field, operator, rawValue) {
+  if (!operator) {
+    target[field] = rawValue;
+    return;
+  }
+
+  const op = normalizeOperator(operator, field);
+  let value = rawValue;
+  if (op === 'in' || op === 'notIn' || op === 'between') {
+    value = rawValue === '' ? [] : rawValue.split(',');
+  } else if (op === 'isNull') {
+    value = !['false', '0'].includes(rawValue.toLowerCase());
+  }
+
+  const existing = target[field];
+  target[field] = existing && typeof existing === 'object' && !Array.isArray(existing)
+    ? { ...existing, [op]: value }
+    : { [op]: value };
+}
+
+/**
+ * Compile a group of conditions joined by AND/OR
+ * @private
+ */
+function compileGroup(schema, filter, params, joiner) {
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new FilterError('Filter must be an object');
+  }
+
+  const parts = [];
+
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value === undefined) return;
+
+    if (LOGICAL_KEYS[key]) {
+      if (!Array.isArray(value)) {
+        throw new FilterError(`'${key}' expects an array of filters`, key);
+      }
+      const nested = value
+        .map(group => compileGroup(schema, group, params, 'AND'))
+        .filter(Boolean)
+        .map(sql => `(${sql})`);
+      if (nested.length > 0) {
+        parts.push(nested.length === 1 ? nested[0] : `(${nested.join(` ${LOGICAL_KEYS[key]} `)})`);
+      }
+      return;
+    }
+
+    const column = resolveColumn(schema, key);
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.entries(value).forEach(([operator, operand]) => {
+        if (operand === undefined) return;
+        parts.push(compileCondition(key, column, normalizeOperator(operator, key), operand, params));
+      });
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      parts.push(compileCondition(key, column, 'in', value, params));
+    } else if (value === null) {
+      parts.push(compileCondition(key, column, 'isNull', true, params));
+    } else {
+      parts.push(compileCondition(key, column, 'eq', value, params));
+    }
+  });
+
+  return parts.join(` ${joiner} `);
+}
+
+/**
+ * Compile a single field/operator/operand triple
+ * @private
+ */
+function compileCondition(field, column, operator, operand, params) {
+  switch (operator) {
+    case 'in':
+    case 'notIn': {
+      const list = toList(field, operator, operand);
+      if (list.length === 0) {
+        // An empty IN matches nothing; an empty NOT IN matches everything
+        return operator === 'in' ? '1 = 0' : '1 = 1';
+      }
+      params.push(...list.map(item => coerceValue(field, column, item)));
+      return `${field} ${operator === 'in' ? 'IN' : 'NOT IN'} (${list.map(() => '?').join(', ')})`;
+    }
+
+    case 'between': {
+      const range = toList(field, operator, operand);
+      if (range.length !== 2) {
+        throw new FilterError(`'between' on '${field}' expects exactly two values`, field);
+      }
+      params.push(coerceValue(field, column, range[0]), coerceValue(field, column, range[1]));
+      return `${field} BETWEEN ? AND ?`;
+    }
+
+    case 'isNull':
+      return operand === false || operand === 'false'
+        ? `${field} IS NOT NULL`
+        : `${field} IS NULL`;
+
+    case 'eq':
+    case 'ne':
+      if (operand === null) {
+        return `${field} ${operator === 'eq' ? 'IS NULL' : 'IS NOT NULL'}`;
+      }
+      params.push(coerceValue(field, column, operand));
+      return `${field} ${COMPARISON_SQL[operator]} ?`;
+
+    case 'like':
+      params.push(String(operand));
+      return `${field} LIKE ?`;
+
+    default:
+      params.push(coerceValue(field, column, operand));
+      return `${field} ${COMPARISON_SQL[operator]} ?`;
+  }
+}
+
+/**
+ * Look up a declared column, rejecting anything the model does not define
+ * @private
+ */
+function resolveColumn(schema, field) {
+  const column = schema.columns?.[field];
+  if (!column || !Object.prototype.hasOwnProperty.call(schema.columns, field)) {
+    throw new FilterError(`Unknown filter field '${field}' for model '${schema.name}'`, field);
+  }
+  return column;
+}
+
+/**
+ * Map an operator (or its $-prefixed alias) onto the whitelist
+ * @private
+ */
+function normalizeOperator(operator, field) {
+  const op = operator.startsWith('$') ? operator.slice(1) : operator;
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new FilterError(`Unsupported filter operator '${operator}' on '${field}'`, field);
+  }
+  return op;
+}
+
+/**
+ * @private
+ */
+function toList(field, operator, operand) {
+  const list = Array.isArray(operand)
+    ? operand
+    : (typeof operand === 'string' ? operand.split(',') : [operand]);
+  if (list.length > MAX_LIST_SIZE) {
+    throw new FilterError(`'${operator}' on '${field}' accepts at most ${MAX_LIST_SIZE} values`, field);
+  }
+  return list;
+}
+
+/**
+ * Convert operands (typically query-string text) to the form the column is
+ * stored in, as SchemaManager.serializeRecord() does for writes: numbers for
+ * integer/real columns and 0/1 for booleans
+ * @private
+ */
+function coerceValue(field, column, value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value !== 'string') return value;
+
+  const type = canonicalType(String(column.type || '').toLowerCase());
+  if (type === 'integer' || type === 'real') {
+    const numeric = Number(value);
+    if (value.trim() === '' || Number.isNaN(numeric) || (type === 'integer' && !Number.isInteger(numeric))) {
+      throw new FilterError(`Invalid ${type} value for '${field}': '${value}'`, field);
+    }
+    return numeric;
+  }
+  if (type === 'boolean') {
+    if (value === 'true' || value === '1') return 1;
+    if (value === 'false' || value === '0') return 0;
+    throw new FilterError(`Invalid boolean value for '${field}': '${value}'`, field);
+  }
+  return value;
+}
@@ -0,0 +1,237 @@
+/**
+ * Schema DDL Builder
+ * Turns SchemaManager model definitions into D1 (SQLite) compatible DDL.
+ *
+ * Models are first normalized into a plain, JSON-serializable table
+ * definition. The same shape is stored in migration snapshots, so a model
+ * registered today can be diffed against the snapshot written last release.
+ */
+
+/**
+ * Column type → SQLite storage class
+ */
+export const SQL_TYPE_MAP = {
+  text: 'TEXT',
+  string: 'TEXT',
+  integer: 'INTEGER',
+  int: 'INTEGER',
+  real: 'REAL',
+  number: 'REAL',
+  float: 'REAL',
+  blob: 'BLOB',
+  boolean: 'INTEGER',
+  bool: 'INTEGER',
+  json: 'TEXT',
+  datetime: 'TEXT',
+  timestamp: 'TEXT',
+  date: 'TEXT',
+  enum: 'TEXT',
+  uuid: 'TEXT',
+  email: 'TEXT',
+  url: 'TEXT'
+};
+
+/**
+ * Column type aliases → canonical type
+ */
+const TYPE_ALIASES = {
+  string: 'text',
+  int: 'integer',
+  number: 'real',
+  float: 'real',
+  bool: 'boolean',
+  timestamp: 'datetime'
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Resolve a column type alias (int, float, bool, ...) to its canonical type
+ * @param {string} type - Column type from the model definition
+ * @returns {string} Canonical type
+ */
+export function canonicalType(type) {
+  return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Ensure a table, column or index name is safe to interpolate into DDL
+ * @param {string} name - Identifier
+ * @param {string} kind - What the identifier names (for the error message)
+ * @returns {string} The identifier
+ */
+export function assertIdentifier(name, kind = 'identifier') {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid ${kind} name: '${name}'`);
+  }
+  return name;
+}
+
+/**
+ * Map a model column type to its SQLite storage class
+ * @param {string} type - Column type from the model definition
+ * @returns {string} SQLite type
+ */
+export function toSqlType(type) {
+  return SQL_TYPE_MAP[String(type || 'text').toLowerCase()] || 'TEXT';
+}
+
+/**
+ * Render a default value as a SQL literal
+ * @param {any} value - Default value ({ sql: 'CURRENT_TIMESTAMP' } for raw expressions)
+ * @returns {string|null} SQL literal, or null when there is no default
+ */
+export function formatDefault(value) {
+  if (value === undefined) return null;
+  if (value === null) return 'NULL';
+  if (typeof value === 'object' && typeof value.sql === 'string') {
+    return `(${value.sql})`;
+  }
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid numeric default: ${value}`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'object') {
+    value = JSON.stringify(value);
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Normalize a registered model into a table definition
+ * @param {Object} model - Model schema as stored by SchemaManager
+ * @param {Function} [resolveModel] - (modelName) => model, used to resolve foreign key targets
+ * @returns {Object} Normalized table definition { tableName, columns, indexes }
+ */
+export function normalizeModel(model, resolveModel = () => null) {
+  const tableName = assertIdentifier(model.tableName, 'table');
+  const columns = {};
+
+  Object.entries(model.columns || {}).forEach(([columnName, config = {}]) => {
+    assertIdentifier(columnName, 'column');
+    const column = { type: toSqlType(config.type) };
+
+    if (config.primaryKey) column.primaryKey = true;
+    if (config.primaryKey && config.autoIncrement) column.autoIncrement = true;
+    if (!config.primaryKey && (config.required || config.notNull || config.nullable === false)) {
+      column.notNull = true;
+    }
+    if (config.unique && !config.primaryKey) column.unique = true;
+    if (config.default !== undefined && typeof config.default !== 'function') {
+      column.default = formatDefault(config.default);
+    }
+
+    columns[columnName] = column;
+  });
+
+  // Foreign keys come from belongsTo relationships
+  Object.values(model.relationships || {}).forEach((relationship) => {
+    if ((relationship.type || 'belongsTo') !== 'belongsTo') return;
+    const column = columns[relationship.foreignKey];
+    const target = resolveModel(relationship.model);
+    if (!column || !target) return;
+
+    column.references = {
+      table: target.tableName,
+      column: relationship.localKey || 'id'
+    };
+    if (relationship.onDelete) {
+      column.references.onDelete = String(relationship.onDelete).toUpperCase();
+    }
+  });
+
+  const indexes = (model.indexes || []).map((index) => normalizeIndex(tableName, index));
+
+  return { tableName, columns, indexes };
+}
+
+/**
+ * Normalize an index declaration
+ * Accepts 'column', ['a', 'b'] or { fields|columns, unique, name }
+ * @param {string} tableName - Table the index belongs to
+ * @param {string|Array|Object} index - Index declaration
+ * @returns {Object} { name, columns, unique }
+ */
+export function normalizeIndex(tableName, index) {
+  let columns;
+  let unique = false;
+  let name;
+
+  if (typeof index === 'string') {
+    columns = [index];
+  } else if (Array.isArray(index)) {
+    columns = index;
+  } else {
+    columns = index.fields || index.columns || [];
+    unique = !!index.unique;
+    name = index.name;
+  }
+
+  if (columns.length === 0) {
+    throw new Error(`Index on '${tableName}' must declare at least one column`);
+  }
+  columns.forEach((column) => assertIdentifier(column, 'column'));
+
+  const indexName = name || `${unique ? 'uidx' : 'idx'}_${tableName}_${columns.join('_')}`;
+  return { name: assertIdentifier(indexName, 'index'), columns: [...columns], unique };
+}
+
+/**
+ * Render a single column definition
+ * @param {string} columnName - Column name
+ * @param {Object} column - Normalized column
+ * @param {Object} [options]
+ * @param {boolean} [options.forAlter=false] - Omit constraints SQLite rejects in ALTER TABLE ADD COLUMN
+ * @returns {string} Column definition
+ */
+export function buildColumnSQL(columnName, column, options = {}) {
+  const parts = [columnName, column.type];
+
+  if (column.primaryKey && !options.forAlter) {
+    parts.push('PRIMARY KEY');
+    if (column.autoIncrement) parts.push('AUTOINCREMENT');
+  }
+  if (column.notNull && (!options.forAlter || column.default != null)) {
+    parts.push('NOT NULL');
+  }
+  if (column.unique && !options.forAlter) parts.push('UNIQUE');
+  if (column.default != null) parts.push(`DEFAULT ${column.default}`);
+  if (column.references) {
+    parts.push(`REFERENCES ${column.references.table}(${column.references.column})`);
+    if (column.references.onDelete) parts.push(`ON DELETE ${column.references.onDelete}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Render CREATE TABLE for a normalized table definition
+ * @param {Object} table - Normalized table definition
+ * @param {Object} [options]
+ * @param {boolean} [options.ifNotExists=true] - Emit IF NOT EXISTS
+ * @returns {string} CREATE TABLE statement
+ */
+export function buildCreateTableSQL(table, options = {}) {
+  const ifNotExists = options.ifNotExists !== false ? 'IF NOT EXISTS ' : '';
+  const columnLines = Object.entries(table.columns)
+    .map(([columnName, column]) => `  ${buildColumnSQL(columnName, column)}`);
+
+  return `CREATE TABLE ${ifNotExists}${table.tableName} (\n${columnLines.join(',\n')}\n);`;
+}
+
+/**
+ * Render CREATE INDEX for a normalized index
+ * @param {string} tableName - Table name
+ * @param {Object} index - Normalized index
+ * @param {Object} [options]
+ * @param {boolean} [options.ifNotExists=true] - Emit IF NOT EXISTS
+ * @returns {string} CREATE INDEX statement
+ */
+export function buildCreateIndexSQL(tableName, index, options = {}) {
+  const ifNotExists = options.ifNotExists !== false ? 'IF NOT EXISTS ' : '';
+  const unique = index.unique ? 'UNIQUE ' : '';
+  return `CREATE ${unique}INDEX ${ifNotExists}${index.name} ON ${tableName} (${index.columns.join(', ')});`;
+}
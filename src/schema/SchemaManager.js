@@ -3,6 +3,40 @@
  * Allows defining data models externally for maximum reusability
  */
 
+import { normalizeModel, buildCreateTableSQL, buildCreateIndexSQL, canonicalType } from './SchemaDDL.js';
+import { buildWhereClause } from './QueryFilter.js';
+
+/**
+ * Types that may also be used as `format` on a text column
+ */
+const FORMAT_TYPES = ['email', 'url', 'uuid', 'date', 'datetime'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// SQLite CURRENT_TIMESTAMP format, always UTC
+const SQLITE_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+/**
+ * Parse a Date, ISO string, SQLite timestamp or epoch milliseconds
+ * @param {any} value - Input value
+ * @returns {Date|null} Date, or null when the value is not a valid point in time
+ */
+function parseDate(value) {
+  if (typeof value === 'boolean' || value === '' || value === null) return null;
+
+  let date;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'string' && SQLITE_DATETIME_PATTERN.test(value)) {
+    date = new Date(`${value.replace(' ', 'T')}Z`);
+  } else {
+    date = new Date(value);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
 export class SchemaManager {
   constructor() {
     this.schemas = new Map();
@@ -25,6 +59,19 @@ export class SchemaManager {
 
   /**
    * Register a data model schema
+   *
+   * Behavior options add their columns when the model does not declare them:
+   * - `softDelete: true` — `deleted_at`; deletes stamp it and reads skip stamped rows
+   * - `version: true` — `version`; updates require the current version (optimistic locking)
+   * - `audit: true` — `created_by`/`updated_by`, filled from the acting user
+   *
+   * `access` declares field- and row-level rules for callers of the auto-CRUD
+   * routes (hidden, readOnly, writable, fieldRoles, rowFilter, roles); see
+   * services/AccessPolicy.js.
+   *
+   * `outbox` (true or `{ table, events }`) makes every write also insert a
+   * domain event into the outbox table in the same D1 batch; see services/Outbox.js.
+   *
    * @param {string} modelName - Name of the model
    * @param {Object} schema - Schema definition
    */
@@ -42,6 +89,7 @@ export class SchemaManager {
       validation: schema.validation || {},
       ...schema
     };
+    processedSchema.columns = { ...processedSchema.columns, ...this._getBehaviorColumns(processedSchema) };
     
     this.schemas.set(modelName, processedSchema);
     this.schemaCache.set(modelName, processedSchema);
@@ -64,6 +112,32 @@ export class SchemaManager {
     }
   }
 
+  /**
+   * Columns required by the softDelete/version/audit options that the model does not declare
+   * @param {Object} schema - Processed schema
+   * @returns {Object} Column definitions to add
+   * @private
+   */
+  _getBehaviorColumns(schema) {
+    const behaviorColumns = {};
+    const addColumn = (name, config) => {
+      if (!schema.columns[name]) behaviorColumns[name] = config;
+    };
+
+    if (schema.softDelete) {
+      addColumn('deleted_at', { type: 'text' });
+    }
+    if (schema.version === true) {
+      addColumn('version', { type: 'integer', required: true, default: 1 });
+    }
+    if (schema.audit) {
+      addColumn('created_by', { type: 'text' });
+      addColumn('updated_by', { type: 'text' });
+    }
+
+    return behaviorColumns;
+  }
+
   /**
    * Get a registered model schema
    * @param {string} modelName - Name of the model
@@ -118,7 +192,7 @@ export class SchemaManager {
   /**
    * Generate SQL for model operations
    * @param {string} modelName - Model name
-   * @param {string} operation - Operation type (create, read, update, delete)
+   * @param {string} operation - Operation type (create, upsert, read, update, delete)
    * @param {Object} params - Operation parameters
    * @returns {Object} SQL query object with sql and params properties
    */
@@ -157,6 +231,27 @@ export class SchemaManager {
         break;
       }
 
+      case 'upsert': {
+        // Insert, or update every supplied column except id and creation fields when the id already exists
+        const insertColumns = columns.filter(col => params[col] !== undefined);
+        const preserved = ['id', 'created_at', 'created_by', 'version'];
+        const assignments = insertColumns
+          .filter(col => !preserved.includes(col))
+          .map(col => `${col} = excluded.${col}`);
+        if (schema.version === true) {
+          assignments.push(`version = ${tableName}.version + 1`);
+        }
+        const conflictAction = assignments.length > 0
+          ? `DO UPDATE SET ${assignments.join(', ')}`
+          : 'DO NOTHING';
+        result = {
+          sql: `INSERT INTO ${tableName} (${insertColumns.join(', ')}) VALUES (${insertColumns.map(() => '?').join(', ')}) ON CONFLICT(id) ${conflictAction}`,
+          params: insertColumns.map(col => params[col])
+        };
+        parameterMapping = insertColumns;
+        break;
+      }
+
       case 'read': {
         let whereClause = '';
         let whereParams = [];
@@ -166,13 +261,14 @@ export class SchemaManager {
           whereParams = [params.id];
           parameterMapping = ['id'];
         } else if (params.where) {
-          const conditions = [];
-          Object.entries(params.where).forEach(([key, value]) => {
-            conditions.push(`${key} = ?`);
-            whereParams.push(value);
-            parameterMapping.push(`where.${key}`);
-          });
-          whereClause = `WHERE ${conditions.join(' AND ')}`;
+          // Supports the full filter grammar (operators, $or groups) — see QueryFilter.js
+          const where = buildWhereClause(schema, params.where);
+          if (where.clause) {
+            whereClause = `WHERE ${where.clause}`;
+            whereParams = where.params;
+          }
+          // Operator filters have no stable positional mapping; the cache key already pins the values
+          parameterMapping = null;
         }
 
         const selectFields = params.fields ? params.fields.join(', ') : columns.join(', ');
@@ -184,15 +280,24 @@ export class SchemaManager {
       }
 
       case 'update': {
-        const updateColumns = columns.filter(col => params[col] !== undefined && col !== 'id');
-        const setClause = updateColumns.map(col => `${col} = ?`).join(', ');
+        // Versioned models: params.version is the version the caller read; the row must still match it
+        const versioned = schema.version === true;
+        const updateColumns = columns.filter(col => params[col] !== undefined && col !== 'id' && !(versioned && col === 'version'));
+        const assignments = updateColumns.map(col => `${col} = ?`);
         const updateParams = updateColumns.map(col => params[col]);
 
+        if (versioned) {
+          if (params.version === undefined || params.version === null) {
+            throw new Error(`Model '${modelName}' is versioned; update requires the current version`);
+          }
+          assignments.push('version = version + 1');
+        }
+
         result = {
-          sql: `UPDATE ${tableName} SET ${setClause} WHERE id = ?`,
-          params: [...updateParams, params.id]
+          sql: `UPDATE ${tableName} SET ${assignments.join(', ')} WHERE id = ?${versioned ? ' AND version = ?' : ''}`,
+          params: versioned ? [...updateParams, params.id, params.version] : [...updateParams, params.id]
         };
-        parameterMapping = [...updateColumns, 'id'];
+        parameterMapping = versioned ? [...updateColumns, 'id', 'version'] : [...updateColumns, 'id'];
         break;
       }
 
@@ -221,6 +326,32 @@ export class SchemaManager {
     return result;
   }
 
+  /**
+   * Generate CREATE TABLE (and CREATE INDEX) DDL for a model
+   * @param {string} modelName - Model name
+   * @param {Object} [options]
+   * @param {boolean} [options.ifNotExists=true] - Emit IF NOT EXISTS
+   * @param {boolean} [options.includeIndexes=true] - Append CREATE INDEX statements
+   * @returns {string} D1-compatible DDL
+   */
+  generateCreateSQL(modelName, options = {}) {
+    const schema = this.getModel(modelName);
+    if (!schema) {
+      throw new Error(`Model '${modelName}' not found`);
+    }
+
+    const table = normalizeModel(schema, (name) => this.getModel(name));
+    const statements = [buildCreateTableSQL(table, options)];
+
+    if (options.includeIndexes !== false) {
+      table.indexes.forEach((index) => {
+        statements.push(buildCreateIndexSQL(table.tableName, index, options));
+      });
+    }
+
+    return statements.join('\n');
+  }
+
   /**
    * Clear schema cache for specific model or all models
    * @param {string} modelName - Optional: specific model to clear
@@ -333,6 +464,98 @@ export class SchemaManager {
     };
   }
 
+  /**
+   * Fill in column defaults for fields a new record leaves out
+   * Function defaults are called once per record; `{ sql }` defaults are left to the database.
+   * @param {string} modelName - Model name
+   * @param {Object} data - Record data
+   * @returns {Object} New object with defaults applied
+   */
+  applyDefaults(modelName, data = {}) {
+    const schema = this.getModel(modelName);
+    const result = { ...data };
+
+    Object.entries(schema?.columns || {}).forEach(([column, config]) => {
+      if (result[column] !== undefined || config.default === undefined) return;
+
+      const value = typeof config.default === 'function' ? config.default() : config.default;
+      if (value !== null && typeof value === 'object' && typeof value.sql === 'string') return;
+
+      result[column] = value !== null && typeof value === 'object' ? structuredClone(value) : value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Convert validated values to their stored form: booleans as 0/1, json as text
+   * @param {string} modelName - Model name
+   * @param {Object} record - Validated record
+   * @returns {Object} New object ready for generateSQL
+   */
+  serializeRecord(modelName, record) {
+    const schema = this.getModel(modelName);
+    const stored = { ...record };
+
+    Object.entries(schema?.columns || {}).forEach(([column, config]) => {
+      const value = stored[column];
+      if (value === undefined || value === null) return;
+
+      switch (canonicalType(config.type)) {
+        case 'boolean':
+          stored[column] = value ? 1 : 0;
+          break;
+        case 'json':
+          stored[column] = JSON.stringify(value);
+          break;
+        case 'datetime':
+          if (value instanceof Date) stored[column] = value.toISOString();
+          break;
+      }
+    });
+
+    return stored;
+  }
+
+  /**
+   * Convert a stored row back to JS values: 0/1 to booleans, json text to
+   * objects, SQLite timestamps to ISO strings. The row is updated in place.
+   * @param {string} modelName - Model name
+   * @param {Object} row - Row as returned by D1
+   * @returns {Object} The same row
+   */
+  deserializeRecord(modelName, row) {
+    const schema = this.getModel(modelName);
+    if (!row || typeof row !== 'object') return row;
+
+    Object.entries(schema?.columns || {}).forEach(([column, config]) => {
+      const value = row[column];
+      if (value === undefined || value === null) return;
+
+      switch (canonicalType(config.type)) {
+        case 'boolean':
+          row[column] = value === true || value === 1 || value === '1' || value === 'true';
+          break;
+        case 'json':
+          if (typeof value === 'string') {
+            try {
+              row[column] = JSON.parse(value);
+            } catch {
+              // Leave text that was not written as JSON untouched
+            }
+          }
+          break;
+        case 'datetime':
+          if (typeof value === 'string' && SQLITE_DATETIME_PATTERN.test(value)) {
+            row[column] = parseDate(value).toISOString();
+          }
+          break;
+      }
+    });
+
+    return row;
+  }
+
   /**
    * Validate individual field
    * @param {string} fieldName - Field name
@@ -347,7 +570,7 @@ export class SchemaManager {
 
     // Type validation
     if (fieldConfig.type) {
-      const typeValidation = this._validateFieldType(fieldName, value, fieldConfig.type);
+      const typeValidation = this._validateFieldType(fieldName, value, fieldConfig.type, fieldConfig);
       if (!typeValidation.valid) {
         errors.push(...typeValidation.errors);
       } else if (typeValidation.transformed !== undefined) {
@@ -355,6 +578,26 @@ export class SchemaManager {
       }
     }
 
+    // Format validation for text columns (format: 'email', 'url', 'uuid', 'date' or 'datetime')
+    if (FORMAT_TYPES.includes(fieldConfig.format) && errors.length === 0) {
+      const formatValidation = this._validateFieldType(fieldName, transformedValue, fieldConfig.format, fieldConfig);
+      if (!formatValidation.valid) {
+        errors.push(...formatValidation.errors);
+      } else if (formatValidation.transformed !== undefined) {
+        transformedValue = formatValidation.transformed;
+      }
+    }
+
+    // Numeric range validation
+    const hasRange = [fieldConfig.min, fieldConfig.max, fieldConfig.minimum, fieldConfig.maximum]
+      .some(limit => limit !== undefined);
+    if (hasRange && errors.length === 0) {
+      const rangeValidation = this._validateFieldRange(fieldName, transformedValue, fieldConfig);
+      if (!rangeValidation.valid) {
+        errors.push(...rangeValidation.errors);
+      }
+    }
+
     // Length validation
     if (fieldConfig.minLength || fieldConfig.maxLength) {
       const lengthValidation = this._validateFieldLength(fieldName, transformedValue, fieldConfig);
@@ -383,14 +626,18 @@ export class SchemaManager {
    * @param {string} fieldName - Field name
    * @param {any} value - Field value
    * @param {string} expectedType - Expected type
+   * @param {Object} [fieldConfig] - Field configuration (enum values)
    * @returns {Object} Type validation result
    * @private
    */
-  _validateFieldType(fieldName, value, expectedType) {
+  _validateFieldType(fieldName, value, expectedType, fieldConfig = {}) {
     const errors = [];
     let transformedValue = value;
+    const invalid = (message, code = 'INVALID_TYPE') => {
+      errors.push({ field: fieldName, message: `Field '${fieldName}' ${message}`, code, value });
+    };
 
-    switch (expectedType) {
+    switch (canonicalType(expectedType)) {
       case 'text':
         if (typeof value !== 'string') {
           transformedValue = String(value);
@@ -427,6 +674,89 @@ export class SchemaManager {
         }
         break;
 
+      case 'boolean':
+        if ([true, 1, '1', 'true'].includes(value)) {
+          transformedValue = true;
+        } else if ([false, 0, '0', 'false'].includes(value)) {
+          transformedValue = false;
+        } else {
+          invalid('must be a boolean');
+        }
+        break;
+
+      case 'json':
+        try {
+          if (JSON.stringify(value) === undefined) {
+            invalid('must be JSON-serializable');
+          }
+        } catch {
+          invalid('must be JSON-serializable');
+        }
+        break;
+
+      case 'datetime': {
+        const date = parseDate(value);
+        if (!date) {
+          invalid('must be a valid date-time');
+        } else {
+          transformedValue = date.toISOString();
+        }
+        break;
+      }
+
+      case 'date': {
+        const date = typeof value === 'string' && DATE_PATTERN.test(value)
+          ? parseDate(`${value}T00:00:00Z`)
+          : parseDate(value);
+        const normalized = date ? date.toISOString().slice(0, 10) : null;
+        // Rejects overflowing dates such as 2024-02-30
+        if (!normalized || (DATE_PATTERN.test(value) && normalized !== value)) {
+          invalid('must be a valid date (YYYY-MM-DD)');
+        } else {
+          transformedValue = normalized;
+        }
+        break;
+      }
+
+      case 'enum': {
+        const allowed = fieldConfig.values || fieldConfig.enum || [];
+        if (!allowed.includes(value)) {
+          invalid(`must be one of: ${allowed.join(', ')}`, 'INVALID_ENUM_VALUE');
+        }
+        break;
+      }
+
+      case 'uuid':
+        if (typeof value !== 'string' || !UUID_PATTERN.test(value.trim())) {
+          invalid('must be a valid UUID', 'INVALID_FORMAT');
+        } else {
+          transformedValue = value.trim().toLowerCase();
+        }
+        break;
+
+      case 'email':
+        if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) {
+          invalid('must be a valid email address', 'INVALID_FORMAT');
+        } else {
+          transformedValue = value.trim();
+        }
+        break;
+
+      case 'url': {
+        let url = null;
+        try {
+          url = typeof value === 'string' ? new URL(value.trim()) : null;
+        } catch {
+          url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          invalid('must be a valid http(s) URL', 'INVALID_FORMAT');
+        } else {
+          transformedValue = value.trim();
+        }
+        break;
+      }
+
       case 'blob':
         // No specific validation for blob type
         break;
@@ -478,6 +808,45 @@ export class SchemaManager {
     };
   }
 
+  /**
+   * Validate numeric range constraints (`min`/`max`, or `minimum`/`maximum`)
+   * @param {string} fieldName - Field name
+   * @param {any} value - Field value
+   * @param {Object} fieldConfig - Field configuration
+   * @returns {Object} Range validation result
+   * @private
+   */
+  _validateFieldRange(fieldName, value, fieldConfig) {
+    const errors = [];
+    const min = fieldConfig.min ?? fieldConfig.minimum;
+    const max = fieldConfig.max ?? fieldConfig.maximum;
+
+    if (typeof value === 'number') {
+      if (min !== undefined && value < min) {
+        errors.push({
+          field: fieldName,
+          message: `Field '${fieldName}' must be at least ${min}`,
+          code: 'MIN_VALUE_VIOLATION',
+          value
+        });
+      }
+
+      if (max !== undefined && value > max) {
+        errors.push({
+          field: fieldName,
+          message: `Field '${fieldName}' cannot exceed ${max}`,
+          code: 'MAX_VALUE_VIOLATION',
+          value
+        });
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Validate field pattern
    * @param {string} fieldName - Field name
@@ -568,6 +937,7 @@ export class SchemaManager {
     
     switch (operation) {
       case 'create':
+      case 'upsert':
         templateParams.columns = Object.keys(params).filter(key => key !== 'id');
         break;
       case 'read':
@@ -626,6 +996,9 @@ schemaManager.registerModel('users', {
   indexes: ['email'],
   validation: {
     required: ['email']
+  },
+  access: {
+    readOnly: ['is_email_verified']
   }
 });
 
@@ -640,6 +1013,9 @@ schemaManager.registerModel('magic_links', {
     used: { type: 'integer', default: 0 },
     created_at: { type: 'text', required: true }
   },
+  access: {
+    hidden: ['token']
+  },
   relationships: {
     user: {
       model: 'users',
@@ -660,6 +1036,9 @@ schemaManager.registerModel('tokens', {
     expires_at: { type: 'text' },
     created_at: { type: 'text', required: true }
   },
+  access: {
+    hidden: ['token']
+  },
   relationships: {
     user: {
       model: 'users',
@@ -0,0 +1,282 @@
+/**
+ * JWT Verifier
+ * Verifies compact JWS tokens (HS256, RS256, ES256) with WebCrypto, which
+ * is available in Workers and Node 18+, and enforces the registered claims
+ * (exp, nbf, iss, aud).
+ *
+ * Keys come from a shared `secret` (HS256), static `keys` (JWKs), or a
+ * `jwksUrl` that is fetched and cached. A token signed with a `kid` the
+ * cache does not know triggers one refetch (at most every `jwksMinRefreshMs`),
+ * so keys rotated at the issuer are picked up without waiting for the TTL.
+ *
+ * @example
+ * const verifier = new JwtVerifier({
+ *   jwksUrl: 'https://auth.example.com/.well-known/jwks.json',
+ *   issuer: 'https://auth.example.com/',
+ *   audience: 'api'
+ * });
+ * const claims = await verifier.verify(token);
+ */
+
+import { UnauthorizedError } from '../errors/httpErrors.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const ALGORITHMS = {
+  HS256: { kty: 'oct', import: { name: 'HMAC', hash: 'SHA-256' }, verify: { name: 'HMAC' } },
+  RS256: { kty: 'RSA', import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+  ES256: { kty: 'EC', import: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } }
+};
+
+/**
+ * Algorithms the verifier can check
+ */
+export const JWT_ALGORITHMS = Object.keys(ALGORITHMS);
+
+/**
+ * Error raised for tokens that are malformed, badly signed, expired, or
+ * issued for another issuer or audience
+ */
+export class JwtError extends UnauthorizedError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code='INVALID_TOKEN'] - INVALID_TOKEN, INVALID_SIGNATURE, UNSUPPORTED_ALGORITHM,
+   *   UNKNOWN_KEY, TOKEN_EXPIRED, TOKEN_NOT_ACTIVE, INVALID_ISSUER or INVALID_AUDIENCE
+   */
+  constructor(message, code = 'INVALID_TOKEN') {
+    super(message, code);
+    this.name = 'JwtError';
+    this.headers['WWW-Authenticate'] = `Bearer error="invalid_token", error_description="${message.replace(/["\\]/g, '')}"`;
+  }
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function parseSegment(segment) {
+  try {
+    const value = JSON.parse(decoder.decode(fromBase64Url(segment)));
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  } catch {
+    // fall through
+  }
+  throw new JwtError('Malformed token');
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export class JwtVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} [options.secret] - Shared secret for HS256
+   * @param {Array<Object>} [options.keys] - Static public JWKs (RS256/ES256)
+   * @param {string} [options.jwksUrl] - JWKS endpoint, fetched on demand and cached
+   * @param {string[]} [options.algorithms] - Accepted algorithms (default: those the configured keys support)
+   * @param {string|string[]} [options.issuer] - Accepted `iss` value(s)
+   * @param {string|string[]} [options.audience] - Accepted `aud` value(s); one match is enough
+   * @param {number} [options.clockSkew=60] - Tolerance in seconds for exp/nbf
+   * @param {number} [options.jwksCacheTtl=600000] - How long a fetched JWKS is trusted (ms)
+   * @param {number} [options.jwksMinRefreshMs=30000] - Minimum gap between refetches for unknown key ids (ms)
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global)
+   */
+  constructor(options = {}) {
+    if (!options.secret && !options.keys && !options.jwksUrl) {
+      throw new Error('JwtVerifier requires a secret, keys or jwksUrl');
+    }
+
+    this.secret = options.secret || null;
+    this.staticKeys = options.keys || [];
+    this.jwksUrl = options.jwksUrl || null;
+    this.algorithms = options.algorithms || JWT_ALGORITHMS.filter((alg) => (
+      alg === 'HS256' ? !!this.secret : !!(this.jwksUrl || this.staticKeys.length)
+    ));
+    if (this.algorithms.includes('HS256') && !this.secret) {
+      throw new Error('JwtVerifier accepts HS256 only with a secret');
+    }
+    this.issuer = toList(options.issuer);
+    this.audience = toList(options.audience);
+    this.clockSkew = options.clockSkew ?? 60;
+    this.jwksCacheTtl = options.jwksCacheTtl ?? 600000;
+    this.jwksMinRefreshMs = options.jwksMinRefreshMs ?? 30000;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+
+    this._jwks = null; // { keys, fetchedAt }
+    this._jwksPromise = null;
+    this._cryptoKeys = new Map(); // `${alg}:${kid or JWK JSON}` → Promise<CryptoKey>
+  }
+
+  /**
+   * Verify a token's signature and claims
+   * @param {string} token - Compact JWS (header.payload.signature)
+   * @returns {Promise<Object>} Verified claims
+   * @throws {JwtError} When the token is not acceptable
+   */
+  async verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3 || parts.some((part) => !part)) {
+      throw new JwtError('Malformed token');
+    }
+
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+    const header = parseSegment(headerSegment);
+    const claims = parseSegment(payloadSegment);
+
+    if (!this.algorithms.includes(header.alg) || !ALGORITHMS[header.alg]) {
+      throw new JwtError(`Algorithm '${header.alg}' is not accepted`, 'UNSUPPORTED_ALGORITHM');
+    }
+
+    let signature;
+    try {
+      signature = fromBase64Url(signatureSegment);
+    } catch {
+      throw new JwtError('Malformed token');
+    }
+
+    const key = await this._getKey(header);
+    const valid = await crypto.subtle.verify(
+      ALGORITHMS[header.alg].verify,
+      key,
+      signature,
+      encoder.encode(`${headerSegment}.${payloadSegment}`)
+    );
+    if (!valid) {
+      throw new JwtError('Invalid token signature', 'INVALID_SIGNATURE');
+    }
+
+    this._checkClaims(claims);
+    return claims;
+  }
+
+  /**
+   * Enforce exp/nbf (with clock skew), iss and aud
+   * @private
+   */
+  _checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.exp !== undefined && (typeof claims.exp !== 'number' || now - this.clockSkew >= claims.exp)) {
+      throw new JwtError('Token has expired', 'TOKEN_EXPIRED');
+    }
+    if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || now + this.clockSkew < claims.nbf)) {
+      throw new JwtError('Token is not valid yet', 'TOKEN_NOT_ACTIVE');
+    }
+    if (this.issuer.length > 0 && !this.issuer.includes(claims.iss)) {
+      throw new JwtError('Token issuer is not accepted', 'INVALID_ISSUER');
+    }
+    if (this.audience.length > 0 && !toList(claims.aud).some((aud) => this.audience.includes(aud))) {
+      throw new JwtError('Token audience is not accepted', 'INVALID_AUDIENCE');
+    }
+  }
+
+  /**
+   * Resolve the CryptoKey for a token header
+   * @private
+   */
+  async _getKey(header) {
+    const spec = ALGORITHMS[header.alg];
+
+    if (spec.kty === 'oct') {
+      if (!this.secret) {
+        throw new JwtError(`Algorithm '${header.alg}' is not accepted`, 'UNSUPPORTED_ALGORITHM');
+      }
+      return this._importKey('HS256:secret', 'raw', encoder.encode(this.secret), spec);
+    }
+
+    let jwk = this._findJwk(this.staticKeys, header);
+    if (!jwk && this.jwksUrl) {
+      jwk = this._findJwk(await this._loadJwks(false), header);
+      if (!jwk && header.kid && this._canRefresh()) {
+        // Unknown key id: the issuer may have rotated keys
+        jwk = this._findJwk(await this._loadJwks(true), header);
+      }
+    }
+
+    if (!jwk) {
+      throw new JwtError(`No key found for kid '${header.kid ?? ''}'`, 'UNKNOWN_KEY');
+    }
+
+    return this._importKey(`${header.alg}:${jwk.kid ?? JSON.stringify(jwk)}`, 'jwk', jwk, spec);
+  }
+
+  /**
+   * Pick the JWK matching the header's kid (or the only key of the right type)
+   * @private
+   */
+  _findJwk(keys, header) {
+    const { kty } = ALGORITHMS[header.alg];
+    const candidates = keys.filter((key) => (
+      key.kty === kty &&
+      (!key.alg || key.alg === header.alg) &&
+      (!key.use || key.use === 'sig')
+    ));
+
+    if (header.kid !== undefined) {
+      return candidates.find((key) => key.kid === header.kid) || null;
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Fetch the JWKS, reusing the cached copy while it is fresh
+   * @param {boolean} force - Ignore the cache
+   * @returns {Promise<Array<Object>>} JWKs
+   * @private
+   */
+  async _loadJwks(force) {
+    const fresh = this._jwks && Date.now() - this._jwks.fetchedAt < this.jwksCacheTtl;
+    if (fresh && !force) return this._jwks.keys;
+
+    if (!this._jwksPromise) {
+      this._jwksPromise = (async () => {
+        try {
+          const response = await this.fetch(this.jwksUrl, { headers: { Accept: 'application/json' } });
+          if (!response.ok) {
+            throw new Error(`JWKS request failed with status ${response.status}`);
+          }
+          const body = await response.json();
+          this._jwks = { keys: Array.isArray(body?.keys) ? body.keys : [], fetchedAt: Date.now() };
+          this._cryptoKeys.clear();
+        } catch (error) {
+          // Keep serving the previous keys if the endpoint is briefly unavailable
+          if (!this._jwks) {
+            throw new JwtError(`Unable to load JWKS: ${error.message}`, 'UNKNOWN_KEY');
+          }
+          this._jwks.fetchedAt = Date.now();
+        } finally {
+          this._jwksPromise = null;
+        }
+        return this._jwks.keys;
+      })();
+    }
+
+    return this._jwksPromise;
+  }
+
+  /**
+   * @private
+   */
+  _canRefresh() {
+    return !this._jwks || Date.now() - this._jwks.fetchedAt >= this.jwksMinRefreshMs;
+  }
+
+  /**
+   * @private
+   */
+  _importKey(cacheKey, format, keyData, spec) {
+    if (!this._cryptoKeys.has(cacheKey)) {
+      const promise = crypto.subtle.importKey(format, keyData, spec.import, false, ['verify']).catch((error) => {
+        this._cryptoKeys.delete(cacheKey);
+        throw new JwtError(`Unusable key: ${error.message}`, 'UNKNOWN_KEY');
+      });
+      this._cryptoKeys.set(cacheKey, promise);
+    }
+    return this._cryptoKeys.get(cacheKey);
+  }
+}
@@ -0,0 +1,233 @@
+import { schemaManager as defaultSchemaManager } from '../schema/SchemaManager.js';
+import { ForbiddenError, UnauthorizedError, ValidationError } from '../errors/httpErrors.js';
+import { FilterError } from '../schema/QueryFilter.js';
+
+/**
+ * Access Policy
+ * Field- and row-level rules declared under a model's `access` key, applied
+ * when GenericDataService acts on behalf of a caller (`options.principal`)
+ * and by GenericRouteHandler for every auto-CRUD request.
+ *
+ * Policy options:
+ *   hidden      columns never serialized (secrets, password hashes)
+ *   fieldRoles  { column: [roles] } — columns only these roles may see
+ *   readOnly    columns clients may not write
+ *   writable    allow-list of writable columns: [...] or { create: [...], update: [...] }
+ *   rowFilter   (principal, operation) => criteria|null; rows outside it are
+ *               invisible and cannot be changed. Plain equality entries
+ *               (`{ owner_id: user.id }`) are also stamped on created rows.
+ *   roles       { read, create, update, delete: [roles] } (or one array for all);
+ *               the caller needs one of them
+ *
+ * @example
+ * schemaManager.registerModel('notes', {
+ *   columns: { ... },
+ *   access: {
+ *     hidden: ['share_token'],
+ *     readOnly: ['owner_id'],
+ *     rowFilter: (user) => (user?.roles?.includes('admin') ? null : { owner_id: user?.id ?? '' }),
+ *     roles: { delete: ['admin', 'editor'] }
+ *   }
+ * });
+ *
+ * Roles are read from `principal.roles` (or `principal.role`), as with requireRoles().
+ */
+
+export class AccessPolicy {
+  /**
+   * @param {Object} model - Model from SchemaManager.getModel()
+   * @param {SchemaManager} [manager] - Schema registry, used to redact included relationships
+   */
+  constructor(model, manager = defaultSchemaManager) {
+    this.model = model;
+    this.schemaManager = manager;
+    this.access = model.access || {};
+    this.hidden = new Set(this.access.hidden || []);
+    this.readOnly = new Set(this.access.readOnly || []);
+  }
+
+  /**
+   * Require one of the roles configured for an operation
+   * @param {string} operation - 'read' | 'create' | 'update' | 'delete'
+   * @param {Object|null} principal - Acting user (null when anonymous)
+   * @throws {UnauthorizedError} Roles are required and there is no principal
+   * @throws {ForbiddenError} The principal has none of the roles
+   */
+  assertAllowed(operation, principal) {
+    const roles = Array.isArray(this.access.roles) ? this.access.roles : this.access.roles?.[operation];
+    if (!roles || roles.length === 0) return;
+
+    if (!principal) {
+      throw new UnauthorizedError();
+    }
+    if (!roles.some(role => principalRoles(principal).includes(role))) {
+      throw new ForbiddenError(
+        `${operation} on ${this.model.name} requires one of the roles: ${roles.join(', ')}`,
+        'ACCESS_DENIED',
+        { model: this.model.name, operation, roles }
+      );
+    }
+  }
+
+  /**
+   * Row filter for the principal, or null when every row is accessible
+   * @param {Object|null} principal - Acting user
+   * @param {string} operation - Operation being performed
+   * @returns {Object|null} Filter criteria
+   */
+  rowFilter(principal, operation) {
+    if (typeof this.access.rowFilter !== 'function') return null;
+    return this.access.rowFilter(principal, operation) || null;
+  }
+
+  /**
+   * Narrow read criteria to the rows the principal may see
+   * @param {Object} criteria - Filter criteria
+   * @param {Object|null} principal - Acting user
+   * @param {string} [operation='read'] - Operation being performed
+   * @returns {Object} Scoped criteria
+   */
+  scope(criteria, principal, operation = 'read') {
+    const filter = this.rowFilter(principal, operation);
+    if (!filter) return criteria;
+    return criteria && Object.keys(criteria).length > 0 ? { $and: [criteria, filter] } : filter;
+  }
+
+  /**
+   * Reject writes to hidden, read-only or non-writable columns
+   * @param {Object} data - Record data or changes
+   * @param {string} operation - 'create' | 'update'
+   * @throws {ValidationError} FIELD_NOT_WRITABLE listing the offending fields
+   */
+  assertWritable(data, operation) {
+    const allowList = Array.isArray(this.access.writable) ? this.access.writable : this.access.writable?.[operation];
+    // The version sent for optimistic locking is a precondition, not a write
+    const ignored = new Set(['version', ...(operation === 'update' ? ['id'] : [])]);
+
+    const rejected = Object.keys(data || {}).filter(field => !ignored.has(field) && (
+      this.hidden.has(field) || this.readOnly.has(field) || (allowList && !allowList.includes(field))
+    ));
+    if (rejected.length > 0) {
+      throw new ValidationError(
+        `Fields not writable on ${this.model.name}: ${rejected.join(', ')}`,
+        rejected.map(field => ({ field, message: `Field '${field}' is not writable`, code: 'FIELD_NOT_WRITABLE' })),
+        'FIELD_NOT_WRITABLE'
+      );
+    }
+  }
+
+  /**
+   * Stamp the equality entries of the create row filter on a new record
+   * @param {Object} data - Record data
+   * @param {Object|null} principal - Acting user
+   * @returns {Object} Record data with owner columns filled in
+   * @throws {ForbiddenError} The record names another owner
+   */
+  applyOwnership(data, principal) {
+    const filter = this.rowFilter(principal, 'create');
+    if (!filter) return data;
+
+    const record = { ...data };
+    for (const [field, value] of Object.entries(filter)) {
+      if (field.startsWith('$') || (value !== null && typeof value === 'object')) continue;
+      if (record[field] !== undefined && record[field] !== value) {
+        throw new ForbiddenError(`Cannot create ${this.model.name} records for another ${field}`, 'ACCESS_DENIED', {
+          model: this.model.name,
+          field
+        });
+      }
+      record[field] = value;
+    }
+    return record;
+  }
+
+  /**
+   * Columns the principal may see
+   * @param {Object|null} principal - Acting user
+   * @returns {Array<string>} Column names
+   */
+  visibleFields(principal) {
+    const roles = principal ? principalRoles(principal) : [];
+    return Object.keys(this.model.columns || {}).filter(field => {
+      if (this.hidden.has(field)) return false;
+      const required = this.access.fieldRoles?.[field];
+      return !required || required.some(role => roles.includes(role));
+    });
+  }
+
+  /**
+   * Reject filters and sorts on columns the principal may not see. They are
+   * reported as unknown columns, so a hidden column cannot be probed for its
+   * existence or value.
+   * @param {Array<string>} fields - Columns a filter or sort references
+   * @param {Object|null} principal - Acting user
+   * @param {string} [usage='filter'] - 'filter' | 'sort', named in the error
+   * @throws {FilterError} For the first field the principal may not see
+   */
+  assertQueryable(fields, principal, usage = 'filter') {
+    const visible = this.visibleFields(principal);
+    const hidden = fields.find(field => !visible.includes(field));
+    if (hidden !== undefined) {
+      throw new FilterError(`Unknown ${usage} field '${hidden}' for model '${this.model.name}'`, hidden);
+    }
+  }
+
+  /**
+   * Validate a sparse fieldset (`?fields=`) against the visible columns
+   * @param {Array<string>|null} fields - Requested fields
+   * @param {Object|null} principal - Acting user
+   * @returns {Array<string>|null} The fields, or null for all visible fields
+   * @throws {ValidationError} INVALID_FIELDS for unknown or invisible fields
+   */
+  resolveFields(fields, principal) {
+    if (!fields || fields.length === 0) return null;
+
+    const visible = this.visibleFields(principal);
+    const unknown = fields.filter(field => !visible.includes(field));
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown fields for ${this.model.name}: ${unknown.join(', ')}`,
+        unknown.map(field => ({ field, message: `Field '${field}' is not available`, code: 'INVALID_FIELDS' })),
+        'INVALID_FIELDS'
+      );
+    }
+    return fields;
+  }
+
+  /**
+   * Copy records without the fields the principal may not see; included
+   * relationships are redacted with their own model's policy
+   * @param {Object|Array<Object>|null} records - Record(s) as read from the database
+   * @param {Object|null} principal - Acting user
+   * @param {Array<string>|null} [fields] - Sparse fieldset to keep
+   * @returns {Object|Array<Object>|null} Redacted copies
+   */
+  redact(records, principal, fields = null) {
+    if (Array.isArray(records)) {
+      return records.map(record => this.redact(record, principal, fields));
+    }
+    if (!records || typeof records !== 'object') return records;
+
+    const visible = new Set(fields || this.visibleFields(principal));
+    const relationships = this.model.relationships || {};
+    const result = {};
+
+    for (const [key, value] of Object.entries(records)) {
+      if (relationships[key] && (value === null || typeof value === 'object')) {
+        const related = this.schemaManager.getModel(relationships[key].model);
+        result[key] = related ? new AccessPolicy(related, this.schemaManager).redact(value, principal) : value;
+      } else if (visible.has(key)) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * @private
+ */
+function principalRoles(principal) {
+  const value = principal.roles ?? principal.role ?? [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,112 @@
+import { FilterError } from '../schema/QueryFilter.js';
+
+/**
+ * Cursor Codec
+ * Encodes keyset pagination positions as opaque, HMAC-signed tokens so
+ * clients cannot forge or edit them. Uses WebCrypto, available in Workers
+ * and Node 18+.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Error raised for cursors that are malformed, tampered with, or issued for a
+ * different model or sort order
+ */
+export class CursorError extends FilterError {
+  /**
+   * @param {string} [message] - Error message
+   */
+  constructor(message = 'Invalid cursor') {
+    super(message, 'cursor');
+    this.name = 'CursorError';
+    this.code = 'INVALID_CURSOR';
+  }
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+export class CursorCodec {
+  /**
+   * @param {string} [secret] - HMAC secret, shared by every isolate that serves the same
+   *   cursors; required before any cursor is encoded or decoded
+   */
+  constructor(secret = null) {
+    this.secret = secret;
+    this._keyPromise = null;
+  }
+
+  /**
+   * Sign and encode a cursor payload
+   * @param {Object} payload - JSON-serializable cursor state
+   * @returns {Promise<string>} Opaque cursor token
+   */
+  async encode(payload) {
+    const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+    const signature = await crypto.subtle.sign('HMAC', await this._getKey(), encoder.encode(body));
+    return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+  }
+
+  /**
+   * Verify and decode a cursor token
+   * @param {string} token - Cursor token
+   * @returns {Promise<Object>} Cursor payload
+   * @throws {CursorError} When the token is malformed or its signature does not match
+   */
+  async decode(token) {
+    const key = await this._getKey();
+    const [body, signature, extra] = String(token).split('.');
+    if (!body || !signature || extra !== undefined) {
+      throw new CursorError();
+    }
+
+    let valid = false;
+    try {
+      valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(body));
+    } catch {
+      valid = false;
+    }
+    if (!valid) {
+      throw new CursorError();
+    }
+
+    try {
+      return JSON.parse(decoder.decode(fromBase64Url(body)));
+    } catch {
+      throw new CursorError();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getKey() {
+    if (!this.secret) {
+      // A per-isolate fallback would sign cursors that other isolates reject at random
+      throw new Error('Cursor pagination requires a cursorSecret; pass it in the data service or route handler options');
+    }
+    if (!this._keyPromise) {
+      this._keyPromise = crypto.subtle.importKey(
+        'raw',
+        encoder.encode(this.secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+      );
+    }
+    return this._keyPromise;
+  }
+}
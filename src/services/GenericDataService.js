@@ -1,8 +1,27 @@
 import { schemaManager } from '../schema/SchemaManager.js';
+import { buildWhereClause, filterFields, FilterError } from '../schema/QueryFilter.js';
+import { CursorCodec, CursorError } from './CursorCodec.js';
+import { RelationLoader, parseIncludePaths } from './RelationLoader.js';
+import { AccessPolicy } from './AccessPolicy.js';
+import { resolveOutbox, buildOutboxStatement } from './Outbox.js';
+import { ConflictError } from '../errors/dataErrors.js';
+import { HttpError, NotFoundError, ValidationError } from '../errors/httpErrors.js';
+
+// Marker echoed in the error of a tripped version guard, with the check's index
+const GUARD_PATTERN = /VERSION_CONFLICT:(\d+)/;
 
 /**
  * Generic Data Service
  * Provides CRUD operations for any configured data model
+ *
+ * Methods act on behalf of a caller when their options carry `principal`
+ * (the authenticated user, or null for anonymous access): the model's
+ * `access` policy (see AccessPolicy.js) then checks roles, scopes reads and
+ * writes to the caller's rows, rejects non-writable fields and removes
+ * fields the caller may not see from the returned records.
+ *
+ * Models with an `outbox` option also write a domain event row in the same D1
+ * batch as every create/update/upsert/delete (see Outbox.js).
  */
 export class GenericDataService {
   /**
@@ -10,6 +29,7 @@ export class GenericDataService {
    * @param {Object} d1Client - D1 database client
    * @param {string} modelName - Name of the model to work with
    * @param {Object} options - Configuration options
+   * @param {string} [options.cursorSecret] - Secret used to sign pagination cursors
    */
   constructor(d1Client, modelName, options = {}) {
     this.d1Client = d1Client;
@@ -33,6 +53,18 @@ export class GenericDataService {
       enablePagination: options.enablePagination !== false, // Enable pagination by default
       ...options.securityConfig
     };
+
+    // Signs keyset pagination cursors so clients cannot forge positions
+    this.cursorCodec = new CursorCodec(options.cursorSecret);
+
+    // Batches relationship loading into one IN (...) query per level
+    this.relationLoader = new RelationLoader(d1Client);
+
+    // Field- and row-level rules from the model's `access` key
+    this.accessPolicy = new AccessPolicy(this.schema);
+
+    // Event table written alongside each mutation, from the model's `outbox` key
+    this.outbox = resolveOutbox(modelName, this.schema.outbox);
   }
 
   /**
@@ -161,74 +193,226 @@ export class GenericDataService {
   /**
    * Create a new record
    * @param {Object} data - Record data
+   * @param {Object} [options] - Write options
+   * @param {string} [options.actor] - Acting user id, recorded in audit columns
+   * @param {Object|null} [options.principal] - Caller whose access policy applies
    * @returns {Promise<Object>} Created record
    */
-  async create(data) {
-    // Validate data
-    const validation = schemaManager.validateData(this.modelName, data);
-    if (!validation.valid) {
-      const errorMessage = this.formatValidationErrors(validation.errors);
-      throw new Error(`Validation failed: ${errorMessage}`);
-    }
-
-    // Generate ID if not provided
-    const recordData = { ...validation.data };
-    if (!recordData.id) {
-      recordData.id = this.d1Client.generateId();
-    }
-
-    // Set timestamps
-    const now = this.d1Client.getCurrentTimestamp();
-    if (this.schema.columns.created_at && !recordData.created_at) {
-      recordData.created_at = now;
-    }
-    if (this.schema.columns.updated_at && !recordData.updated_at) {
-      recordData.updated_at = now;
-    }
-
-    // Generate SQL
-    const { sql, params } = schemaManager.generateSQL(this.modelName, 'create', recordData);
+  async create(data, options = {}) {
+    const prepared = this._prepareCreate(data, 'create', options);
+    const { record } = prepared;
+    await this._assertUnique([record]);
 
     // Execute
-    const result = await this.d1Client.run(sql, params);
+    const result = await this._runWrite(prepared, 'create', options);
 
     if (result.success) {
       // Clear relevant caches after successful creation
       this.clearCache('findAll');
       
-      return { ...recordData, id: recordData.id };
+      return this._present({ ...record, id: record.id }, options);
     }
 
     throw new Error('Failed to create record');
   }
 
+  /**
+   * Create several records atomically in one D1 batch
+   * @param {Array<Object>} records - Records to create
+   * @param {Object} [options] - Write options ({ actor, principal })
+   * @returns {Promise<Array<Object>>} Created records
+   */
+  async createMany(records, options = {}) {
+    const prepared = this._prepareMany(records, (data) => this._prepareCreate(data, 'create', options));
+    await this._assertUnique(prepared.map(({ record }) => record));
+    await this._executeBatch(this._withEvents(prepared, 'create', options).statements);
+    this.clearCache();
+    return this._present(prepared.map(({ record }) => record), options);
+  }
+
+  /**
+   * Update several records atomically in one D1 batch
+   *
+   * On versioned models each item must carry the version it was read at. Each
+   * UPDATE is followed by a guard statement that fails when it matched no row,
+   * so one stale item rolls back the whole batch and raises ConflictError
+   * (or NotFoundError when the row is gone).
+   * @param {Array<Object>} updates - Items of the form { id, ...fields }
+   * @param {Object} [options] - Write options ({ actor, principal })
+   * @returns {Promise<Array<Object>>} Updated records, read back inside the same batch
+   */
+  async updateMany(updates, options = {}) {
+    const prepared = this._prepareMany(updates, ({ id, ...fields } = {}) => {
+      if (id === undefined || id === null) {
+        throw new Error('Missing id');
+      }
+      return this._prepareUpdate(id, fields, options);
+    });
+    await this._assertUnique(prepared.map(({ record }) => record));
+    const ids = prepared.map(({ record }) => record.id);
+    const readBack = this._buildWhere({ id: ids });
+    const versionChecks = [];
+    const { statements } = this._withEvents(prepared, 'update', options, versionChecks);
+
+    const results = await this._executeGuarded([
+      ...statements,
+      { sql: `SELECT * FROM ${this.schema.tableName}${readBack.sql}`, params: readBack.params }
+    ], versionChecks);
+    this.clearCache();
+
+    return this._present(this._deserialize(results[results.length - 1]?.results || []), options);
+  }
+
+  /**
+   * Delete several records atomically in one D1 batch
+   * @param {Array<string|number>} ids - Record IDs
+   * @param {Object} [options] - Write options ({ actor, hard, principal }); see delete()
+   * @returns {Promise<number>} Number of deleted rows as reported by D1
+   */
+  async deleteMany(ids, options = {}) {
+    const prepared = this._prepareMany(ids, (id) => this._prepareDelete(id, options));
+    const { statements, indexes } = this._withEvents(prepared, 'delete', options);
+
+    const results = await this._executeBatch(statements);
+    this.clearCache();
+
+    return indexes.reduce((total, index) => total + (results[index]?.meta?.changes || 0), 0);
+  }
+
+  /**
+   * Insert a record, or update it when a row with the same id exists.
+   * `created_at`/`created_by` keep their original values on update and
+   * versioned rows are bumped without a version check. Arrays are written in one batch.
+   * @param {Object|Array<Object>} data - Record or records
+   * @param {Object} [options] - Write options ({ actor, principal })
+   * @returns {Promise<Object|Array<Object>>} Written record(s)
+   */
+  async upsert(data, options = {}) {
+    if (Array.isArray(data)) {
+      const prepared = this._prepareMany(data, (item) => this._prepareCreate(item, 'upsert', options));
+      await this._assertUnique(prepared.map(({ record }) => record));
+      await this._executeBatch(this._withEvents(prepared, 'upsert', options).statements);
+      this.clearCache();
+      return this._present(prepared.map(({ record }) => record), options);
+    }
+
+    const prepared = this._prepareCreate(data, 'upsert', options);
+    const { record } = prepared;
+    await this._assertUnique([record]);
+    const result = await this._runWrite(prepared, 'upsert', options);
+
+    if (result.success) {
+      this.clearCache();
+      return this._present(record, options);
+    }
+
+    throw new Error('Failed to upsert record');
+  }
+
+  /**
+   * Queue writes and commit them atomically as one D1 batch
+   *
+   * The callback receives a transaction object whose methods validate and
+   * queue statements instead of executing them; nothing reaches the database
+   * until the callback resolves, and nothing is written if it throws.
+   * Reads inside the callback do not see queued writes.
+   *
+   * @example
+   * await orders.transaction((tx) => {
+   *   const order = tx.create({ customer_id: 'c1', total: 40 });
+   *   tx.model(orderItems).create({ order_id: order.id, sku: 'A-1' });
+   *   tx.update('c1-balance', { amount: 60 });
+   * }, { actor: user.id });
+   *
+   * @param {Function} fn - (tx) => any; tx exposes create, update, delete, upsert, execute and model
+   * @param {Object} [options] - Write options applied to every queued write ({ actor })
+   * @returns {Promise<any>} The callback's return value
+   */
+  async transaction(fn, options = {}) {
+    const statements = [];
+    const versionChecks = [];
+    const services = new Set([this]);
+
+    // Each write is followed by its version guard and outbox event, if the model has them
+    const queue = (service, operation, prepare, writeOptions) => {
+      const merged = { ...options, ...writeOptions };
+      const prepared = prepare(merged);
+      statements.push(...service._withEvents([prepared], operation, merged, versionChecks).statements);
+      services.add(service);
+      return prepared.record;
+    };
+
+    const scope = (service) => ({
+      create: (data, writeOptions = {}) =>
+        queue(service, 'create', (merged) => service._prepareCreate(data, 'create', merged), writeOptions),
+      update: (id, updates, writeOptions = {}) =>
+        queue(service, 'update', (merged) => service._prepareUpdate(id, updates, merged), writeOptions),
+      delete: (id, writeOptions = {}) => {
+        queue(service, 'delete', (merged) => service._prepareDelete(id, merged), writeOptions);
+      },
+      upsert: (data, writeOptions = {}) =>
+        queue(service, 'upsert', (merged) => service._prepareCreate(data, 'upsert', merged), writeOptions)
+    });
+
+    const tx = {
+      ...scope(this),
+      // Another model's writes in the same batch; pass a service instance to have its cache cleared too
+      model: (target) => scope(
+        target instanceof GenericDataService ? target : new GenericDataService(this.d1Client, target)
+      ),
+      // Raw parameterized statement
+      execute: (sql, params = []) => {
+        statements.push({ sql, params });
+      }
+    };
+
+    const value = await fn(tx);
+
+    if (statements.length > 0) {
+      this._assertBulkSize(statements.length);
+      await this._executeGuarded(statements, versionChecks);
+      services.forEach((service) => service.clearCache());
+    }
+
+    return value;
+  }
+
   /**
    * Find records by criteria with advanced options
    * @param {Object} criteria - Search criteria
    * @param {Array} include - Relationships to include
    * @param {Array} fields - Fields to select
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.includeDeleted] - Include soft-deleted rows
+   * @param {Object|null} [options.principal] - Caller whose access policy applies
+   * @param {Object} [options.orderBy] - Sort options {field: 'asc'|'desc'}
+   * @param {boolean} [options.useCache=true] - false reads from the database even when a cached result exists
    * @returns {Promise<Array>} Found records
    */
-  async find(criteria = {}, include = [], fields = null) {
-    const cacheKey = this.generateCacheKey('find', { criteria, include, fields });
-    const cached = this.getCachedResult(cacheKey);
+  async find(criteria = {}, include = [], fields = null, options = {}) {
+    criteria = this._scopeCriteria(criteria, options);
+    fields = this._resolveFields(fields, options);
+    const orderSql = this._buildOrderBy(options.orderBy, options);
+    const relations = this._relationScopes(include, options);
+    const cacheKey = this.generateCacheKey('find', { criteria, include, fields, ...(orderSql && { orderBy: orderSql }), ...(relations && { relations }) });
+    const cached = options.useCache === false ? null : this.getCachedResult(cacheKey);
     
     if (cached !== null) {
-      return cached;
+      return this._present(cached, options, fields);
     }
 
     let result;
-    if (include.length > 0) {
-      result = await this.findWithRelations(criteria, include, fields);
+    if (parseIncludePaths(include).length > 0) {
+      result = await this.findWithRelations(criteria, include, fields, options.orderBy, options);
     } else {
       const { sql, params } = schemaManager.generateSQL(this.modelName, 'read', { where: criteria, fields });
-      result = await this.d1Client.all(sql, params);
+      result = this._deserialize(await this.d1Client.all(sql + orderSql, params));
     }
     
     // Cache the result
     this.setCachedResult(cacheKey, result);
     
-    return result;
+    return this._present(result, options, fields);
   }
 
   /**
@@ -237,19 +421,25 @@ export class GenericDataService {
    * @param {number} options.limit - Maximum records to return (default: configured default, max: configured max)
    * @param {number} options.offset - Number of records to skip (default: 0)
    * @param {Object} options.orderBy - Sort options {field: 'asc'|'desc'}
-   * @param {Object} options.where - Filter criteria
+   * @param {Object} options.where - Filter criteria (equality or operator filters, see QueryFilter.js)
+   * @param {string} [options.pagination] - 'cursor' to use keyset pagination (implied when options.cursor is set)
+   * @param {string} [options.cursor] - Cursor returned by a previous keyset page
+   * @param {boolean} [options.withCount] - Keyset mode only: also return the total row count
+   * @param {boolean} [options.includeDeleted] - Include soft-deleted rows
+   * @param {string|Array<string>} [options.include] - Relationships to eager-load (see loadRelations)
+   * @param {Object|null} [options.principal] - Caller whose access policy applies
+   * @param {Array<string>} [options.fields] - Sparse fieldset returned to the principal
    * @returns {Promise<Object>} Paginated result with data, total, limit, offset
    */
   async findAll(options = {}) {
-    // Apply security limits
-    const requestedLimit = options.limit !== undefined ? options.limit : this.securityConfig.defaultQueryLimit;
-
-    // Validate limit before applying security constraints
-    if (requestedLimit <= 0) {
-      throw new Error(`Invalid limit: ${requestedLimit}. Must be positive.`);
+    if (options.pagination === 'cursor' || options.cursor) {
+      return this._findAllByCursor(options);
     }
+    const fields = this._resolveFields(options.fields, options);
+    const orderSql = this._buildOrderBy(options.orderBy, options);
 
-    const limit = Math.min(requestedLimit, this.securityConfig.maxQueryLimit);
+    // Apply security limits
+    const limit = this._resolveLimit(options.limit);
     const offset = Math.max(0, options.offset || 0);
 
     // Prevent excessive offset (basic protection against very large offsets)
@@ -261,60 +451,41 @@ export class GenericDataService {
       limit,
       offset,
       orderBy: options.orderBy,
-      where: options.where || {}
+      where: this._scopeCriteria(options.where, options)
     };
+    const include = parseIncludePaths(options.include);
+    if (include.length > 0) {
+      queryOptions.include = include;
+      const relations = this._relationScopes(include, options);
+      if (relations) queryOptions.relations = relations;
+    }
 
     const cacheKey = this.generateCacheKey('findAll', queryOptions);
     const cached = this.getCachedResult(cacheKey);
 
     if (cached !== null) {
-      return cached;
+      return { ...cached, data: this._present(cached.data, options, fields) };
     }
 
     // Build query with pagination
-    let sql = `SELECT * FROM ${this.schema.tableName}`;
-    let params = [];
-
-    // Add WHERE clause if provided
-    if (options.where && Object.keys(options.where).length > 0) {
-      const conditions = [];
-      Object.entries(options.where).forEach(([key, value]) => {
-        conditions.push(`${key} = ?`);
-        params.push(value);
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
+    const where = this._buildWhere(queryOptions.where);
+    let sql = `SELECT * FROM ${this.schema.tableName}${where.sql}`;
+    let params = [...where.params];
 
     // Add ORDER BY if provided
-    if (options.orderBy && Object.keys(options.orderBy).length > 0) {
-      const orderClauses = [];
-      Object.entries(options.orderBy).forEach(([field, direction]) => {
-        orderClauses.push(`${field} ${direction.toUpperCase()}`);
-      });
-      sql += ` ORDER BY ${orderClauses.join(', ')}`;
-    }
+    sql += orderSql;
 
     // Add LIMIT and OFFSET
     sql += ` LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
     // Execute the query
-    const data = await this.d1Client.all(sql, params);
+    const data = this._deserialize(await this.d1Client.all(sql, params));
+    await this.loadRelations(data, include, options);
 
     // Get total count for pagination (without LIMIT/OFFSET)
-    let countSql = `SELECT COUNT(*) as total FROM ${this.schema.tableName}`;
-    let countParams = [];
-    
-    if (options.where && Object.keys(options.where).length > 0) {
-      const conditions = [];
-      Object.entries(options.where).forEach(([key, value]) => {
-        conditions.push(`${key} = ?`);
-        countParams.push(value);
-      });
-      countSql += ` WHERE ${conditions.join(' AND ')}`;
-    }
-
-    const countResult = await this.d1Client.first(countSql, countParams);
+    const countSql = `SELECT COUNT(*) as total FROM ${this.schema.tableName}${where.sql}`;
+    const countResult = await this.d1Client.first(countSql, where.params);
     const total = countResult ? countResult.total : 0;
 
     const result = {
@@ -333,39 +504,40 @@ export class GenericDataService {
     // Cache the result
     this.setCachedResult(cacheKey, result);
     
-    return result;
+    return { ...result, data: this._present(data, options, fields) };
   }
 
   /**
    * Update a record
+   *
+   * Versioned models (`version: true`) require `updates.version` to be the
+   * version the caller read; a stale or missing version raises ConflictError.
    * @param {string} id - Record ID
    * @param {Object} updates - Fields to update
+   * @param {Object} [options] - Write options ({ actor, principal })
    * @returns {Promise<Object>} Updated record
+   * @throws {NotFoundError} When the record is outside the principal's row filter
    */
-  async update(id, updates) {
-    // Validate updates
-    const validation = schemaManager.validateData(this.modelName, updates);
-    if (!validation.valid) {
-      const errorMessage = this.formatValidationErrors(validation.errors);
-
-      throw new Error(`Validation failed: ${errorMessage}`);
-    }
-
-    // Set updated timestamp
-    const updateData = { ...validation.data, id };
-    if (this.schema.columns.updated_at) {
-      updateData.updated_at = this.d1Client.getCurrentTimestamp();
-    }
-
-    // Generate SQL
-    const { sql, params } = schemaManager.generateSQL(this.modelName, 'update', updateData);
+  async update(id, updates, options = {}) {
+    const prepared = this._prepareUpdate(id, updates, options);
+    const { record } = prepared;
+    await this._assertUnique([record]);
 
     // Execute
-    const result = await this.d1Client.run(sql, params);
+    const result = await this._runWrite(prepared, 'update', options);
 
     if (result.success) {
+      this.clearCache();
+      if (result.meta?.changes === 0 && this._isRestricted(options, 'update') &&
+          !(await this._isInScope(id, options.principal, 'update'))) {
+        throw this._notFound(id);
+      }
+      if (this.schema.version === true && result.meta?.changes === 0) {
+        throw await this._staleWriteError(id, record.version);
+      }
+
       // Return updated record
-      return await this.findById(id);
+      return this._present(await this.findById(id), options);
     } else {
       throw new Error('Failed to update record');
     }
@@ -373,44 +545,77 @@ export class GenericDataService {
 
   /**
    * Delete a record
+   *
+   * Soft-delete models (`softDelete: true`) stamp `deleted_at` instead of
+   * removing the row; pass `{ hard: true }` to remove it anyway.
    * @param {string} id - Record ID
+   * @param {Object} [options] - Write options ({ actor, hard, principal })
    * @returns {Promise<boolean>} Success status
+   * @throws {NotFoundError} When no row was deleted: the record does not exist, is
+   *   already soft-deleted, or is outside the principal's row filter
    */
-  async delete(id) {
-    const { sql, params } = schemaManager.generateSQL(this.modelName, 'delete', { id });
-    const result = await this.d1Client.run(sql, params);
+  async delete(id, options = {}) {
+    const result = await this._runWrite(this._prepareDelete(id, options), 'delete', options);
+    if (result.success) {
+      this.clearCache();
+      if (result.meta?.changes === 0) {
+        throw this._notFound(id);
+      }
+    }
     return result.success;
   }
 
+  /**
+   * Restore a soft-deleted record
+   * @param {string} id - Record ID
+   * @param {Object} [options] - Write options ({ actor })
+   * @returns {Promise<Object|null>} Restored record, or null if it was not deleted
+   */
+  async restore(id, options = {}) {
+    if (!this.schema.softDelete) {
+      throw new Error(`Model '${this.modelName}' does not use soft delete`);
+    }
+
+    const changes = { deleted_at: null, ...this._getTouchColumns(options) };
+    const assignments = Object.keys(changes).map((column) => `${column} = ?`);
+    if (this.schema.version === true) {
+      assignments.push('version = version + 1');
+    }
+
+    const result = await this.d1Client.run(
+      `UPDATE ${this.schema.tableName} SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NOT NULL`,
+      [...Object.values(changes), id]
+    );
+    if (!result.success) {
+      throw new Error('Failed to restore record');
+    }
+
+    this.clearCache();
+    return result.meta?.changes === 0 ? null : await this.findById(id);
+  }
+
   /**
    * Count records matching criteria
    * @param {Object} criteria - Count criteria
+   * @param {Object} [options] - Read options ({ includeDeleted, principal })
    * @returns {Promise<number>} Record count
    */
-  async count(criteria = {}) {
-    let sql = `SELECT COUNT(*) as count FROM ${this.schema.tableName}`;
-    let params = [];
-
-    if (Object.keys(criteria).length > 0) {
-      const conditions = [];
-      Object.entries(criteria).forEach(([key, value]) => {
-        conditions.push(`${key} = ?`);
-        params.push(value);
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
+  async count(criteria = {}, options = {}) {
+    const where = this._buildWhere(this._scopeCriteria(criteria, options));
+    const sql = `SELECT COUNT(*) as count FROM ${this.schema.tableName}${where.sql}`;
 
-    const result = await this.d1Client.first(sql, params);
+    const result = await this.d1Client.first(sql, where.params);
     return result?.count || 0;
   }
 
   /**
    * Check if record exists
    * @param {string} id - Record ID
+   * @param {Object} [options] - Read options ({ includeDeleted })
    * @returns {Promise<boolean>} Existence status
    */
-  async exists(id) {
-    const record = await this.findById(id);
+  async exists(id, options = {}) {
+    const record = await this.findById(id, [], null, options);
     return !!record;
   }
 
@@ -418,35 +623,29 @@ export class GenericDataService {
    * Get paginated results
    * @param {Object} criteria - Search criteria
    * @param {Object} pagination - Pagination options
+   * @param {Object} [options] - Read options ({ includeDeleted, include, principal, fields, orderBy })
    * @returns {Promise<Object>} Paginated results
    */
-  async paginate(criteria = {}, pagination = {}) {
+  async paginate(criteria = {}, pagination = {}, options = {}) {
     const { page = 1, limit = 10 } = pagination;
     const offset = (page - 1) * limit;
+    criteria = this._scopeCriteria(criteria, options);
+    const fields = this._resolveFields(options.fields, options);
 
-    // Get total count
-    const total = await this.count(criteria);
+    // Get total count; criteria are already scoped, so count() must not scope them again
+    const where = this._buildWhere(criteria);
+    const counted = await this.d1Client.first(`SELECT COUNT(*) as count FROM ${this.schema.tableName}${where.sql}`, where.params);
+    const total = counted?.count || 0;
 
     // Get paginated results
-    let sql = `SELECT * FROM ${this.schema.tableName}`;
-    let params = [];
-
-    if (Object.keys(criteria).length > 0) {
-      const conditions = [];
-      Object.entries(criteria).forEach(([key, value]) => {
-        conditions.push(`${key} = ?`);
-        params.push(value);
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
-
-    sql += ` LIMIT ? OFFSET ?`;
-    params.push(limit, offset);
+    const sql = `SELECT * FROM ${this.schema.tableName}${where.sql}${this._buildOrderBy(options.orderBy, options)} LIMIT ? OFFSET ?`;
+    const params = [...where.params, limit, offset];
 
-    const records = await this.d1Client.all(sql, params);
+    const records = this._deserialize(await this.d1Client.all(sql, params));
+    await this.loadRelations(records, options.include, options);
 
     return {
-      data: records,
+      data: this._present(records, options, fields),
       pagination: {
         page,
         limit,
@@ -458,33 +657,812 @@ export class GenericDataService {
     };
   }
 
+  /**
+   * Validate a new record and build its INSERT statement
+   * @param {Object} data - Record data
+   * @param {string} [operation='create'] - 'create' or 'upsert'
+   * @param {Object} [options] - Write options ({ actor })
+   * @returns {Object} { record, statement: { sql, params } }
+   * @private
+   */
+  _prepareCreate(data, operation = 'create', options = {}) {
+    if (options.principal !== undefined) {
+      this.accessPolicy.assertAllowed('create', options.principal);
+      if (operation === 'upsert') this.accessPolicy.assertAllowed('update', options.principal);
+      this.accessPolicy.assertWritable(data, 'create');
+      data = this.accessPolicy.applyOwnership(data, options.principal);
+    }
+
+    // Upserts only write the fields they are given, so defaults apply to plain creates
+    const input = operation === 'create' ? schemaManager.applyDefaults(this.modelName, data) : data;
+
+    // Validate data
+    const validation = schemaManager.validateData(this.modelName, input);
+    if (!validation.valid) {
+      const errorMessage = this.formatValidationErrors(validation.errors);
+      throw ValidationError.fromValidation(validation, `Validation failed: ${errorMessage}`);
+    }
+
+    // Generate ID if not provided
+    const record = { ...validation.data };
+    if (!record.id) {
+      record.id = this.d1Client.generateId();
+    }
+
+    // Set timestamps
+    const now = this.d1Client.getCurrentTimestamp();
+    if (this.schema.columns.created_at && !record.created_at) {
+      record.created_at = now;
+    }
+    if (this.schema.columns.updated_at && !record.updated_at) {
+      record.updated_at = now;
+    }
+
+    // Model behaviors own these columns; client-supplied values are ignored
+    if (this.schema.audit) {
+      record.created_by = options.actor ?? null;
+      record.updated_by = options.actor ?? null;
+    }
+    if (this.schema.version === true) {
+      record.version = 1;
+    }
+    if (this.schema.softDelete) {
+      delete record.deleted_at;
+    }
+
+    return {
+      record,
+      statement: schemaManager.generateSQL(this.modelName, operation, schemaManager.serializeRecord(this.modelName, record))
+    };
+  }
+
+  /**
+   * Validate changes and build the UPDATE statement for one record
+   * @param {string} id - Record ID
+   * @param {Object} updates - Fields to update (plus `version` on versioned models)
+   * @param {Object} [options] - Write options ({ actor, principal })
+   * @returns {Object} { record, statement: { sql, params } }
+   * @private
+   */
+  _prepareUpdate(id, updates, options = {}) {
+    if (options.principal !== undefined) {
+      this.accessPolicy.assertAllowed('update', options.principal);
+      this.accessPolicy.assertWritable(updates, 'update');
+    }
+
+    if (this.schema.version === true && (updates?.version === undefined || updates?.version === null)) {
+      throw new ConflictError(
+        `Updating '${this.modelName}' requires the current version`,
+        'VERSION_REQUIRED',
+        { model: this.modelName, id }
+      );
+    }
+
+    // Validate updates
+    const validation = schemaManager.validateData(this.modelName, updates);
+    if (!validation.valid) {
+      const errorMessage = this.formatValidationErrors(validation.errors);
+
+      throw ValidationError.fromValidation(validation, `Validation failed: ${errorMessage}`);
+    }
+
+    // Set updated timestamp
+    const record = { ...validation.data, id };
+    if (this.schema.columns.updated_at) {
+      record.updated_at = this.d1Client.getCurrentTimestamp();
+    }
+    if (this.schema.audit) {
+      delete record.created_by;
+      record.updated_by = options.actor ?? null;
+    }
+    if (this.schema.softDelete) {
+      delete record.deleted_at;
+    }
+
+    const statement = schemaManager.generateSQL(this.modelName, 'update', schemaManager.serializeRecord(this.modelName, record));
+    if (this.schema.softDelete) {
+      // Soft-deleted rows cannot be updated until restore() brings them back
+      statement.sql += ' AND deleted_at IS NULL';
+    }
+
+    return {
+      record,
+      statement: this._restrictStatement(statement, options, 'update')
+    };
+  }
+
+  /**
+   * Build the DELETE statement, or the soft-delete UPDATE for softDelete models
+   * @param {string} id - Record ID
+   * @param {Object} [options] - Write options ({ actor, hard, principal })
+   * @returns {Object} { record: { id }, statement: { sql, params } }
+   * @private
+   */
+  _prepareDelete(id, options = {}) {
+    if (options.principal !== undefined) {
+      this.accessPolicy.assertAllowed('delete', options.principal);
+    }
+    if (!this.schema.softDelete || options.hard) {
+      return {
+        record: { id },
+        statement: this._restrictStatement(schemaManager.generateSQL(this.modelName, 'delete', { id }), options, 'delete')
+      };
+    }
+
+    const changes = { deleted_at: this.d1Client.getCurrentTimestamp(), ...this._getTouchColumns(options) };
+    const assignments = Object.keys(changes).map((column) => `${column} = ?`);
+    if (this.schema.version === true) {
+      assignments.push('version = version + 1');
+    }
+
+    return {
+      record: { id },
+      statement: this._restrictStatement({
+        sql: `UPDATE ${this.schema.tableName} SET ${assignments.join(', ')} WHERE id = ? AND deleted_at IS NULL`,
+        params: [...Object.values(changes), id]
+      }, options, 'delete')
+    };
+  }
+
+  /**
+   * Check `unique` columns against each other and the database before writing.
+   * A row holding the record's own id is not a conflict, so updates and upserts
+   * may keep their value. Queued transaction writes rely on the database constraint.
+   * @param {Array<Object>} records - Records about to be written
+   * @throws {ConflictError} UNIQUE_VIOLATION when a value is already taken
+   * @private
+   */
+  async _assertUnique(records) {
+    const primaryKey = this._getPrimaryKey();
+    const uniqueColumns = Object.entries(this.schema.columns)
+      .filter(([, config]) => config.unique && !config.primaryKey)
+      .map(([column]) => column);
+
+    for (const column of uniqueColumns) {
+      // value -> id of the record claiming it
+      const claims = new Map();
+      for (const record of records) {
+        const value = record[column];
+        if (value === undefined || value === null) continue;
+        if (claims.has(value) && claims.get(value) !== record[primaryKey]) {
+          throw this._uniqueConflict(column);
+        }
+        claims.set(value, record[primaryKey]);
+      }
+
+      const values = [...claims.keys()];
+      for (let i = 0; i < values.length; i += 100) {
+        const where = buildWhereClause(this.schema, { [column]: values.slice(i, i + 100) });
+        const rows = await this.d1Client.all(
+          `SELECT ${primaryKey}, ${column} FROM ${this.schema.tableName} WHERE ${where.clause}`,
+          where.params
+        );
+        if ((rows || []).some((row) => row[primaryKey] !== claims.get(row[column]))) {
+          throw this._uniqueConflict(column);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} column - Unique column
+   * @returns {ConflictError}
+   * @private
+   */
+  _uniqueConflict(column) {
+    return new ConflictError(
+      `A ${this.modelName} record with this ${column} already exists`,
+      'UNIQUE_VIOLATION',
+      { model: this.modelName, field: column }
+    );
+  }
+
+  /**
+   * Convert stored rows to JS values (see SchemaManager.deserializeRecord)
+   * @param {Array<Object>} rows - Rows as returned by D1
+   * @returns {Array<Object>} The same rows
+   * @private
+   */
+  _deserialize(rows) {
+    if (Array.isArray(rows)) {
+      rows.forEach((row) => schemaManager.deserializeRecord(this.modelName, row));
+    }
+    return rows;
+  }
+
+  /**
+   * updated_at/updated_by values for writes that bypass _prepareUpdate
+   * @param {Object} [options] - Write options ({ actor })
+   * @returns {Object} Column values
+   * @private
+   */
+  _getTouchColumns(options = {}) {
+    const columns = {};
+    if (this.schema.columns.updated_at) {
+      columns.updated_at = this.d1Client.getCurrentTimestamp();
+    }
+    if (this.schema.audit) {
+      columns.updated_by = options.actor ?? null;
+    }
+    return columns;
+  }
+
+  /**
+   * Apply the soft-delete scope to read criteria
+   * An explicit `deleted_at` filter is combined with the scope, not a way around it;
+   * only `includeDeleted` lifts it. Reads on behalf of a principal also need its
+   * read role, may only filter on columns it can see, and are narrowed to its
+   * row filter.
+   * @param {Object} criteria - Filter criteria
+   * @param {Object} [options] - Read options ({ includeDeleted, principal })
+   * @returns {Object} Scoped criteria
+   * @private
+   */
+  _scopeCriteria(criteria, options = {}) {
+    let base = criteria || {};
+    if (options.principal !== undefined) {
+      this.accessPolicy.assertAllowed('read', options.principal);
+      this.accessPolicy.assertQueryable(filterFields(base), options.principal);
+      base = this.accessPolicy.scope(base, options.principal, 'read');
+    }
+    if (!this.schema.softDelete || options.includeDeleted) {
+      return base;
+    }
+    if (Object.prototype.hasOwnProperty.call(base, 'deleted_at')) {
+      return { $and: [base, { deleted_at: null }] };
+    }
+    return { ...base, deleted_at: null };
+  }
+
+  /**
+   * Check the principal may read every included model and collect their row
+   * filters; they are part of the cache key, so callers whose included rows
+   * differ never share a cached result
+   * @param {string|Array<string>} include - Relationship paths
+   * @param {Object} [options] - Read options ({ principal })
+   * @returns {Object|null} Row filters by include path (null without a principal or includes)
+   * @private
+   */
+  _relationScopes(include, options = {}) {
+    if (options.principal === undefined || parseIncludePaths(include).length === 0) return null;
+    return this.relationLoader.authorize(this.relationLoader.resolve(this.modelName, include), options.principal);
+  }
+
+  /**
+   * Validate a sparse fieldset for reads on behalf of a principal
+   * @param {Array<string>|null} fields - Requested fields
+   * @param {Object} [options] - Read options ({ principal })
+   * @returns {Array<string>|null} Validated fields (unchanged without a principal)
+   * @private
+   */
+  _resolveFields(fields, options = {}) {
+    if (options.principal === undefined) return fields;
+    return this.accessPolicy.resolveFields(fields, options.principal);
+  }
+
+  /**
+   * Redact records returned to a principal (see AccessPolicy.redact)
+   * @param {Object|Array<Object>|null} records - Records
+   * @param {Object} [options] - Options ({ principal })
+   * @param {Array<string>|null} [fields] - Sparse fieldset
+   * @returns {Object|Array<Object>|null} Records as the caller may see them
+   * @private
+   */
+  _present(records, options = {}, fields = null) {
+    if (options.principal === undefined) return records;
+    return this.accessPolicy.redact(records, options.principal, fields);
+  }
+
+  /**
+   * Limit an UPDATE or DELETE to the principal's row filter
+   * @param {Object} statement - { sql, params } ending in its WHERE clause
+   * @param {Object} [options] - Write options ({ principal })
+   * @param {string} operation - 'update' | 'delete'
+   * @returns {Object} { sql, params }
+   * @private
+   */
+  _restrictStatement(statement, options, operation) {
+    if (!this._isRestricted(options, operation)) return statement;
+    const filter = this.accessPolicy.rowFilter(options.principal, operation);
+
+    const { clause, params } = buildWhereClause(this.schema, filter);
+    return clause ? { sql: `${statement.sql} AND (${clause})`, params: [...statement.params, ...params] } : statement;
+  }
+
+  /**
+   * @param {Object} [options] - Options ({ principal })
+   * @param {string} operation - Operation being performed
+   * @returns {boolean} Whether a row filter limits the principal
+   * @private
+   */
+  _isRestricted(options, operation) {
+    return options.principal !== undefined && this.accessPolicy.rowFilter(options.principal, operation) !== null;
+  }
+
+  /**
+   * @param {string} id - Record ID
+   * @param {Object|null} principal - Acting user
+   * @param {string} operation - Operation whose row filter applies
+   * @returns {Promise<boolean>} Whether the record exists within the row filter
+   * @private
+   */
+  async _isInScope(id, principal, operation) {
+    return (await this.count(this.accessPolicy.scope({ id }, principal, operation))) > 0;
+  }
+
+  /**
+   * @param {string} id - Record ID
+   * @returns {NotFoundError}
+   * @private
+   */
+  _notFound(id) {
+    return new NotFoundError(`${this.modelName} '${id}' not found`, 'NOT_FOUND', { model: this.modelName, id });
+  }
+
+  /**
+   * Explain a versioned UPDATE that matched no row: ConflictError when the row
+   * holds another version, NotFoundError when it is missing or outside the row filter
+   * @param {string} id - Record ID
+   * @param {number} expectedVersion - Version the caller sent
+   * @returns {Promise<HttpError>}
+   * @private
+   */
+  async _staleWriteError(id, expectedVersion) {
+    const current = await this.d1Client.first(
+      `SELECT version FROM ${this.schema.tableName} WHERE id = ?${this.schema.softDelete ? ' AND deleted_at IS NULL' : ''}`,
+      [id]
+    );
+    if (current && Number(current.version) !== Number(expectedVersion)) {
+      return this._versionConflict(id, expectedVersion);
+    }
+    return this._notFound(id);
+  }
+
+  /**
+   * @param {string} id - Record ID
+   * @param {number} expectedVersion - Version the caller sent
+   * @returns {ConflictError}
+   * @private
+   */
+  _versionConflict(id, expectedVersion) {
+    return new ConflictError(
+      `${this.modelName} '${id}' was modified by another request (expected version ${expectedVersion})`,
+      'VERSION_CONFLICT',
+      { model: this.modelName, id, expectedVersion }
+    );
+  }
+
+  /**
+   * Prepare every item of a bulk operation before anything is executed,
+   * so one invalid item rejects the whole batch
+   * @param {Array} items - Bulk input
+   * @param {Function} prepare - item => { statement, record? }
+   * @returns {Array<Object>} Prepared items
+   * @private
+   */
+  _prepareMany(items, prepare) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Bulk operations require a non-empty array');
+    }
+    this._assertBulkSize(items.length);
+
+    return items.map((item, index) => {
+      try {
+        return prepare(item);
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          const errors = error.errors.map(fieldError => ({ ...fieldError, field: `${index}.${fieldError.field}` }));
+          throw new ValidationError(`Item ${index}: ${error.message}`, errors, error.code);
+        }
+        if (error instanceof HttpError) {
+          throw error;
+        }
+        throw new Error(`Item ${index}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * @param {number} size - Number of records or statements
+   * @private
+   */
+  _assertBulkSize(size) {
+    if (size > this.securityConfig.maxBulkOperationSize) {
+      throw new Error(`Bulk operation too large: ${size}. Maximum allowed is ${this.securityConfig.maxBulkOperationSize}.`);
+    }
+  }
+
+  /**
+   * Execute one prepared write; with an outbox event it runs as a two-statement batch
+   * @param {Object} prepared - { record, statement } from a _prepare* method
+   * @param {string} operation - 'create', 'update', 'upsert' or 'delete'
+   * @param {Object} [options] - Write options ({ actor })
+   * @returns {Promise<Object>} The D1 result of the write itself
+   * @private
+   */
+  async _runWrite(prepared, operation, options = {}) {
+    const { statements } = this._withEvents([prepared], operation, options);
+    if (statements.length === 1) {
+      return this.d1Client.run(prepared.statement.sql, prepared.statement.params);
+    }
+    const [result] = await this._executeBatch(statements);
+    return result;
+  }
+
+  /**
+   * Interleave prepared writes with their outbox INSERTs; each event directly
+   * follows its write so it can check that the write changed a row
+   * @param {Array<Object>} prepared - { record, statement } items
+   * @param {string} operation - 'create', 'update', 'upsert' or 'delete'
+   * @param {Object} [options] - Write options ({ actor })
+   * @param {Array<Object>} [versionChecks] - When given, versioned updates get a guard
+   *   statement (see _versionGuard) and a { service, id, version } entry here
+   * @returns {Object} { statements, indexes } where indexes[i] is the position of prepared[i]'s write
+   * @private
+   */
+  _withEvents(prepared, operation, options = {}, versionChecks = null) {
+    const statements = [];
+    const indexes = [];
+
+    prepared.forEach(({ record, statement }) => {
+      indexes.push(statements.length);
+      statements.push(statement);
+
+      if (versionChecks && operation === 'update' && this.schema.version === true) {
+        statements.push(versionGuard(versionChecks.length));
+        versionChecks.push({ service: this, id: record.id, version: record.version });
+      }
+
+      const event = this.outbox && buildOutboxStatement(this.outbox, {
+        id: this.d1Client.generateId(),
+        model: this.modelName,
+        operation,
+        recordId: record?.id,
+        // A versioned update carries the version it was read at; the event reports the one written
+        payload: operation === 'update' && this.schema.version === true
+          ? { ...record, version: Number(record.version) + 1 }
+          : record,
+        actor: options.actor,
+        createdAt: this.d1Client.getCurrentTimestamp()
+      });
+      if (event) statements.push(event);
+    });
+
+    return { statements, indexes };
+  }
+
+  /**
+   * Run statements as one D1 batch; D1 executes a batch as a single
+   * transaction and rolls it back if any statement fails.
+   *
+   * Works with a raw D1Database binding (statements are prepared and bound)
+   * or with a client wrapper whose batch() accepts [{ sql, params }].
+   * @param {Array<Object>} statements - [{ sql, params }]
+   * @returns {Promise<Array<Object>>} One D1 result per statement
+   * @private
+   */
+  async _executeBatch(statements) {
+    if (typeof this.d1Client.batch !== 'function') {
+      throw new Error('D1 client does not support batch(); transactional writes require a client with batch()');
+    }
+
+    const batch = typeof this.d1Client.prepare === 'function'
+      ? statements.map(({ sql, params }) => this.d1Client.prepare(sql).bind(...params))
+      : statements.map(({ sql, params }) => ({ sql, params }));
+
+    const results = await this.d1Client.batch(batch) || [];
+    const failed = results.findIndex((result) => result && result.success === false);
+    if (failed !== -1) {
+      throw new Error(`Batch statement ${failed + 1} of ${statements.length} failed`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Run a batch whose versioned updates carry guards; a tripped guard is
+   * reported as the ConflictError or NotFoundError of its record
+   * @param {Array<Object>} statements - [{ sql, params }]
+   * @param {Array<Object>} versionChecks - Entries collected by _withEvents
+   * @returns {Promise<Array<Object>>} One D1 result per statement
+   * @private
+   */
+  async _executeGuarded(statements, versionChecks) {
+    try {
+      return await this._executeBatch(statements);
+    } catch (error) {
+      const check = versionChecks[GUARD_PATTERN.exec(error?.message || '')?.[1]];
+      if (!check) throw error;
+      throw await check.service._staleWriteError(check.id, check.version);
+    }
+  }
+
+  /**
+   * Keyset (cursor) pagination
+   *
+   * Pages are selected with a WHERE condition on the sort columns instead of
+   * OFFSET, so each page costs the same regardless of depth and rows inserted
+   * between requests never shift the window. The primary key is appended as a
+   * tie-breaker; sort columns should be NOT NULL. No COUNT(*) is issued unless
+   * `withCount` is set.
+   * @param {Object} options - See findAll
+   * @returns {Promise<Object>} { data, pagination: { limit, nextCursor, prevCursor, hasNext, hasPrev, total? } }
+   * @private
+   */
+  async _findAllByCursor(options = {}) {
+    const limit = this._resolveLimit(options.limit);
+    const order = this._resolveOrderBy(options.orderBy, options);
+    const primaryKey = this._getPrimaryKey();
+    if (!order.some(([field]) => field === primaryKey)) {
+      order.push([primaryKey, 'ASC']);
+    }
+    const orderSignature = order.map(([field, direction]) => `${field}:${direction}`).join(',');
+    const where = this._scopeCriteria(options.where, options);
+    const include = parseIncludePaths(options.include);
+    const fields = this._resolveFields(options.fields, options);
+    const relations = this._relationScopes(include, options);
+
+    const cacheKey = this.generateCacheKey('findAll', {
+      limit,
+      orderBy: orderSignature,
+      where,
+      cursor: options.cursor || null,
+      withCount: !!options.withCount,
+      ...(include.length > 0 ? { include } : {}),
+      ...(relations && { relations })
+    });
+    const cached = this.getCachedResult(cacheKey);
+
+    if (cached !== null) {
+      return { ...cached, data: this._present(cached.data, options, fields) };
+    }
+
+    let position = null;
+    if (options.cursor) {
+      position = await this.cursorCodec.decode(options.cursor);
+      if (position.m !== this.modelName || position.o !== orderSignature ||
+          !Array.isArray(position.v) || position.v.length !== order.length) {
+        throw new CursorError('Cursor does not match this model or sort order');
+      }
+    }
+    const backward = position?.d === 'prev';
+
+    const filter = buildWhereClause(this.schema, where);
+    const conditions = filter.clause ? [filter.clause] : [];
+    const params = [...filter.params];
+
+    if (position) {
+      const keyset = this._buildKeysetClause(order, position.v, backward);
+      conditions.push(keyset.clause);
+      params.push(...keyset.params);
+    }
+
+    // Backward pages are read in reverse order and flipped afterwards
+    const orderClause = order
+      .map(([field, direction]) => `${field} ${backward ? (direction === 'ASC' ? 'DESC' : 'ASC') : direction}`)
+      .join(', ');
+    const whereSql = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const sql = `SELECT * FROM ${this.schema.tableName}${whereSql} ORDER BY ${orderClause} LIMIT ?`;
+
+    // Fetch one extra row to learn whether another page exists
+    const rows = await this.d1Client.all(sql, [...params, limit + 1]);
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit);
+    if (backward) data.reverse();
+
+    const hasNext = backward ? true : hasMore;
+    const hasPrev = backward ? hasMore : !!position;
+    const encode = (row, direction) => this.cursorCodec.encode({
+      m: this.modelName,
+      o: orderSignature,
+      d: direction,
+      v: order.map(([field]) => row[field])
+    });
+
+    const pagination = {
+      limit,
+      nextCursor: hasNext && data.length > 0 ? await encode(data[data.length - 1], 'next') : null,
+      prevCursor: hasPrev && data.length > 0 ? await encode(data[0], 'prev') : null,
+      hasNext,
+      hasPrev
+    };
+
+    if (options.withCount) {
+      const whereClause = filter.clause ? ` WHERE ${filter.clause}` : '';
+      const countResult = await this.d1Client.first(
+        `SELECT COUNT(*) as total FROM ${this.schema.tableName}${whereClause}`,
+        filter.params
+      );
+      pagination.total = countResult ? countResult.total : 0;
+    }
+
+    // Cursors hold the stored values, so rows are converted only after encoding
+    this._deserialize(data);
+    await this.loadRelations(data, include, options);
+
+    const result = { data, pagination };
+    this.setCachedResult(cacheKey, result);
+
+    return { ...result, data: this._present(data, options, fields) };
+  }
+
+  /**
+   * Build the "row comes after the cursor" condition for a multi-column sort,
+   * e.g. (a > ?) OR (a = ? AND b > ?) for ORDER BY a ASC, b ASC
+   * @param {Array} order - [[field, 'ASC'|'DESC'], ...]
+   * @param {Array} values - Cursor values, one per sort field
+   * @param {boolean} backward - Select rows before the cursor instead
+   * @returns {Object} { clause, params }
+   * @private
+   */
+  _buildKeysetClause(order, values, backward) {
+    const params = [];
+    const alternatives = order.map(([field, direction], index) => {
+      const parts = order.slice(0, index).map(([previous], i) => {
+        params.push(values[i]);
+        return `${previous} = ?`;
+      });
+      const ascending = (direction === 'ASC') !== backward;
+      params.push(values[index]);
+      parts.push(`${field} ${ascending ? '>' : '<'} ?`);
+      return parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0];
+    });
+
+    return { clause: `(${alternatives.join(' OR ')})`, params };
+  }
+
+  /**
+   * Apply the configured default and maximum to a requested page size
+   * @param {number} [requested] - Requested limit
+   * @returns {number} Effective limit
+   * @private
+   */
+  _resolveLimit(requested) {
+    const requestedLimit = requested !== undefined ? requested : this.securityConfig.defaultQueryLimit;
+
+    // Validate limit before applying security constraints
+    if (requestedLimit <= 0) {
+      throw new Error(`Invalid limit: ${requestedLimit}. Must be positive.`);
+    }
+
+    return Math.min(requestedLimit, this.securityConfig.maxQueryLimit);
+  }
+
+  /**
+   * Validate sort options against the model columns; on behalf of a principal
+   * only columns it can see are sortable
+   * @param {Object} [orderBy] - Sort options {field: 'asc'|'desc'}
+   * @param {Object} [options] - Read options ({ principal })
+   * @returns {Array} [[field, 'ASC'|'DESC'], ...]
+   * @private
+   */
+  _resolveOrderBy(orderBy = {}, options = {}) {
+    const order = Object.entries(orderBy || {}).map(([field, direction]) => {
+      if (!Object.prototype.hasOwnProperty.call(this.schema.columns, field)) {
+        throw new FilterError(`Unknown sort field '${field}' for model '${this.modelName}'`, field);
+      }
+      const normalized = String(direction || 'asc').toUpperCase();
+      if (normalized !== 'ASC' && normalized !== 'DESC') {
+        throw new FilterError(`Invalid sort direction '${direction}' for '${field}'`, field);
+      }
+      return [field, normalized];
+    });
+    if (options.principal !== undefined) {
+      this.accessPolicy.assertQueryable(order.map(([field]) => field), options.principal, 'sort');
+    }
+    return order;
+  }
+
+  /**
+   * Validated ORDER BY fragment for offset-based reads
+   * @param {Object} [orderBy] - Sort options {field: 'asc'|'desc'}
+   * @param {Object} [options] - Read options ({ principal })
+   * @returns {string} ' ORDER BY ...' or ''
+   * @private
+   */
+  _buildOrderBy(orderBy, options = {}) {
+    const order = this._resolveOrderBy(orderBy, options);
+    return order.length > 0 ? ` ORDER BY ${order.map(([field, direction]) => `${field} ${direction}`).join(', ')}` : '';
+  }
+
+  /**
+   * @returns {string} Primary key column name
+   * @private
+   */
+  _getPrimaryKey() {
+    const entry = Object.entries(this.schema.columns).find(([, column]) => column.primaryKey);
+    return entry ? entry[0] : 'id';
+  }
+
+  /**
+   * Compile filter criteria into a WHERE fragment
+   * Accepts plain equality ({ status: 'active' }) as well as operator filters
+   * ({ age: { gte: 18 }, $or: [...] }); fields are validated against the model columns.
+   * @param {Object} criteria - Filter criteria
+   * @returns {Object} { sql: ' WHERE ...' or '', params }
+   * @private
+   */
+  _buildWhere(criteria = {}) {
+    const { clause, params } = buildWhereClause(this.schema, criteria || {});
+    return { sql: clause ? ` WHERE ${clause}` : '', params };
+  }
+
   /**
    * Find a single record by ID
    * @param {string|number} id - Record ID
    * @param {Array} include - Relations to include
    * @param {Array} fields - Fields to select
+   * @param {Object} [options] - Read options ({ includeDeleted })
    * @returns {Promise<Object|null>} Found record or null
    */
-  async findById(id, include = [], fields = null) {
-    const result = await this.find({ id }, include, fields);
+  async findById(id, include = [], fields = null, options = {}) {
+    const result = await this.find({ id }, include, fields, options);
     return result && result.length > 0 ? result[0] : null;
   }
+
+  /**
+   * Find records and eager-load relationships
+   * @param {Object} criteria - Search criteria (already scoped)
+   * @param {string|Array<string>} include - Relationship paths, e.g. ['author.profile', 'comments']
+   * @param {Array} fields - Fields to select; relationship keys are added as needed
+   * @param {Object} [orderBy] - Sort options {field: 'asc'|'desc'}
+   * @param {Object} [options] - Read options ({ principal }); included models apply their own access policies
+   * @returns {Promise<Array>} Records with relationships attached
+   */
+  async findWithRelations(criteria = {}, include = [], fields = null, orderBy = undefined, options = {}) {
+    const tree = this.relationLoader.resolve(this.modelName, include);
+    const selected = fields
+      ? [...new Set([...fields, ...this.relationLoader.requiredKeys(tree)])]
+      : fields;
+
+    const { sql, params } = schemaManager.generateSQL(this.modelName, 'read', { where: criteria, fields: selected });
+    const records = this._deserialize(await this.d1Client.all(sql + this._buildOrderBy(orderBy), params));
+    return this.relationLoader.load(records, tree, options);
+  }
+
+  /**
+   * Eager-load relationships onto records that were already fetched.
+   * Each relationship level costs one batched `IN (...)` query, however
+   * many records are passed in. Only relationships declared on the model
+   * can be loaded; anything else throws a FilterError.
+   * @param {Array<Object>} records - Records of this model (modified in place)
+   * @param {string|Array<string>} include - Relationship paths, e.g. 'author.profile,tags'
+   * @param {Object} [options] - Read options ({ principal }); included models apply their own access policies
+   * @returns {Promise<Array<Object>>} The same records
+   */
+  async loadRelations(records, include = [], options = {}) {
+    if (parseIncludePaths(include).length === 0) {
+      return records;
+    }
+    const tree = this.relationLoader.resolve(this.modelName, include);
+    return this.relationLoader.load(records, tree, options);
+  }
 }
 
 /**
- * Factory function to create a data service for a model
- * @param {Object} d1Client - D1 database client
- * @param {string} modelName - Name of the model
- * @returns {GenericDataService} Data service instance
+ * Statement that fails when the preceding UPDATE changed no row. D1 only rolls
+ * a batch back when a statement errors, and SQLite has no RAISE() outside
+ * triggers, so an invalid JSON path carrying the marker stands in for it.
+ * @param {number} check - Index of the entry in the batch's version checks
+ * @returns {Object} { sql, params }
+ * @private
  */
+function versionGuard(check) {
+  return {
+    sql: "SELECT json_extract('{}', CASE WHEN changes() = 0 THEN ? ELSE '$' END) AS version_guard",
+    params: [`VERSION_CONFLICT:${check}`]
+  };
+}
+
 /**
  * Factory function to create a data service for a model
  * @param {Object} d1Client - D1 database client
  * @param {string} modelName - Name of the model
+ * @param {Object} [options] - Service options (see GenericDataService)
  * @returns {GenericDataService} Data service instance
  */
-export function createDataService(d1Client, modelName) {
-  return new GenericDataService(d1Client, modelName);
+export function createDataService(d1Client, modelName, options = {}) {
+  return new GenericDataService(d1Client, modelName, options);
 }
 
 /**
@@ -0,0 +1,294 @@
+import { assertIdentifier } from '../schema/SchemaDDL.js';
+import { withEnvelope } from '../utilities/queues/envelope.js';
+
+/**
+ * Transactional Outbox
+ * Models registered with `outbox` write a domain event row in the same D1
+ * batch as each create/update/upsert/delete, so the record and its event are
+ * committed or rolled back together. An OutboxRelay later publishes pending
+ * rows to a Queue and marks them dispatched.
+ *
+ * @example
+ * schemaManager.registerModel('orders', { columns: { ... }, outbox: true });
+ * // migration: generateOutboxSQL()
+ *
+ * const relay = new OutboxRelay(d1Client, env.ORDER_EVENTS);
+ * scheduled.register('* * * * *', () => relay.relay());  // periodic sweep
+ * relay.dispatch(ctx);                                    // or right after the write
+ *
+ * Delivery is at-least-once: a relay that fails after sending but before
+ * marking rows re-sends them. Each message's `_meta.id` is the outbox row id,
+ * so a consumer with `dedupe` enabled processes it once.
+ */
+
+export const OUTBOX_TABLE = 'outbox';
+
+const EVENT_SUFFIXES = { create: 'created', update: 'updated', upsert: 'upserted', delete: 'deleted' };
+
+// Queues limit for the combined size of one sendBatch() call
+const MAX_BATCH_BYTES = 256 * 1024;
+
+/**
+ * Resolve a model's `outbox` option
+ *
+ * - `true` — every write emits `<model>.created|updated|upserted|deleted` into `outbox`
+ * - `{ table, events }` — `events` is a list of operations to emit, or a map of
+ *   operation to event type (e.g. `{ create: 'order.placed' }`)
+ * @param {string} modelName - Model name
+ * @param {boolean|Object} [option] - The model's `outbox` option
+ * @returns {Object|null} { table, events: { operation: eventType } }, or null when disabled
+ */
+export function resolveOutbox(modelName, option) {
+  if (!option) return null;
+
+  const config = option === true ? {} : option;
+  const events = {};
+  const declared = config.events || Object.keys(EVENT_SUFFIXES);
+
+  if (Array.isArray(declared)) {
+    declared.forEach((operation) => {
+      events[operation] = `${modelName}.${eventSuffix(operation)}`;
+    });
+  } else {
+    Object.entries(declared).forEach(([operation, type]) => {
+      eventSuffix(operation);
+      events[operation] = type;
+    });
+  }
+
+  return { table: assertIdentifier(config.table || OUTBOX_TABLE, 'table'), events };
+}
+
+/**
+ * Build the INSERT for one event. It only inserts when the statement before it
+ * in the batch changed a row, so stale versioned updates and writes outside a
+ * principal's row filter emit nothing.
+ * @param {Object} outbox - Resolved outbox config (see resolveOutbox)
+ * @param {Object} event - { id, model, operation, recordId, payload, actor, createdAt }
+ * @returns {Object|null} { sql, params }, or null when the operation emits no event
+ */
+export function buildOutboxStatement(outbox, event) {
+  const type = outbox.events[event.operation];
+  if (!type) return null;
+
+  return {
+    sql: `INSERT INTO ${outbox.table} (id, event_type, model, operation, record_id, payload, actor, created_at) ` +
+      'SELECT ?, ?, ?, ?, ?, ?, ?, ? WHERE changes() > 0',
+    params: [
+      event.id,
+      type,
+      event.model,
+      event.operation,
+      event.recordId === undefined || event.recordId === null ? null : String(event.recordId),
+      JSON.stringify(event.payload ?? null),
+      event.actor ?? null,
+      event.createdAt
+    ]
+  };
+}
+
+/**
+ * DDL for the outbox table; add it to a migration (or MemoryD1Database `migrations`)
+ * @param {Object} [options]
+ * @param {string} [options.table='outbox'] - Table name
+ * @returns {string} CREATE TABLE and CREATE INDEX statements
+ */
+export function generateOutboxSQL(options = {}) {
+  const table = assertIdentifier(options.table || OUTBOX_TABLE, 'table');
+  return [
+    `CREATE TABLE IF NOT EXISTS ${table} (`,
+    '  id TEXT PRIMARY KEY,',
+    '  event_type TEXT NOT NULL,',
+    '  model TEXT NOT NULL,',
+    '  operation TEXT NOT NULL,',
+    '  record_id TEXT,',
+    '  payload TEXT NOT NULL,',
+    '  actor TEXT,',
+    '  status TEXT NOT NULL DEFAULT \'pending\',',
+    '  attempts INTEGER NOT NULL DEFAULT 0,',
+    '  last_error TEXT,',
+    '  created_at TEXT NOT NULL,',
+    '  dispatched_at TEXT',
+    ');',
+    `CREATE INDEX IF NOT EXISTS idx_${table}_status_created_at ON ${table} (status, created_at);`
+  ].join('\n');
+}
+
+/**
+ * Publishes pending outbox rows to a Queue
+ *
+ * Each row becomes one message: `{ type, model, operation, recordId, data, actor }`
+ * wrapped in the queue envelope (see utilities/queues/envelope.js). Rows are sent
+ * in batches within the Queues size limit; when a batch is rejected its rows are
+ * re-sent one at a time, so only the rows that still fail are held back. Those
+ * stay pending until `maxAttempts`, then are marked 'failed'.
+ */
+export class OutboxRelay {
+  /**
+   * @param {Object} d1Client - D1 client (`all`/`run(sql, params)`, as used by GenericDataService)
+   * @param {Queue} queue - Queue binding to publish to
+   * @param {Object} [options]
+   * @param {string} [options.table='outbox'] - Outbox table
+   * @param {number} [options.batchSize=50] - Rows published per relay() (at most 99, the D1 bound-parameter limit minus one)
+   * @param {number} [options.maxAttempts=10] - Failed sends before a row is marked 'failed'
+   * @param {number} [options.maxBatchBytes=262144] - Largest combined message size per sendBatch()
+   */
+  constructor(d1Client, queue, options = {}) {
+    if (!queue) {
+      throw new Error('Queue binding is required');
+    }
+    this.d1Client = d1Client;
+    this.queue = queue;
+    this.table = assertIdentifier(options.table || OUTBOX_TABLE, 'table');
+    this.batchSize = Math.min(options.batchSize || 50, 99);
+    this.maxAttempts = options.maxAttempts || 10;
+    this.maxBatchBytes = options.maxBatchBytes || MAX_BATCH_BYTES;
+  }
+
+  /**
+   * Publish the oldest pending rows
+   * @returns {Promise<Object>} { dispatched, failed }
+   */
+  async relay() {
+    const rows = await this.d1Client.all(
+      `SELECT * FROM ${this.table} WHERE status = 'pending' ORDER BY created_at, rowid LIMIT ?`,
+      [this.batchSize]
+    ) || [];
+    if (rows.length === 0) {
+      return { dispatched: 0, failed: 0 };
+    }
+
+    const sent = [];
+    const failed = [];
+    for (const batch of this._batches(rows)) {
+      try {
+        await this._send(batch.map(({ message }) => message));
+        sent.push(...batch.map(({ row }) => row.id));
+      } catch (error) {
+        if (batch.length === 1) {
+          failed.push({ id: batch[0].row.id, error });
+        } else {
+          // Find the rows the batch was rejected for
+          for (const { row, message } of batch) {
+            try {
+              await this._send([message]);
+              sent.push(row.id);
+            } catch (rowError) {
+              failed.push({ id: row.id, error: rowError });
+            }
+          }
+        }
+      }
+    }
+
+    if (sent.length > 0) {
+      await this.d1Client.run(
+        `UPDATE ${this.table} SET status = 'dispatched', attempts = attempts + 1, last_error = NULL, dispatched_at = ? ` +
+          `WHERE id IN (${sent.map(() => '?').join(', ')})`,
+        [new Date().toISOString(), ...sent]
+      );
+    }
+    for (const { id, error } of failed) {
+      await this.d1Client.run(
+        `UPDATE ${this.table} SET attempts = attempts + 1, last_error = ?, ` +
+          `status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END WHERE id = ?`,
+        [error.message, this.maxAttempts, id]
+      );
+    }
+    return { dispatched: sent.length, failed: failed.length };
+  }
+
+  /**
+   * Group rows into sendBatch() calls that stay within maxBatchBytes; one row
+   * per batch for queues without sendBatch()
+   * @param {Array<Object>} rows - Outbox rows
+   * @returns {Array<Array<Object>>} Batches of { row, message }
+   * @private
+   */
+  _batches(rows) {
+    const batching = typeof this.queue.sendBatch === 'function';
+    const encoder = new TextEncoder();
+    const batches = [];
+    let current = [];
+    let bytes = 0;
+
+    for (const row of rows) {
+      const message = { body: toMessage(row) };
+      const size = encoder.encode(JSON.stringify(message.body)).length;
+      if (current.length > 0 && (!batching || bytes + size > this.maxBatchBytes)) {
+        batches.push(current);
+        current = [];
+        bytes = 0;
+      }
+      current.push({ row, message });
+      bytes += size;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  /**
+   * @param {Array<Object>} messages - Queue messages ({ body })
+   * @private
+   */
+  async _send(messages) {
+    if (typeof this.queue.sendBatch === 'function') {
+      await this.queue.sendBatch(messages);
+      return;
+    }
+    for (const { body } of messages) {
+      await this.queue.send(body);
+    }
+  }
+
+  /**
+   * Relay after the response is sent, e.g. from a handler that just wrote
+   * @param {ExecutionContext} ctx - Execution context
+   * @returns {Promise<Object|undefined>} The relay result; errors are logged, not thrown
+   */
+  dispatch(ctx) {
+    const relayed = this.relay().catch((error) => {
+      console.error(`[OutboxRelay] ${error.message}`);
+    });
+    ctx.waitUntil(relayed);
+    return relayed;
+  }
+
+  /**
+   * Delete dispatched rows older than a cutoff
+   * @param {Date|string} before - Cutoff for `dispatched_at`
+   * @returns {Promise<number>} Rows deleted
+   */
+  async prune(before) {
+    const cutoff = before instanceof Date ? before.toISOString() : before;
+    const result = await this.d1Client.run(
+      `DELETE FROM ${this.table} WHERE status = 'dispatched' AND dispatched_at < ?`,
+      [cutoff]
+    );
+    return result?.meta?.changes || 0;
+  }
+}
+
+/**
+ * @private
+ */
+function eventSuffix(operation) {
+  if (!EVENT_SUFFIXES[operation]) {
+    throw new Error(`Unknown outbox operation '${operation}'; expected one of ${Object.keys(EVENT_SUFFIXES).join(', ')}`);
+  }
+  return EVENT_SUFFIXES[operation];
+}
+
+/**
+ * @private
+ */
+function toMessage(row) {
+  return withEnvelope({
+    type: row.event_type,
+    model: row.model,
+    operation: row.operation,
+    recordId: row.record_id,
+    data: JSON.parse(row.payload),
+    actor: row.actor
+  }, { id: row.id, createdAt: Date.parse(row.created_at) || Date.now() });
+}
@@ -0,0 +1,323 @@
+import { schemaManager as defaultSchemaManager } from '../schema/SchemaManager.js';
+import { buildWhereClause, FilterError } from '../schema/QueryFilter.js';
+import { assertIdentifier } from '../schema/SchemaDDL.js';
+import { AccessPolicy } from './AccessPolicy.js';
+
+/**
+ * Relation Loader
+ * Eager-loads model relationships for a set of already-fetched rows.
+ *
+ * Each relationship in an include tree costs one `IN (...)` query per level
+ * (split into chunks of 100 keys, D1's bound-parameter limit) regardless of
+ * how many parent rows there are, so `include: ['author.profile', 'tags']`
+ * on 50 posts runs three queries instead of 150.
+ *
+ * Relationship options (declared under a model's `relationships`):
+ *   belongsTo      foreignKey (on this model, default `<name>_id`), ownerKey (on target, default `id`)
+ *   hasOne/hasMany foreignKey (on target, required), localKey (on this model, default `id`)
+ *   belongsToMany  through (join model or table), foreignKey (join column → this model),
+ *                  otherKey (join column → target), localKey/ownerKey (default `id`)
+ *
+ * When a principal is passed, every included model's access policy applies as
+ * if it were read directly: its `roles.read` must be met and its `rowFilter`
+ * narrows each query, so related rows outside it are left out.
+ */
+
+/**
+ * Deepest include path accepted (`a.b.c`)
+ */
+export const MAX_INCLUDE_DEPTH = 3;
+
+/**
+ * Most include paths accepted in one request
+ */
+export const MAX_INCLUDES = 10;
+
+const CHUNK_SIZE = 100;
+
+/**
+ * Normalize include paths from an array or comma-separated string
+ * @param {string|string[]} include - e.g. 'author.profile,comments' or ['author.profile', 'comments']
+ * @returns {string[]} Trimmed, de-duplicated paths
+ */
+export function parseIncludePaths(include) {
+  const paths = Array.isArray(include) ? include : String(include || '').split(',');
+  return [...new Set(paths.map(path => String(path).trim()).filter(Boolean))];
+}
+
+export class RelationLoader {
+  /**
+   * @param {Object} d1Client - D1 database client
+   * @param {SchemaManager} [manager] - Schema registry (defaults to the shared instance)
+   */
+  constructor(d1Client, manager = defaultSchemaManager) {
+    this.d1Client = d1Client;
+    this.schemaManager = manager;
+  }
+
+  /**
+   * Validate include paths against the declared relationships and build a tree
+   * @param {string} modelName - Root model
+   * @param {string|string[]} include - Include paths
+   * @returns {Object} { [relationName]: { relation, children } }
+   * @throws {FilterError} For unknown relationships or paths that are too deep
+   */
+  resolve(modelName, include) {
+    const paths = parseIncludePaths(include);
+    if (paths.length > MAX_INCLUDES) {
+      throw new FilterError(`At most ${MAX_INCLUDES} includes are allowed`, 'include');
+    }
+
+    const tree = {};
+    paths.forEach((path) => {
+      const segments = path.split('.');
+      if (segments.length > MAX_INCLUDE_DEPTH) {
+        throw new FilterError(`Include '${path}' is nested deeper than ${MAX_INCLUDE_DEPTH} levels`, 'include');
+      }
+
+      let level = tree;
+      let currentModel = modelName;
+      segments.forEach((name) => {
+        if (!level[name]) {
+          level[name] = { relation: this.describe(currentModel, name), children: {} };
+        }
+        currentModel = level[name].relation.targetModel;
+        level = level[name].children;
+      });
+    });
+
+    return tree;
+  }
+
+  /**
+   * Columns the parent rows must carry for the tree's top-level relationships
+   * @param {Object} tree - Tree from resolve()
+   * @returns {string[]} Column names
+   */
+  requiredKeys(tree) {
+    return [...new Set(Object.values(tree).map(({ relation }) => (
+      relation.type === 'belongsTo' ? relation.foreignKey : relation.localKey
+    )))];
+  }
+
+  /**
+   * Check that the principal may read every model in the tree
+   * @param {Object} tree - Tree from resolve()
+   * @param {Object|null} principal - Acting user
+   * @returns {Object} Row filters applied to the included models, keyed by include path
+   * @throws {UnauthorizedError} An included model requires roles and there is no principal
+   * @throws {ForbiddenError} The principal lacks the read roles of an included model
+   */
+  authorize(tree, principal, prefix = '') {
+    const filters = {};
+    for (const [name, { relation, children }] of Object.entries(tree)) {
+      const path = prefix ? `${prefix}.${name}` : name;
+      const filter = this._readScope(relation, principal);
+      if (filter) filters[path] = filter;
+      Object.assign(filters, this.authorize(children, principal, path));
+    }
+    return filters;
+  }
+
+  /**
+   * Attach related records to `rows` in place, level by level
+   * @param {Array<Object>} rows - Parent rows
+   * @param {Object} tree - Tree from resolve()
+   * @param {Object} [options]
+   * @param {Object|null} [options.principal] - Caller whose access policies apply to the included models
+   * @returns {Promise<Array<Object>>} The same rows
+   * @throws {UnauthorizedError|ForbiddenError} The principal may not read an included model
+   */
+  async load(rows, tree, options = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) return rows;
+
+    for (const { relation, children } of Object.values(tree)) {
+      const scope = options.principal === undefined ? null : this._readScope(relation, options.principal);
+      const related = await this._loadRelation(rows, relation, scope);
+      if (Object.keys(children).length > 0) {
+        await this.load(related, children, options);
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Resolve one relationship declaration with its defaults applied
+   * @param {string} modelName - Model declaring the relationship
+   * @param {string} name - Relationship name
+   * @returns {Object} Relationship description
+   */
+  describe(modelName, name) {
+    const schema = this.schemaManager.getModel(modelName);
+    const relationships = schema?.relationships || {};
+    if (!Object.prototype.hasOwnProperty.call(relationships, name)) {
+      throw new FilterError(`Unknown relationship '${name}' for model '${modelName}'`, 'include');
+    }
+
+    const config = relationships[name];
+    const target = this.schemaManager.getModel(config.model);
+    if (!target) {
+      throw new Error(`Relationship '${modelName}.${name}' targets unknown model '${config.model}'`);
+    }
+
+    const type = config.type || 'belongsTo';
+    const relation = {
+      name,
+      type,
+      targetModel: config.model,
+      target,
+      foreignKey: config.foreignKey,
+      localKey: config.localKey || 'id',
+      ownerKey: config.ownerKey || 'id'
+    };
+
+    switch (type) {
+      case 'belongsTo':
+        relation.foreignKey = config.foreignKey || `${name}_id`;
+        break;
+      case 'hasOne':
+      case 'hasMany':
+        if (!config.foreignKey) {
+          throw new Error(`Relationship '${modelName}.${name}' (${type}) requires a foreignKey`);
+        }
+        break;
+      case 'belongsToMany': {
+        if (!config.through || !config.foreignKey || !config.otherKey) {
+          throw new Error(`Relationship '${modelName}.${name}' (belongsToMany) requires through, foreignKey and otherKey`);
+        }
+        const joinModel = this.schemaManager.getModel(config.through);
+        relation.through = assertIdentifier(joinModel ? joinModel.tableName : config.through, 'table');
+        relation.otherKey = config.otherKey;
+        break;
+      }
+      default:
+        throw new Error(`Unsupported relationship type '${type}' on '${modelName}.${name}'`);
+    }
+
+    return relation;
+  }
+
+  /**
+   * Require the target's read roles and return its row filter (null when unfiltered)
+   * @private
+   */
+  _readScope(relation, principal) {
+    const policy = new AccessPolicy(relation.target, this.schemaManager);
+    policy.assertAllowed('read', principal);
+    const filter = policy.rowFilter(principal, 'read');
+    return filter && Object.keys(filter).length > 0 ? filter : null;
+  }
+
+  /**
+   * Load one relationship for all rows and attach it
+   * @returns {Promise<Array<Object>>} Loaded related rows (for the next level)
+   * @private
+   */
+  async _loadRelation(rows, relation, scope = null) {
+    const { name, type } = relation;
+
+    if (type === 'belongsTo') {
+      const owners = await this._fetchBy(relation.target, relation.ownerKey, collectKeys(rows, relation.foreignKey), scope);
+      const byKey = new Map(owners.map(owner => [owner[relation.ownerKey], owner]));
+      rows.forEach((row) => {
+        row[name] = byKey.get(row[relation.foreignKey]) ?? null;
+      });
+      return owners;
+    }
+
+    const keys = collectKeys(rows, relation.localKey);
+    const grouped = new Map();
+    let related;
+
+    if (type === 'belongsToMany') {
+      related = await this._fetchThrough(relation, keys, scope);
+      related.forEach(({ parentKey, record }) => {
+        if (!grouped.has(parentKey)) grouped.set(parentKey, []);
+        grouped.get(parentKey).push(record);
+      });
+      related = related.map(({ record }) => record);
+    } else {
+      related = await this._fetchBy(relation.target, relation.foreignKey, keys, scope);
+      related.forEach((record) => {
+        const parentKey = record[relation.foreignKey];
+        if (!grouped.has(parentKey)) grouped.set(parentKey, []);
+        grouped.get(parentKey).push(record);
+      });
+    }
+
+    rows.forEach((row) => {
+      const matches = grouped.get(row[relation.localKey]) || [];
+      row[name] = type === 'hasOne' ? (matches[0] ?? null) : matches;
+    });
+
+    return related;
+  }
+
+  /**
+   * SELECT target rows whose `column` is in `keys`, honoring the target's soft-delete scope
+   * and the principal's row filter
+   * @private
+   */
+  async _fetchBy(target, column, keys, scope = null) {
+    const results = [];
+    for (const chunk of chunked(keys)) {
+      const filter = target.softDelete ? { [column]: chunk, deleted_at: null } : { [column]: chunk };
+      const { clause, params } = buildWhereClause(target, scope ? { $and: [filter, scope] } : filter);
+      const rows = await this.d1Client.all(`SELECT * FROM ${target.tableName} WHERE ${clause}`, params);
+      (rows || []).forEach((row) => results.push(this.schemaManager.deserializeRecord(target.name, row)));
+    }
+    return results;
+  }
+
+  /**
+   * SELECT target rows through the join table; each result keeps the parent key it belongs to.
+   * The row filter is applied in a subquery on the target table, whose columns it names unqualified.
+   * @private
+   */
+  async _fetchThrough(relation, keys, scope = null) {
+    const { target, through } = relation;
+    const foreignKey = assertIdentifier(relation.foreignKey, 'column');
+    const otherKey = assertIdentifier(relation.otherKey, 'column');
+    const ownerKey = assertIdentifier(relation.ownerKey, 'column');
+    const results = [];
+
+    let scoped = { sql: '', params: [] };
+    if (scope) {
+      const { clause, params } = buildWhereClause(target, scope);
+      scoped = { sql: ` AND t.${ownerKey} IN (SELECT ${ownerKey} FROM ${target.tableName} WHERE ${clause})`, params };
+    }
+
+    for (const chunk of chunked(keys)) {
+      const placeholders = chunk.map(() => '?').join(', ');
+      const sql = `SELECT t.*, j.${foreignKey} AS __parent_key FROM ${target.tableName} t ` +
+        `INNER JOIN ${through} j ON j.${otherKey} = t.${ownerKey} ` +
+        `WHERE j.${foreignKey} IN (${placeholders})${target.softDelete ? ' AND t.deleted_at IS NULL' : ''}${scoped.sql}`;
+
+      const rows = await this.d1Client.all(sql, [...chunk, ...scoped.params]);
+      (rows || []).forEach(({ __parent_key: parentKey, ...record }) => {
+        results.push({ parentKey, record: this.schemaManager.deserializeRecord(target.name, record) });
+      });
+    }
+
+    return results;
+  }
+}
+
+/**
+ * @private
+ */
+function collectKeys(rows, column) {
+  return [...new Set(rows.map(row => row[column]).filter(value => value !== undefined && value !== null))];
+}
+
+/**
+ * @private
+ */
+function chunked(values) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += CHUNK_SIZE) {
+    chunks.push(values.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
@@ -0,0 +1,95 @@
+/**
+ * Workers AI Stub
+ * An AI binding that answers run() from scripted responses and records every call
+ *
+ * @example
+ * const ai = new MemoryAI({ responses: { [Models.CHAT]: { response: 'Hello!' } } });
+ * ai.respondOnce(Models.CHAT, { response: 'First reply' });
+ * ai.respond(Models.EMBEDDINGS, (inputs) => ({ data: inputs.text.map(() => [0.1, 0.2]) }));
+ *
+ * await new AIClient(ai).chat([{ role: 'user', content: 'Hi' }]);
+ * expect(ai.calls[0].model).toBe(Models.CHAT);
+ */
+
+/**
+ * AI binding stub
+ */
+export class MemoryAI {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.responses] - Response (or function of inputs) per model; '*' matches any model
+   */
+  constructor(options = {}) {
+    this.responses = new Map(Object.entries(options.responses || {}));
+    this.queued = new Map();
+    this.calls = [];
+  }
+
+  /**
+   * Answer every call to a model
+   * @param {string} model - Model name, or '*' for any model
+   * @param {*|Function} response - Response, or (inputs, model) => response
+   * @returns {MemoryAI}
+   */
+  respond(model, response) {
+    this.responses.set(model, response);
+    return this;
+  }
+
+  /**
+   * Answer the next call to a model; queued responses are used before respond() ones
+   * @param {string} model - Model name, or '*' for any model
+   * @param {*|Function} response - Response, or (inputs, model) => response
+   * @returns {MemoryAI}
+   */
+  respondOnce(model, response) {
+    if (!this.queued.has(model)) this.queued.set(model, []);
+    this.queued.get(model).push(response);
+    return this;
+  }
+
+  /**
+   * @param {string} model - Model name
+   * @param {Object} inputs - Model inputs; `stream: true` returns an SSE stream of the response text
+   * @returns {Promise<*>}
+   */
+  async run(model, inputs = {}) {
+    this.calls.push({ model, inputs });
+
+    const scripted = this.next(model) ?? this.next('*');
+    if (scripted === undefined) {
+      throw new Error(`No scripted AI response for model '${model}'`);
+    }
+    const response = typeof scripted === 'function' ? await scripted(inputs, model) : structuredClone(scripted);
+
+    return inputs.stream ? toEventStream(response) : response;
+  }
+
+  /**
+   * Forget recorded calls and scripted responses
+   */
+  reset() {
+    this.responses.clear();
+    this.queued.clear();
+    this.calls = [];
+  }
+
+  /**
+   * @private
+   */
+  next(model) {
+    const queued = this.queued.get(model);
+    if (queued?.length) return queued.shift();
+    return this.responses.get(model);
+  }
+}
+
+/**
+ * Stream a response the way text models do with `stream: true`
+ * @private
+ */
+function toEventStream(response) {
+  const text = typeof response === 'string' ? response : response?.response ?? '';
+  const events = `data: ${JSON.stringify({ response: text })}\n\ndata: [DONE]\n\n`;
+  return new Response(events).body;
+}
@@ -0,0 +1,324 @@
+/**
+ * In-memory D1 Emulator
+ * A D1Database backed by an in-memory SQLite database, so SQL written for D1
+ * runs unchanged in unit tests
+ *
+ * SQLite comes from `node:sqlite` (Node 22.5+) or the `better-sqlite3`
+ * package, whichever loads first.
+ *
+ * @example
+ * const db = new MemoryD1Database({ models: ['users'] });
+ * await db.prepare('INSERT INTO users (id, name) VALUES (?, ?)').bind('u1', 'Ada').run();
+ * const user = await db.prepare('SELECT * FROM users WHERE id = ?').bind('u1').first();
+ *
+ * const service = new GenericDataService(createD1Client(db), 'users');
+ */
+
+import { schemaManager } from '../../schema/SchemaManager.js';
+
+// Tried in order; the specifiers stay in an array so Worker bundlers never try to resolve them
+const SQLITE_DRIVERS = ['node:sqlite', 'better-sqlite3'];
+
+// Database factory from the first driver that loaded; resolved once per process
+let sqliteDriver = null;
+
+// Statements that never write, so changes() would report a previous statement
+const READ_ONLY = /^\s*(SELECT|WITH|PRAGMA|EXPLAIN|VALUES)\b/i;
+const RETURNS_ROWS = /^\s*(SELECT|WITH|PRAGMA|EXPLAIN|VALUES)\b|\bRETURNING\b/i;
+
+/**
+ * D1Database emulator
+ */
+export class MemoryD1Database {
+  /**
+   * @param {Object} [options]
+   * @param {string|Array<string>} [options.migrations] - SQL run when the database opens
+   * @param {Array<string>} [options.models] - Registered schemaManager models whose tables are created on open
+   * @param {Object} [options.driver] - An open SQLite database (node:sqlite DatabaseSync or better-sqlite3) to use instead
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.db = null;
+    this.opening = null;
+  }
+
+  /**
+   * Prepare a statement; bind parameters with bind()
+   * @param {string} sql - SQL with `?` or `?N` placeholders
+   * @returns {MemoryD1PreparedStatement}
+   */
+  prepare(sql) {
+    return new MemoryD1PreparedStatement(this, sql);
+  }
+
+  /**
+   * Run statements in one transaction; any failure rolls back the whole batch
+   * @param {Array<MemoryD1PreparedStatement>} statements - Bound statements
+   * @returns {Promise<Array<Object>>} One D1 result per statement
+   */
+  async batch(statements) {
+    const db = await this.open();
+    db.exec('BEGIN');
+    try {
+      const results = statements.map(statement => statement.execute(db));
+      db.exec('COMMIT');
+      return results;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Run one or more raw SQL statements without parameters
+   * @param {string} sql - SQL
+   * @returns {Promise<{ count: number, duration: number }>}
+   */
+  async exec(sql) {
+    const db = await this.open();
+    const started = Date.now();
+    try {
+      db.exec(sql);
+    } catch (error) {
+      throw d1Error(error);
+    }
+    return { count: sql.split(';').filter(part => part.trim()).length, duration: Date.now() - started };
+  }
+
+  /**
+   * The underlying SQLite database, opened (and migrated) on first use
+   * @returns {Promise<Object>}
+   */
+  async open() {
+    if (this.db) return this.db;
+    if (!this.opening) {
+      this.opening = (async () => {
+        const db = this.options.driver || await openSqlite();
+        const migrations = [this.options.migrations || []].flat();
+        const models = (this.options.models || []).map(model => schemaManager.generateCreateSQL(model));
+        for (const sql of [...models, ...migrations]) {
+          db.exec(sql);
+        }
+        this.db = db;
+        return db;
+      })();
+    }
+    return this.opening;
+  }
+
+  /**
+   * Close the SQLite database
+   */
+  close() {
+    this.db?.close();
+    this.db = null;
+    this.opening = null;
+  }
+}
+
+/**
+ * D1PreparedStatement emulator; bind() returns a new statement, as in D1
+ */
+export class MemoryD1PreparedStatement {
+  /**
+   * @param {MemoryD1Database} database - Owning database
+   * @param {string} sql - SQL
+   * @param {Array} [params] - Bound values
+   */
+  constructor(database, sql, params = []) {
+    this.database = database;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  /**
+   * @param {...*} values - Values for the placeholders
+   * @returns {MemoryD1PreparedStatement}
+   */
+  bind(...values) {
+    return new MemoryD1PreparedStatement(this.database, this.sql, values.map(toSqlValue));
+  }
+
+  /**
+   * @param {string} [column] - Return only this column of the first row
+   * @returns {Promise<Object|*|null>} First row, the column's value, or null without rows
+   */
+  async first(column) {
+    const [row] = this.execute(await this.database.open()).results;
+    if (!row) return null;
+    if (column === undefined) return row;
+    if (!(column in row)) {
+      throw new Error(`D1_COLUMN_NOTFOUND: Column not found (${column})`);
+    }
+    return row[column];
+  }
+
+  /**
+   * @returns {Promise<{ results: Array<Object>, success: boolean, meta: Object }>}
+   */
+  async all() {
+    return this.execute(await this.database.open());
+  }
+
+  /**
+   * @returns {Promise<{ results: Array<Object>, success: boolean, meta: Object }>}
+   */
+  async run() {
+    return this.execute(await this.database.open());
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.columnNames=false] - Prepend the column names as the first row
+   * @returns {Promise<Array<Array>>} Rows as arrays
+   */
+  async raw(options = {}) {
+    const { results } = this.execute(await this.database.open());
+    const rows = results.map(row => Object.values(row));
+    return options.columnNames ? [Object.keys(results[0] || {}), ...rows] : rows;
+  }
+
+  /**
+   * Execute against an open SQLite database
+   * @param {Object} db - SQLite database
+   * @returns {{ results: Array<Object>, success: boolean, meta: Object }}
+   */
+  execute(db) {
+    const started = Date.now();
+    let results = [];
+    let changes = 0;
+    let lastRowId = 0;
+
+    try {
+      const statement = db.prepare(this.sql);
+      if (returnsRows(statement, this.sql)) {
+        results = statement.all(...this.params).map(fromSqlRow);
+      } else {
+        statement.run(...this.params);
+      }
+      if (!READ_ONLY.test(this.sql)) {
+        const info = db.prepare('SELECT changes() AS changes, last_insert_rowid() AS id').get();
+        changes = Number(info.changes);
+        lastRowId = Number(info.id);
+      }
+    } catch (error) {
+      throw d1Error(error);
+    }
+
+    return {
+      results,
+      success: true,
+      meta: {
+        duration: Date.now() - started,
+        changes,
+        last_row_id: lastRowId,
+        changed_db: changes > 0,
+        rows_read: results.length,
+        rows_written: changes
+      }
+    };
+  }
+}
+
+/**
+ * Adapt a D1Database to the client interface GenericDataService expects
+ * (`run/all/first(sql, params)`, `prepare`, `batch`, `generateId`, `getCurrentTimestamp`)
+ * @param {MemoryD1Database|D1Database} database - D1 binding
+ * @param {Object} [options]
+ * @param {Function} [options.generateId] - ID factory (default crypto.randomUUID)
+ * @param {Function} [options.now] - Timestamp factory (default ISO string of the current time)
+ * @returns {Object} D1 client
+ */
+export function createD1Client(database, options = {}) {
+  const statement = (sql, params = []) => database.prepare(sql).bind(...params);
+
+  return {
+    prepare: (sql) => database.prepare(sql),
+    batch: (statements) => database.batch(statements),
+    exec: (sql) => database.exec(sql),
+    run: (sql, params) => statement(sql, params).run(),
+    all: async (sql, params) => (await statement(sql, params).all()).results,
+    first: (sql, params) => statement(sql, params).first(),
+    generateId: options.generateId || (() => crypto.randomUUID()),
+    getCurrentTimestamp: options.now || (() => new Date().toISOString())
+  };
+}
+
+/**
+ * @private
+ */
+async function openSqlite() {
+  sqliteDriver ??= loadSqliteDriver();
+  return (await sqliteDriver)(':memory:');
+}
+
+/**
+ * @private
+ */
+async function loadSqliteDriver() {
+  for (const specifier of SQLITE_DRIVERS) {
+    try {
+      const driver = await import(specifier);
+      if (driver.DatabaseSync) return (filename) => new driver.DatabaseSync(filename);
+      const Database = driver.default || driver;
+      return (filename) => new Database(filename);
+    } catch {
+      // Not available in this runtime; try the next driver
+    }
+  }
+  throw new Error('MemoryD1Database needs SQLite: run on Node 22.5+ (node:sqlite) or install better-sqlite3');
+}
+
+/**
+ * better-sqlite3 knows whether a statement returns rows; node:sqlite may expose its columns
+ * @private
+ */
+function returnsRows(statement, sql) {
+  if (typeof statement.reader === 'boolean') return statement.reader;
+  if (typeof statement.columns === 'function') return statement.columns().length > 0;
+  return RETURNS_ROWS.test(sql);
+}
+
+/**
+ * Bind values the way D1 does: booleans become integers and undefined is rejected
+ * @private
+ */
+function toSqlValue(value) {
+  if (value === undefined) {
+    throw new TypeError("D1_TYPE_ERROR: Type 'undefined' not supported for value 'undefined'");
+  }
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof ArrayBuffer) return toBytes(new Uint8Array(value));
+  if (ArrayBuffer.isView(value)) return toBytes(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+  if (Array.isArray(value)) return toBytes(Uint8Array.from(value));
+  return value;
+}
+
+/**
+ * @private
+ */
+function toBytes(bytes) {
+  return globalThis.Buffer ? globalThis.Buffer.from(bytes) : bytes;
+}
+
+/**
+ * D1 returns plain objects, numbers for integers and byte arrays for BLOBs
+ * @private
+ */
+function fromSqlRow(row) {
+  const result = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (typeof value === 'bigint') result[column] = Number(value);
+    else if (value instanceof Uint8Array) result[column] = Array.from(value);
+    else result[column] = value;
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function d1Error(error) {
+  if (error.message?.startsWith('D1_')) return error;
+  return new Error(`D1_ERROR: ${error.message}`, { cause: error });
+}
@@ -0,0 +1,304 @@
+/**
+ * In-memory Durable Object Emulator
+ * A DurableObjectNamespace that instantiates one object per id, with
+ * transactional storage, blockConcurrencyWhile(), alarms, hibernatable
+ * WebSocket bookkeeping, and stubs that support fetch() and RPC calls
+ *
+ * Alarms never fire on their own: call runAlarms() to deliver those that are due.
+ *
+ * @example
+ * const counters = new MemoryDurableObjectNamespace(Counter, env);
+ * const stub = counters.get(counters.idFromName('page-views'));
+ * await stub.fetch('https://counter/increment', { method: 'POST' });
+ * await stub.increment(); // RPC
+ * await counters.runAlarms();
+ */
+
+/**
+ * DurableObjectNamespace emulator
+ */
+export class MemoryDurableObjectNamespace {
+  /**
+   * @param {Function} DurableObjectClass - Class constructed as new DurableObjectClass(state, env)
+   * @param {Object} [env={}] - Environment handed to every object
+   */
+  constructor(DurableObjectClass, env = {}) {
+    this.DurableObjectClass = DurableObjectClass;
+    this.env = env;
+    this.instances = new Map();
+  }
+
+  /**
+   * @param {string} name - Object name
+   * @returns {MemoryDurableObjectId} The same id for the same name
+   */
+  idFromName(name) {
+    const hex = Array.from(new TextEncoder().encode(name), byte => byte.toString(16).padStart(2, '0')).join('');
+    return new MemoryDurableObjectId(hex.padEnd(64, '0'), name);
+  }
+
+  /**
+   * @param {string} id - String form of an id from this namespace
+   * @returns {MemoryDurableObjectId}
+   */
+  idFromString(id) {
+    if (!/^[0-9a-f]{64,}$/.test(id)) {
+      throw new TypeError(`Invalid Durable Object ID: ${id}`);
+    }
+    return new MemoryDurableObjectId(id);
+  }
+
+  /**
+   * @returns {MemoryDurableObjectId} A random id
+   */
+  newUniqueId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return new MemoryDurableObjectId(Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(''));
+  }
+
+  /**
+   * Stub for an object; fetch() and any other method call are dispatched to the instance
+   * @param {MemoryDurableObjectId} id - Object id
+   * @returns {Object} Stub
+   */
+  get(id) {
+    const target = { id, name: id.name };
+    return new Proxy(target, {
+      get: (stub, property) => {
+        if (property in stub || typeof property === 'symbol' || property === 'then') return stub[property];
+        if (property === 'fetch') {
+          return (input, init) => this.dispatch(id, object => object.fetch(
+            input instanceof Request && !init ? input : new Request(input, init)
+          ));
+        }
+        return (...args) => this.dispatch(id, object => {
+          if (typeof object[property] !== 'function') {
+            throw new TypeError(`The RPC receiver does not implement the method "${String(property)}".`);
+          }
+          return object[property](...args);
+        });
+      }
+    });
+  }
+
+  /**
+   * Deliver due alarms. The alarm is cleared before alarm() runs and restored if it throws.
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Deliver every scheduled alarm, due or not
+   * @returns {Promise<number>} Number of alarms delivered
+   */
+  async runAlarms(options = {}) {
+    let delivered = 0;
+    for (const { object, state } of this.instances.values()) {
+      const scheduled = state.storage.alarm;
+      if (scheduled === null || (!options.force && scheduled > Date.now())) continue;
+
+      state.storage.alarm = null;
+      await state.blocked;
+      try {
+        await object.alarm({ retryCount: 0, isRetry: false });
+      } catch (error) {
+        state.storage.alarm ??= scheduled;
+        throw error;
+      }
+      delivered++;
+    }
+    return delivered;
+  }
+
+  /**
+   * @private
+   */
+  async dispatch(id, call) {
+    const key = id.toString();
+    if (!this.instances.has(key)) {
+      const state = new MemoryDurableObjectState(id);
+      this.instances.set(key, { state, object: new this.DurableObjectClass(state, this.env) });
+    }
+
+    const { state, object } = this.instances.get(key);
+    await state.blocked;
+    return call(object);
+  }
+}
+
+/**
+ * DurableObjectId emulator
+ */
+export class MemoryDurableObjectId {
+  constructor(id, name) {
+    this.id = id;
+    if (name !== undefined) this.name = name;
+  }
+
+  equals(other) {
+    return other?.toString() === this.id;
+  }
+
+  toString() {
+    return this.id;
+  }
+}
+
+/**
+ * DurableObjectState emulator
+ */
+export class MemoryDurableObjectState {
+  /**
+   * @param {MemoryDurableObjectId} id - Object id
+   */
+  constructor(id) {
+    this.id = id;
+    this.storage = new MemoryDurableObjectStorage();
+    this.blocked = Promise.resolve();
+    this.webSockets = new Map();
+  }
+
+  /**
+   * Hold back further events until the callback settles
+   * @param {Function} callback - Async callback
+   * @returns {Promise<*>}
+   */
+  blockConcurrencyWhile(callback) {
+    const run = Promise.resolve().then(callback);
+    this.blocked = run.then(() => {}, () => {});
+    return run;
+  }
+
+  waitUntil() {}
+
+  /**
+   * @param {WebSocket} webSocket - Server side of a WebSocketPair
+   * @param {Array<string>} [tags=[]] - Tags for getWebSockets()
+   */
+  acceptWebSocket(webSocket, tags = []) {
+    webSocket.accept?.();
+    this.webSockets.set(webSocket, tags);
+  }
+
+  /**
+   * @param {string} [tag] - Only sockets with this tag
+   * @returns {Array<WebSocket>}
+   */
+  getWebSockets(tag) {
+    return [...this.webSockets].filter(([, tags]) => tag === undefined || tags.includes(tag)).map(([webSocket]) => webSocket);
+  }
+
+  /**
+   * @param {WebSocket} webSocket - Accepted socket
+   * @returns {Array<string>}
+   */
+  getTags(webSocket) {
+    return this.webSockets.get(webSocket) || [];
+  }
+}
+
+/**
+ * DurableObjectStorage emulator (key-value API); values are structured-cloned
+ */
+export class MemoryDurableObjectStorage {
+  constructor() {
+    this.data = new Map();
+    this.alarm = null;
+  }
+
+  /**
+   * @param {string|Array<string>} keys - One key, or several for a Map result
+   * @returns {Promise<*|Map<string, *>>}
+   */
+  async get(keys) {
+    if (!Array.isArray(keys)) return structuredClone(this.data.get(keys));
+
+    const result = new Map();
+    for (const key of keys) {
+      if (this.data.has(key)) result.set(key, structuredClone(this.data.get(key)));
+    }
+    return result;
+  }
+
+  /**
+   * @param {string|Object} key - Key, or an object of entries
+   * @param {*} [value] - Value
+   * @returns {Promise<void>}
+   */
+  async put(key, value) {
+    const entries = typeof key === 'string' ? { [key]: value } : key;
+    for (const [name, entry] of Object.entries(entries)) {
+      this.data.set(name, structuredClone(entry));
+    }
+  }
+
+  /**
+   * @param {string|Array<string>} keys - One key or several
+   * @returns {Promise<boolean|number>} Whether the key existed, or how many did
+   */
+  async delete(keys) {
+    if (!Array.isArray(keys)) return this.data.delete(keys);
+    return keys.filter(key => this.data.delete(key)).length;
+  }
+
+  async deleteAll() {
+    this.data.clear();
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Key prefix
+   * @param {string} [options.start] - First key (inclusive)
+   * @param {string} [options.startAfter] - First key (exclusive)
+   * @param {string} [options.end] - Last key (exclusive)
+   * @param {number} [options.limit] - Maximum entries
+   * @param {boolean} [options.reverse=false] - Descending key order
+   * @returns {Promise<Map<string, *>>}
+   */
+  async list(options = {}) {
+    let keys = [...this.data.keys()].sort().filter(key =>
+      (!options.prefix || key.startsWith(options.prefix)) &&
+      (options.start === undefined || key >= options.start) &&
+      (options.startAfter === undefined || key > options.startAfter) &&
+      (options.end === undefined || key < options.end)
+    );
+    if (options.reverse) keys.reverse();
+    if (options.limit !== undefined) keys = keys.slice(0, options.limit);
+
+    return new Map(keys.map(key => [key, structuredClone(this.data.get(key))]));
+  }
+
+  /**
+   * Run a callback whose writes are rolled back if it throws
+   * @param {Function} callback - Receives this storage as the transaction
+   * @returns {Promise<*>}
+   */
+  async transaction(callback) {
+    const snapshot = new Map(this.data);
+    const alarm = this.alarm;
+    try {
+      return await callback(this);
+    } catch (error) {
+      this.data = snapshot;
+      this.alarm = alarm;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<number|null>} Scheduled alarm time in ms since the epoch
+   */
+  async getAlarm() {
+    return this.alarm;
+  }
+
+  /**
+   * @param {number|Date} time - Alarm time in ms since the epoch
+   * @returns {Promise<void>}
+   */
+  async setAlarm(time) {
+    this.alarm = time instanceof Date ? time.getTime() : Number(time);
+  }
+
+  async deleteAlarm() {
+    this.alarm = null;
+  }
+
+  async sync() {}
+}
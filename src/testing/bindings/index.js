@@ -0,0 +1,15 @@
+/**
+ * In-memory Cloudflare binding emulators for unit tests
+ */
+
+export { MemoryD1Database, MemoryD1PreparedStatement, createD1Client } from './d1.js';
+export { MemoryKVNamespace } from './kv.js';
+export { MemoryR2Bucket, MemoryR2Object, MemoryR2ObjectBody } from './r2.js';
+export { MemoryQueue, MemoryMessageBatch, MemoryMessage, createMessageBatch } from './queues.js';
+export {
+  MemoryDurableObjectNamespace,
+  MemoryDurableObjectId,
+  MemoryDurableObjectState,
+  MemoryDurableObjectStorage
+} from './durableObjects.js';
+export { MemoryAI } from './ai.js';
@@ -0,0 +1,165 @@
+/**
+ * In-memory KV Emulator
+ * A KVNamespace with expiration, metadata and cursor-paginated, key-ordered list()
+ *
+ * Expiration is checked against Date.now(), so fake timers move it forward.
+ *
+ * @example
+ * const kv = new MemoryKVNamespace();
+ * await kv.put('session:1', JSON.stringify({ user: 'u1' }), { expirationTtl: 60 });
+ * const session = await kv.get('session:1', 'json');
+ */
+
+// Workers KV rejects shorter TTLs
+const MIN_EXPIRATION_TTL = 60;
+const MAX_LIST_LIMIT = 1000;
+
+/**
+ * KVNamespace emulator
+ */
+export class MemoryKVNamespace {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {string|Object} [options] - Type, or { type }: 'text' (default), 'json', 'arrayBuffer' or 'stream'
+   * @returns {Promise<*|null>}
+   */
+  async get(key, options) {
+    return (await this.getWithMetadata(key, options)).value;
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {string|Object} [options] - Type, or { type }
+   * @returns {Promise<{ value: *|null, metadata: Object|null, cacheStatus: null }>}
+   */
+  async getWithMetadata(key, options) {
+    const entry = this.live(key);
+    if (!entry) return { value: null, metadata: null, cacheStatus: null };
+
+    const type = (typeof options === 'string' ? options : options?.type) || 'text';
+    return { value: decode(entry.value, type), metadata: entry.metadata ?? null, cacheStatus: null };
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {string|ArrayBuffer|ArrayBufferView|ReadableStream} value - Value
+   * @param {Object} [options]
+   * @param {number} [options.expiration] - Absolute expiry in seconds since the epoch
+   * @param {number} [options.expirationTtl] - Expiry in seconds from now (at least 60)
+   * @param {Object} [options.metadata] - JSON-serializable metadata
+   * @returns {Promise<void>}
+   */
+  async put(key, value, options = {}) {
+    if (!key) {
+      throw new TypeError('KV put() requires a key');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    let expiration;
+    if (options.expirationTtl !== undefined) {
+      if (options.expirationTtl < MIN_EXPIRATION_TTL) {
+        throw new Error(`KV PUT failed: 400 Invalid expiration_ttl of ${options.expirationTtl}. Expiration TTL must be at least ${MIN_EXPIRATION_TTL}.`);
+      }
+      expiration = now + Number(options.expirationTtl);
+    } else if (options.expiration !== undefined) {
+      if (options.expiration < now + MIN_EXPIRATION_TTL) {
+        throw new Error(`KV PUT failed: 400 Invalid expiration of ${options.expiration}. Expiration times must be at least ${MIN_EXPIRATION_TTL} seconds in the future.`);
+      }
+      expiration = Number(options.expiration);
+    }
+
+    this.entries.set(key, {
+      value: await encode(value),
+      expiration,
+      metadata: options.metadata === undefined ? undefined : JSON.parse(JSON.stringify(options.metadata))
+    });
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * List keys in lexicographic order
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Key prefix
+   * @param {number} [options.limit=1000] - Page size (at most 1000)
+   * @param {string} [options.cursor] - Cursor from the previous page
+   * @returns {Promise<{ keys: Array<{ name: string, expiration?: number, metadata?: Object }>, list_complete: boolean, cursor?: string }>}
+   */
+  async list(options = {}) {
+    const prefix = options.prefix || '';
+    const limit = Math.min(options.limit || MAX_LIST_LIMIT, MAX_LIST_LIMIT);
+    const after = options.cursor ? decodeURIComponent(atob(options.cursor)) : null;
+
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && (after === null || name > after) && this.live(name))
+      .sort();
+    const page = names.slice(0, limit);
+
+    const keys = page.map(name => {
+      const { expiration, metadata } = this.entries.get(name);
+      return {
+        name,
+        ...(expiration !== undefined && { expiration }),
+        ...(metadata !== undefined && { metadata })
+      };
+    });
+
+    if (names.length > limit) {
+      return { keys, list_complete: false, cursor: btoa(encodeURIComponent(page[page.length - 1])) };
+    }
+    return { keys, list_complete: true };
+  }
+
+  /**
+   * The entry for a key, dropping it once expired
+   * @private
+   */
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiration !== undefined && entry.expiration <= Date.now() / 1000) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+}
+
+/**
+ * Store values as bytes so every read type works on every write type
+ * @private
+ */
+async function encode(value) {
+  if (typeof value === 'string') return new TextEncoder().encode(value);
+  if (value instanceof ArrayBuffer) return new Uint8Array(value.slice(0));
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  if (value instanceof ReadableStream) return new Uint8Array(await new Response(value).arrayBuffer());
+  throw new TypeError('KV put() accepts a string, ArrayBuffer, ArrayBufferView or ReadableStream');
+}
+
+/**
+ * @private
+ */
+function decode(bytes, type) {
+  switch (type) {
+    case 'text':
+      return new TextDecoder().decode(bytes);
+    case 'json':
+      return JSON.parse(new TextDecoder().decode(bytes));
+    case 'arrayBuffer':
+      return bytes.slice().buffer;
+    case 'stream':
+      return new Response(bytes.slice()).body;
+    default:
+      throw new TypeError(`Unknown KV response type '${type}'`);
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * In-memory Queue Emulator
+ * A Queue producer binding that captures sends, and MessageBatch objects that
+ * record ack()/retry() so consumers can be driven from tests
+ *
+ * @example
+ * const queue = new MemoryQueue('jobs');
+ * await queue.send({ type: 'email', to: 'a@example.com' });
+ *
+ * const batch = queue.drain();
+ * await new QueueConsumer(batch, env).process(handler);
+ * expect(batch.messages[0].outcome).toBe('ack');
+ * queue.drain(); // redelivers messages that were retried, with attempts + 1
+ */
+
+/**
+ * Queue binding emulator
+ */
+export class MemoryQueue {
+  /**
+   * @param {string} [name='queue'] - Queue name reported on batches
+   */
+  constructor(name = 'queue') {
+    this.name = name;
+    this.sent = [];
+    this.pending = [];
+    this.lastBatch = null;
+  }
+
+  /**
+   * @param {*} body - Structured-cloneable message body
+   * @param {Object} [options]
+   * @param {number} [options.delaySeconds] - Delivery delay
+   * @param {string} [options.contentType] - 'json', 'text', 'bytes' or 'v8'
+   * @returns {Promise<void>}
+   */
+  async send(body, options = {}) {
+    this.enqueue({ body, ...options });
+  }
+
+  /**
+   * @param {Array<{ body: *, delaySeconds?: number, contentType?: string }>} messages - Messages
+   * @param {Object} [options]
+   * @param {number} [options.delaySeconds] - Delay for messages without their own
+   * @returns {Promise<void>}
+   */
+  async sendBatch(messages, options = {}) {
+    for (const message of messages) {
+      this.enqueue({ delaySeconds: options.delaySeconds, ...message });
+    }
+  }
+
+  /**
+   * Deliver everything pending as one MessageBatch. Messages retried in the
+   * previous batch are delivered again first; delays are not simulated.
+   * @param {Object} [options]
+   * @param {number} [options.maxBatchSize] - Deliver at most this many messages
+   * @returns {MemoryMessageBatch}
+   */
+  drain(options = {}) {
+    const redelivered = (this.lastBatch?.messages || [])
+      .filter(message => message.outcome === 'retry')
+      .map(message => ({ ...message.record, attempts: message.attempts + 1 }));
+
+    this.pending = [...redelivered, ...this.pending];
+    const records = this.pending.splice(0, options.maxBatchSize || this.pending.length);
+    this.lastBatch = new MemoryMessageBatch(this.name, records);
+    return this.lastBatch;
+  }
+
+  /**
+   * Forget everything sent so far
+   */
+  clear() {
+    this.sent = [];
+    this.pending = [];
+    this.lastBatch = null;
+  }
+
+  /**
+   * @private
+   */
+  enqueue({ body, delaySeconds, contentType }) {
+    const record = {
+      id: crypto.randomUUID(),
+      timestamp: new Date(),
+      body: structuredClone(body),
+      attempts: 1,
+      ...(delaySeconds !== undefined && { delaySeconds }),
+      ...(contentType !== undefined && { contentType })
+    };
+    this.sent.push(record);
+    this.pending.push(record);
+  }
+}
+
+/**
+ * MessageBatch emulator
+ */
+export class MemoryMessageBatch {
+  /**
+   * @param {string} queue - Queue name
+   * @param {Array<Object>} records - { id?, body, attempts?, timestamp? } per message
+   */
+  constructor(queue, records) {
+    this.queue = queue;
+    this.messages = records.map(record => new MemoryMessage(record));
+  }
+
+  ackAll() {
+    this.messages.forEach(message => message.ack());
+  }
+
+  /**
+   * @param {Object} [options] - { delaySeconds }
+   */
+  retryAll(options) {
+    this.messages.forEach(message => message.retry(options));
+  }
+}
+
+/**
+ * Message emulator; `outcome` is 'ack', 'retry' or null while unsettled
+ */
+export class MemoryMessage {
+  constructor(record) {
+    this.record = record;
+    this.id = record.id || crypto.randomUUID();
+    this.timestamp = record.timestamp || new Date();
+    this.body = record.body;
+    this.attempts = record.attempts || 1;
+    this.outcome = null;
+    this.retryDelaySeconds = undefined;
+  }
+
+  ack() {
+    this.outcome = 'ack';
+  }
+
+  /**
+   * @param {Object} [options] - { delaySeconds }
+   */
+  retry(options = {}) {
+    this.outcome = 'retry';
+    this.retryDelaySeconds = options.delaySeconds;
+  }
+}
+
+/**
+ * Build a MessageBatch from bodies, e.g. to call a queue() handler directly
+ * @param {Array<*>} bodies - Message bodies
+ * @param {Object} [options]
+ * @param {string} [options.queue='queue'] - Queue name
+ * @param {number} [options.attempts=1] - Delivery attempt of every message
+ * @returns {MemoryMessageBatch}
+ */
+export function createMessageBatch(bodies, options = {}) {
+  return new MemoryMessageBatch(
+    options.queue || 'queue',
+    bodies.map(body => ({ body, attempts: options.attempts || 1 }))
+  );
+}
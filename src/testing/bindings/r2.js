@@ -0,0 +1,276 @@
+/**
+ * In-memory R2 Emulator
+ * An R2Bucket with HTTP and custom metadata, ranged and conditional reads,
+ * and delimiter-aware, cursor-paginated list()
+ *
+ * @example
+ * const bucket = new MemoryR2Bucket();
+ * await bucket.put('video.mp4', bytes, { httpMetadata: { contentType: 'video/mp4' } });
+ * const part = await bucket.get('video.mp4', { range: { offset: 0, length: 1024 } });
+ */
+
+const MAX_LIST_LIMIT = 1000;
+
+// httpMetadata fields and the headers writeHttpMetadata() sets from them
+const HTTP_METADATA_HEADERS = {
+  contentType: 'Content-Type',
+  contentLanguage: 'Content-Language',
+  contentDisposition: 'Content-Disposition',
+  contentEncoding: 'Content-Encoding',
+  cacheControl: 'Cache-Control',
+  cacheExpiry: 'Expires'
+};
+
+/**
+ * R2Bucket emulator
+ */
+export class MemoryR2Bucket {
+  constructor() {
+    this.objects = new Map();
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {string|ArrayBuffer|ArrayBufferView|ReadableStream|Blob|null} value - Object body
+   * @param {Object} [options]
+   * @param {Object|Headers} [options.httpMetadata] - Content-Type, Cache-Control, ...
+   * @param {Object} [options.customMetadata] - String key/value pairs
+   * @param {Object} [options.onlyIf] - Conditions on the existing object; put() returns null when they fail
+   * @returns {Promise<MemoryR2Object|null>}
+   */
+  async put(key, value, options = {}) {
+    const existing = this.objects.get(key);
+    if (options.onlyIf && existing && !conditionsMet(existing, options.onlyIf)) {
+      return null;
+    }
+
+    const bytes = await toBytes(value);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    const etag = Array.from(digest.subarray(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+
+    const stored = {
+      key,
+      bytes,
+      etag,
+      version: crypto.randomUUID().replace(/-/g, ''),
+      uploaded: new Date(),
+      httpMetadata: toHttpMetadata(options.httpMetadata),
+      customMetadata: { ...options.customMetadata }
+    };
+    this.objects.set(key, stored);
+    return new MemoryR2Object(stored);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {Object} [options]
+   * @param {Object} [options.range] - { offset, length }, { offset } or { suffix }
+   * @param {Object} [options.onlyIf] - { etagMatches, etagDoesNotMatch, uploadedBefore, uploadedAfter }
+   * @returns {Promise<MemoryR2ObjectBody|MemoryR2Object|null>} The object; without a body when onlyIf fails
+   */
+  async get(key, options = {}) {
+    const stored = this.objects.get(key);
+    if (!stored) return null;
+    if (options.onlyIf && !conditionsMet(stored, options.onlyIf)) {
+      return new MemoryR2Object(stored);
+    }
+
+    const range = resolveRange(options.range, stored.bytes.length);
+    return new MemoryR2ObjectBody(stored, range);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Promise<MemoryR2Object|null>}
+   */
+  async head(key) {
+    const stored = this.objects.get(key);
+    return stored ? new MemoryR2Object(stored) : null;
+  }
+
+  /**
+   * @param {string|Array<string>} keys - One key or up to 1000
+   * @returns {Promise<void>}
+   */
+  async delete(keys) {
+    for (const key of [keys].flat()) {
+      this.objects.delete(key);
+    }
+  }
+
+  /**
+   * List objects in key order
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Key prefix
+   * @param {string} [options.delimiter] - Roll keys up to delimitedPrefixes at this character
+   * @param {number} [options.limit=1000] - Page size (at most 1000)
+   * @param {string} [options.cursor] - Cursor from the previous page
+   * @param {string} [options.startAfter] - List keys after this one
+   * @param {Array<string>} [options.include] - 'httpMetadata' and/or 'customMetadata'
+   * @returns {Promise<{ objects: Array<MemoryR2Object>, delimitedPrefixes: Array<string>, truncated: boolean, cursor?: string }>}
+   */
+  async list(options = {}) {
+    const prefix = options.prefix || '';
+    const limit = Math.min(options.limit || MAX_LIST_LIMIT, MAX_LIST_LIMIT);
+    const after = options.cursor ? decodeURIComponent(atob(options.cursor)) : options.startAfter;
+    const include = options.include || [];
+
+    const objects = [];
+    const delimitedPrefixes = new Set();
+    let last = null;
+    let truncated = false;
+
+    for (const key of [...this.objects.keys()].sort()) {
+      if (!key.startsWith(prefix) || (after !== undefined && key <= after)) continue;
+
+      const cut = options.delimiter ? key.indexOf(options.delimiter, prefix.length) : -1;
+      const rolledUp = cut !== -1 ? key.slice(0, cut + options.delimiter.length) : null;
+      if (rolledUp && delimitedPrefixes.has(rolledUp)) {
+        last = key;
+        continue;
+      }
+      if (objects.length + delimitedPrefixes.size === limit) {
+        truncated = true;
+        break;
+      }
+
+      if (rolledUp) {
+        delimitedPrefixes.add(rolledUp);
+      } else {
+        const object = new MemoryR2Object(this.objects.get(key));
+        if (!include.includes('httpMetadata')) object.httpMetadata = {};
+        if (!include.includes('customMetadata')) object.customMetadata = {};
+        objects.push(object);
+      }
+      last = key;
+    }
+
+    return {
+      objects,
+      delimitedPrefixes: [...delimitedPrefixes],
+      truncated,
+      ...(truncated && { cursor: btoa(encodeURIComponent(last)) })
+    };
+  }
+}
+
+/**
+ * R2Object emulator: metadata without a body
+ */
+export class MemoryR2Object {
+  constructor(stored, range) {
+    this.key = stored.key;
+    this.version = stored.version;
+    this.size = stored.bytes.length;
+    this.etag = stored.etag;
+    this.httpEtag = `"${stored.etag}"`;
+    this.uploaded = stored.uploaded;
+    this.httpMetadata = { ...stored.httpMetadata };
+    this.customMetadata = { ...stored.customMetadata };
+    this.checksums = {};
+    this.storageClass = 'Standard';
+    if (range) this.range = range;
+  }
+
+  /**
+   * Copy the httpMetadata onto response headers
+   * @param {Headers} headers - Headers to write
+   */
+  writeHttpMetadata(headers) {
+    for (const [field, header] of Object.entries(HTTP_METADATA_HEADERS)) {
+      const value = this.httpMetadata[field];
+      if (value !== undefined) headers.set(header, value instanceof Date ? value.toUTCString() : value);
+    }
+  }
+}
+
+/**
+ * R2ObjectBody emulator: metadata plus the (possibly ranged) body
+ */
+export class MemoryR2ObjectBody extends MemoryR2Object {
+  constructor(stored, range) {
+    super(stored, range);
+    const bytes = range ? stored.bytes.slice(range.offset, range.offset + range.length) : stored.bytes.slice();
+    this.response = new Response(bytes);
+  }
+
+  get body() {
+    return this.response.body;
+  }
+
+  get bodyUsed() {
+    return this.response.bodyUsed;
+  }
+
+  arrayBuffer() {
+    return this.response.arrayBuffer();
+  }
+
+  text() {
+    return this.response.text();
+  }
+
+  json() {
+    return this.response.json();
+  }
+
+  blob() {
+    return this.response.blob();
+  }
+}
+
+/**
+ * @private
+ */
+async function toBytes(value) {
+  if (value === null || value === undefined) return new Uint8Array(0);
+  if (typeof value === 'string') return new TextEncoder().encode(value);
+  if (value instanceof ArrayBuffer) return new Uint8Array(value.slice(0));
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  return new Uint8Array(await new Response(value).arrayBuffer());
+}
+
+/**
+ * @private
+ */
+function toHttpMetadata(httpMetadata) {
+  if (!(httpMetadata instanceof Headers)) return { ...httpMetadata };
+
+  const result = {};
+  for (const [field, header] of Object.entries(HTTP_METADATA_HEADERS)) {
+    const value = httpMetadata.get(header);
+    if (value !== null) result[field] = field === 'cacheExpiry' ? new Date(value) : value;
+  }
+  return result;
+}
+
+/**
+ * Resolve an R2 range against the object size, as R2 reports it back on the body
+ * @private
+ */
+function resolveRange(range, size) {
+  if (!range) return undefined;
+  if (range.suffix !== undefined) {
+    const length = Math.min(range.suffix, size);
+    return { offset: size - length, length };
+  }
+  const offset = range.offset || 0;
+  if (offset > size) {
+    throw new RangeError(`get: The requested range is not satisfiable (offset ${offset}, size ${size})`);
+  }
+  const length = range.length === undefined ? size - offset : Math.min(range.length, size - offset);
+  return { offset, length };
+}
+
+/**
+ * @private
+ */
+function conditionsMet(stored, onlyIf) {
+  const matches = (condition) => [condition].flat().some(tag => tag === '*' || tag.replace(/^(W\/)?"|"$/g, '') === stored.etag);
+
+  if (onlyIf.etagMatches !== undefined && !matches(onlyIf.etagMatches)) return false;
+  if (onlyIf.etagDoesNotMatch !== undefined && matches(onlyIf.etagDoesNotMatch)) return false;
+  if (onlyIf.uploadedBefore !== undefined && !(stored.uploaded < new Date(onlyIf.uploadedBefore))) return false;
+  if (onlyIf.uploadedAfter !== undefined && !(stored.uploaded > new Date(onlyIf.uploadedAfter))) return false;
+  return true;
+}
@@ -1,6 +1,9 @@
 /**
  * Clodo Framework - Testing Utilities
- * Mock frameworks and testing helpers for programmatic APIs
+ * Mock frameworks, in-memory Cloudflare bindings and an in-process router client
  */
 
-export { MockServiceOrchestrator, createMockFramework } from './mockFramework.js';
\ No newline at end of file
+export { MockServiceOrchestrator, createMockFramework } from './mockFramework.js';
+export { createTestEnv, createExecutionContext } from './testEnv.js';
+export { createTestClient, TestClient, TestResponse } from './testClient.js';
+export * from './bindings/index.js';
@@ -0,0 +1,248 @@
+/**
+ * Test Client
+ * Dispatches Requests into an EnhancedRouter (or a Worker's fetch handler)
+ * and wraps the Response with chainable assertions
+ *
+ * @example
+ * import { createTestEnv, createTestClient } from '@tamyla/clodo-framework/testing';
+ *
+ * const client = createTestClient(router, { env: createTestEnv({ d1: 'DB' }) });
+ *
+ * const created = await client.post('/api/users', { name: 'Ada' });
+ * created.expectStatus(201).expectHeader('ETag', /^"/).expectJsonMatch({ data: { name: 'Ada' } });
+ *
+ * (await client.get('/api/users/missing')).expectProblem(404, 'NOT_FOUND');
+ */
+
+import { createExecutionContext } from './testEnv.js';
+import { PROBLEM_CONTENT_TYPE } from '../errors/problemDetails.js';
+
+/**
+ * Create a client that sends requests to a router in-process
+ * @param {EnhancedRouter|{ fetch: Function }} target - Router, or a Worker module with fetch(request, env, ctx)
+ * @param {Object} [options]
+ * @param {Object} [options.env={}] - env passed to every request
+ * @param {Function} [options.ctx] - Factory for the ExecutionContext of each request (default createExecutionContext)
+ * @param {string} [options.baseUrl='https://example.com'] - Origin for relative paths
+ * @param {Object} [options.headers] - Headers sent with every request
+ * @returns {TestClient}
+ */
+export function createTestClient(target, options = {}) {
+  return new TestClient(target, options);
+}
+
+/**
+ * In-process HTTP client for a router
+ */
+export class TestClient {
+  constructor(target, options = {}) {
+    if (typeof target?.handleRequest !== 'function' && typeof target?.fetch !== 'function') {
+      throw new TypeError('createTestClient() needs a router with handleRequest() or a Worker with fetch()');
+    }
+    this.target = target;
+    this.env = options.env || {};
+    this.createContext = options.ctx || createExecutionContext;
+    this.baseUrl = options.baseUrl || 'https://example.com';
+    this.headers = options.headers || {};
+  }
+
+  /**
+   * Send a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path (with optional query string) or absolute URL
+   * @param {Object} [options]
+   * @param {*} [options.body] - Body; plain objects and arrays are sent as JSON
+   * @param {Object} [options.headers] - Request headers
+   * @param {Object} [options.query] - Query parameters appended to the URL
+   * @returns {Promise<TestResponse>}
+   */
+  async request(method, path, options = {}) {
+    const url = new URL(path, this.baseUrl);
+    for (const [name, value] of Object.entries(options.query || {})) {
+      url.searchParams.append(name, value);
+    }
+
+    const headers = new Headers({ ...this.headers, ...options.headers });
+    let body = options.body;
+    if (body !== undefined && body !== null && (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype)) {
+      body = JSON.stringify(body);
+      if (!headers.has('Content-Type')) headers.set('Content-Type', 'application/json');
+    }
+
+    const request = new Request(url, { method, headers, body });
+    const ctx = this.createContext();
+    const response = typeof this.target.handleRequest === 'function'
+      ? await this.target.handleRequest(method, url.pathname, request, this.env, ctx)
+      : await this.target.fetch(request, this.env, ctx);
+
+    return TestResponse.from(response, request, ctx);
+  }
+
+  get(path, options) {
+    return this.request('GET', path, options);
+  }
+
+  head(path, options) {
+    return this.request('HEAD', path, options);
+  }
+
+  options(path, options) {
+    return this.request('OPTIONS', path, options);
+  }
+
+  delete(path, options) {
+    return this.request('DELETE', path, options);
+  }
+
+  post(path, body, options = {}) {
+    return this.request('POST', path, { ...options, body });
+  }
+
+  put(path, body, options = {}) {
+    return this.request('PUT', path, { ...options, body });
+  }
+
+  patch(path, body, options = {}) {
+    return this.request('PATCH', path, { ...options, body });
+  }
+}
+
+/**
+ * A Response whose body has been read, with chainable assertions that throw on mismatch
+ */
+export class TestResponse {
+  /**
+   * Read the body once so assertions can run synchronously
+   * @param {Response} response - Router response
+   * @param {Request} request - The request that produced it
+   * @param {Object} ctx - ExecutionContext of the request
+   * @returns {Promise<TestResponse>}
+   */
+  static async from(response, request, ctx) {
+    return new TestResponse(response, request, ctx, await response.text());
+  }
+
+  constructor(response, request, ctx, text) {
+    this.response = response;
+    this.request = request;
+    this.ctx = ctx;
+    this.status = response.status;
+    this.headers = response.headers;
+    this.text = text;
+  }
+
+  /**
+   * Body parsed as JSON
+   * @returns {*}
+   */
+  get json() {
+    try {
+      return JSON.parse(this.text);
+    } catch {
+      return this.fail(`expected a JSON body, got ${JSON.stringify(this.text.slice(0, 200))}`);
+    }
+  }
+
+  /**
+   * @param {number} status - Expected status
+   * @returns {TestResponse}
+   */
+  expectStatus(status) {
+    if (this.status !== status) {
+      this.fail(`expected status ${status}, got ${this.status}: ${this.text.slice(0, 200)}`);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} name - Header name
+   * @param {string|RegExp|null} [expected] - Value, pattern, or null for "absent"; omit to require presence only
+   * @returns {TestResponse}
+   */
+  expectHeader(name, expected) {
+    const actual = this.headers.get(name);
+    const ok = expected === undefined ? actual !== null
+      : expected === null ? actual === null
+        : expected instanceof RegExp ? actual !== null && expected.test(actual)
+          : actual === expected;
+    if (!ok) {
+      const wanted = expected === undefined ? 'present' : expected === null ? 'absent' : String(expected);
+      this.fail(`expected header ${name} to be ${wanted}, got ${actual === null ? 'none' : JSON.stringify(actual)}`);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string|RegExp} expected - Exact text or pattern
+   * @returns {TestResponse}
+   */
+  expectBody(expected) {
+    const ok = expected instanceof RegExp ? expected.test(this.text) : this.text === expected;
+    if (!ok) {
+      this.fail(`expected body ${String(expected)}, got ${JSON.stringify(this.text.slice(0, 200))}`);
+    }
+    return this;
+  }
+
+  /**
+   * @param {*} expected - Deeply equal JSON body
+   * @returns {TestResponse}
+   */
+  expectJson(expected) {
+    const actual = this.json;
+    if (!isMatch(actual, expected, false)) {
+      this.fail(`expected JSON ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+    return this;
+  }
+
+  /**
+   * @param {*} expected - JSON body containing these fields (recursively; arrays match element-wise)
+   * @returns {TestResponse}
+   */
+  expectJsonMatch(expected) {
+    const actual = this.json;
+    if (!isMatch(actual, expected, true)) {
+      this.fail(`expected JSON matching ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+    return this;
+  }
+
+  /**
+   * Assert an RFC 9457 problem details response
+   * @param {number} status - Expected status
+   * @param {string} [code] - Expected `code` member
+   * @returns {TestResponse}
+   */
+  expectProblem(status, code) {
+    this.expectStatus(status).expectHeader('Content-Type', new RegExp(`^${PROBLEM_CONTENT_TYPE.replace('+', '\\+')}`));
+    if (code !== undefined && this.json.code !== code) {
+      this.fail(`expected problem code ${code}, got ${this.json.code}`);
+    }
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  fail(message) {
+    const error = new Error(`${this.request.method} ${new URL(this.request.url).pathname}: ${message}`);
+    error.name = 'AssertionError';
+    throw error;
+  }
+}
+
+/**
+ * Deep equality, or recursive containment when `partial`
+ * @private
+ */
+function isMatch(actual, expected, partial) {
+  if (Object.is(actual, expected)) return true;
+  if (typeof expected !== 'object' || expected === null || typeof actual !== 'object' || actual === null) return false;
+  if (Array.isArray(expected) !== Array.isArray(actual)) return false;
+
+  if (Array.isArray(expected) && actual.length !== expected.length) return false;
+  if (!Array.isArray(expected) && !partial && Object.keys(actual).length !== Object.keys(expected).length) return false;
+
+  return Object.keys(expected).every(key => key in actual && isMatch(actual[key], expected[key], partial));
+}
@@ -0,0 +1,110 @@
+/**
+ * Test Environment
+ * Builds a Worker `env` of in-memory bindings, and an ExecutionContext whose
+ * waitUntil() work can be awaited, so Worker code runs offline in unit tests
+ *
+ * @example
+ * import { createTestEnv, createExecutionContext } from '@tamyla/clodo-framework/testing';
+ *
+ * const env = createTestEnv({
+ *   d1: { DB: { models: ['users'] } },
+ *   kv: ['CACHE'],
+ *   r2: ['FILES'],
+ *   queues: { JOBS: 'jobs' },
+ *   durableObjects: { COUNTER: Counter },
+ *   ai: 'AI',
+ *   vars: { ENVIRONMENT: 'test' }
+ * });
+ * const ctx = createExecutionContext();
+ * await worker.fetch(request, env, ctx);
+ * await ctx.flush();
+ */
+
+import { MemoryD1Database } from './bindings/d1.js';
+import { MemoryKVNamespace } from './bindings/kv.js';
+import { MemoryR2Bucket } from './bindings/r2.js';
+import { MemoryQueue } from './bindings/queues.js';
+import { MemoryDurableObjectNamespace } from './bindings/durableObjects.js';
+import { MemoryAI } from './bindings/ai.js';
+
+/**
+ * Create an env object of in-memory bindings
+ *
+ * Each binding option takes a binding name, an array of names, or an object
+ * of name → per-binding options.
+ * @param {Object} [options]
+ * @param {string|Array<string>|Object} [options.d1] - D1 databases; options as for MemoryD1Database
+ * @param {string|Array<string>|Object} [options.kv] - KV namespaces
+ * @param {string|Array<string>|Object} [options.r2] - R2 buckets
+ * @param {string|Array<string>|Object} [options.queues] - Queue producers; per-binding value is the queue name
+ * @param {Object} [options.durableObjects] - Durable Object namespaces: binding name → class
+ * @param {string|Array<string>|Object} [options.ai] - AI bindings; options as for MemoryAI
+ * @param {Object} [options.vars] - Plain variables and secrets
+ * @returns {Object} env
+ */
+export function createTestEnv(options = {}) {
+  const env = { ...options.vars };
+
+  for (const [name, config] of bindingsOf(options.d1)) {
+    env[name] = new MemoryD1Database(config || {});
+  }
+  for (const [name] of bindingsOf(options.kv)) {
+    env[name] = new MemoryKVNamespace();
+  }
+  for (const [name] of bindingsOf(options.r2)) {
+    env[name] = new MemoryR2Bucket();
+  }
+  for (const [name, queueName] of bindingsOf(options.queues)) {
+    env[name] = new MemoryQueue(typeof queueName === 'string' ? queueName : name);
+  }
+  for (const [name, DurableObjectClass] of bindingsOf(options.durableObjects)) {
+    if (typeof DurableObjectClass !== 'function') {
+      throw new TypeError(`Durable Object binding '${name}' needs a class`);
+    }
+    env[name] = new MemoryDurableObjectNamespace(DurableObjectClass, env);
+  }
+  for (const [name, config] of bindingsOf(options.ai)) {
+    env[name] = new MemoryAI(config || {});
+  }
+
+  return env;
+}
+
+/**
+ * Create an ExecutionContext that collects waitUntil() promises
+ * @returns {{ waitUntil: Function, passThroughOnException: Function, props: Object, tasks: Array<Promise>, flush: Function }}
+ */
+export function createExecutionContext() {
+  const ctx = {
+    tasks: [],
+    props: {},
+    waitUntil(promise) {
+      ctx.tasks.push(Promise.resolve(promise));
+    },
+    passThroughOnException() {},
+
+    /**
+     * Wait for every waitUntil() promise, including ones registered while waiting
+     * @returns {Promise<Array<PromiseSettledResult>>}
+     */
+    async flush() {
+      let settled = [];
+      while (settled.length < ctx.tasks.length) {
+        settled = await Promise.allSettled(ctx.tasks);
+      }
+      return settled;
+    }
+  };
+  return ctx;
+}
+
+/**
+ * [name, options] pairs from a binding option
+ * @private
+ */
+function bindingsOf(spec) {
+  if (!spec) return [];
+  if (typeof spec === 'string') return [[spec, undefined]];
+  if (Array.isArray(spec)) return spec.map(name => [name, undefined]);
+  return Object.entries(spec);
+}
@@ -0,0 +1,336 @@
+/**
+ * Alarm Scheduler Durable Object
+ * Holds delayed and recurring jobs for one tenant (or one shard of a tenant)
+ * in a time-ordered storage index and wakes with a single alarm set to the
+ * earliest due job, so nothing is scanned on a timer
+ *
+ * Storage layout:
+ *   job:<id>                 the job record
+ *   due:<runAt, 15 digits>:<id>  index entry, listed in run order
+ *
+ * Due jobs are sent to the Queue binding named by their `queue`; subclass and
+ * override perform() to run them in the object instead. Delivery is
+ * at-least-once: a job is removed only after perform() succeeds, and each
+ * occurrence carries a stable `_meta.id` (`<id>:<occurrence>`, where
+ * `occurrence` is the time it was due, kept across retries), so a consumer
+ * with `dedupe` enabled processes a redelivered occurrence once.
+ *
+ * @example
+ * // In wrangler.toml
+ * [[durable_objects.bindings]]
+ * name = "SCHEDULER"
+ * class_name = "AlarmScheduler"
+ *
+ * // Usage
+ * const scheduler = new DurableObjectJobScheduler(env.SCHEDULER, { tenant: 'acme' });
+ * await scheduler.schedule('invoice-42', { invoiceId: 42 }, Date.now() + 3600000, { queue: 'JOBS' });
+ */
+
+import { DurableObjectBase } from './base.js';
+import { CronExpression } from '../scheduled/cron.js';
+import { computeBackoff, MessageTypes } from '../queues/consumer.js';
+import { withEnvelope } from '../queues/envelope.js';
+
+// Latest run time a 15-digit due key can hold
+const MAX_RUN_AT = 10 ** 15 - 1;
+
+export class AlarmScheduler extends DurableObjectBase {
+  constructor(state, env) {
+    super(state, env);
+    this.defaultQueue = 'JOBS';
+    this.defaultMaxAttempts = 5;
+    this.batchSize = 50; // Jobs performed per alarm; the rest follow in an immediate alarm
+  }
+
+  async fetch(request) {
+    await this.ensureInitialized();
+
+    const action = new URL(request.url).pathname.split('/').pop();
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return this.error('Expected a JSON body', 400);
+    }
+
+    try {
+      switch (action) {
+        case 'schedule':
+          return this.json(await this.schedule(payload));
+        case 'cancel':
+          return this.json(await this.cancel(payload));
+        case 'reschedule':
+          return this.json(await this.reschedule(payload));
+        case 'get':
+          return this.json({ job: await this.getState(`job:${payload.id}`, null) });
+        case 'list':
+          return this.json(await this.list(payload));
+        default:
+          return this.error(`Unknown action '${action}'`, 404);
+      }
+    } catch (error) {
+      return this.error(error.message, 400);
+    }
+  }
+
+  /**
+   * Add a job. An id that is already scheduled keeps its existing job.
+   * @param {Object} payload
+   * @param {string} [payload.id] - Job id (default: random)
+   * @param {*} [payload.data] - Job payload
+   * @param {string} [payload.type] - Message type (default 'task:process')
+   * @param {number|string} [payload.runAt] - First run, whole ms since the epoch or ISO time
+   * @param {number} [payload.delay] - First run in this many whole ms (instead of runAt)
+   * @param {number} [payload.every] - Repeat every this many ms
+   * @param {string} [payload.cron] - Repeat on this cron expression (UTC)
+   * @param {string} [payload.queue] - Queue binding the job is sent to
+   * @param {number} [payload.maxAttempts=5] - Failed runs before the job (or this occurrence of a recurring job) is given up
+   * @param {string} [payload.tenant] - Tenant, copied into delivered messages
+   * @returns {Promise<Object>} { scheduled, job }
+   */
+  async schedule(payload) {
+    const id = payload.id || crypto.randomUUID();
+    const existing = await this.getState(`job:${id}`, null);
+    if (existing) {
+      return { scheduled: false, job: existing };
+    }
+
+    if (payload.every !== undefined && !(Number.isInteger(payload.every) && payload.every > 0)) {
+      throw new Error('every must be a positive number of milliseconds');
+    }
+    const cron = payload.cron ? new CronExpression(payload.cron) : null;
+    const firstCronRun = cron?.next(Date.now());
+    if (cron && !firstCronRun) {
+      throw new Error(`Cron expression '${cron}' never fires`);
+    }
+    const runAt = this._resolveRunAt(payload) ?? (cron ? firstCronRun.getTime() : Date.now() + (payload.every || 0));
+
+    const job = {
+      id,
+      type: payload.type || MessageTypes.TASK_PROCESS,
+      data: payload.data ?? null,
+      tenant: payload.tenant ?? null,
+      queue: payload.queue || this.defaultQueue,
+      runAt,
+      occurrence: runAt,
+      ...(payload.every && { every: payload.every }),
+      ...(cron && { cron: cron.toString() }),
+      maxAttempts: payload.maxAttempts || this.defaultMaxAttempts,
+      attempts: 0,
+      status: 'scheduled',
+      lastError: null,
+      createdAt: Date.now()
+    };
+
+    await this.setMany({ [`job:${id}`]: job, [dueKey(job)]: id });
+    await this._armAlarm();
+    return { scheduled: true, job };
+  }
+
+  /**
+   * Remove a job
+   * @param {{ id: string }} payload
+   * @returns {Promise<Object>} { cancelled }
+   */
+  async cancel({ id }) {
+    const job = await this.getState(`job:${id}`, null);
+    if (!job) {
+      return { cancelled: false };
+    }
+
+    await this.storage.delete([`job:${id}`, dueKey(job)]);
+    await this._armAlarm();
+    return { cancelled: true };
+  }
+
+  /**
+   * Move a job (or a failed one back into the schedule) to a new time
+   * @param {{ id: string, runAt?: number|string, delay?: number }} payload
+   * @returns {Promise<Object>} { job } — null when there is no such job
+   */
+  async reschedule(payload) {
+    const job = await this.getState(`job:${payload.id}`, null);
+    if (!job) {
+      return { job: null };
+    }
+
+    const runAt = this._resolveRunAt(payload);
+    if (runAt === undefined) {
+      throw new Error('reschedule requires runAt or delay');
+    }
+
+    await this._move(job, { ...job, runAt, occurrence: runAt, attempts: 0, status: 'scheduled', lastError: null });
+    await this._armAlarm();
+    return { job: await this.getState(`job:${job.id}`) };
+  }
+
+  /**
+   * Jobs in run order; failed jobs (no longer scheduled) come last
+   * @param {{ limit?: number }} [payload]
+   * @returns {Promise<Object>} { jobs }
+   */
+  async list({ limit = 100 } = {}) {
+    const jobs = [...(await this.listState({ prefix: 'job:' })).values()]
+      .sort((a, b) => (a.status === 'failed') - (b.status === 'failed') || a.runAt - b.runAt);
+    return { jobs: jobs.slice(0, limit) };
+  }
+
+  /**
+   * Deliver one due job. Throw to have it retried with backoff.
+   * @param {Object} job - Job record
+   * @param {string} deliveryId - Stable id of this occurrence, for deduplication
+   */
+  async perform(job, deliveryId) {
+    const queue = this.env[job.queue];
+    if (!queue) {
+      throw new Error(`Queue binding '${job.queue}' is not configured`);
+    }
+
+    await queue.send(withEnvelope({
+      type: job.type,
+      jobId: job.id,
+      tenant: job.tenant,
+      runAt: job.occurrence,
+      data: job.data
+    }, { id: deliveryId }));
+  }
+
+  /**
+   * Perform due jobs, then arm the alarm for the next one
+   */
+  async alarm() {
+    const now = Date.now();
+    const due = await this.listState({ prefix: 'due:', end: `due:${pad(now + 1)}`, limit: this.batchSize });
+
+    for (const [key, id] of due) {
+      const job = await this.getState(`job:${id}`, null);
+      if (!job || dueKey(job) !== key) {
+        // Left behind by a cancel or reschedule
+        await this.deleteState(key);
+        continue;
+      }
+
+      try {
+        await this.perform(job, `${job.id}:${job.occurrence}`);
+        const next = this._nextOccurrence(job, now);
+        if (next === null) {
+          await this.storage.delete([`job:${job.id}`, key]);
+        } else {
+          await this._move(job, { ...job, runAt: next, occurrence: next, attempts: 0, lastError: null });
+        }
+      } catch (error) {
+        await this._recordFailure(job, error, now);
+      }
+    }
+
+    await this._armAlarm(due.size === this.batchSize);
+  }
+
+  /**
+   * Retry with exponential backoff; after maxAttempts a one-off job is marked
+   * failed and a recurring job moves on to its next occurrence
+   * @private
+   */
+  async _recordFailure(job, error, now) {
+    const attempts = job.attempts + 1;
+    const failed = { ...job, attempts, lastError: error.message };
+
+    if (attempts < job.maxAttempts) {
+      await this._move(job, { ...failed, runAt: now + computeBackoff(attempts) * 1000 });
+      return;
+    }
+
+    console.error(`[AlarmScheduler] Job '${job.id}' failed after ${attempts} attempts: ${error.message}`);
+    const next = this._nextOccurrence(job, now);
+    if (next === null) {
+      await this.storage.delete(dueKey(job));
+      await this.setState(`job:${job.id}`, { ...failed, status: 'failed' });
+    } else {
+      await this._move(job, { ...failed, runAt: next, occurrence: next, attempts: 0 });
+    }
+  }
+
+  /**
+   * Next occurrence of a recurring job after `now`; missed occurrences are skipped
+   * @private
+   */
+  _nextOccurrence(job, now) {
+    if (job.cron) {
+      return new CronExpression(job.cron).next(now)?.getTime() ?? null;
+    }
+    if (job.every) {
+      return job.occurrence + (Math.floor((now - job.occurrence) / job.every) + 1) * job.every;
+    }
+    return null;
+  }
+
+  /**
+   * Replace a job record and its index entry
+   * @private
+   */
+  async _move(previous, job) {
+    if (dueKey(previous) !== dueKey(job)) {
+      await this.deleteState(dueKey(previous));
+    }
+    await this.setMany({ [`job:${job.id}`]: job, [dueKey(job)]: job.id });
+  }
+
+  /**
+   * Point the alarm at the earliest due job, or clear it when none is left
+   * @param {boolean} [immediately=false] - More jobs are already due
+   * @private
+   */
+  async _armAlarm(immediately = false) {
+    const [first] = (await this.listState({ prefix: 'due:', limit: 1 })).keys();
+    if (!first) {
+      await this.deleteAlarm();
+      return;
+    }
+
+    const runAt = immediately ? Date.now() : Number(first.split(':')[1]);
+    const current = await this.getAlarm();
+    if (!current || current.getTime() !== runAt) {
+      await this.setAlarm(new Date(runAt));
+    }
+  }
+
+  /**
+   * Run time from `delay` or `runAt`, checked before anything is stored: due
+   * keys only sort correctly for whole, non-negative times of up to 15 digits
+   * @private
+   */
+  _resolveRunAt({ runAt, delay }) {
+    let time;
+    if (delay !== undefined) {
+      if (!Number.isInteger(delay) || delay < 0) {
+        throw new Error(`Invalid delay: ${delay}`);
+      }
+      time = Date.now() + delay;
+    } else if (runAt === undefined || runAt === null) {
+      return undefined;
+    } else {
+      time = typeof runAt === 'number' ? runAt : Date.parse(runAt);
+    }
+
+    if (!Number.isInteger(time) || time < 0 || time > MAX_RUN_AT) {
+      throw new Error(`Invalid runAt: ${runAt ?? time}`);
+    }
+    return time;
+  }
+}
+
+/**
+ * @private
+ */
+function pad(time) {
+  return String(time).padStart(15, '0');
+}
+
+/**
+ * @private
+ */
+function dueKey(job) {
+  return `due:${pad(job.runAt)}:${job.id}`;
+}
+
+export default AlarmScheduler;
@@ -0,0 +1,83 @@
+/**
+ * Idempotency Ledger Durable Object
+ * Holds the record for one Idempotency-Key; requests to a single object are
+ * processed one at a time, so concurrent duplicates cannot both claim the key
+ *
+ * @example
+ * // In wrangler.toml
+ * [[durable_objects.bindings]]
+ * name = "IDEMPOTENCY"
+ * class_name = "IdempotencyLedger"
+ *
+ * // Usage
+ * router.use(createIdempotencyMiddleware({
+ *   store: (c) => new DurableObjectIdempotencyStore(c.env.IDEMPOTENCY)
+ * }));
+ */
+
+import { DurableObjectBase } from './base.js';
+import { claimIdempotencyKey, completedIdempotencyRecord } from '../../middleware/idempotencyStores.js';
+
+export class IdempotencyLedger extends DurableObjectBase {
+  async fetch(request) {
+    await this.ensureInitialized();
+
+    const action = new URL(request.url).pathname.split('/').pop();
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return this.error('Expected a JSON body', 400);
+    }
+
+    switch (action) {
+      case 'acquire':
+        return this.acquire(payload);
+      case 'complete':
+        return this.complete(payload);
+      case 'release':
+        await this.deleteState('record');
+        return this.json({ success: true });
+      default:
+        return this.error(`Unknown action '${action}'`, 404);
+    }
+  }
+
+  /**
+   * Claim the key unless a live record holds it
+   * @param {{ fingerprint: string, lockTtlMs: number }} payload
+   * @returns {Promise<Response>} JSON { record } — null when the key was claimed
+   */
+  async acquire({ fingerprint, lockTtlMs }) {
+    const { acquired, record } = claimIdempotencyKey(await this.getState('record', null), fingerprint, lockTtlMs);
+    if (!acquired) return this.json({ record });
+
+    await this.setState('record', record);
+    await this.setAlarm(new Date(record.expiresAt));
+    return this.json({ record: null });
+  }
+
+  /**
+   * Store the response to replay until the TTL expires
+   * @param {{ fingerprint: string, response: Object, ttlMs: number }} payload
+   * @returns {Promise<Response>}
+   */
+  async complete({ fingerprint, response, ttlMs }) {
+    const record = completedIdempotencyRecord(fingerprint, response, ttlMs);
+    await this.setState('record', record);
+    await this.setAlarm(new Date(record.expiresAt));
+    return this.json({ success: true });
+  }
+
+  /**
+   * Drop the record once it has expired
+   */
+  async alarm() {
+    const record = await this.getState('record', null);
+    if (record && record.expiresAt <= Date.now()) {
+      await this.deleteState('record');
+    }
+  }
+}
+
+export default IdempotencyLedger;
@@ -5,6 +5,8 @@
 
 export { DurableObjectBase } from './base.js';
 export { RateLimiter } from './rate-limiter.js';
+export { IdempotencyLedger } from './idempotency-ledger.js';
 export { SessionStore } from './session-store.js';
 export { Counter } from './counter.js';
 export { WebSocketRoom } from './websocket-room.js';
+export { AlarmScheduler } from './alarm-scheduler.js';
@@ -12,9 +12,13 @@
  * const id = env.RATE_LIMITER.idFromName(clientIP);
  * const limiter = env.RATE_LIMITER.get(id);
  * const response = await limiter.fetch(request);
+ *
+ * // Or as the store behind createRateLimitGuard (POST /hit with a rule)
+ * createRateLimitGuard({ store: new DurableObjectRateLimitStore(env.RATE_LIMITER) });
  */
 
 import { DurableObjectBase } from './base.js';
+import { applyRateLimit, normalizeRateLimitRule } from '../../middleware/rateLimitStores.js';
 
 export class RateLimiter extends DurableObjectBase {
   constructor(state, env) {
@@ -30,6 +34,8 @@ export class RateLimiter extends DurableObjectBase {
     const action = url.pathname.split('/').pop();
 
     switch (action) {
+      case 'hit':
+        return this.hit(request);
       case 'check':
         return this.checkLimit(request);
       case 'reset':
@@ -71,8 +77,27 @@ export class RateLimiter extends DurableObjectBase {
     });
   }
 
+  /**
+   * Apply a DurableObjectRateLimitStore rule (JSON body) to this key's state
+   * @param {Request} request - POST with { algorithm, limit, windowMs, burst, cost }
+   * @returns {Promise<Response>} JSON { allowed, limit, remaining, reset, retryAfter }
+   */
+  async hit(request) {
+    let rule;
+    try {
+      rule = normalizeRateLimitRule(await request.json());
+    } catch (error) {
+      return this.json({ error: error.message }, 400);
+    }
+
+    const { state, result } = applyRateLimit(await this.getState('limiter', null), rule);
+    await this.setState('limiter', state);
+    return this.json(result);
+  }
+
   async resetLimit() {
     await this.setState('requests', []);
+    await this.deleteState('limiter');
     return this.json({ success: true, message: 'Rate limit reset' });
   }
 
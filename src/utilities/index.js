@@ -25,9 +25,11 @@ export { KVStorage, KVCache, KVWithMetadata } from './kv/index.js';
 export { 
   DurableObjectBase,
   RateLimiter,
+  IdempotencyLedger,
   SessionStore,
   Counter,
-  WebSocketRoom
+  WebSocketRoom,
+  AlarmScheduler
 } from './durable-objects/index.js';
 
 // Queues
@@ -36,7 +38,13 @@ export {
   QueueConsumer,
   MessageBuilder,
   createMessage,
-  MessageTypes
+  MessageTypes,
+  computeBackoff,
+  registerMessageSchema,
+  unregisterMessageSchema,
+  replayDeadLetters,
+  withEnvelope,
+  nextAttempt
 } from './queues/index.js';
 
 // Scheduled/Cron
@@ -44,7 +52,12 @@ export {
   ScheduledHandler,
   CronJob,
   JobScheduler,
-  ScheduledJobRegistry
+  ScheduledJobRegistry,
+  CronExpression,
+  MemoryCronStore,
+  KVCronStore,
+  D1CronStore,
+  DurableObjectJobScheduler
 } from './scheduled/index.js';
 
 // ============================================================
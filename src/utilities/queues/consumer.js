@@ -1,20 +1,34 @@
 /**
  * Queue Consumer
  * Process messages from Cloudflare Queues
- * 
+ *
  * @example
- * import { QueueConsumer } from '@tamyla/clodo-framework/utilities/queues';
- * 
+ * import { QueueConsumer, registerMessageSchema, MessageTypes } from '@tamyla/clodo-framework/utilities/queues';
+ *
+ * registerMessageSchema(MessageTypes.EMAIL_SEND, z.object({ to: z.string().email() }));
+ *
  * export default {
  *   async queue(batch, env) {
  *     const consumer = new QueueConsumer(batch, env);
  *     await consumer.process(async (message) => {
  *       console.log('Processing:', message.body);
- *     });
+ *     }, { concurrency: 5, deadLetterQueue: env.DLQ, dedupe: { kv: env.QUEUE_STATE } });
  *   }
  * }
  */
 
+import { withEnvelope, messageType, messageKey, messagePayload } from './envelope.js';
+
+// Payload schemas by message type, consulted by every consumer
+const messageSchemas = new Map();
+
+// Ids of processed messages (id → expiry in ms) for `dedupe: true`; lives as long as the isolate
+const processedIds = new Map();
+const PROCESSED_IDS_CLEANUP_INTERVAL = 1000;
+
+// Queues reject delays over 12 hours
+const MAX_DELAY_SECONDS = 43200;
+
 export class QueueConsumer {
   /**
    * @param {MessageBatch} batch - The message batch from queue handler
@@ -28,73 +42,157 @@ export class QueueConsumer {
 
   /**
    * Process all messages in the batch
+   *
+   * Failed messages are retried with exponential backoff until `maxRetries`,
+   * then sent to the dead letter queue. Messages failing their type's schema are
+   * dead-lettered straight away, since retrying cannot fix them.
    * @param {Function} handler - Async function to handle each message
    * @param {Object} options - Processing options
+   * @param {boolean} [options.continueOnError=true] - Keep going after a failure; otherwise stop and rethrow it
+   * @param {number} [options.maxRetries=3] - Delivery attempts before dead-lettering
+   * @param {Queue} [options.deadLetterQueue] - Queue for messages that exhausted retries or failed validation
+   * @param {number} [options.concurrency=1] - Messages handled at once
+   * @param {Object|false} [options.backoff] - Retry delays ({ baseDelay, factor, maxDelay, jitter }, see computeBackoff), false to retry immediately
+   * @param {Object} [options.schemas] - zod schemas by message type, on top of registerMessageSchema()
+   * @param {boolean|Object} [options.dedupe] - Skip messages already processed: true (in-memory) or { kv, ttl, prefix }
+   * @returns {Promise<Map<string, Object>>} Outcome per message id
    */
   async process(handler, options = {}) {
-    const { 
+    const {
       continueOnError = true,
       maxRetries = 3,
-      deadLetterQueue = null
+      deadLetterQueue = null,
+      concurrency = 1,
+      backoff = {},
+      schemas = {},
+      dedupe = null
     } = options;
 
-    for (const message of this.batch.messages) {
+    const settings = {
+      maxRetries,
+      deadLetterQueue,
+      backoff,
+      schemas,
+      dedupe: createDedupe(dedupe),
+      inFlight: new Set()
+    };
+
+    const pending = [...this.batch.messages];
+    let failure = null;
+
+    const worker = async () => {
+      while (pending.length > 0 && !(failure && !continueOnError)) {
+        const error = await this.processMessage(pending.shift(), handler, settings);
+        if (error) failure ??= error;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pending.length)) }, worker));
+
+    if (failure && !continueOnError) {
+      throw failure;
+    }
+    return this.results;
+  }
+
+  /**
+   * Process messages with typed handlers
+   * @param {Object} handlers - Map of message types to handlers
+   * @param {Object} options - Processing options (see process())
+   */
+  async processTyped(handlers, options = {}) {
+    const defaultHandler = handlers.default || (async () => {
+      console.warn('No handler for message type');
+    });
+
+    return this.process(async (body, meta) => {
+      const handler = handlers[messageType(body)] || defaultHandler;
+      return handler(body, meta, this.env);
+    }, options);
+  }
+
+  /**
+   * Handle one message and settle it
+   * @returns {Promise<Error|null>} The handler's error, if it failed
+   * @private
+   */
+  async processMessage(message, handler, settings) {
+    const key = messageKey(message);
+    if (settings.dedupe && settings.inFlight.has(key)) {
+      message.ack();
+      this.results.set(message.id, { status: 'duplicate' });
+      return null;
+    }
+    settings.inFlight.add(key);
+
+    try {
+      if (await settings.dedupe?.has(key)) {
+        message.ack();
+        this.results.set(message.id, { status: 'duplicate' });
+        return null;
+      }
+
+      const schema = settings.schemas[messageType(message.body)] || messageSchemas.get(messageType(message.body));
+      let body = message.body;
+      if (schema) {
+        const parsed = schema.safeParse(messagePayload(body));
+        if (!parsed.success) {
+          const error = parsed.error.issues
+            .map(issue => (issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+            .join('; ');
+          await this.deadLetter(message, settings.deadLetterQueue, 'invalid', error);
+          message.ack();
+          this.results.set(message.id, { status: 'invalid', error });
+          return null;
+        }
+        body = withParsedPayload(body, parsed.data);
+      }
+
       try {
-        await handler(message.body, {
+        await handler(body, {
           id: message.id,
           timestamp: message.timestamp,
           attempts: message.attempts
         });
-        
-        message.ack();
-        this.results.set(message.id, { status: 'success' });
-        
       } catch (error) {
         console.error(`Error processing message ${message.id}:`, error);
-        
-        if (message.attempts >= maxRetries) {
+
+        if (message.attempts >= settings.maxRetries) {
           // Max retries exceeded
-          if (deadLetterQueue) {
-            // Send to dead letter queue
-            await deadLetterQueue.send({
-              originalMessage: message.body,
-              error: error.message,
-              attempts: message.attempts,
-              failedAt: Date.now()
-            });
-          }
+          await this.deadLetter(message, settings.deadLetterQueue, 'failed', error.message);
           message.ack(); // Acknowledge to prevent infinite retry
           this.results.set(message.id, { status: 'dead_lettered', error: error.message });
         } else {
-          // Retry
-          message.retry();
-          this.results.set(message.id, { status: 'retrying', error: error.message });
-        }
-        
-        if (!continueOnError) {
-          throw error;
+          const delaySeconds = settings.backoff === false ? undefined : computeBackoff(message.attempts, settings.backoff);
+          message.retry(delaySeconds === undefined ? undefined : { delaySeconds });
+          this.results.set(message.id, { status: 'retrying', error: error.message, delaySeconds });
         }
+        return error;
       }
+
+      message.ack();
+      this.results.set(message.id, { status: 'success' });
+      await settings.dedupe?.add(key);
+      return null;
+    } finally {
+      settings.inFlight.delete(key);
     }
-    
-    return this.results;
   }
 
   /**
-   * Process messages with typed handlers
-   * @param {Object} handlers - Map of message types to handlers
-   * @param {Object} options - Processing options
+   * Send a message to the dead letter queue, in the format replayDeadLetters() reads
+   * @private
    */
-  async processTyped(handlers, options = {}) {
-    const defaultHandler = handlers.default || (async () => {
-      console.warn('No handler for message type');
+  async deadLetter(message, deadLetterQueue, reason, error) {
+    if (!deadLetterQueue) return;
+    await deadLetterQueue.send({
+      originalMessage: message.body,
+      error,
+      reason,
+      messageId: message.id,
+      queue: this.batch.queue,
+      attempts: message.attempts,
+      failedAt: Date.now()
     });
-
-    return this.process(async (body, meta) => {
-      const type = body.type || body._type || 'default';
-      const handler = handlers[type] || defaultHandler;
-      return handler(body, meta, this.env);
-    }, options);
   }
 
   /**
@@ -123,6 +221,89 @@ export class QueueConsumer {
   }
 }
 
+/**
+ * Delay before the next delivery of a message that failed on attempt `attempts`
+ * @param {number} attempts - Delivery attempts so far (message.attempts)
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay=10] - Seconds after the first failure
+ * @param {number} [options.factor=2] - Growth per attempt
+ * @param {number} [options.maxDelay=43200] - Cap in seconds (the Queues maximum)
+ * @param {boolean} [options.jitter=false] - Randomize within the upper half of the delay
+ * @returns {number} Whole seconds
+ */
+export function computeBackoff(attempts, options = {}) {
+  const { baseDelay = 10, factor = 2, maxDelay = MAX_DELAY_SECONDS, jitter = false } = options;
+  const delay = Math.min(maxDelay, MAX_DELAY_SECONDS, baseDelay * factor ** Math.max(0, attempts - 1));
+  return Math.round(jitter ? delay / 2 + Math.random() * (delay / 2) : delay);
+}
+
+/**
+ * Register the payload schema for a message type; consumers validate every message
+ * of that type (minus its `_meta` envelope) and hand handlers the parsed payload
+ * @param {string} type - Message type, e.g. MessageTypes.EMAIL_SEND
+ * @param {Object} schema - zod schema (anything with safeParse)
+ */
+export function registerMessageSchema(type, schema) {
+  if (typeof schema?.safeParse !== 'function') {
+    throw new Error(`Schema for message type '${type}' must be a zod schema`);
+  }
+  messageSchemas.set(type, schema);
+}
+
+/**
+ * Remove a registered message schema
+ * @param {string} type - Message type
+ */
+export function unregisterMessageSchema(type) {
+  messageSchemas.delete(type);
+}
+
+/**
+ * Re-enqueue dead-lettered messages, e.g. from a consumer attached to the DLQ once the
+ * bug that failed them is fixed.
+ *
+ * Entries the filter rejects are sent unchanged to `holdQueue` when one is given. Without
+ * it they are retried, which only keeps them until the DLQ consumer reaches its
+ * max_retries: Queues then discards them, or moves them to that consumer's own
+ * dead letter queue if it has one.
+ * @param {MessageBatch} batch - Batch delivered from the dead letter queue
+ * @param {Queue} queue - Queue to send the original messages to
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - (entry) => boolean; entries are { originalMessage, error, reason, messageId, queue, attempts, failedAt }
+ * @param {number} [options.delaySeconds] - Delay for the replayed messages
+ * @param {Queue} [options.holdQueue] - Queue that keeps skipped entries
+ * @returns {Promise<{ replayed: number, skipped: number }>}
+ */
+export async function replayDeadLetters(batch, queue, options = {}) {
+  const { filter = () => true, delaySeconds, holdQueue } = options;
+  let replayed = 0;
+  let skipped = 0;
+
+  for (const message of batch.messages) {
+    const entry = message.body;
+    if (!entry || !('originalMessage' in entry) || !filter(entry)) {
+      if (holdQueue) {
+        await holdQueue.send(entry);
+        message.ack();
+      } else {
+        message.retry();
+      }
+      skipped++;
+      continue;
+    }
+
+    const original = entry.originalMessage;
+    const body = original && typeof original === 'object' && !Array.isArray(original)
+      ? withEnvelope(original, { replays: (original._meta?.replays || 0) + 1, replayedAt: Date.now() })
+      : original;
+    await queue.send(body, delaySeconds ? { delaySeconds } : undefined);
+    message.ack();
+    replayed++;
+  }
+
+  return { replayed, skipped };
+}
+
 /**
  * Typed message builder for type-safe queue messages
  */
@@ -147,13 +328,7 @@ export class MessageBuilder {
   }
 
   build() {
-    return {
-      ...this.message,
-      _meta: {
-        ...this.message._meta,
-        createdAt: Date.now()
-      }
-    };
+    return withEnvelope(this.message);
   }
 }
 
@@ -181,4 +356,53 @@ export const MessageTypes = {
   WEBHOOK_RETRY: 'webhook:retry'
 };
 
+/**
+ * Parsed payload with the type and envelope the schema did not declare
+ * @private
+ */
+function withParsedPayload(body, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+  return {
+    ...(body.type !== undefined && { type: body.type }),
+    ...data,
+    ...(body._meta !== undefined && { _meta: body._meta })
+  };
+}
+
+/**
+ * Processed-id store for the `dedupe` option
+ * @private
+ */
+function createDedupe(option) {
+  if (!option) return null;
+  const { kv = null, ttl = 86400, prefix = 'queue:processed:' } = option === true ? {} : option;
+
+  if (kv) {
+    return {
+      has: async (id) => (await kv.get(`${prefix}${id}`)) !== null,
+      // KV rejects TTLs under 60 seconds
+      add: (id) => kv.put(`${prefix}${id}`, '1', { expirationTtl: Math.max(60, ttl) })
+    };
+  }
+
+  return {
+    has: async (id) => {
+      const expiresAt = processedIds.get(id);
+      if (expiresAt === undefined) return false;
+      if (expiresAt > Date.now()) return true;
+      processedIds.delete(id);
+      return false;
+    },
+    add: async (id) => {
+      processedIds.set(id, Date.now() + ttl * 1000);
+      if (processedIds.size % PROCESSED_IDS_CLEANUP_INTERVAL === 0) {
+        const now = Date.now();
+        for (const [key, expiresAt] of processedIds) {
+          if (expiresAt <= now) processedIds.delete(key);
+        }
+      }
+    }
+  };
+}
+
 export default QueueConsumer;
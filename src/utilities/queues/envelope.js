@@ -0,0 +1,77 @@
+/**
+ * Queue Message Envelope
+ * The format QueueProducer, MessageBuilder and QueueConsumer share: the message
+ * type and payload at the top level, delivery bookkeeping under `_meta`
+ *
+ * @example
+ * {
+ *   type: 'email:send',
+ *   to: 'user@example.com',
+ *   _meta: { id: '…', createdAt: 1709294400000, attempt: 2, firstAttemptAt: …, lastAttemptAt: … }
+ * }
+ *
+ * `_meta.id` identifies the logical message across re-sends, so consumers can
+ * drop duplicates even when the queue assigned them different message ids.
+ */
+
+/**
+ * Ensure a body carries an envelope, keeping any existing `_meta`
+ * @param {Object} body - Message body
+ * @param {Object} [meta] - `_meta` fields to set
+ * @returns {Object} Body with `_meta.id` and `_meta.createdAt`
+ */
+export function withEnvelope(body, meta = {}) {
+  const current = body?._meta || {};
+  return {
+    ...body,
+    _meta: {
+      ...current,
+      id: current.id || crypto.randomUUID(),
+      createdAt: current.createdAt || Date.now(),
+      ...meta
+    }
+  };
+}
+
+/**
+ * Envelope for sending a message (again): bumps `_meta.attempt` and the attempt timestamps
+ * @param {Object} body - Message body
+ * @returns {Object}
+ */
+export function nextAttempt(body) {
+  const current = body?._meta || {};
+  const now = Date.now();
+  return withEnvelope(body, {
+    attempt: (current.attempt || 0) + 1,
+    firstAttemptAt: current.firstAttemptAt || now,
+    lastAttemptAt: now
+  });
+}
+
+/**
+ * @param {*} body - Message body
+ * @returns {string} `type` (or legacy `_type`), 'default' without one
+ */
+export function messageType(body) {
+  return body?.type || body?._type || 'default';
+}
+
+/**
+ * Id for deduplication: the envelope id when present, else the queue's message id
+ * @param {Message} message - Queue message
+ * @returns {string}
+ */
+export function messageKey(message) {
+  return message.body?._meta?.id || message.id;
+}
+
+/**
+ * The body without its envelope, as validated against message schemas
+ * @param {*} body - Message body
+ * @returns {*}
+ */
+export function messagePayload(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+  const { _meta, ...payload } = body;
+  return payload;
+}
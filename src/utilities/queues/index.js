@@ -4,4 +4,14 @@
  */
 
 export { QueueProducer } from './producer.js';
-export { QueueConsumer, MessageBuilder, createMessage, MessageTypes } from './consumer.js';
+export {
+  QueueConsumer,
+  MessageBuilder,
+  createMessage,
+  MessageTypes,
+  computeBackoff,
+  registerMessageSchema,
+  unregisterMessageSchema,
+  replayDeadLetters
+} from './consumer.js';
+export { withEnvelope, nextAttempt, messageType, messageKey, messagePayload } from './envelope.js';
@@ -10,6 +10,8 @@
  * await producer.sendBatch([msg1, msg2, msg3]);
  */
 
+import { nextAttempt } from './envelope.js';
+
 export class QueueProducer {
   /**
    * @param {Queue} queue - Queue binding
@@ -29,12 +31,7 @@ export class QueueProducer {
    * @returns {Promise<void>}
    */
   async send(body, options = {}) {
-    const message = {
-      body,
-      ...(options.delaySeconds && { delaySeconds: options.delaySeconds })
-    };
-    
-    await this.queue.send(message);
+    await this.queue.send(body, options.delaySeconds ? { delaySeconds: options.delaySeconds } : undefined);
   }
 
   /**
@@ -53,21 +50,17 @@ export class QueueProducer {
   }
 
   /**
-   * Send a message with automatic retry info
+   * Send a message with automatic retry info in its envelope (see envelope.js);
+   * re-sending the returned body keeps its `_meta.id`, so deduplicating consumers
+   * process it once
    * @param {*} body - Message body
-   * @param {Object} options - Options including retry tracking
+   * @param {Object} options - Send options
+   * @returns {Promise<Object>} The body as sent
    */
   async sendWithRetry(body, options = {}) {
-    const enhancedBody = {
-      ...body,
-      _meta: {
-        attempt: (body._meta?.attempt || 0) + 1,
-        firstAttemptAt: body._meta?.firstAttemptAt || Date.now(),
-        lastAttemptAt: Date.now()
-      }
-    };
-    
+    const enhancedBody = nextAttempt(body);
     await this.send(enhancedBody, options);
+    return enhancedBody;
   }
 }
 
@@ -0,0 +1,249 @@
+/**
+ * Cron Expressions
+ * Parses Cloudflare Cron Trigger syntax and evaluates it in UTC, the time
+ * zone triggers fire in
+ *
+ * Fields: minute (0-59), hour (0-23), day of month (1-31), month (1-12 or
+ * JAN-DEC), day of week (1-7 or SUN-SAT; 1 is Sunday, as in Cloudflare).
+ * Every field accepts `*`, lists (`1,15`), ranges (`MON-FRI`) and steps
+ * (`* /15`, `0-30/5`). Day of month also accepts `L` (last day), `LW` (last
+ * weekday) and `15W` (weekday nearest the 15th); day of week accepts `6L`
+ * (last Friday of the month) and `2#1` (first Monday). `@hourly`, `@daily`,
+ * `@weekly`, `@monthly` and `@yearly` are shorthands.
+ *
+ * When both day fields are restricted, a day matches if either does.
+ *
+ * @example
+ * const cron = new CronExpression('30 9 * * MON-FRI');
+ * cron.matches(new Date(event.scheduledTime));
+ * cron.next();          // next fire time after now
+ * cron.nextRuns(3);     // next three
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Give up looking for a next run after this long (e.g. '0 0 30 2 *' never fires)
+const SEARCH_LIMIT = 5 * 366 * DAY;
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 1',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 1, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+export class CronExpression {
+  /**
+   * @param {string} source - Cron expression
+   * @throws {Error} When the expression is malformed or a value is out of range
+   */
+  constructor(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new Error('Cron expression must be a non-empty string');
+    }
+    this.source = source.trim();
+
+    const parts = (MACROS[this.source.toLowerCase()] || this.source).split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression '${this.source}': expected 5 fields, got ${parts.length}`);
+    }
+
+    [this.minute, this.hour, this.dayOfMonth, this.month, this.dayOfWeek] =
+      parts.map((part, index) => this._parseField(part, FIELDS[index]));
+  }
+
+  /**
+   * Whether the expression fires in the minute containing `date`
+   * @param {Date|number} date - Time to test
+   * @returns {boolean}
+   */
+  matches(date) {
+    const time = new Date(date);
+    return this.minute.values.has(time.getUTCMinutes()) &&
+      this.hour.values.has(time.getUTCHours()) &&
+      this.month.values.has(time.getUTCMonth() + 1) &&
+      this._matchesDay(time);
+  }
+
+  /**
+   * First fire time strictly after `after`
+   * @param {Date|number} [after=new Date()] - Start of the search
+   * @returns {Date|null} null when the expression never fires within five years
+   */
+  next(after = new Date()) {
+    let time = Math.floor(new Date(after).getTime() / MINUTE) * MINUTE + MINUTE;
+    const limit = time + SEARCH_LIMIT;
+
+    while (time <= limit) {
+      const date = new Date(time);
+      const [year, month, day, hour] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()];
+
+      if (!this.month.values.has(month + 1)) {
+        time = Date.UTC(year, month + 1, 1);
+      } else if (!this._matchesDay(date)) {
+        time = Date.UTC(year, month, day + 1);
+      } else if (!this.hour.values.has(hour)) {
+        time = Date.UTC(year, month, day, hour + 1);
+      } else if (!this.minute.values.has(date.getUTCMinutes())) {
+        time += MINUTE;
+      } else {
+        return date;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The next `count` fire times after `after`
+   * @param {number} count - Number of fire times
+   * @param {Date|number} [after=new Date()] - Start of the search
+   * @returns {Array<Date>} Fewer than `count` if the expression stops firing
+   */
+  nextRuns(count, after = new Date()) {
+    const runs = [];
+    let cursor = after;
+    while (runs.length < count) {
+      const next = this.next(cursor);
+      if (!next) break;
+      runs.push(next);
+      cursor = next;
+    }
+    return runs;
+  }
+
+  toString() {
+    return this.source;
+  }
+
+  /**
+   * @private
+   */
+  _matchesDay(date) {
+    const dom = this.dayOfMonth;
+    const dow = this.dayOfWeek;
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay() + 1;
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+    const domMatches = dom.values.has(day) || dom.specials.some((special) => {
+      if (special.type === 'last') return day === lastDay;
+      const target = special.type === 'lastWeekday' ? lastDay : special.day;
+      return target <= lastDay && day === nearestWeekday(date, target, lastDay);
+    });
+    const dowMatches = dow.values.has(weekday) || dow.specials.some((special) =>
+      special.weekday === weekday &&
+      (special.type === 'lastOf' ? day + 7 > lastDay : Math.ceil(day / 7) === special.nth)
+    );
+
+    if (!dom.any && !dow.any) return domMatches || dowMatches;
+    if (!dom.any) return domMatches;
+    if (!dow.any) return dowMatches;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _parseField(text, field) {
+    const parsed = { any: text === '*' || text === '?', values: new Set(), specials: [] };
+    if (parsed.any) {
+      for (let value = field.min; value <= field.max; value++) parsed.values.add(value);
+      return parsed;
+    }
+
+    for (const part of text.split(',')) {
+      const special = this._parseSpecial(part.toUpperCase(), field);
+      if (special) {
+        parsed.specials.push(special);
+        continue;
+      }
+
+      const [range, stepText, ...rest] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (rest.length > 0 || !Number.isInteger(step) || step < 1) {
+        throw this._error(`invalid step in ${field.name} '${part}'`);
+      }
+
+      let [from, to] = [field.min, field.max];
+      if (range !== '*') {
+        const [start, end, ...extra] = range.split('-');
+        if (extra.length > 0) throw this._error(`invalid range in ${field.name} '${part}'`);
+        from = this._parseValue(start, field);
+        to = end !== undefined ? this._parseValue(end, field) : (stepText === undefined ? from : field.max);
+        if (from > to) throw this._error(`${field.name} range '${range}' runs backwards`);
+      }
+
+      for (let value = from; value <= to; value += step) parsed.values.add(value);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * L, LW and nW in day of month; nL and n#k in day of week
+   * @private
+   */
+  _parseSpecial(part, field) {
+    if (field.name === 'day of month') {
+      if (part === 'L') return { type: 'last' };
+      if (part === 'LW') return { type: 'lastWeekday' };
+      const weekday = part.match(/^(\d+)W$/);
+      if (weekday) return { type: 'nearestWeekday', day: this._parseValue(weekday[1], field) };
+    }
+    if (field.name === 'day of week') {
+      const last = part.match(/^(\w+)L$/);
+      if (last) return { type: 'lastOf', weekday: this._parseValue(last[1], field) };
+      const nth = part.match(/^(\w+)#(\d)$/);
+      if (nth) {
+        const n = Number(nth[2]);
+        if (n < 1 || n > 5) throw this._error(`'${part}' must name the 1st to 5th weekday`);
+        return { type: 'nth', weekday: this._parseValue(nth[1], field), nth: n };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _parseValue(token, field) {
+    const named = field.names?.indexOf(token.toUpperCase()) ?? -1;
+    const value = named !== -1 ? named + field.min : (/^\d+$/.test(token) ? Number(token) : NaN);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      const hint = field.name === 'day of week' ? ' (1 is Sunday)' : '';
+      throw this._error(`${field.name} '${token}' is outside ${field.min}-${field.max}${hint}`);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _error(reason) {
+    return new Error(`Invalid cron expression '${this.source}': ${reason}`);
+  }
+}
+
+/**
+ * Day of the weekday closest to `target` without leaving the month
+ * @private
+ */
+function nearestWeekday(date, target, lastDay) {
+  const weekday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), target)).getUTCDay();
+  if (weekday === 6) return target === 1 ? 3 : target - 1;
+  if (weekday === 0) return target === lastDay ? target - 2 : target + 1;
+  return target;
+}
@@ -0,0 +1,168 @@
+/**
+ * Durable Object Job Scheduler
+ * Client for the AlarmScheduler Durable Object (utilities/durable-objects):
+ * delayed and recurring jobs kept in a time-ordered index and woken by a
+ * Durable Object alarm, replacing JobScheduler's KV scanning
+ *
+ * Each tenant gets its own objects; with `shards > 1` a tenant's jobs are
+ * spread over that many objects by job id, so one busy tenant does not
+ * serialize on a single object.
+ *
+ * @example
+ * const jobs = new DurableObjectJobScheduler(env.SCHEDULER, { shards: 4 }).forTenant(tenantId);
+ *
+ * await jobs.schedule('reminder-42', { userId: 42 }, Date.now() + 86400000, { queue: 'EMAILS', type: 'email:send' });
+ * await jobs.schedule('digest', null, null, { cron: '0 8 * * 2-6', queue: 'EMAILS' });
+ * await jobs.reschedule('reminder-42', new Date('2026-01-05T09:00:00Z'));
+ * await jobs.cancel('digest');
+ */
+
+export class DurableObjectJobScheduler {
+  /**
+   * @param {DurableObjectNamespace} namespace - Binding for the AlarmScheduler class
+   * @param {Object} [options]
+   * @param {string} [options.tenant='default'] - Tenant whose jobs this client manages
+   * @param {number} [options.shards=1] - Objects per tenant; keep it fixed once jobs exist
+   */
+  constructor(namespace, options = {}) {
+    if (!namespace) throw new Error('DurableObjectJobScheduler requires a Durable Object namespace');
+    this.namespace = namespace;
+    this.tenant = options.tenant || 'default';
+    this.shards = options.shards || 1;
+  }
+
+  /**
+   * Client for another tenant on the same namespace
+   * @param {string} tenant - Tenant id
+   * @returns {DurableObjectJobScheduler}
+   */
+  forTenant(tenant) {
+    return new DurableObjectJobScheduler(this.namespace, { tenant, shards: this.shards });
+  }
+
+  /**
+   * Schedule a job. Scheduling an id that is already pending keeps the existing job.
+   * @param {string|null} jobId - Job id (null for a random one)
+   * @param {*} jobData - Job payload
+   * @param {Date|number|null} runAt - First run (default: now, or the first cron/every occurrence)
+   * @param {Object} [options]
+   * @param {string} [options.queue='JOBS'] - Queue binding, in the Durable Object's env, the job is sent to
+   * @param {string} [options.type] - Message type (default 'task:process')
+   * @param {number} [options.every] - Repeat every this many ms
+   * @param {string} [options.cron] - Repeat on this cron expression (UTC)
+   * @param {number} [options.maxAttempts=5] - Failed runs before giving up
+   * @returns {Promise<Object>} { scheduled, job }
+   */
+  async schedule(jobId, jobData, runAt, options = {}) {
+    const id = jobId || crypto.randomUUID();
+    return this._call(id, 'schedule', {
+      ...options,
+      id,
+      data: jobData,
+      tenant: this.tenant,
+      ...(runAt !== null && runAt !== undefined && { runAt: toTime(runAt) })
+    });
+  }
+
+  /**
+   * @param {string} jobId - Job id
+   * @returns {Promise<boolean>} Whether a job was removed
+   */
+  async cancel(jobId) {
+    const { cancelled } = await this._call(jobId, 'cancel', { id: jobId });
+    return cancelled;
+  }
+
+  /**
+   * Move a job to a new time; also puts a failed job back into the schedule
+   * @param {string} jobId - Job id
+   * @param {Date|number} runAt - New run time
+   * @returns {Promise<Object|null>} The job, or null if there is none
+   */
+  async reschedule(jobId, runAt) {
+    const { job } = await this._call(jobId, 'reschedule', { id: jobId, runAt: toTime(runAt) });
+    return job;
+  }
+
+  /**
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object|null>} The job record ({ status: 'scheduled' | 'failed', runAt, attempts, lastError, ... })
+   */
+  async get(jobId) {
+    const { job } = await this._call(jobId, 'get', { id: jobId });
+    return job;
+  }
+
+  /**
+   * The tenant's jobs across all shards, in run order
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(options = {}) {
+    const limit = options.limit || 100;
+    const results = await Promise.all(
+      Array.from({ length: this.shards }, (_, shard) => this._send(this._shardName(shard), 'list', { limit }))
+    );
+    return results
+      .flatMap(({ jobs }) => jobs)
+      .sort((a, b) => (a.status === 'failed') - (b.status === 'failed') || a.runAt - b.runAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * @private
+   */
+  _call(jobId, action, payload) {
+    return this._send(this._shardName(this.shards > 1 ? hash(jobId) % this.shards : 0), action, payload);
+  }
+
+  /**
+   * @private
+   */
+  _shardName(shard) {
+    return this.shards > 1 ? `${this.tenant}:${shard}` : this.tenant;
+  }
+
+  /**
+   * @private
+   */
+  async _send(name, action, payload) {
+    const stub = this.namespace.get(this.namespace.idFromName(name));
+    const response = await stub.fetch(`https://alarm-scheduler/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      throw new Error(error || `AlarmScheduler Durable Object responded with status ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Milliseconds for a Date; NaN and Infinity are rejected here, since JSON
+ * would turn them into null (meaning "no run time") on the way to the object
+ * @private
+ */
+function toTime(value) {
+  const time = value instanceof Date ? value.getTime() : value;
+  if (typeof time === 'number' && !Number.isFinite(time)) {
+    throw new Error(`Invalid runAt: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * FNV-1a, to pick a shard from a job id
+ * @private
+ */
+function hash(value) {
+  let result = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    result ^= value.charCodeAt(i);
+    result = Math.imul(result, 0x01000193);
+  }
+  return result >>> 0;
+}
@@ -5,9 +5,10 @@
  * @example
  * import { ScheduledHandler, CronJob } from '@tamyla/clodo-framework/utilities/scheduled';
  * 
- * const handler = new ScheduledHandler()
+ * // One '* * * * *' trigger in wrangler.toml drives every schedule below
+ * const handler = new ScheduledHandler({ store: (env) => new D1CronStore(env.DB) })
  *   .register('0 * * * *', new CleanupJob())
- *   .register('0 0 * * *', new DailyReportJob())
+ *   .register('0 0 * * *', new DailyReportJob(), { name: 'daily-report', timeout: 60000 })
  *   .register('* /5 * * * *', async (event, env) => {
  *     // Run every 5 minutes
  *   });
@@ -17,6 +18,9 @@
  * }
  */
 
+import { CronExpression } from './cron.js';
+import { MemoryCronStore } from './stores.js';
+
 /**
  * Base class for cron jobs
  */
@@ -61,31 +65,49 @@ export class CronJob {
 
 /**
  * Scheduled event handler with job registration
+ *
+ * Each job has its own cron expression and runs when the event's
+ * `scheduledTime` matches it, so a single frequent trigger can drive jobs on
+ * different schedules; a job registered with exactly the event's `cron` runs
+ * too. Every run takes the job's lock, is bounded by its timeout and is
+ * recorded in the store's run history.
  */
 export class ScheduledHandler {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object|Function} [options.store] - Lock and run history store, or env => store (see stores.js; default MemoryCronStore)
+   * @param {number} [options.timeout] - Default per-job timeout in ms
+   * @param {number} [options.lockTtl=900000] - Lock lifetime for jobs without a timeout (15 minutes, the cron wall-time limit)
+   */
+  constructor(options = {}) {
     this.jobs = new Map();
     this.defaultJob = null;
     this.middleware = [];
+    this.store = options.store || new MemoryCronStore();
+    this.stores = new WeakMap();
+    this.timeout = options.timeout;
+    this.lockTtl = options.lockTtl || 15 * 60 * 1000;
   }
 
   /**
    * Register a job for a cron pattern
-   * @param {string} cron - Cron pattern (e.g., '0 * * * *')
+   * @param {string} cron - Cron pattern (e.g., '0 * * * *'); see cron.js for the syntax
    * @param {CronJob|Function} job - Job instance or function
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name for locks, history and trigger(); defaults to the pattern, and registering a name again replaces its job
+   * @param {number} [options.timeout] - Fail the run after this many ms
+   * @param {boolean} [options.lock=true] - Skip a run while the previous one is still going
    */
-  register(cron, job) {
-    if (typeof job === 'function') {
-      // Wrap function in CronJob
-      const fn = job;
-      job = new class extends CronJob {
-        async execute(event, env, ctx) {
-          return fn(event, env, ctx);
-        }
-      };
-    }
-    
-    this.jobs.set(cron, job);
+  register(cron, job, options = {}) {
+    const name = options.name || cron;
+    this.jobs.set(name, {
+      name,
+      cron,
+      expression: new CronExpression(cron),
+      job: toCronJob(job),
+      timeout: options.timeout ?? this.timeout,
+      lock: options.lock !== false
+    });
     return this;
   }
 
@@ -93,20 +115,16 @@ export class ScheduledHandler {
    * Set default job for unmatched cron patterns
    */
   setDefault(job) {
-    if (typeof job === 'function') {
-      const fn = job;
-      job = new class extends CronJob {
-        async execute(event, env, ctx) {
-          return fn(event, env, ctx);
-        }
-      };
-    }
-    this.defaultJob = job;
+    this.defaultJob = toCronJob(job);
     return this;
   }
 
   /**
    * Add middleware
+   *
+   * `await next()` runs the rest of the chain and the due jobs. It resolves to
+   * the runs, or rejects with the jobs' failure once all of them have finished,
+   * so a try/catch around it sees job errors.
    * @param {Function} fn - Middleware function (event, env, next) => Promise
    */
   use(fn) {
@@ -116,39 +134,199 @@ export class ScheduledHandler {
 
   /**
    * Handle scheduled event
+   *
+   * Due jobs run concurrently. If any of them fails or times out, the error
+   * (an AggregateError for several) is thrown after all have finished, so the
+   * invocation is reported as failed.
    * @param {ScheduledEvent} event
    * @param {Object} env
    * @param {ExecutionContext} ctx
+   * @returns {Promise<Array<Object>>} One run per due job ({ job, status, durationMs, error, result, ... })
    */
   async handle(event, env, ctx) {
-    const job = this.jobs.get(event.cron) || this.defaultJob;
-    
-    if (!job) {
+    let due = this.dueJobs(event);
+
+    if (due.length === 0 && this.defaultJob) {
+      due = [{ name: 'default', cron: event.cron, job: this.defaultJob, timeout: this.timeout, lock: false }];
+    }
+    if (due.length === 0) {
       console.warn(`No job registered for cron: ${event.cron}`);
-      return;
+      return [];
     }
 
+    return this._dispatch(due, event, env, ctx);
+  }
+
+  /**
+   * Run one job now, as `clodo-service cron --run` does
+   * @param {string} name - Job name
+   * @param {Object} [env] - Environment bindings
+   * @param {ExecutionContext} [ctx] - Execution context
+   * @param {Object} [options]
+   * @param {number} [options.scheduledTime=Date.now()] - scheduledTime of the synthetic event
+   * @returns {Promise<Object>} The run
+   */
+  async trigger(name, env = {}, ctx = undefined, options = {}) {
+    const entry = this.jobs.get(name);
+    if (!entry) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const event = { type: 'scheduled', cron: entry.cron, scheduledTime: options.scheduledTime ?? Date.now() };
+    const [run] = await this._dispatch([entry], event, env, ctx);
+    return run;
+  }
+
+  /**
+   * Jobs due for an event
+   * @param {ScheduledEvent} event - Event with `cron` and `scheduledTime`
+   * @returns {Array<Object>} Registered job entries
+   */
+  dueJobs(event) {
+    const at = event.scheduledTime !== undefined ? new Date(event.scheduledTime) : null;
+    return [...this.jobs.values()].filter(entry =>
+      entry.cron === event.cron || (at !== null && entry.expression.matches(at))
+    );
+  }
+
+  /**
+   * Registered jobs with their upcoming fire times
+   * @param {Object} [options]
+   * @param {number} [options.count=1] - Fire times per job
+   * @param {Date|number} [options.from=new Date()] - Start of the search
+   * @returns {Array<Object>} { name, cron, next: Date[] }
+   */
+  schedules(options = {}) {
+    return [...this.jobs.values()].map(({ name, cron, expression }) => ({
+      name,
+      cron,
+      next: expression.nextRuns(options.count || 1, options.from || new Date())
+    }));
+  }
+
+  /**
+   * Recorded runs of a job, newest first
+   * @param {string} name - Job name
+   * @param {Object} [options] - { limit, env }; `env` is required when the store is a factory
+   * @returns {Promise<Array<Object>>}
+   */
+  history(name, options = {}) {
+    return this._storeFor(options.env).history(name, options);
+  }
+
+  /**
+   * Run jobs inside the middleware chain. Their failures are thrown from the
+   * innermost next(), and the runs are kept here rather than taken from the
+   * chain's return value, so middleware need not return next().
+   * @private
+   */
+  async _dispatch(entries, event, env, ctx) {
+    let index = 0;
+    let runs = [];
+
+    const next = async () => {
+      if (index < this.middleware.length) {
+        const middleware = this.middleware[index++];
+        return middleware(event, env, next);
+      }
+
+      const outcomes = await Promise.all(entries.map(entry => this._run(entry, event, env, ctx)));
+      runs = outcomes.map(({ run }) => run);
+
+      const errors = outcomes.filter(({ error }) => error).map(({ error }) => error);
+      if (errors.length === 1) {
+        throw errors[0];
+      }
+      if (errors.length > 1) {
+        throw new AggregateError(errors, `${errors.length} scheduled jobs failed`);
+      }
+      return runs;
+    };
+
+    await next();
+    return runs;
+  }
+
+  /**
+   * Run one job under its lock and timeout and record the run
+   * @returns {Promise<Object>} { run, error }
+   * @private
+   */
+  async _run(entry, event, env, ctx) {
+    const { job } = entry;
     if (!job.shouldRun(event)) {
       console.log(`Job skipped for cron: ${event.cron}`);
-      return;
+      return { run: { job: entry.name, cron: entry.cron, status: 'skipped', error: null } };
     }
 
-    // Run middleware chain
-    const runWithMiddleware = async () => {
-      let index = 0;
-      
-      const next = async () => {
-        if (index < this.middleware.length) {
-          const middleware = this.middleware[index++];
-          return middleware(event, env, next);
-        }
-        return this._executeJob(job, event, env, ctx);
-      };
-      
-      return next();
+    const scheduledTime = event.scheduledTime ?? Date.now();
+    const run = {
+      id: crypto.randomUUID(),
+      job: entry.name,
+      cron: entry.cron,
+      scheduledTime,
+      startedAt: Date.now(),
+      durationMs: 0,
+      status: 'success',
+      error: null
     };
 
-    return runWithMiddleware();
+    const store = this._storeFor(env);
+    const ttlMs = entry.timeout ? entry.timeout + 60 * 1000 : this.lockTtl;
+    if (entry.lock && !(await store.acquire(entry.name, { owner: run.id, ttlMs, scheduledTime }))) {
+      run.status = 'skipped';
+      run.error = 'Another run holds the lock or already ran for this schedule';
+      await store.record(run);
+      return { run };
+    }
+
+    let error = null;
+    let result;
+    let timer;
+    try {
+      const execution = this._executeJob(job, event, env, ctx);
+      result = await (entry.timeout
+        ? Promise.race([
+          execution,
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              run.status = 'timeout';
+              reject(new Error(`Job '${entry.name}' timed out after ${entry.timeout}ms`));
+            }, entry.timeout);
+          })
+        ])
+        : execution);
+    } catch (caught) {
+      error = caught;
+      if (run.status !== 'timeout') run.status = 'failed';
+      run.error = caught.message;
+    } finally {
+      clearTimeout(timer);
+      run.durationMs = Date.now() - run.startedAt;
+    }
+
+    // A timed-out job may still be running, so its lock is left to expire
+    if (entry.lock && run.status !== 'timeout') {
+      await store.release(entry.name, run.id);
+    }
+    await store.record(run);
+
+    return { run: { ...run, result }, error };
+  }
+
+  /**
+   * The store for an invocation's env, built once per env when `store` is a factory
+   * @private
+   */
+  _storeFor(env) {
+    if (typeof this.store !== 'function') {
+      return this.store;
+    }
+    const key = env || this;
+    if (!this.stores.has(key)) {
+      this.stores.set(key, this.store(env));
+    }
+    return this.stores.get(key);
   }
 
   async _executeJob(job, event, env, ctx) {
@@ -163,8 +341,26 @@ export class ScheduledHandler {
   }
 }
 
+/**
+ * Wrap a function in a CronJob
+ * @private
+ */
+function toCronJob(job) {
+  if (typeof job !== 'function') {
+    return job;
+  }
+  const fn = job;
+  return new class extends CronJob {
+    async execute(event, env, ctx) {
+      return fn(event, env, ctx);
+    }
+  };
+}
+
 /**
  * Job scheduler for dynamic job management
+ * @deprecated Scans KV for due jobs on every tick; use DurableObjectJobScheduler,
+ * which wakes a Durable Object alarm at each job's run time
  */
 export class JobScheduler {
   constructor(kvNamespace) {
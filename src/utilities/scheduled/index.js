@@ -4,3 +4,6 @@
  */
 
 export { ScheduledHandler, CronJob, JobScheduler, ScheduledJobRegistry } from './handler.js';
+export { CronExpression } from './cron.js';
+export { MemoryCronStore, KVCronStore, D1CronStore } from './stores.js';
+export { DurableObjectJobScheduler } from './durableScheduler.js';
@@ -0,0 +1,266 @@
+/**
+ * Cron Stores — where ScheduledHandler keeps job locks and run history
+ *
+ * A store implements:
+ *   acquire(job, { owner, ttlMs, scheduledTime }) → true when the caller may
+ *     run the job: no other run holds its lock, and no run has started for
+ *     this or a later scheduledTime (so duplicate trigger deliveries run once)
+ *   release(job, owner) → free the lock if `owner` still holds it
+ *   record(run) → persist a run { id, job, cron, scheduledTime, startedAt,
+ *     durationMs, status, error }
+ *   history(job, { limit }) → that job's runs, newest first
+ *
+ * Stores:
+ *   MemoryCronStore   per isolate (default)
+ *   KVCronStore       shared through Workers KV; not atomic, so two isolates
+ *                     handling the same tick may both run a job
+ *   D1CronStore       atomic lock upsert and a run table in D1
+ *
+ * @module @tamyla/clodo-framework/utilities/scheduled/stores
+ */
+
+const DEFAULT_HISTORY_LIMIT = 20;
+
+/**
+ * Whether a lock record lets a new run start
+ * @private
+ */
+function isClaimable(lock, scheduledTime, now) {
+  return !lock || (lock.lockedUntil <= now && lock.scheduledTime < scheduledTime);
+}
+
+/**
+ * In-memory store; locks and history are per isolate. Use it for tests,
+ * local runs and jobs where an occasional overlap is harmless.
+ */
+export class MemoryCronStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxRuns=100] - Runs kept per job
+   */
+  constructor(options = {}) {
+    this.locks = new Map();
+    this.runs = new Map();
+    this.maxRuns = options.maxRuns || 100;
+  }
+
+  async acquire(job, { owner, ttlMs, scheduledTime }) {
+    const now = Date.now();
+    if (!isClaimable(this.locks.get(job), scheduledTime, now)) return false;
+    this.locks.set(job, { owner, lockedUntil: now + ttlMs, scheduledTime });
+    return true;
+  }
+
+  async release(job, owner) {
+    const lock = this.locks.get(job);
+    if (lock?.owner === owner) lock.lockedUntil = 0;
+  }
+
+  async record(run) {
+    const runs = this.runs.get(run.job) || [];
+    runs.unshift(run);
+    this.runs.set(run.job, runs.slice(0, this.maxRuns));
+  }
+
+  async history(job, options = {}) {
+    return (this.runs.get(job) || []).slice(0, options.limit || DEFAULT_HISTORY_LIMIT);
+  }
+}
+
+/**
+ * Workers KV store. Runs are kept as key metadata, so history() is a single
+ * list() call; keys sort newest first and expire after `historyTtl`.
+ * KV has no compare-and-set and writes take time to propagate, so locks only
+ * catch overlaps that are seconds apart; use D1CronStore where that matters.
+ */
+export class KVCronStore {
+  /**
+   * @param {KVNamespace} kv - KV namespace binding
+   * @param {Object} [options]
+   * @param {string} [options.prefix='cron:'] - Key prefix
+   * @param {number} [options.historyTtl=604800] - Seconds runs are kept (default 7 days)
+   */
+  constructor(kv, options = {}) {
+    if (!kv) throw new Error('KVCronStore requires a KV namespace');
+    this.kv = kv;
+    this.prefix = options.prefix ?? 'cron:';
+    this.historyTtl = options.historyTtl || 7 * 24 * 60 * 60;
+  }
+
+  async acquire(job, { owner, ttlMs, scheduledTime }) {
+    const key = `${this.prefix}lock:${job}`;
+    const now = Date.now();
+    if (!isClaimable(await this.kv.get(key, 'json'), scheduledTime, now)) return false;
+
+    await this._putLock(key, { owner, lockedUntil: now + ttlMs, scheduledTime });
+    return true;
+  }
+
+  async release(job, owner) {
+    const key = `${this.prefix}lock:${job}`;
+    const lock = await this.kv.get(key, 'json');
+    if (lock?.owner === owner) {
+      await this._putLock(key, { ...lock, lockedUntil: 0 });
+    }
+  }
+
+  async record(run) {
+    // Metadata is limited to 1024 bytes
+    const metadata = { ...run, error: run.error ? String(run.error).slice(0, 500) : null };
+    await this.kv.put(this._runKey(run), '', { metadata, expirationTtl: this.historyTtl });
+  }
+
+  async history(job, options = {}) {
+    const { keys } = await this.kv.list({
+      prefix: `${this.prefix}run:${job}:`,
+      limit: options.limit || DEFAULT_HISTORY_LIMIT
+    });
+    return keys.map((key) => key.metadata).filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  _runKey(run) {
+    // Inverted start time so lexicographic list order is newest first
+    const inverted = String(Number.MAX_SAFE_INTEGER - run.startedAt).padStart(16, '0');
+    return `${this.prefix}run:${run.job}:${inverted}:${run.id}`;
+  }
+
+  /**
+   * @private
+   */
+  async _putLock(key, lock) {
+    // Outlive the lock so the last scheduledTime is still known on the next tick
+    await this.kv.put(key, JSON.stringify(lock), { expirationTtl: this.historyTtl });
+  }
+}
+
+/**
+ * D1 store. A lock is claimed with one upsert that only succeeds when the
+ * previous holder released it or its TTL ran out, so concurrent isolates are
+ * serialized by the database. Tables are created on first use unless
+ * `autoCreate` is false:
+ *
+ *   CREATE TABLE cron_locks (
+ *     job TEXT PRIMARY KEY, owner TEXT NOT NULL,
+ *     locked_until INTEGER NOT NULL, scheduled_time INTEGER NOT NULL
+ *   )
+ *   CREATE TABLE cron_runs (
+ *     id TEXT PRIMARY KEY, job TEXT NOT NULL, cron TEXT, scheduled_time INTEGER,
+ *     started_at INTEGER NOT NULL, duration_ms INTEGER, status TEXT NOT NULL, error TEXT
+ *   )
+ */
+export class D1CronStore {
+  /**
+   * @param {D1Database} db - D1 database binding
+   * @param {Object} [options]
+   * @param {string} [options.locksTable='cron_locks'] - Lock table
+   * @param {string} [options.runsTable='cron_runs'] - Run history table
+   * @param {boolean} [options.autoCreate=true] - Create the tables if they do not exist
+   */
+  constructor(db, options = {}) {
+    if (!db) throw new Error('D1CronStore requires a D1 database');
+    this.db = db;
+    this.locksTable = options.locksTable || 'cron_locks';
+    this.runsTable = options.runsTable || 'cron_runs';
+    this.autoCreate = options.autoCreate !== false;
+    this.ready = null;
+  }
+
+  async acquire(job, { owner, ttlMs, scheduledTime }) {
+    await this._ensureTables();
+    const now = Date.now();
+    const result = await this.db.prepare(
+      `INSERT INTO ${this.locksTable} (job, owner, locked_until, scheduled_time) VALUES (?, ?, ?, ?)
+       ON CONFLICT(job) DO UPDATE SET
+         owner = excluded.owner, locked_until = excluded.locked_until, scheduled_time = excluded.scheduled_time
+       WHERE locked_until <= ? AND scheduled_time < excluded.scheduled_time`
+    ).bind(job, owner, now + ttlMs, scheduledTime, now).run();
+    return result.meta?.changes > 0;
+  }
+
+  async release(job, owner) {
+    await this._ensureTables();
+    await this.db.prepare(
+      `UPDATE ${this.locksTable} SET locked_until = 0 WHERE job = ? AND owner = ?`
+    ).bind(job, owner).run();
+  }
+
+  async record(run) {
+    await this._ensureTables();
+    await this.db.prepare(
+      `INSERT INTO ${this.runsTable} (id, job, cron, scheduled_time, started_at, duration_ms, status, error)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(run.id, run.job, run.cron, run.scheduledTime, run.startedAt, run.durationMs, run.status, run.error).run();
+  }
+
+  async history(job, options = {}) {
+    await this._ensureTables();
+    const { results = [] } = await this.db.prepare(
+      `SELECT id, job, cron, scheduled_time, started_at, duration_ms, status, error
+       FROM ${this.runsTable} WHERE job = ? ORDER BY started_at DESC LIMIT ?`
+    ).bind(job, options.limit || DEFAULT_HISTORY_LIMIT).all();
+
+    return results.map((row) => ({
+      id: row.id,
+      job: row.job,
+      cron: row.cron,
+      scheduledTime: row.scheduled_time,
+      startedAt: row.started_at,
+      durationMs: row.duration_ms,
+      status: row.status,
+      error: row.error
+    }));
+  }
+
+  /**
+   * Delete runs that started before a cutoff; call it from a scheduled job
+   * @param {Date|number} before - Cutoff
+   * @returns {Promise<number>} Rows removed
+   */
+  async prune(before) {
+    await this._ensureTables();
+    const result = await this.db.prepare(`DELETE FROM ${this.runsTable} WHERE started_at < ?`)
+      .bind(new Date(before).getTime()).run();
+    return result.meta?.changes || 0;
+  }
+
+  /**
+   * @private
+   */
+  _ensureTables() {
+    if (!this.autoCreate) return null;
+    if (!this.ready) {
+      this.ready = this.db.batch([
+        this.db.prepare(
+          `CREATE TABLE IF NOT EXISTS ${this.locksTable} (
+            job TEXT PRIMARY KEY,
+            owner TEXT NOT NULL,
+            locked_until INTEGER NOT NULL,
+            scheduled_time INTEGER NOT NULL
+          )`
+        ),
+        this.db.prepare(
+          `CREATE TABLE IF NOT EXISTS ${this.runsTable} (
+            id TEXT PRIMARY KEY,
+            job TEXT NOT NULL,
+            cron TEXT,
+            scheduled_time INTEGER,
+            started_at INTEGER NOT NULL,
+            duration_ms INTEGER,
+            status TEXT NOT NULL,
+            error TEXT
+          )`
+        ),
+        this.db.prepare(
+          `CREATE INDEX IF NOT EXISTS idx_${this.runsTable}_job_started_at ON ${this.runsTable} (job, started_at)`
+        )
+      ]).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+}
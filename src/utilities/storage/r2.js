@@ -24,6 +24,8 @@
  * }
  */
 
+import { evaluatePreconditions, evaluateIfRange, parseRange, notModifiedResponse } from '../../routing/conditional.js';
+
 /**
  * R2 Storage wrapper class
  */
@@ -76,10 +78,13 @@ export class R2Storage {
   /**
    * Get a file from R2
    * @param {string} key - Object key
+   * @param {Object} [options] - R2 get options
+   * @param {Object} [options.range] - Byte range: { offset, length } or { suffix }
+   * @param {Object} [options.onlyIf] - R2 conditional read
    * @returns {Promise<R2ObjectBody|null>}
    */
-  async get(key) {
-    return this.bucket.get(key);
+  async get(key, options) {
+    return options ? this.bucket.get(key, options) : this.bucket.get(key);
   }
 
   /**
@@ -272,54 +277,209 @@ export async function handleFileUpload(request, storage, options = {}) {
 
 /**
  * Serve a file from R2 with proper headers
+ *
+ * Honors If-None-Match / If-Modified-Since (304) and If-Match /
+ * If-Unmodified-Since (412) against the object's ETag and upload time;
+ * conditional and ranged requests are checked with a HEAD first, so a 304
+ * never reads the body.
+ *
+ * `Range: bytes=...` is served from ranged R2 reads: one range answers 206
+ * with `Content-Range`, several answer 206 `multipart/byteranges`, and
+ * ranges that start past the end answer 416. Suffix (`-500`) and open-ended
+ * (`500-`) ranges are supported; `If-Range` falls back to the full file when
+ * the object has changed. Overlapping ranges are merged, and ranges adding up
+ * to more than the object answer 200 with the whole file. Ranged reads are
+ * conditional on the ETag from the HEAD, so every part comes from the same
+ * version; an object replaced in between is served whole instead.
+ * HEAD requests get the headers without a body.
  * @param {R2Storage} storage - R2Storage instance
  * @param {string} key - Object key
- * @param {Request} request - Original request (for range headers)
+ * @param {Request} request - Original request (for range and conditional headers)
  * @returns {Promise<Response>}
  */
 export async function serveFile(storage, key, request) {
+  const rangeHeader = request.method === 'HEAD' ? null : request.headers.get('Range');
+  const conditional = ['If-Match', 'If-None-Match', 'If-Modified-Since', 'If-Unmodified-Since']
+    .some(name => request.headers.has(name));
+
+  let head = null;
+  if (conditional || rangeHeader || request.method === 'HEAD') {
+    head = await storage.head(key);
+    if (!head) {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    const status = evaluatePreconditions(request, { etag: objectETag(head), lastModified: head.uploaded });
+    if (status === 304) {
+      return notModifiedResponse(fileHeaders(head));
+    }
+    if (status === 412) {
+      return new Response('Precondition Failed', { status: 412 });
+    }
+    if (request.method === 'HEAD') {
+      return new Response(null, { headers: fileHeaders(head) });
+    }
+  }
+
+  if (rangeHeader && evaluateIfRange(request, { etag: objectETag(head), lastModified: head.uploaded })) {
+    const ranges = parseRange(rangeHeader, head.size);
+
+    if (ranges && ranges.length === 0) {
+      return new Response('Range Not Satisfiable', {
+        status: 416,
+        headers: { 'Content-Range': `bytes */${head.size}`, 'Accept-Ranges': 'bytes' }
+      });
+    }
+    if (ranges && ranges.length === 1) {
+      return serveRange(storage, key, head, ranges[0]);
+    }
+    if (ranges) {
+      return serveByteRanges(storage, key, head, ranges);
+    }
+  }
+
+  return serveObject(storage, key);
+}
+
+/**
+ * Answer 200 with the whole object
+ * @private
+ */
+async function serveObject(storage, key) {
   const object = await storage.get(key);
   
   if (!object) {
     return new Response('Not Found', { status: 404 });
   }
 
+  return new Response(object.body, { headers: fileHeaders(object) });
+}
+
+/**
+ * Read one range of the version described by `head`; the result has no body
+ * when the object has been replaced since
+ * @private
+ */
+function readRange(storage, key, head, { start, end }) {
+  return storage.get(key, {
+    range: { offset: start, length: end - start + 1 },
+    onlyIf: { etagMatches: head.etag }
+  });
+}
+
+/**
+ * Answer one range with a ranged read
+ * @private
+ */
+async function serveRange(storage, key, head, range) {
+  const { start, end } = range;
+  const object = await readRange(storage, key, head, range);
+  if (!object) {
+    return new Response('Not Found', { status: 404 });
+  }
+  if (!object.body) {
+    return serveObject(storage, key);
+  }
+
+  const headers = fileHeaders(head);
+  headers.set('Content-Range', `bytes ${start}-${end}/${head.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(object.body, { status: 206, headers });
+}
+
+/**
+ * Answer several ranges as multipart/byteranges, reading each part from R2
+ * only as the client consumes the stream
+ * @private
+ */
+async function serveByteRanges(storage, key, head, ranges) {
+  const boundary = `clodo-${crypto.randomUUID()}`;
+  const contentType = head.httpMetadata?.contentType || 'application/octet-stream';
+  const encoder = new TextEncoder();
+
+  const parts = ranges.map(({ start, end }, index) => ({
+    start,
+    end,
+    preamble: encoder.encode(
+      `${index === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${head.size}\r\n\r\n`
+    )
+  }));
+  const epilogue = encoder.encode(`\r\n--${boundary}--\r\n`);
+
+  // The first part is read before answering, so a replaced object can still get a 200
+  const first = await readRange(storage, key, head, parts[0]);
+  if (!first) {
+    return new Response('Not Found', { status: 404 });
+  }
+  if (!first.body) {
+    return serveObject(storage, key);
+  }
+  const length = parts.reduce((total, part) => total + part.preamble.length + part.end - part.start + 1, epilogue.length);
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+
+  (async () => {
+    for (const [index, part] of parts.entries()) {
+      await writer.write(part.preamble);
+      const object = index === 0 ? first : await readRange(storage, key, head, part);
+      if (!object?.body) throw new Error(`Object changed while serving ranges: ${key}`);
+
+      const reader = object.body.getReader();
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        await writer.write(typeof chunk.value === 'string' ? encoder.encode(chunk.value) : chunk.value);
+      }
+    }
+    await writer.write(epilogue);
+    await writer.close();
+  })().catch(error => writer.abort(error));
+
+  const headers = fileHeaders(head);
+  headers.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  headers.set('Content-Length', String(length));
+  return new Response(readable, { status: 206, headers });
+}
+
+/**
+ * Response headers describing an R2 object
+ * @private
+ */
+function fileHeaders(object) {
   const headers = new Headers();
-  
+
   // Set content type
   if (object.httpMetadata?.contentType) {
     headers.set('Content-Type', object.httpMetadata.contentType);
   }
-  
+
   // Set cache control
   if (object.httpMetadata?.cacheControl) {
     headers.set('Cache-Control', object.httpMetadata.cacheControl);
   } else {
     headers.set('Cache-Control', 'public, max-age=31536000');
   }
-  
-  // Set ETag
-  headers.set('ETag', object.etag);
-  
+
+  // Set validators
+  headers.set('ETag', objectETag(object));
+  if (object.uploaded) {
+    headers.set('Last-Modified', new Date(object.uploaded).toUTCString());
+  }
+
   // Set content length
   headers.set('Content-Length', object.size.toString());
+  headers.set('Accept-Ranges', 'bytes');
 
-  // Handle range requests
-  const range = request.headers.get('Range');
-  if (range) {
-    const [start, end] = range.replace('bytes=', '').split('-').map(Number);
-    const actualEnd = end || object.size - 1;
-    
-    headers.set('Content-Range', `bytes ${start}-${actualEnd}/${object.size}`);
-    headers.set('Content-Length', (actualEnd - start + 1).toString());
-    
-    return new Response(object.body, {
-      status: 206,
-      headers
-    });
-  }
+  return headers;
+}
 
-  return new Response(object.body, { headers });
+/**
+ * Quoted ETag of an R2 object (`etag` is unquoted, `httpEtag` quoted)
+ * @private
+ */
+function objectETag(object) {
+  return object.httpEtag || `"${object.etag}"`;
 }
 
 export default R2Storage;
@@ -0,0 +1,113 @@
+/**
+ * HTTP Error Classes and Problem Details Tests
+ */
+
+import {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError
+} from '../../src/errors/httpErrors.js';
+import { ConflictError } from '../../src/errors/dataErrors.js';
+import { toProblemDetails, problemResponse, getCorrelationId } from '../../src/errors/problemDetails.js';
+import { RequestContext } from '../../src/routing/RequestContext.js';
+
+describe('HttpError hierarchy', () => {
+  it('should carry status, code and details', () => {
+    const error = new NotFoundError('User 7 not found', 'USER_NOT_FOUND', { id: '7' });
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.status).toBe(404);
+    expect(error.code).toBe('USER_NOT_FOUND');
+    expect(error.details).toEqual({ id: '7' });
+    expect(error.name).toBe('NotFoundError');
+  });
+
+  it('should use defaults for each status', () => {
+    expect(new UnauthorizedError()).toMatchObject({ status: 401, code: 'UNAUTHORIZED', headers: { 'WWW-Authenticate': 'Bearer' } });
+    expect(new ForbiddenError()).toMatchObject({ status: 403, code: 'FORBIDDEN' });
+    expect(new TooManyRequestsError(undefined, 30)).toMatchObject({ status: 429, retryAfter: 30, headers: { 'Retry-After': '30' } });
+    expect(new ConflictError('Stale version', 'VERSION_CONFLICT')).toMatchObject({ status: 409, expose: true });
+    expect(new HttpError(503, 'Upstream down').expose).toBe(false);
+  });
+
+  it('should build a ValidationError from a validateData result', () => {
+    const error = ValidationError.fromValidation({
+      valid: false,
+      errors: [{ field: 'email', message: 'Invalid email format', code: 'INVALID_EMAIL', value: 'nope' }]
+    });
+
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Validation failed: email: Invalid email format');
+    expect(error.errors).toEqual([{ field: 'email', message: 'Invalid email format', code: 'INVALID_EMAIL' }]);
+  });
+});
+
+describe('problem details', () => {
+  it('should describe client errors in full', () => {
+    const problem = toProblemDetails(new ValidationError('Bad input', [{ field: 'name', message: 'Required' }]), {
+      instance: '/users',
+      correlationId: 'abc'
+    });
+
+    expect(problem).toEqual({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'Bad input',
+      code: 'VALIDATION_FAILED',
+      instance: '/users',
+      correlationId: 'abc',
+      errors: [{ field: 'name', message: 'Required' }]
+    });
+  });
+
+  it('should hide internal messages unless asked to expose them', () => {
+    const error = new Error('SQLITE_ERROR: no such column');
+
+    expect(toProblemDetails(error)).toEqual({
+      type: 'about:blank',
+      title: 'Internal Server Error',
+      status: 500,
+      detail: 'An unexpected error occurred'
+    });
+    expect(toProblemDetails(error, { exposeInternal: true }).detail).toBe('SQLITE_ERROR: no such column');
+  });
+
+  it('should hide internal messages unless the environment asks for them', async () => {
+    const request = new Request('https://api.example.com/search');
+    const detail = async (env) => (await problemResponse(new Error('SQLITE_ERROR'), new RequestContext(request, env, {})).json()).detail;
+
+    expect(await detail({})).toBe('An unexpected error occurred');
+    expect(await detail({ ENVIRONMENT: 'staging' })).toBe('An unexpected error occurred');
+    expect(await detail({ ENVIRONMENT: 'development' })).toBe('SQLITE_ERROR');
+    expect(await detail({ DEBUG: 'true' })).toBe('SQLITE_ERROR');
+    expect(await (await problemResponse(new Error('SQLITE_ERROR'), request).json()).detail).toBe('An unexpected error occurred');
+  });
+
+  it('should render a response with error headers and the correlation id', async () => {
+    const request = new Request('https://api.example.com/search', { headers: { 'CF-Ray': 'ray-1' } });
+    const c = new RequestContext(request, { ENVIRONMENT: 'production' }, {});
+
+    const response = problemResponse(new TooManyRequestsError('Slow down', 5), c);
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+    expect(response.headers.get('Retry-After')).toBe('5');
+    expect(response.headers.get('X-Request-Id')).toBe('ray-1');
+    expect(await response.json()).toMatchObject({ detail: 'Slow down', retryAfter: 5, instance: '/search' });
+    expect(c.get('requestId')).toBe('ray-1');
+  });
+
+  it('should generate a correlation id when the request has none', () => {
+    const c = new RequestContext(new Request('https://api.example.com/'), {}, {});
+
+    const id = getCorrelationId(c);
+
+    expect(id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(getCorrelationId(c)).toBe(id);
+  });
+});
@@ -0,0 +1,641 @@
+import { jest } from '@jest/globals';
+import { GenericRouteHandler } from '../../src/handlers/GenericRouteHandler.js';
+import { schemaManager } from '../../src/schema/SchemaManager.js';
+import { RequestContext } from '../../src/routing/RequestContext.js';
+
+const mockD1Client = {
+  generateId: jest.fn(() => 'generated-id'),
+  getCurrentTimestamp: jest.fn(() => '2024-01-01T00:00:00Z'),
+  run: jest.fn(),
+  all: jest.fn(),
+  first: jest.fn()
+};
+
+const request = (path, init = {}) => new Request(`https://api.example.com${path}`, {
+  ...init,
+  headers: { Authorization: 'Bearer token', ...(init.headers || {}) }
+});
+
+// Stands in for real token verification in tests that are not about authentication
+const authenticate = (req) => (req.headers.get('authorization') === 'Bearer token' ? { id: 'user-1' } : null);
+const createHandler = (modelName, options = {}) => new GenericRouteHandler(mockD1Client, modelName, { authenticate, ...options });
+
+describe('GenericRouteHandler', () => {
+  let handler;
+
+  beforeAll(() => {
+    schemaManager.registerModel('handler_notes', {
+      tableName: 'handler_notes',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        body: { type: 'text' }
+      },
+      softDelete: true,
+      version: true,
+      audit: true
+    });
+    schemaManager.registerModel('handler_people', {
+      tableName: 'handler_people',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        name: { type: 'text' },
+        status: { type: 'text' },
+        age: { type: 'integer' },
+        price: { type: 'real' },
+        created_at: { type: 'text' },
+        updated_at: { type: 'text' }
+      }
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    handler = createHandler('handler_people');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('handleList filters', () => {
+    test('compiles operator filters from the query string', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+
+      const response = await handler.handleList(request('/api/handler_people?age[gte]=18&status[in]=a,b'));
+
+      expect(response.status).toBe(200);
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE age >= ? AND status IN (?, ?)'),
+        [18, 'a', 'b']
+      );
+    });
+
+    test('compiles OR groups with pagination', async () => {
+      mockD1Client.first.mockResolvedValue({ count: 0 });
+      mockD1Client.all.mockResolvedValue([]);
+
+      await handler.handleList(request('/api/handler_people?or[0][status]=a&or[1][age][lt]=18&limit=5'));
+
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        'SELECT * FROM handler_people WHERE ((status = ?) OR (age < ?)) LIMIT ? OFFSET ?',
+        ['a', 18, 5, 0]
+      );
+    });
+
+    test('keeps supporting legacy _gt/_lt/_like suffixes', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+
+      await handler.handleList(request('/api/handler_people?price_gt=10&name_like=A%25'));
+
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE price > ? AND name LIKE ?'),
+        [10, 'A%']
+      );
+    });
+
+    test('rejects filters on undeclared columns with 400', async () => {
+      const response = await handler.handleList(request('/api/handler_people?password_hash=x'));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.code).toBe('INVALID_FILTER');
+      expect(body.errors[0].field).toBe('password_hash');
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+    });
+
+    test('rejects unsupported operators with 400', async () => {
+      const response = await handler.handleList(request('/api/handler_people?age[glob]=1'));
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('handleList cursor pagination', () => {
+    beforeEach(() => {
+      handler = createHandler('handler_people', { cursorSecret: 'secret' });
+    });
+
+    test('starts keyset pagination with an empty cursor and sort param', async () => {
+      mockD1Client.all.mockResolvedValue([
+        { id: 'a', created_at: '2024-01-03' },
+        { id: 'b', created_at: '2024-01-02' },
+        { id: 'c', created_at: '2024-01-01' }
+      ]);
+
+      const response = await handler.handleList(request('/api/handler_people?cursor=&limit=2&sort=-created_at&status=x'));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        'SELECT * FROM handler_people WHERE status = ? ORDER BY created_at DESC, id ASC LIMIT ?',
+        ['x', 3]
+      );
+      expect(mockD1Client.first).not.toHaveBeenCalled();
+      expect(body.data).toHaveLength(2);
+      expect(body.pagination.hasNext).toBe(true);
+      expect(body.pagination.total).toBeUndefined();
+
+      mockD1Client.all.mockResolvedValue([]);
+      const next = await handler.handleList(
+        request(`/api/handler_people?cursor=${body.pagination.nextCursor}&limit=2&sort=-created_at&status=x`)
+      );
+      expect(next.status).toBe(200);
+      expect(mockD1Client.all).toHaveBeenLastCalledWith(
+        expect.stringContaining('AND (created_at < ? OR (created_at = ? AND id > ?))'),
+        ['x', '2024-01-02', '2024-01-02', 'b', 3]
+      );
+    });
+
+    test('returns the total when count=true', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      mockD1Client.first.mockResolvedValue({ total: 12 });
+
+      const response = await handler.handleList(request('/api/handler_people?cursor=&count=true&orderBy=name:asc'));
+      const body = await response.json();
+
+      expect(body.pagination.total).toBe(12);
+      expect(mockD1Client.all).toHaveBeenCalledWith(expect.stringContaining('ORDER BY name ASC, id ASC'), [101]);
+    });
+
+    test('applies the sort param to page and unpaged lists too', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      mockD1Client.first.mockResolvedValue({ count: 0 });
+
+      await handler.handleList(request('/api/handler_people?page=2&limit=5&sort=-age,name'));
+      expect(mockD1Client.all).toHaveBeenLastCalledWith(
+        'SELECT * FROM handler_people ORDER BY age DESC, name ASC LIMIT ? OFFSET ?',
+        [5, 5]
+      );
+
+      await handler.handleList(request('/api/handler_people?status=x&sort=name'));
+      expect(mockD1Client.all).toHaveBeenLastCalledWith(expect.stringMatching(/WHERE status = \? ORDER BY name ASC$/), ['x']);
+    });
+
+    test('rejects invalid cursors with 400', async () => {
+      const response = await handler.handleList(request('/api/handler_people?cursor=not-a-cursor'));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.code).toBe('INVALID_CURSOR');
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('include', () => {
+    beforeAll(() => {
+      schemaManager.registerModel('handler_teams', {
+        tableName: 'handler_teams',
+        columns: { id: { type: 'text', primaryKey: true }, name: { type: 'text' } },
+        relationships: {
+          members: { model: 'handler_members', type: 'hasMany', foreignKey: 'team_id' }
+        }
+      });
+      schemaManager.registerModel('handler_members', {
+        tableName: 'handler_members',
+        columns: { id: { type: 'text', primaryKey: true }, team_id: { type: 'text' } },
+        relationships: {
+          team: { model: 'handler_teams', foreignKey: 'team_id' }
+        }
+      });
+    });
+
+    test('eager-loads relationships on list routes', async () => {
+      const teams = createHandler('handler_teams');
+      mockD1Client.all
+        .mockResolvedValueOnce([{ id: 't1' }, { id: 't2' }])
+        .mockResolvedValueOnce([{ id: 'm1', team_id: 't2' }]);
+
+      const response = await teams.handleList(request('/api/handler_teams?include=members'));
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(mockD1Client.all).toHaveBeenLastCalledWith('SELECT * FROM handler_members WHERE team_id IN (?, ?)', ['t1', 't2']);
+      expect(body.data[0].members).toEqual([]);
+      expect(body.data[1].members).toEqual([{ id: 'm1', team_id: 't2' }]);
+    });
+
+    test('eager-loads nested relationships on get routes', async () => {
+      const members = createHandler('handler_members');
+      mockD1Client.all
+        .mockResolvedValueOnce([{ id: 'm1', team_id: 't1' }])
+        .mockResolvedValueOnce([{ id: 't1', name: 'Core' }])
+        .mockResolvedValueOnce([{ id: 'm1', team_id: 't1' }, { id: 'm2', team_id: 't1' }]);
+
+      const response = await members.handleGet(request('/api/handler_members/m1?include=team.members'), 'm1');
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.data.team.name).toBe('Core');
+      expect(body.data.team.members).toHaveLength(2);
+    });
+
+    test('rejects undeclared relationships with 400', async () => {
+      const teams = createHandler('handler_teams');
+
+      const response = await teams.handleGet(request('/api/handler_teams/t1?include=owner'), 't1');
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.code).toBe('INVALID_INCLUDE');
+      expect(body.errors[0].field).toBe('include');
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('model behaviors', () => {
+    let notes;
+
+    beforeEach(() => {
+      notes = createHandler('handler_notes');
+      notes.dataService.cacheEnabled = false;
+    });
+
+    test('maps version conflicts to 409', async () => {
+      mockD1Client.all.mockResolvedValue([{ id: 'n1', body: 'a', version: 2 }]);
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 0 } });
+
+      const response = await notes.handleUpdate(request('/api/handler_notes/n1', {
+        method: 'PATCH',
+        body: JSON.stringify({ body: 'b', version: 1 })
+      }), 'n1');
+      const body = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(body).toMatchObject({ title: 'Conflict', status: 409, code: 'VERSION_CONFLICT' });
+    });
+
+    test('records the user from the request context as the actor', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true });
+      const req = request('/api/handler_notes', { method: 'POST', body: JSON.stringify({ body: 'hello' }) });
+      const context = new RequestContext(req, {}, {});
+      context.set('user', { id: 'user-7' });
+
+      const response = await notes.handleCreate(req, context);
+      const body = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(body.data).toMatchObject({ created_by: 'user-7', updated_by: 'user-7', version: 1 });
+    });
+
+    test('maps unique violations on create to 409', async () => {
+      schemaManager.registerModel('handler_accounts', {
+        tableName: 'handler_accounts',
+        columns: { id: { type: 'text', primaryKey: true }, email: { type: 'email', unique: true } }
+      });
+      const accounts = createHandler('handler_accounts');
+      mockD1Client.all.mockResolvedValue([{ id: 'a0', email: 'ann@example.com' }]);
+
+      const response = await accounts.handleCreate(request('/api/handler_accounts', {
+        method: 'POST',
+        body: JSON.stringify({ email: 'ann@example.com' })
+      }));
+      const body = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(body.code).toBe('UNIQUE_VIOLATION');
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+    });
+
+    test('supports a custom actor resolver', async () => {
+      mockD1Client.all.mockResolvedValue([{ id: 'n1' }]);
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 1 } });
+      notes = createHandler('handler_notes', {
+        resolveActor: (req) => req.headers.get('x-user')
+      });
+
+      await notes.handleDelete(request('/api/handler_notes/n1', { method: 'DELETE', headers: { 'x-user': 'u-9' } }), 'n1');
+
+      expect(mockD1Client.run).toHaveBeenCalledWith(expect.stringContaining('SET deleted_at = ?'), expect.arrayContaining(['u-9', 'n1']));
+    });
+  });
+
+  describe('authentication', () => {
+    const signHs256 = async (claims, secret = 'shh') => {
+      const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const body = `${encode({ alg: 'HS256' })}.${encode(claims)}`;
+      const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+      const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+      return `${body}.${Buffer.from(signature).toString('base64url')}`;
+    };
+
+    test('rejects every request when no authenticator is configured', async () => {
+      const unconfigured = new GenericRouteHandler(mockD1Client, 'handler_people');
+
+      const response = await unconfigured.handleList(request('/api/handler_people'));
+      expect(response.status).toBe(401);
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+    });
+
+    test('verifies bearer tokens with the jwt option', async () => {
+      mockD1Client.first.mockResolvedValue({ id: 'p1', name: 'Ann' });
+      const secured = new GenericRouteHandler(mockD1Client, 'handler_people', { jwt: { secret: 'shh', issuer: 'clodo' } });
+      const token = await signHs256({ sub: 'u1', iss: 'clodo' });
+      const context = new RequestContext(request('/api/handler_people/p1'), {}, {});
+
+      const rejected = await secured.handleGet(request('/api/handler_people/p1'), 'p1');
+      expect(rejected.status).toBe(401);
+      expect((await rejected.json()).code).toBe('INVALID_TOKEN');
+
+      const accepted = await secured.handleGet(
+        request('/api/handler_people/p1', { headers: { Authorization: `Bearer ${token}` } }), 'p1', context
+      );
+      expect(accepted.status).toBe(200);
+      expect(context.get('user')).toEqual(expect.objectContaining({ sub: 'u1' }));
+    });
+
+    test('rejects tokens from another issuer', async () => {
+      const secured = new GenericRouteHandler(mockD1Client, 'handler_people', { jwt: { secret: 'shh', issuer: 'clodo' } });
+      const token = await signHs256({ sub: 'u1', iss: 'someone-else' });
+
+      const response = await secured.handleList(request('/api/handler_people', { headers: { Authorization: `Bearer ${token}` } }));
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body).toEqual(expect.objectContaining({ status: 401, code: 'INVALID_ISSUER' }));
+      expect(response.headers.get('WWW-Authenticate')).toContain('error="invalid_token"');
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+    });
+
+    test('accepts a user already authenticated by middleware', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      mockD1Client.first.mockResolvedValue({ count: 0 });
+      const secured = new GenericRouteHandler(mockD1Client, 'handler_people', { jwt: { secret: 'shh' } });
+      const context = new RequestContext(new Request('https://api.example.com/api/handler_people'), {}, {});
+      context.set('user', { sub: 'u2' });
+
+      const response = await secured.handleList(new Request('https://api.example.com/api/handler_people'), context);
+      expect(response.status).toBe(200);
+    });
+
+    test('delegates to a custom authenticate option', async () => {
+      const authenticate = jest.fn(async (req) => (req.headers.get('x-session') === 'ok' ? { id: 's1' } : null));
+      const secured = new GenericRouteHandler(mockD1Client, 'handler_people', { authenticate });
+
+      const response = await secured.handleDelete(request('/api/handler_people/p1', { method: 'DELETE' }), 'p1');
+      expect(response.status).toBe(401);
+      expect(authenticate).toHaveBeenCalled();
+    });
+  });
+
+  describe('error responses', () => {
+    test('answers missing records with a problem+json 404', async () => {
+      mockD1Client.first.mockResolvedValue(null);
+
+      const response = await handler.handleGet(request('/api/handler_people/p9', { headers: { 'X-Request-Id': 'req-1' } }), 'p9');
+      const body = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+      expect(response.headers.get('X-Request-Id')).toBe('req-1');
+      expect(body).toEqual({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: "handler_people 'p9' not found",
+        code: 'NOT_FOUND',
+        instance: '/api/handler_people/p9',
+        correlationId: 'req-1'
+      });
+    });
+
+    test('maps schema validation failures to field errors', async () => {
+      schemaManager.registerModel('handler_signups', {
+        tableName: 'handler_signups',
+        columns: { id: { type: 'text', primaryKey: true }, email: { type: 'email' } },
+        validation: { required: ['email'] }
+      });
+      const signups = createHandler('handler_signups');
+
+      const response = await signups.handleCreate(request('/api/handler_signups', { method: 'POST', body: JSON.stringify({}) }));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.code).toBe('VALIDATION_FAILED');
+      expect(body.errors).toEqual([{ field: 'email', message: "Field 'email' is required", code: 'REQUIRED_FIELD_MISSING' }]);
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+    });
+
+    test('rejects malformed JSON bodies with 400', async () => {
+      const response = await handler.handleCreate(request('/api/handler_people', { method: 'POST', body: '{oops' }));
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).code).toBe('INVALID_JSON');
+    });
+
+    test('hides internal error messages in production', async () => {
+      const failure = new Error('D1_ERROR: no such table: handler_people');
+      mockD1Client.all.mockRejectedValueOnce(failure).mockRejectedValueOnce(failure);
+      const req = request('/api/handler_people');
+
+      const production = await handler.handleList(req, new RequestContext(req, { ENVIRONMENT: 'production' }, {}));
+      const body = await production.json();
+      expect(production.status).toBe(500);
+      expect(body.detail).toBe('An unexpected error occurred');
+      expect(body.correlationId).toEqual(expect.any(String));
+
+      const development = await handler.handleList(req, new RequestContext(req, { ENVIRONMENT: 'development' }, {}));
+      expect((await development.json()).detail).toContain('no such table');
+    });
+  });
+
+  describe('conditional requests', () => {
+    const row = { id: 'p1', name: 'Ann', status: 'active', age: 30, price: 1.5, created_at: '2024-01-01T00:00:00Z', updated_at: '2024-03-01T12:00:00Z' };
+
+    beforeEach(() => {
+      handler.dataService.cacheEnabled = false;
+      mockD1Client.all.mockResolvedValue([row]);
+    });
+
+    test('sends an ETag and answers 304 to a matching If-None-Match', async () => {
+      const first = await handler.handleGet(request('/api/handler_people/p1'), 'p1');
+      const etag = first.headers.get('ETag');
+
+      expect(etag).toMatch(/^"[0-9a-f]{32}"$/);
+      expect(first.headers.get('Last-Modified')).toBe('Fri, 01 Mar 2024 12:00:00 GMT');
+
+      const second = await handler.handleGet(request('/api/handler_people/p1', { headers: { 'If-None-Match': `W/${etag}` } }), 'p1');
+      expect(second.status).toBe(304);
+      expect(second.headers.get('ETag')).toBe(etag);
+      expect(await second.text()).toBe('');
+    });
+
+    test('answers 304 to If-Modified-Since and tags lists as a whole', async () => {
+      const notModified = await handler.handleGet(request('/api/handler_people/p1', {
+        headers: { 'If-Modified-Since': 'Fri, 01 Mar 2024 12:00:00 GMT' }
+      }), 'p1');
+      expect(notModified.status).toBe(304);
+
+      const list = await handler.handleList(request('/api/handler_people'));
+      const again = await handler.handleList(request('/api/handler_people', { headers: { 'If-None-Match': list.headers.get('ETag') } }));
+      expect(again.status).toBe(304);
+    });
+
+    test('rejects writes whose If-Match is stale with 412', async () => {
+      const update = await handler.handleUpdate(request('/api/handler_people/p1', {
+        method: 'PATCH',
+        headers: { 'If-Match': '"stale"' },
+        body: JSON.stringify({ name: 'Bob' })
+      }), 'p1');
+      const remove = await handler.handleDelete(request('/api/handler_people/p1', {
+        method: 'DELETE',
+        headers: { 'If-Unmodified-Since': 'Thu, 01 Feb 2024 00:00:00 GMT' }
+      }), 'p1');
+
+      expect(update.status).toBe(412);
+      expect((await update.json()).code).toBe('PRECONDITION_FAILED');
+      expect(remove.status).toBe(412);
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+    });
+
+    test('checks If-Match against the stored record, not the read cache', async () => {
+      handler.dataService.cacheEnabled = true;
+      const read = await handler.handleGet(request('/api/handler_people/p1'), 'p1');
+      mockD1Client.all.mockResolvedValue([{ ...row, name: 'Changed elsewhere' }]);
+
+      const response = await handler.handleUpdate(request('/api/handler_people/p1', {
+        method: 'PATCH',
+        headers: { 'If-Match': read.headers.get('ETag') },
+        body: JSON.stringify({ name: 'Bob' })
+      }), 'p1');
+
+      expect(response.status).toBe(412);
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+    });
+
+    test('uses a matching If-Match as the version of versioned models', async () => {
+      const notes = createHandler('handler_notes');
+      notes.dataService.cacheEnabled = false;
+      mockD1Client.all.mockResolvedValue([{ id: 'n1', body: 'a', version: 3 }]);
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 1 } });
+
+      const read = await notes.handleGet(request('/api/handler_notes/n1'), 'n1');
+      const response = await notes.handleUpdate(request('/api/handler_notes/n1', {
+        method: 'PATCH',
+        headers: { 'If-Match': read.headers.get('ETag') },
+        body: JSON.stringify({ body: 'b' })
+      }), 'n1');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('ETag')).toMatch(/^"[0-9a-f]{32}"$/);
+      expect(mockD1Client.run).toHaveBeenCalledWith(expect.stringMatching(/WHERE id = \? AND version = \?/), expect.arrayContaining(['n1', 3]));
+    });
+  });
+
+  describe('access policies', () => {
+    let secrets;
+    const withUser = (req, user) => {
+      const context = new RequestContext(req, {}, {});
+      context.set('user', user);
+      return context;
+    };
+
+    beforeAll(() => {
+      schemaManager.registerModel('handler_secrets', {
+        tableName: 'handler_secrets',
+        columns: {
+          id: { type: 'text', primaryKey: true },
+          owner_id: { type: 'text' },
+          title: { type: 'text' },
+          password_hash: { type: 'text' },
+          internal_note: { type: 'text' }
+        },
+        access: {
+          hidden: ['password_hash'],
+          readOnly: ['owner_id'],
+          fieldRoles: { internal_note: ['admin'] },
+          rowFilter: (user) => (user?.roles?.includes('admin') ? null : { owner_id: user?.id ?? '' }),
+          roles: { delete: ['admin'] }
+        }
+      });
+    });
+
+    beforeEach(() => {
+      secrets = createHandler('handler_secrets');
+      secrets.dataService.cacheEnabled = false;
+    });
+
+    test('scopes reads to the caller and strips hidden and role-gated fields', async () => {
+      mockD1Client.all.mockResolvedValue([{ id: 's1', owner_id: 'u1', title: 'Mine', password_hash: 'x', internal_note: 'n' }]);
+      const req = request('/api/handler_secrets');
+
+      const response = await secrets.handleList(req, withUser(req, { id: 'u1' }));
+      const body = await response.json();
+
+      expect(mockD1Client.all).toHaveBeenCalledWith(expect.stringMatching(/FROM handler_secrets WHERE owner_id = \?$/), ['u1']);
+      expect(body.data).toEqual([{ id: 's1', owner_id: 'u1', title: 'Mine' }]);
+    });
+
+    test('validates ?fields= against the fields the caller may see', async () => {
+      mockD1Client.all.mockResolvedValue([{ id: 's1', title: 'Mine', internal_note: 'n' }]);
+      const req = request('/api/handler_secrets/s1?fields=title,internal_note');
+
+      const member = await secrets.handleGet(req, 's1', withUser(req, { id: 'u1' }));
+      expect(member.status).toBe(400);
+      expect(await member.json()).toMatchObject({ code: 'INVALID_FIELDS', errors: [{ field: 'internal_note' }] });
+
+      const admin = await secrets.handleGet(req, 's1', withUser(req, { id: 'u2', roles: ['admin'] }));
+      expect(admin.status).toBe(200);
+      expect((await admin.json()).data).toEqual({ title: 'Mine', internal_note: 'n' });
+      expect(mockD1Client.all).toHaveBeenCalledWith('SELECT title, internal_note FROM handler_secrets WHERE id = ?', ['s1']);
+    });
+
+    test('rejects filters and sorts on role-gated fields the caller may not see', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      const filtered = request('/api/handler_secrets?internal_note[like]=n%25');
+      const sorted = request('/api/handler_secrets?sort=internal_note');
+
+      const member = await secrets.handleList(filtered, withUser(filtered, { id: 'u1' }));
+      expect(member.status).toBe(400);
+      expect(await member.json()).toMatchObject({ code: 'INVALID_FILTER', errors: [{ field: 'internal_note' }] });
+      expect((await secrets.handleList(sorted, withUser(sorted, { id: 'u1' }))).status).toBe(400);
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+
+      const admin = await secrets.handleList(sorted, withUser(sorted, { id: 'u2', roles: ['admin'] }));
+      expect(admin.status).toBe(200);
+      expect(mockD1Client.all).toHaveBeenCalledWith(expect.stringMatching(/ORDER BY internal_note ASC$/), []);
+    });
+
+    test('rejects writes to read-only and hidden fields', async () => {
+      const req = request('/api/handler_secrets', {
+        method: 'POST',
+        body: JSON.stringify({ title: 'New', owner_id: 'u2', password_hash: 'x' })
+      });
+
+      const response = await secrets.handleCreate(req, withUser(req, { id: 'u1' }));
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.code).toBe('FIELD_NOT_WRITABLE');
+      expect(body.errors.map(error => error.field)).toEqual(['owner_id', 'password_hash']);
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+    });
+
+    test('stamps the owner from the row filter on created records', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true });
+      const req = request('/api/handler_secrets', { method: 'POST', body: JSON.stringify({ title: 'New' }) });
+
+      const response = await secrets.handleCreate(req, withUser(req, { id: 'u1' }));
+
+      expect(response.status).toBe(201);
+      expect((await response.json()).data).toEqual({ id: 'generated-id', owner_id: 'u1', title: 'New' });
+    });
+
+    test("answers 404 for other callers' records and 403 without the operation's role", async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      const update = request('/api/handler_secrets/s9', { method: 'PATCH', body: JSON.stringify({ title: 'x' }) });
+
+      const notFound = await secrets.handleUpdate(update, 's9', withUser(update, { id: 'u1' }));
+      expect(notFound.status).toBe(404);
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        expect.stringContaining('FROM handler_secrets WHERE ((id = ?) AND (owner_id = ?))'),
+        ['s9', 'u1']
+      );
+
+      const remove = request('/api/handler_secrets/s1', { method: 'DELETE' });
+      const forbidden = await secrets.handleDelete(remove, 's1', withUser(remove, { id: 'u1', roles: ['member'] }));
+      expect(forbidden.status).toBe(403);
+      expect((await forbidden.json()).code).toBe('ACCESS_DENIED');
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,5 +1,7 @@
 import { jest } from '@jest/globals';
 import { EnhancedRouter, createEnhancedRouter } from '../../src/routing/EnhancedRouter.js';
+import { NotFoundError, ValidationError } from '../../src/errors/httpErrors.js';
+import { createErrorHandler } from '../../src/middleware/factories.js';
 
 describe('EnhancedRouter', () => {
   let mockD1Client;
@@ -70,8 +72,9 @@ describe('EnhancedRouter', () => {
       const response = await router.handleRequest('GET', '/nonexistent', mockRequest);
 
       expect(response.status).toBe(404);
+      expect(response.headers.get('Content-Type')).toBe('application/problem+json');
       const body = await response.json();
-      expect(body.error).toBe('Not Found');
+      expect(body).toMatchObject({ title: 'Not Found', status: 404, code: 'ROUTE_NOT_FOUND' });
     });
 
     test('should handle case insensitive method matching', async () => {
@@ -95,6 +98,98 @@ describe('EnhancedRouter', () => {
       expect(exactHandler).toHaveBeenCalledTimes(1);
       expect(paramHandler).not.toHaveBeenCalled();
     });
+
+    test('should return 405 with an Allow header when only the method differs', async () => {
+      router.get('/users/:id', jest.fn());
+      router.patch('/users/:id', jest.fn());
+
+      const response = await router.handleRequest('POST', '/users/1', mockRequest);
+
+      expect(response.status).toBe(405);
+      expect(response.headers.get('Allow')).toBe('GET, PATCH, HEAD, OPTIONS');
+      expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+      expect(await response.json()).toMatchObject({ title: 'Method Not Allowed', status: 405, code: 'METHOD_NOT_ALLOWED' });
+    });
+
+    test('should answer HEAD with the GET handler and no body', async () => {
+      const handler = jest.fn(() => new Response('body', { headers: { 'X-Test': '1' } }));
+      router.get('/ping', handler);
+
+      const response = await router.handleRequest('HEAD', '/ping', mockRequest);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('X-Test')).toBe('1');
+      expect(await response.text()).toBe('');
+    });
+
+    test('should answer OPTIONS automatically unless a route handles it', async () => {
+      router.get('/ping', jest.fn());
+      router.post('/ping', jest.fn());
+
+      const automatic = await router.handleRequest('OPTIONS', '/ping', mockRequest);
+      expect(automatic.status).toBe(204);
+      expect(automatic.headers.get('Allow')).toBe('GET, POST, HEAD, OPTIONS');
+
+      router.registerRoute('OPTIONS', '/ping', () => new Response('custom'));
+      const custom = await router.handleRequest('OPTIONS', '/ping', mockRequest);
+      expect(await custom.text()).toBe('custom');
+
+      expect((await router.handleRequest('OPTIONS', '/missing', mockRequest)).status).toBe(404);
+    });
+
+    test('should support constrained, optional and wildcard parameters', async () => {
+      const byId = jest.fn(() => new Response('id'));
+      const list = jest.fn(() => new Response('list'));
+      const files = jest.fn(() => new Response('files'));
+      router.get('/orders/:id(\\d+)', byId);
+      router.get('/archive/:year?', list);
+      router.get('/files/*path', files);
+
+      expect((await router.handleRequest('GET', '/orders/abc', mockRequest)).status).toBe(404);
+      await router.handleRequest('GET', '/orders/12', mockRequest);
+      expect(byId.mock.calls[0][0].req.param('id')).toBe('12');
+
+      await router.handleRequest('GET', '/archive', mockRequest);
+      await router.handleRequest('GET', '/archive/2024', mockRequest);
+      expect(list).toHaveBeenCalledTimes(2);
+
+      await router.handleRequest('GET', '/files/a/b.txt', mockRequest);
+      expect(files.mock.calls[0][0].req.param('path')).toBe('a/b.txt');
+    });
+
+    test('should pick up routes added to the routes map directly', async () => {
+      const handler = jest.fn(() => new Response('direct'));
+      router.routes.set('GET /direct', handler);
+
+      const response = await router.handleRequest('GET', '/direct', mockRequest);
+
+      expect(await response.text()).toBe('direct');
+    });
+  });
+
+  describe('generic CRUD routes', () => {
+    test('should pass the :id route parameter to the handler', async () => {
+      const d1Client = { all: jest.fn().mockResolvedValue([{ id: 'u1' }]) };
+      const crudRouter = new EnhancedRouter(d1Client, { requireAuth: false });
+      const request = new Request('https://api.example.com/api/users/u1');
+
+      const response = await crudRouter.handleRequest('GET', '/api/users/u1', request);
+
+      expect(response.status).toBe(200);
+      expect(d1Client.all).toHaveBeenCalledWith(expect.stringContaining('WHERE id = ?'), ['u1']);
+    });
+
+    test('should work with classic (request, env, ctx) handlers', async () => {
+      const d1Client = { all: jest.fn().mockResolvedValue([]), first: jest.fn() };
+      const crudRouter = new EnhancedRouter(d1Client, { useRequestContext: false, requireAuth: false });
+      const request = new Request('https://api.example.com/api/users/u2');
+
+      const response = await crudRouter.handleRequest('GET', '/api/users/u2', request);
+
+      expect(response.status).toBe(404);
+      expect(d1Client.all).toHaveBeenCalledWith(expect.any(String), ['u2']);
+    });
   });
 
   describe('_matchRoute', () => {
@@ -155,6 +250,153 @@ describe('EnhancedRouter', () => {
     });
   });
 
+  describe('scoped and route middleware', () => {
+    const tag = (name, calls) => ({
+      preprocess: jest.fn(() => { calls.push(name); })
+    });
+    const deny = { authenticate: jest.fn(() => new Response('denied', { status: 401 })) };
+
+    test('should run path-scoped middleware only under its prefix', async () => {
+      const calls = [];
+      router.use(tag('global', calls));
+      router.use('/admin/*', tag('admin', calls));
+      router.get('/admin/users/:id', () => new Response('ok'));
+      router.get('/administrators', () => new Response('ok'));
+
+      await router.handleRequest('GET', '/admin/users/1', mockRequest);
+      expect(calls).toEqual(['global', 'admin']);
+
+      calls.length = 0;
+      await router.handleRequest('GET', '/administrators', mockRequest);
+      expect(calls).toEqual(['global']);
+    });
+
+    test('should let scoped middleware short-circuit the handler', async () => {
+      const handler = jest.fn(() => new Response('secret'));
+      router.use('/admin', deny);
+      router.get('/admin', handler);
+
+      const response = await router.handleRequest('GET', '/admin', mockRequest);
+
+      expect(response.status).toBe(401);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('should run per-route middleware after scoped middleware', async () => {
+      const calls = [];
+      router.use('/reports', tag('scoped', calls));
+      router.get('/reports/daily', tag('first', calls), [tag('second', calls)], () => {
+        calls.push('handler');
+        return new Response('ok');
+      });
+      router.get('/reports/weekly', () => new Response('ok'));
+
+      await router.handleRequest('GET', '/reports/daily', mockRequest);
+      expect(calls).toEqual(['scoped', 'first', 'second', 'handler']);
+
+      calls.length = 0;
+      await router.handleRequest('GET', '/reports/weekly', mockRequest);
+      expect(calls).toEqual(['scoped']);
+      expect(router.routes.get('GET /reports/daily')).toEqual(expect.any(Function));
+    });
+
+    test('should apply group middleware to nested groups', async () => {
+      const calls = [];
+      router.group('/api', tag('api', calls), (api) => {
+        api.get('/status', () => new Response('ok'));
+        api.group('/admin', tag('admin', calls), (admin) => {
+          admin.delete('/users/:id', tag('route', calls), () => new Response('deleted'));
+        });
+      });
+
+      const response = await router.handleRequest('DELETE', '/api/admin/users/7', mockRequest);
+      expect(await response.text()).toBe('deleted');
+      expect(calls).toEqual(['api', 'admin', 'route']);
+
+      calls.length = 0;
+      await router.handleRequest('GET', '/api/status', mockRequest);
+      expect(calls).toEqual(['api']);
+    });
+
+    test('should require a handler function', () => {
+      expect(() => router.get('/broken', deny)).toThrow('Route GET /broken requires a handler function');
+      expect(() => router.group('/broken', deny)).toThrow("Route group '/broken' requires a callback");
+    });
+  });
+
+  describe('shared context middleware', () => {
+    test('should share one RequestContext between middleware and the handler', async () => {
+      router.use(async (c, next) => {
+        c.set('user', { id: c.req.param('id') });
+        const response = await next();
+        return new Response(response.body, { status: response.status, headers: { 'X-Wrapped': '1' } });
+      });
+      router.get('/users/:id', (c) => c.json({ user: c.get('user') }));
+
+      const response = await router.handleRequest('GET', '/users/42', mockRequest);
+
+      expect(await response.json()).toEqual({ user: { id: '42' } });
+      expect(response.headers.get('X-Wrapped')).toBe('1');
+    });
+
+    test('should route errors to the onError hook', async () => {
+      const onError = jest.fn((err, c) => c.json({ error: err.message }, 500));
+      router.onError(onError);
+      router.get('/fail', () => { throw new Error('boom'); });
+
+      const response = await router.handleRequest('GET', '/fail', mockRequest);
+
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({ error: 'boom' });
+      expect(onError.mock.calls[0][1].req.path).toBe('/');
+    });
+
+    test('should let createErrorHandler catch failures from route middleware and handlers', async () => {
+      router = new EnhancedRouter(null, { errorBoundary: false });
+      router.use(createErrorHandler({ logErrors: false }));
+      const failingValidator = { validate: () => { throw new ValidationError('Missing name', [{ field: 'name', message: 'Required' }]); } };
+      router.post('/users', failingValidator, () => new Response('created', { status: 201 }));
+      router.get('/fail', () => { throw new Error('boom'); });
+
+      const invalid = await router.handleRequest('POST', '/users', mockRequest);
+      expect(invalid.status).toBe(400);
+      expect((await invalid.json()).errors).toEqual([{ field: 'name', message: 'Required' }]);
+
+      const failed = await router.handleRequest('GET', '/fail', mockRequest);
+      expect(failed.status).toBe(500);
+    });
+
+    test('should rethrow errors when the error boundary is disabled', async () => {
+      router = new EnhancedRouter(null, { errorBoundary: false });
+      router.get('/fail', () => { throw new Error('boom'); });
+
+      await expect(router.handleRequest('GET', '/fail', mockRequest)).rejects.toThrow('boom');
+    });
+
+    test('should render typed errors as problem+json without an onError hook', async () => {
+      router.get('/users/:id', (c) => { throw new NotFoundError(`User ${c.req.param('id')} not found`); });
+
+      const response = await router.handleRequest('GET', '/users/7', mockRequest);
+
+      expect(response.status).toBe(404);
+      expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+      expect(await response.json()).toMatchObject({ title: 'Not Found', detail: 'User 7 not found', code: 'NOT_FOUND' });
+    });
+
+    test('should hide internal errors in production and return a correlation id', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      router.get('/fail', () => { throw new Error('secret connection string'); });
+
+      const response = await router.handleRequest('GET', '/fail', mockRequest, { ENVIRONMENT: 'production' });
+      const body = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(body.detail).toBe('An unexpected error occurred');
+      expect(response.headers.get('X-Request-Id')).toBe(body.correlationId);
+      console.error.mockRestore();
+    });
+  });
+
   describe('Express-like convenience methods', () => {
     test('should register GET route via .get() method', () => {
       const handler = jest.fn(() => new Response('get'));
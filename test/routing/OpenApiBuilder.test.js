@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { EnhancedRouter } from '../../src/routing/EnhancedRouter.js';
+import { describeRoute, toOpenApiPaths } from '../../src/routing/OpenApiBuilder.js';
+import { modelToJsonSchema, columnToJsonSchema } from '../../src/schema/JsonSchema.js';
+import { schemaManager } from '../../src/schema/SchemaManager.js';
+
+describe('OpenAPI generation', () => {
+  beforeAll(() => {
+    schemaManager.registerModel('openapi_notes', {
+      tableName: 'openapi_notes',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        title: { type: 'text', maxLength: 120 },
+        status: { type: 'enum', values: ['draft', 'published'], default: 'draft' },
+        rating: { type: 'integer', min: 1, max: 5 },
+        published_at: { type: 'datetime' },
+        author_email: { type: 'text', format: 'email' }
+      },
+      validation: { required: ['title'] },
+      relationships: { author: { model: 'users', foreignKey: 'author_id' } },
+      version: true,
+      audit: true
+    });
+  });
+
+  afterAll(() => {
+    schemaManager.schemas.delete('openapi_notes');
+  });
+
+  describe('JSON Schema conversion', () => {
+    test('maps column types, formats and constraints', () => {
+      expect(columnToJsonSchema({ type: 'enum', values: ['a', 'b'] })).toEqual({ enum: ['a', 'b'], type: 'string' });
+      expect(columnToJsonSchema({ type: 'text', format: 'email', maxLength: 80 })).toEqual({ type: 'string', format: 'email', maxLength: 80 });
+      expect(columnToJsonSchema({ type: 'real', min: 0 }, { nullable: true })).toEqual({ type: ['number', 'null'], minimum: 0 });
+      expect(columnToJsonSchema({ type: 'json' })).toEqual({});
+    });
+
+    test('builds read, create and update schemas for a model', () => {
+      const model = schemaManager.getModel('openapi_notes');
+
+      const read = modelToJsonSchema(model);
+      expect(read.properties.created_by.readOnly).toBe(true);
+      expect(read.properties.title.type).toBe('string');
+      expect(read.properties.rating.type).toEqual(['integer', 'null']);
+
+      const create = modelToJsonSchema(model, { mode: 'create' });
+      expect(create.required).toEqual(['title']);
+      expect(create.properties).not.toHaveProperty('version');
+      expect(create.properties).not.toHaveProperty('created_by');
+
+      const update = modelToJsonSchema(model, { mode: 'update' });
+      expect(update.required).toEqual(['version']);
+    });
+  });
+
+  test('converts route patterns to OpenAPI paths', () => {
+    expect(toOpenApiPaths('/users/:id(\\d+)')).toEqual([
+      { path: '/users/{id}', params: [{ name: 'id', source: '\\d+', wildcard: false }] }
+    ]);
+    expect(toOpenApiPaths('/posts/:slug?').map(variant => variant.path)).toEqual(['/posts', '/posts/{slug}']);
+    expect(toOpenApiPaths('/files/*').map(variant => variant.path)).toEqual(['/files/{wildcard}']);
+  });
+
+  test('documents custom routes with describeRoute metadata', () => {
+    const router = new EnhancedRouter(null);
+    router.group('/admin', describeRoute({ tags: ['admin'] }), (admin) => {
+      admin.post('/invites', describeRoute({
+        summary: 'Invite a user',
+        requestBody: { type: 'object', properties: { email: { type: 'string' } }, required: ['email'] },
+        responses: { 202: { type: 'object', properties: { id: { type: 'string' } } } }
+      }), () => new Response(null, { status: 202 }));
+    });
+    router.get('/users/:id', () => new Response('ok'));
+    router.get('/internal', describeRoute({ hide: true }), () => new Response('ok'));
+
+    const document = router.openapi({ info: { title: 'Admin API', version: '2.0.0' } });
+
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.info).toEqual({ title: 'Admin API', version: '2.0.0' });
+    expect(document.paths['/admin/invites'].post).toMatchObject({
+      summary: 'Invite a user',
+      tags: ['admin'],
+      requestBody: { content: { 'application/json': { schema: { required: ['email'] } } } },
+      responses: { 202: { content: { 'application/json': { schema: { type: 'object' } } } } }
+    });
+    expect(document.paths['/users/{id}'].get.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+    ]);
+    expect(document.paths).not.toHaveProperty('/internal');
+  });
+
+  test('describeRoute markers do not run as middleware', async () => {
+    const router = new EnhancedRouter(null);
+    router.get('/ping', describeRoute({ summary: 'Ping' }), (c) => c.text('pong'));
+
+    expect(router.routeMiddleware.has('GET /ping')).toBe(false);
+    const response = await router.handleRequest('GET', '/ping', new Request('https://api.example.com/ping'));
+    expect(await response.text()).toBe('pong');
+  });
+
+  test('documents auto-CRUD endpoints with filter and pagination parameters', () => {
+    const router = new EnhancedRouter({}, { allowPublicRead: true });
+    const document = router.openapi();
+
+    const list = document.paths['/api/openapi_notes'].get;
+    const names = list.parameters.map(param => param.name);
+    expect(names).toEqual(expect.arrayContaining(['page', 'limit', 'cursor', 'sort', 'include', 'rating', 'status']));
+    expect(list.parameters.find(param => param.name === 'rating')).toMatchObject({
+      style: 'deepObject',
+      schema: { properties: { gte: { type: 'integer', minimum: 1, maximum: 5 }, in: { type: 'string' } } }
+    });
+    expect(list.security).toBeUndefined();
+
+    const update = document.paths['/api/openapi_notes/{id}'].patch;
+    expect(update.security).toEqual([{ bearerAuth: [] }]);
+    expect(update.requestBody.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/openapi_notesUpdate' });
+    expect(update.responses[409]).toEqual({ $ref: '#/components/responses/Conflict' });
+    expect(document.components.schemas.openapi_notesCreate.required).toEqual(['title']);
+  });
+
+  test('serves the document at a configurable path', async () => {
+    const router = new EnhancedRouter(null);
+    router.serveOpenApi('/docs/openapi.json', { info: { title: 'Served' } });
+    router.get('/health', () => new Response('ok'));
+
+    const response = await router.handleRequest('GET', '/docs/openapi.json', new Request('https://api.example.com/docs/openapi.json'));
+    const document = await response.json();
+
+    expect(document.info.title).toBe('Served');
+    expect(Object.keys(document.paths)).toEqual(['/health']);
+  });
+});
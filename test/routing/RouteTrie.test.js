@@ -0,0 +1,82 @@
+import { RouteTrie, parseRoutePattern } from '../../src/routing/RouteTrie.js';
+
+describe('RouteTrie', () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new RouteTrie();
+  });
+
+  describe('parseRoutePattern', () => {
+    test('should describe static, parameter and wildcard segments', () => {
+      const segments = parseRoutePattern('/users/:id(\\d+)?/*rest');
+
+      expect(segments.map(({ type }) => type)).toEqual(['static', 'static', 'param', 'wildcard']);
+      expect(segments[2]).toMatchObject({ name: 'id', source: '\\d+', optional: true });
+      expect(segments[3].name).toBe('rest');
+    });
+
+    test('should reject malformed patterns', () => {
+      expect(() => parseRoutePattern('/users/:')).toThrow("Invalid route parameter ':'");
+      expect(() => parseRoutePattern('/users/:id([)')).toThrow("Invalid constraint for ':id'");
+      expect(() => parseRoutePattern('/files/*/meta')).toThrow('Wildcard must be the last segment');
+    });
+  });
+
+  describe('match', () => {
+    test('should prefer static over parameter over wildcard segments', () => {
+      trie.add('GET', '/files/*', 'wildcard');
+      trie.add('GET', '/files/:name', 'param');
+      trie.add('GET', '/files/latest', 'static');
+
+      expect(trie.match('GET', '/files/latest').handler).toBe('static');
+      expect(trie.match('GET', '/files/a.txt')).toMatchObject({ handler: 'param', params: { name: 'a.txt' } });
+      expect(trie.match('GET', '/files/a/b/c')).toMatchObject({ handler: 'wildcard', params: { '*': 'a/b/c' } });
+    });
+
+    test('should try constrained parameters first and backtrack on failure', () => {
+      trie.add('GET', '/items/:slug', 'slug');
+      trie.add('GET', '/items/:id(\\d+)', 'id');
+      trie.add('GET', '/items/:id(\\d+)/edit', 'edit');
+
+      expect(trie.match('GET', '/items/42')).toMatchObject({ handler: 'id', params: { id: '42' } });
+      expect(trie.match('GET', '/items/shoes')).toMatchObject({ handler: 'slug', params: { slug: 'shoes' } });
+      expect(trie.match('GET', '/items/42/edit').handler).toBe('edit');
+      expect(trie.match('GET', '/items/shoes/edit')).toBeNull();
+    });
+
+    test('should fall through to another branch when the method is missing', () => {
+      trie.add('GET', '/users/me', 'me');
+      trie.add('DELETE', '/users/:id', 'delete');
+
+      expect(trie.match('DELETE', '/users/me')).toMatchObject({ handler: 'delete', params: { id: 'me' } });
+    });
+
+    test('should match optional parameters with and without the segment', () => {
+      trie.add('GET', '/posts/:page?', 'posts');
+
+      expect(trie.match('GET', '/posts')).toMatchObject({ handler: 'posts', params: {} });
+      expect(trie.match('GET', '/posts/2')).toMatchObject({ handler: 'posts', params: { page: '2' } });
+      expect(trie.size).toBe(1);
+    });
+
+    test('should capture named wildcards', () => {
+      trie.add('GET', '/assets/*path', 'assets');
+
+      expect(trie.match('GET', '/assets/css/site.css').params).toEqual({ path: 'css/site.css' });
+      expect(trie.match('GET', '/assets')).toBeNull();
+    });
+  });
+
+  describe('allowedMethods', () => {
+    test('should list methods of every route matching the path', () => {
+      trie.add('GET', '/users/:id', 'get');
+      trie.add('PATCH', '/users/:id', 'patch');
+      trie.add('DELETE', '/users/me', 'delete');
+
+      expect(trie.allowedMethods('/users/me').sort()).toEqual(['DELETE', 'GET', 'PATCH']);
+      expect(trie.allowedMethods('/users/7').sort()).toEqual(['GET', 'PATCH']);
+      expect(trie.allowedMethods('/teams')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  generateETag,
+  etagMatches,
+  evaluatePreconditions,
+  evaluateIfRange,
+  parseRange
+} from '../../src/routing/conditional.js';
+
+const request = (method, headers = {}) => new Request('https://example.com/resource', { method, headers });
+
+describe('conditional requests', () => {
+  test('generates stable strong and weak tags', async () => {
+    const strong = await generateETag('{"a":1}');
+
+    expect(strong).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(await generateETag('{"a":1}')).toBe(strong);
+    expect(await generateETag('{"a":1}', { weak: true })).toBe(`W/${strong}`);
+  });
+
+  test('compares tags strongly unless asked to compare weakly', () => {
+    expect(etagMatches('"a", "b"', '"b"')).toBe(true);
+    expect(etagMatches('W/"b"', '"b"')).toBe(false);
+    expect(etagMatches('W/"b"', '"b"', { weak: true })).toBe(true);
+    expect(etagMatches('*', '"b"')).toBe(true);
+    expect(etagMatches('*', null)).toBe(false);
+  });
+
+  test('evaluates preconditions in RFC 9110 order', () => {
+    const validators = { etag: '"v2"', lastModified: new Date('2024-03-01T12:00:00Z') };
+
+    expect(evaluatePreconditions(request('GET', { 'If-None-Match': '"v2"' }), validators)).toBe(304);
+    expect(evaluatePreconditions(request('GET', { 'If-None-Match': '"v1"' }), validators)).toBeNull();
+    // If-None-Match takes precedence over If-Modified-Since
+    expect(evaluatePreconditions(request('GET', {
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Sat, 02 Mar 2024 00:00:00 GMT'
+    }), validators)).toBeNull();
+    expect(evaluatePreconditions(request('GET', { 'If-Modified-Since': 'Fri, 01 Mar 2024 12:00:00 GMT' }), validators)).toBe(304);
+    expect(evaluatePreconditions(request('PATCH', { 'If-Match': '"v1"' }), validators)).toBe(412);
+    expect(evaluatePreconditions(request('PATCH', { 'If-None-Match': '*' }), validators)).toBe(412);
+    expect(evaluatePreconditions(request('DELETE', { 'If-Unmodified-Since': 'Fri, 01 Mar 2024 11:59:59 GMT' }), validators)).toBe(412);
+    expect(evaluatePreconditions(request('PATCH', { 'If-Match': '"v2"' }), validators)).toBeNull();
+  });
+
+
+  test('resolves suffix and open-ended ranges and flags unsatisfiable ones', () => {
+    expect(parseRange('bytes=0-99', 1000)).toEqual([{ start: 0, end: 99 }]);
+    expect(parseRange('bytes=-500', 1000)).toEqual([{ start: 500, end: 999 }]);
+    expect(parseRange('bytes=900-', 1000)).toEqual([{ start: 900, end: 999 }]);
+    expect(parseRange('bytes=0-0, 990-2000', 1000)).toEqual([{ start: 0, end: 0 }, { start: 990, end: 999 }]);
+    expect(parseRange('bytes=1000-', 1000)).toEqual([]);
+    expect(parseRange('bytes=5-1', 1000)).toBeNull();
+    expect(parseRange('items=0-1', 1000)).toBeNull();
+  });
+
+  test('merges overlapping ranges and ignores headers asking for more than the whole', () => {
+    expect(parseRange('bytes=50-59, 0-9, 5-14, 15-19', 1000)).toEqual([{ start: 0, end: 19 }, { start: 50, end: 59 }]);
+    expect(parseRange('bytes=0-, 0-', 1000)).toBeNull();
+    expect(parseRange('bytes=-600, 0-499', 1000)).toBeNull();
+  });
+
+  test('honors Range only while If-Range names the current representation', () => {
+    const validators = { etag: '"v2"', lastModified: new Date('2024-03-01T12:00:00Z') };
+
+    expect(evaluateIfRange(request('GET'), validators)).toBe(true);
+    expect(evaluateIfRange(request('GET', { 'If-Range': '"v2"' }), validators)).toBe(true);
+    expect(evaluateIfRange(request('GET', { 'If-Range': 'W/"v2"' }), validators)).toBe(false);
+    expect(evaluateIfRange(request('GET', { 'If-Range': 'Fri, 01 Mar 2024 12:00:00 GMT' }), validators)).toBe(true);
+    expect(evaluateIfRange(request('GET', { 'If-Range': 'Thu, 29 Feb 2024 12:00:00 GMT' }), validators)).toBe(false);
+  });
+});
@@ -0,0 +1,244 @@
+import { SchemaManager } from '../../src/schema/SchemaManager.js';
+import {
+  MigrationGenerator,
+  nextMigrationNumber,
+  formatMigrationFilename
+} from '../../src/schema/MigrationGenerator.js';
+
+describe('MigrationGenerator', () => {
+  let manager;
+  let generator;
+
+  const registerUsers = (extraColumns = {}, extra = {}) => {
+    manager.registerModel('users', {
+      tableName: 'users',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        email: { type: 'text', required: true, unique: true },
+        name: { type: 'text' },
+        is_active: { type: 'integer', default: 1 },
+        ...extraColumns
+      },
+      indexes: ['email'],
+      ...extra
+    });
+  };
+
+  beforeEach(() => {
+    manager = new SchemaManager();
+    generator = new MigrationGenerator({ schemaManager: manager });
+    registerUsers();
+    manager.registerModel('posts', {
+      tableName: 'posts',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        user_id: { type: 'text', required: true },
+        title: { type: 'text', required: true, maxLength: 200, pattern: /\S/ }
+      },
+      relationships: {
+        author: { model: 'users', type: 'belongsTo', foreignKey: 'user_id', onDelete: 'cascade' }
+      },
+      indexes: [{ fields: ['user_id', 'title'], unique: true }]
+    });
+  });
+
+  describe('DDL generation', () => {
+    test('renders CREATE TABLE with constraints and defaults', () => {
+      const sql = manager.generateCreateSQL('users');
+
+      expect(sql).toContain('CREATE TABLE IF NOT EXISTS users (');
+      expect(sql).toContain('id TEXT PRIMARY KEY');
+      expect(sql).toContain('email TEXT NOT NULL UNIQUE');
+      expect(sql).toContain('is_active INTEGER DEFAULT 1');
+      expect(sql).toContain('CREATE INDEX IF NOT EXISTS idx_users_email ON users (email);');
+    });
+
+    test('derives foreign keys from belongsTo relationships', () => {
+      const sql = manager.generateCreateSQL('posts', { includeIndexes: false });
+
+      expect(sql).toContain('user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE');
+      expect(sql).not.toContain('CREATE INDEX');
+    });
+
+    test('renders composite unique indexes', () => {
+      const ddl = generator.generateDDL();
+
+      expect(ddl).toContain('CREATE UNIQUE INDEX IF NOT EXISTS uidx_posts_user_id_title ON posts (user_id, title);');
+      expect(ddl.indexOf('CREATE TABLE IF NOT EXISTS posts')).toBeLessThan(ddl.indexOf('CREATE UNIQUE INDEX'));
+    });
+
+    test('escapes string defaults', () => {
+      registerUsers({ nickname: { type: 'text', default: "o'neil" } });
+      expect(manager.generateCreateSQL('users')).toContain("nickname TEXT DEFAULT 'o''neil'");
+    });
+
+    test('rejects unsafe identifiers', () => {
+      manager.registerModel('bad', { tableName: 'bad; DROP TABLE users', columns: { id: { type: 'text' } } });
+      expect(() => manager.generateCreateSQL('bad')).toThrow("Invalid table name");
+    });
+  });
+
+  describe('snapshots', () => {
+    test('are JSON serializable and stable', () => {
+      const snapshot = generator.createSnapshot();
+      expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+      expect(Object.keys(snapshot.tables)).toEqual(['users', 'posts']);
+      expect(snapshot.tables.posts.columns.title).toEqual({ type: 'TEXT', notNull: true });
+    });
+
+    test('throws for unknown models', () => {
+      expect(() => generator.createSnapshot(['missing'])).toThrow("Model 'missing' not found");
+    });
+  });
+
+  describe('diff', () => {
+    test('creates every table for an empty database', () => {
+      const { statements, changes } = generator.diff(null);
+
+      expect(changes.filter(c => c.type === 'createTable').map(c => c.table)).toEqual(['users', 'posts']);
+      expect(statements[0]).toMatch(/^CREATE TABLE IF NOT EXISTS users/);
+    });
+
+    test('is empty when nothing changed', () => {
+      const snapshot = generator.createSnapshot();
+      expect(generator.diff(snapshot).statements).toEqual([]);
+    });
+
+    test('adds columns and indexes', () => {
+      const previous = generator.createSnapshot();
+      registerUsers({ status: { type: 'text', default: 'active' } }, { indexes: ['email', 'status'] });
+
+      const { statements, changes } = generator.diff(previous);
+
+      expect(statements).toEqual([
+        "ALTER TABLE users ADD COLUMN status TEXT DEFAULT 'active';",
+        'CREATE INDEX IF NOT EXISTS idx_users_status ON users (status);'
+      ]);
+      expect(changes.map(c => c.type)).toEqual(['addColumn', 'createIndex']);
+    });
+
+    test('adds unique columns through a unique index', () => {
+      const previous = generator.createSnapshot();
+      registerUsers({ handle: { type: 'text', unique: true } });
+
+      const { statements } = generator.diff(previous);
+
+      expect(statements).toEqual([
+        'ALTER TABLE users ADD COLUMN handle TEXT;',
+        'CREATE UNIQUE INDEX IF NOT EXISTS uidx_users_handle ON users (handle);'
+      ]);
+    });
+
+    test('warns when a NOT NULL column has no default', () => {
+      const previous = generator.createSnapshot();
+      registerUsers({ phone: { type: 'text', required: true } });
+
+      const { statements, warnings } = generator.diff(previous);
+
+      expect(statements).toEqual(['ALTER TABLE users ADD COLUMN phone TEXT;']);
+      expect(warnings[0]).toContain("'users.phone' is NOT NULL without a default");
+    });
+
+    test('renames tables and columns only through explicit hints', () => {
+      const previous = generator.createSnapshot();
+      manager.registerModel('users', {
+        tableName: 'members',
+        columns: {
+          id: { type: 'text', primaryKey: true },
+          email: { type: 'text', required: true, unique: true },
+          full_name: { type: 'text' },
+          is_active: { type: 'integer', default: 1 }
+        },
+        indexes: ['email']
+      });
+
+      const { statements } = generator.diff(previous, generator.createSnapshot(), {
+        tables: { users: 'members' },
+        columns: { members: { name: 'full_name' } }
+      });
+
+      expect(statements).toEqual([
+        'ALTER TABLE users RENAME TO members;',
+        'ALTER TABLE members RENAME COLUMN name TO full_name;',
+        'DROP INDEX IF EXISTS idx_users_email;',
+        'CREATE INDEX IF NOT EXISTS idx_members_email ON members (email);'
+      ]);
+    });
+
+    test('rejects rename hints for unknown columns', () => {
+      const previous = generator.createSnapshot();
+      expect(() => generator.diff(previous, undefined, { columns: { users: { nope: 'name' } } }))
+        .toThrow("unknown column 'users.nope'");
+    });
+
+    test('comments out destructive changes unless allowed', () => {
+      const previous = generator.createSnapshot();
+      manager.getAllModels().delete('posts');
+      manager.clearSchemaCache('posts');
+      registerUsers({}, { columns: { id: { type: 'text', primaryKey: true }, email: { type: 'text', required: true, unique: true } } });
+
+      const safe = generator.diff(previous);
+      expect(safe.statements).toContain('-- ALTER TABLE users DROP COLUMN name;');
+      expect(safe.statements).toContain('-- DROP TABLE IF EXISTS posts;');
+      expect(safe.warnings).toHaveLength(3);
+
+      const destructive = new MigrationGenerator({ schemaManager: manager, allowDestructive: true }).diff(previous);
+      expect(destructive.statements).toContain('DROP TABLE IF EXISTS posts;');
+    });
+
+    test('reports column definition changes as warnings', () => {
+      const previous = generator.createSnapshot();
+      registerUsers({ name: { type: 'integer' } });
+
+      const { statements, warnings, changes } = generator.diff(previous);
+
+      expect(statements).toEqual([]);
+      expect(changes[0]).toMatchObject({ type: 'alterColumn', table: 'users', column: 'name' });
+      expect(warnings[0]).toContain('manual table rebuild');
+    });
+
+    test('rejects snapshots from other versions', () => {
+      expect(() => generator.diff({ version: 99, tables: {} })).toThrow('Unsupported schema snapshot version');
+    });
+  });
+
+  describe('generateMigration', () => {
+    test('numbers the file after existing migrations', () => {
+      const previous = generator.createSnapshot();
+      registerUsers({ status: { type: 'text' } });
+
+      const migration = generator.generateMigration(previous, {
+        name: 'Add user status',
+        existing: ['0001_initial_schema.sql', '0002_seed.sql']
+      });
+
+      expect(migration.number).toBe(3);
+      expect(migration.filename).toBe('0003_add_user_status.sql');
+      expect(migration.sql).toContain('-- Migration 0003: Add user status');
+      expect(migration.sql).toContain('ALTER TABLE users ADD COLUMN status TEXT;');
+      expect(migration.snapshot.tables.users.columns.status).toEqual({ type: 'TEXT' });
+      expect(migration.empty).toBe(false);
+    });
+
+    test('names the first migration initial_schema', () => {
+      const migration = generator.generateMigration(null);
+      expect(migration.filename).toBe('0001_initial_schema.sql');
+    });
+
+    test('flags empty migrations', () => {
+      const migration = generator.generateMigration(generator.createSnapshot());
+      expect(migration.empty).toBe(true);
+    });
+  });
+
+  describe('helpers', () => {
+    test('nextMigrationNumber ignores unrelated files', () => {
+      expect(nextMigrationNumber([])).toBe(1);
+      expect(nextMigrationNumber(['migrations/0007_x.sql', 'README.md', '0002_y.sql'])).toBe(8);
+    });
+
+    test('formatMigrationFilename slugifies names', () => {
+      expect(formatMigrationFilename(12, ' Add: Orders & Items ')).toBe('0012_add_orders_items.sql');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import {
+  buildWhereClause,
+  parseFilterQuery,
+  FilterError
+} from '../../src/schema/QueryFilter.js';
+
+const schema = {
+  name: 'people',
+  tableName: 'people',
+  columns: {
+    id: { type: 'text', primaryKey: true },
+    name: { type: 'text' },
+    status: { type: 'text' },
+    age: { type: 'integer' },
+    score: { type: 'real' },
+    deleted_at: { type: 'text' }
+  }
+};
+
+describe('QueryFilter', () => {
+  describe('buildWhereClause', () => {
+    test('returns an empty clause for empty filters', () => {
+      expect(buildWhereClause(schema, {})).toEqual({ clause: '', params: [] });
+    });
+
+    test('compiles plain equality', () => {
+      expect(buildWhereClause(schema, { name: 'Ann', age: 30 })).toEqual({
+        clause: 'name = ? AND age = ?',
+        params: ['Ann', 30]
+      });
+    });
+
+    test('compiles comparison operators', () => {
+      const result = buildWhereClause(schema, {
+        age: { gte: 18, lt: 65 },
+        status: { ne: 'banned' },
+        name: { like: 'A%' }
+      });
+
+      expect(result.clause).toBe('age >= ? AND age < ? AND status != ? AND name LIKE ?');
+      expect(result.params).toEqual([18, 65, 'banned', 'A%']);
+    });
+
+    test('compiles list operators', () => {
+      const result = buildWhereClause(schema, {
+        status: { in: ['a', 'b'] },
+        age: { notIn: [1, 2, 3] },
+        score: { between: [1.5, 9] }
+      });
+
+      expect(result.clause).toBe('status IN (?, ?) AND age NOT IN (?, ?, ?) AND score BETWEEN ? AND ?');
+      expect(result.params).toEqual(['a', 'b', 1, 2, 3, 1.5, 9]);
+    });
+
+    test('treats arrays as IN and null as IS NULL', () => {
+      expect(buildWhereClause(schema, { status: ['a'], deleted_at: null })).toEqual({
+        clause: 'status IN (?) AND deleted_at IS NULL',
+        params: ['a']
+      });
+    });
+
+    test('compiles isNull both ways', () => {
+      expect(buildWhereClause(schema, { deleted_at: { isNull: false } }).clause).toBe('deleted_at IS NOT NULL');
+      expect(buildWhereClause(schema, { deleted_at: { isNull: true } }).clause).toBe('deleted_at IS NULL');
+    });
+
+    test('handles empty IN lists without invalid SQL', () => {
+      expect(buildWhereClause(schema, { status: { in: [] } }).clause).toBe('1 = 0');
+      expect(buildWhereClause(schema, { status: { notIn: [] } }).clause).toBe('1 = 1');
+    });
+
+    test('compiles OR groups', () => {
+      const result = buildWhereClause(schema, {
+        status: 'active',
+        $or: [{ age: { lt: 18 } }, { age: { gt: 65 }, score: { gte: 5 } }]
+      });
+
+      expect(result.clause).toBe('status = ? AND ((age < ?) OR (age > ? AND score >= ?))');
+      expect(result.params).toEqual(['active', 18, 65, 5]);
+    });
+
+    test('accepts $-prefixed operator aliases', () => {
+      expect(buildWhereClause(schema, { age: { $gt: 1 }, name: { $like: '%x' } }).clause)
+        .toBe('age > ? AND name LIKE ?');
+    });
+
+    test('coerces numeric strings for numeric columns', () => {
+      expect(buildWhereClause(schema, { age: { gte: '18' }, score: '2.5' }).params).toEqual([18, 2.5]);
+    });
+
+    test('coerces query-string values for type aliases and booleans', () => {
+      const aliased = {
+        name: 'flags',
+        columns: { count: { type: 'int' }, ratio: { type: 'Float' }, active: { type: 'boolean' }, hidden: { type: 'bool' } }
+      };
+
+      expect(buildWhereClause(aliased, { count: '3', ratio: '0.5', active: 'true', hidden: { in: '0,false' } }).params)
+        .toEqual([3, 0.5, 1, 0, 0]);
+      expect(() => buildWhereClause(aliased, { active: 'yes' })).toThrow("Invalid boolean value for 'active': 'yes'");
+    });
+
+    test('rejects non-numeric values for numeric columns', () => {
+      expect(() => buildWhereClause(schema, { age: 'abc' })).toThrow("Invalid integer value for 'age'");
+      expect(() => buildWhereClause(schema, { age: '1.5' })).toThrow(FilterError);
+    });
+
+    test('rejects undeclared fields', () => {
+      expect(() => buildWhereClause(schema, { 'name; DROP TABLE people': 'x' })).toThrow(FilterError);
+      expect(() => buildWhereClause(schema, { password: 'x' })).toThrow("Unknown filter field 'password'");
+      expect(() => buildWhereClause(schema, { constructor: 'x' })).toThrow(FilterError);
+    });
+
+    test('rejects unknown operators', () => {
+      expect(() => buildWhereClause(schema, { age: { regexp: '.*' } }))
+        .toThrow("Unsupported filter operator 'regexp'");
+    });
+
+    test('validates between arity', () => {
+      expect(() => buildWhereClause(schema, { age: { between: [1] } })).toThrow('exactly two values');
+    });
+
+    test('exposes a 400 status on filter errors', () => {
+      try {
+        buildWhereClause(schema, { nope: 1 });
+      } catch (error) {
+        expect(error.status).toBe(400);
+        expect(error.code).toBe('INVALID_FILTER');
+        expect(error.field).toBe('nope');
+      }
+    });
+  });
+
+  describe('parseFilterQuery', () => {
+    const parse = (qs) => parseFilterQuery(new URLSearchParams(qs));
+
+    test('parses equality and operators', () => {
+      expect(parse('status=active&age[gte]=18&age[lt]=65')).toEqual({
+        status: 'active',
+        age: { gte: '18', lt: '65' }
+      });
+    });
+
+    test('splits list operators on commas', () => {
+      expect(parse('status[in]=a,b&score[between]=1,5')).toEqual({
+        status: { in: ['a', 'b'] },
+        score: { between: ['1', '5'] }
+      });
+    });
+
+    test('parses isNull flags', () => {
+      expect(parse('deleted_at[isNull]=true')).toEqual({ deleted_at: { isNull: true } });
+      expect(parse('deleted_at[isNull]=false')).toEqual({ deleted_at: { isNull: false } });
+    });
+
+    test('parses indexed OR groups', () => {
+      expect(parse('or[0][status]=a&or[1][age][gte]=18&or[1][name]=x')).toEqual({
+        $or: [{ status: 'a' }, { age: { gte: '18' }, name: 'x' }]
+      });
+    });
+
+    test('orders OR groups by index without allocating up to it', () => {
+      expect(parse('or[400000000][id]=1&or[10][id]=2&or[010][name]=x&or[9][id]=3')).toEqual({
+        $or: [{ id: '3' }, { id: '2', name: 'x' }, { id: '1' }]
+      });
+
+      const tooMany = Array.from({ length: 101 }, (_, i) => `or[${i}][id]=${i}`).join('&');
+      expect(() => parse(tooMany)).toThrow('OR filters accept at most 100 alternatives');
+    });
+
+    test('skips reserved pagination keys', () => {
+      expect(parse('page=2&limit=10&offset=0&include=author&status=a')).toEqual({ status: 'a' });
+    });
+
+    test('rejects malformed keys and operators', () => {
+      expect(() => parse('a[b][c]=1')).toThrow(FilterError);
+      expect(() => parse('or[x][status]=1')).toThrow('Invalid OR filter parameter');
+      expect(() => parse('age[regexp]=1')).toThrow('Unsupported filter operator');
+    });
+
+    test('round-trips through buildWhereClause', () => {
+      const filter = parse('age[gte]=18&status[in]=a,b');
+      expect(buildWhereClause(schema, filter)).toEqual({
+        clause: 'age >= ? AND status IN (?, ?)',
+        params: [18, 'a', 'b']
+      });
+    });
+  });
+});
@@ -119,6 +119,42 @@ describe('SchemaManager', () => {
     });
   });
 
+  describe('model behaviors', () => {
+    test('should add soft delete, version and audit columns', () => {
+      schemaManager.registerModel('behaving', {
+        tableName: 'behaving',
+        columns: { id: { type: 'text', primaryKey: true } },
+        softDelete: true,
+        version: true,
+        audit: true
+      });
+
+      const { columns } = schemaManager.getModel('behaving');
+      expect(columns.deleted_at).toEqual({ type: 'text' });
+      expect(columns.version).toEqual({ type: 'integer', required: true, default: 1 });
+      expect(columns.created_by).toEqual({ type: 'text' });
+      expect(columns.updated_by).toEqual({ type: 'text' });
+    });
+
+    test('should keep declared behavior columns and not mutate the input', () => {
+      const columns = { id: { type: 'text' }, deleted_at: { type: 'integer' } };
+      schemaManager.registerModel('behaving', { columns, softDelete: true });
+
+      expect(schemaManager.getModel('behaving').columns.deleted_at).toEqual({ type: 'integer' });
+      expect(Object.keys(columns)).toEqual(['id', 'deleted_at']);
+    });
+
+    test('should generate version-checked UPDATE SQL', () => {
+      schemaManager.registerModel('behaving', { columns: { id: { type: 'text' }, name: { type: 'text' } }, version: true });
+
+      expect(schemaManager.generateSQL('behaving', 'update', { id: 'a', name: 'x', version: 3 })).toMatchObject({
+        sql: 'UPDATE behaving SET name = ?, version = version + 1 WHERE id = ? AND version = ?',
+        params: ['x', 'a', 3]
+      });
+      expect(() => schemaManager.generateSQL('behaving', 'update', { id: 'a', name: 'x' })).toThrow('requires the current version');
+    });
+  });
+
   describe('getModel', () => {
     test('should return registered model', () => {
       const modelName = 'test_model';
@@ -279,6 +315,19 @@ describe('SchemaManager', () => {
       expect(result.params).toEqual(['Jane', 26, '123']);
     });
 
+    test('should generate UPSERT SQL', () => {
+      const result = schemaManager.generateSQL('test_model', 'upsert', {
+        id: '123',
+        name: 'Jane',
+        age: 26
+      });
+
+      expect(result.sql).toBe(
+        'INSERT INTO test_table (id, name, age) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET name = excluded.name, age = excluded.age'
+      );
+      expect(result.params).toEqual(['123', 'Jane', 26]);
+    });
+
     test('should generate DELETE SQL', () => {
       const result = schemaManager.generateSQL('test_model', 'delete', { id: '123' });
 
@@ -521,6 +570,95 @@ describe('SchemaManager', () => {
     });
   });
 
+  describe('extended column types', () => {
+    beforeEach(() => {
+      schemaManager.registerModel('extended_types', {
+        columns: {
+          active: { type: 'boolean' },
+          meta: { type: 'json' },
+          seen_at: { type: 'datetime' },
+          birthday: { type: 'date' },
+          role: { type: 'enum', values: ['admin', 'member'] },
+          ref: { type: 'uuid' },
+          email: { type: 'email' },
+          site: { type: 'url' },
+          contact: { type: 'text', format: 'email' },
+          score: { type: 'integer', min: 0, max: 10 },
+          plan: { type: 'text', default: 'free' },
+          tags: { type: 'json', default: [] }
+        }
+      });
+    });
+
+    test('should coerce booleans, dates and uuids', () => {
+      const result = schemaManager.validateData('extended_types', {
+        active: 'false',
+        seen_at: '2024-03-01 12:30:00',
+        birthday: '1990-05-17',
+        ref: 'A0EEBC99-9C0B-4EF8-BB6D-6BB9BD380A11'
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.data).toMatchObject({
+        active: false,
+        seen_at: '2024-03-01T12:30:00.000Z',
+        birthday: '1990-05-17',
+        ref: 'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11'
+      });
+    });
+
+    test('should reject values outside the type or its constraints', () => {
+      const result = schemaManager.validateData('extended_types', {
+        active: 'yes',
+        seen_at: 'not a date',
+        birthday: '2024-02-30',
+        role: 'owner',
+        ref: '1234',
+        email: 'nobody',
+        site: 'javascript:alert(1)',
+        contact: 'also-nobody',
+        score: 11
+      });
+
+      expect(result.valid).toBe(false);
+      expect(Object.keys(result.fieldErrors).sort()).toEqual(
+        ['active', 'birthday', 'contact', 'email', 'ref', 'role', 'score', 'seen_at', 'site']
+      );
+      expect(result.fieldErrors.role[0].code).toBe('INVALID_ENUM_VALUE');
+      expect(result.fieldErrors.score[0].code).toBe('MAX_VALUE_VIOLATION');
+      expect(result.fieldErrors.site[0].code).toBe('INVALID_FORMAT');
+    });
+
+    test('should apply defaults without sharing object defaults', () => {
+      const first = schemaManager.applyDefaults('extended_types', { plan: 'pro' });
+      const second = schemaManager.applyDefaults('extended_types', {});
+
+      expect(first).toEqual({ plan: 'pro', tags: [] });
+      expect(second.plan).toBe('free');
+      expect(second.tags).not.toBe(first.tags);
+    });
+
+    test('should serialize and deserialize stored values', () => {
+      const stored = schemaManager.serializeRecord('extended_types', { active: true, meta: { a: [1] }, plan: 'x' });
+      expect(stored).toEqual({ active: 1, meta: '{"a":[1]}', plan: 'x' });
+
+      const row = schemaManager.deserializeRecord('extended_types', {
+        active: 0,
+        meta: '{"a":[1]}',
+        seen_at: '2024-03-01 12:30:00',
+        other: '1'
+      });
+      expect(row).toEqual({ active: false, meta: { a: [1] }, seen_at: '2024-03-01T12:30:00.000Z', other: '1' });
+    });
+
+    test('should map the new types to SQLite storage classes', () => {
+      const sql = schemaManager.generateCreateSQL('extended_types');
+      expect(sql).toContain('active INTEGER');
+      expect(sql).toContain('meta TEXT');
+      expect(sql).toContain("tags TEXT DEFAULT '[]'");
+    });
+  });
+
   describe('cache statistics', () => {
     test('should track cache hits and misses', () => {
       schemaManager.registerModel('test', { columns: { id: { type: 'text' } } });
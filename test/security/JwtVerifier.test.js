@@ -0,0 +1,142 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { JwtVerifier, JwtError } from '../../src/security/JwtVerifier.js';
+
+const encoder = new TextEncoder();
+
+const base64Url = (bytes) => Buffer.from(bytes).toString('base64url');
+const encodeJson = (value) => base64Url(encoder.encode(JSON.stringify(value)));
+const now = () => Math.floor(Date.now() / 1000);
+
+const ALGS = {
+  HS256: { name: 'HMAC' },
+  RS256: { name: 'RSASSA-PKCS1-v1_5' },
+  ES256: { name: 'ECDSA', hash: 'SHA-256' }
+};
+
+async function sign(header, claims, key) {
+  const body = `${encodeJson(header)}.${encodeJson(claims)}`;
+  const signature = await crypto.subtle.sign(ALGS[header.alg], key, encoder.encode(body));
+  return `${body}.${base64Url(new Uint8Array(signature))}`;
+}
+
+async function hmacKey(secret) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+async function keyPair(alg, kid) {
+  const params = alg === 'RS256'
+    ? { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' }
+    : { name: 'ECDSA', namedCurve: 'P-256' };
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(params, true, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+  return { privateKey, jwk: { ...jwk, kid, alg, use: 'sig' } };
+}
+
+const jwksResponse = (keys) => ({ ok: true, status: 200, json: async () => ({ keys }) });
+
+describe('JwtVerifier', () => {
+  it('verifies HS256 tokens and returns the claims', async () => {
+    const verifier = new JwtVerifier({ secret: 'shh' });
+    const token = await sign({ alg: 'HS256', typ: 'JWT' }, { sub: 'u1', exp: now() + 60 }, await hmacKey('shh'));
+
+    await expect(verifier.verify(token)).resolves.toEqual(expect.objectContaining({ sub: 'u1' }));
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const verifier = new JwtVerifier({ secret: 'shh' });
+    const token = await sign({ alg: 'HS256' }, { sub: 'u1' }, await hmacKey('other'));
+
+    await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'INVALID_SIGNATURE', status: 401 });
+  });
+
+  it('rejects malformed tokens and unaccepted algorithms', async () => {
+    const verifier = new JwtVerifier({ secret: 'shh' });
+
+    await expect(verifier.verify('not-a-token')).rejects.toBeInstanceOf(JwtError);
+    await expect(verifier.verify(`${encodeJson({ alg: 'none' })}.${encodeJson({})}.x`))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM' });
+    await expect(verifier.verify(`${encodeJson({ alg: 'RS256' })}.${encodeJson({})}.x`))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM' });
+  });
+
+  it('enforces exp and nbf with clock skew', async () => {
+    const key = await hmacKey('shh');
+    const verifier = new JwtVerifier({ secret: 'shh', clockSkew: 30 });
+
+    await expect(verifier.verify(await sign({ alg: 'HS256' }, { exp: now() - 10 }, key))).resolves.toBeDefined();
+    await expect(verifier.verify(await sign({ alg: 'HS256' }, { exp: now() - 60 }, key)))
+      .rejects.toMatchObject({ code: 'TOKEN_EXPIRED' });
+    await expect(verifier.verify(await sign({ alg: 'HS256' }, { nbf: now() + 10 }, key))).resolves.toBeDefined();
+    await expect(verifier.verify(await sign({ alg: 'HS256' }, { nbf: now() + 120 }, key)))
+      .rejects.toMatchObject({ code: 'TOKEN_NOT_ACTIVE' });
+  });
+
+  it('enforces issuer and audience', async () => {
+    const key = await hmacKey('shh');
+    const verifier = new JwtVerifier({ secret: 'shh', issuer: 'https://auth.test/', audience: ['api', 'admin'] });
+
+    await expect(verifier.verify(await sign({ alg: 'HS256' }, { iss: 'https://auth.test/', aud: ['web', 'api'] }, key)))
+      .resolves.toBeDefined();
+    await expect(verifier.verify(await sign({ alg: 'HS256' }, { iss: 'https://evil.test/', aud: 'api' }, key)))
+      .rejects.toMatchObject({ code: 'INVALID_ISSUER' });
+    await expect(verifier.verify(await sign({ alg: 'HS256' }, { iss: 'https://auth.test/', aud: 'web' }, key)))
+      .rejects.toMatchObject({ code: 'INVALID_AUDIENCE' });
+  });
+
+  it('verifies RS256 and ES256 tokens against static keys', async () => {
+    const rsa = await keyPair('RS256', 'rsa-1');
+    const ec = await keyPair('ES256', 'ec-1');
+    const verifier = new JwtVerifier({ keys: [rsa.jwk, ec.jwk] });
+
+    const rsToken = await sign({ alg: 'RS256', kid: 'rsa-1' }, { sub: 'rs' }, rsa.privateKey);
+    const esToken = await sign({ alg: 'ES256', kid: 'ec-1' }, { sub: 'es' }, ec.privateKey);
+
+    await expect(verifier.verify(rsToken)).resolves.toMatchObject({ sub: 'rs' });
+    await expect(verifier.verify(esToken)).resolves.toMatchObject({ sub: 'es' });
+  });
+
+  it('caches the JWKS and refetches for an unknown kid after rotation', async () => {
+    const first = await keyPair('ES256', 'k1');
+    const second = await keyPair('ES256', 'k2');
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jwksResponse([first.jwk]))
+      .mockResolvedValueOnce(jwksResponse([first.jwk, second.jwk]));
+    const verifier = new JwtVerifier({ jwksUrl: 'https://auth.test/jwks', fetch, jwksMinRefreshMs: 0 });
+
+    await verifier.verify(await sign({ alg: 'ES256', kid: 'k1' }, { sub: 'a' }, first.privateKey));
+    await verifier.verify(await sign({ alg: 'ES256', kid: 'k1' }, { sub: 'b' }, first.privateKey));
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await expect(verifier.verify(await sign({ alg: 'ES256', kid: 'k2' }, { sub: 'c' }, second.privateKey)))
+      .resolves.toMatchObject({ sub: 'c' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch).toHaveBeenCalledWith('https://auth.test/jwks', expect.any(Object));
+  });
+
+  it('limits refetches for unknown key ids', async () => {
+    const known = await keyPair('ES256', 'k1');
+    const stranger = await keyPair('ES256', 'k9');
+    const fetch = jest.fn().mockResolvedValue(jwksResponse([known.jwk]));
+    const verifier = new JwtVerifier({ jwksUrl: 'https://auth.test/jwks', fetch });
+
+    const token = await sign({ alg: 'ES256', kid: 'k9' }, {}, stranger.privateKey);
+    await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'UNKNOWN_KEY' });
+    await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'UNKNOWN_KEY' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('requires a key source', () => {
+    expect(() => new JwtVerifier({})).toThrow('JwtVerifier requires a secret, keys or jwksUrl');
+  });
+
+  it('refuses HS256 without a secret', async () => {
+    const { jwk } = await keyPair('RS256', 'k1');
+    expect(() => new JwtVerifier({ keys: [jwk], algorithms: ['HS256', 'RS256'] }))
+      .toThrow('JwtVerifier accepts HS256 only with a secret');
+
+    const verifier = new JwtVerifier({ keys: [jwk] });
+    verifier.algorithms.push('HS256');
+    const token = await sign({ alg: 'HS256' }, { sub: 'u1' }, await hmacKey('null'));
+    await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM' });
+  });
+});
@@ -0,0 +1,225 @@
+import { jest } from '@jest/globals';
+import { AccessPolicy } from '../../src/services/AccessPolicy.js';
+import { GenericDataService } from '../../src/services/GenericDataService.js';
+import { schemaManager } from '../../src/schema/SchemaManager.js';
+import { modelToJsonSchema } from '../../src/schema/JsonSchema.js';
+import { ForbiddenError, NotFoundError, UnauthorizedError } from '../../src/errors/index.js';
+import { MemoryD1Database, createD1Client } from '../../src/testing/bindings/d1.js';
+
+const mockD1Client = {
+  generateId: jest.fn(() => 'generated-id'),
+  getCurrentTimestamp: jest.fn(() => '2024-01-01T00:00:00Z'),
+  run: jest.fn(),
+  all: jest.fn(),
+  first: jest.fn(),
+  batch: jest.fn()
+};
+
+describe('AccessPolicy', () => {
+  beforeAll(() => {
+    schemaManager.registerModel('policy_authors', {
+      tableName: 'policy_authors',
+      columns: { id: { type: 'text', primaryKey: true }, name: { type: 'text' }, api_key: { type: 'text' } },
+      access: { hidden: ['api_key'] }
+    });
+    schemaManager.registerModel('policy_posts', {
+      tableName: 'policy_posts',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        author_id: { type: 'text' },
+        title: { type: 'text' },
+        secret: { type: 'text' }
+      },
+      relationships: { author: { model: 'policy_authors', type: 'belongsTo', foreignKey: 'author_id' } },
+      access: {
+        hidden: ['secret'],
+        writable: { update: ['title'] },
+        rowFilter: (user) => ({ author_id: user?.id ?? '' }),
+        roles: { create: ['writer'] }
+      }
+    });
+
+    schemaManager.registerModel('policy_accounts', {
+      tableName: 'policy_accounts',
+      columns: { id: { type: 'text', primaryKey: true }, name: { type: 'text' }, secret_note: { type: 'text' } },
+      access: { roles: { read: ['admin'] } }
+    });
+    schemaManager.registerModel('policy_comments', {
+      tableName: 'policy_comments',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        thread_id: { type: 'text' },
+        author_id: { type: 'text' },
+        body: { type: 'text' }
+      },
+      access: { rowFilter: (user) => ({ author_id: user?.id ?? '' }) }
+    });
+    schemaManager.registerModel('policy_tags', {
+      tableName: 'policy_tags',
+      columns: { id: { type: 'text', primaryKey: true }, label: { type: 'text' }, tenant_id: { type: 'text' } },
+      access: { rowFilter: (user) => ({ tenant_id: user?.tenant ?? '' }) }
+    });
+    schemaManager.registerModel('policy_thread_tags', {
+      tableName: 'policy_thread_tags',
+      columns: { id: { type: 'text', primaryKey: true }, thread_id: { type: 'text' }, tag_id: { type: 'text' } }
+    });
+    schemaManager.registerModel('policy_threads', {
+      tableName: 'policy_threads',
+      columns: { id: { type: 'text', primaryKey: true }, account_id: { type: 'text' }, title: { type: 'text' } },
+      relationships: {
+        account: { model: 'policy_accounts', type: 'belongsTo', foreignKey: 'account_id' },
+        comments: { model: 'policy_comments', type: 'hasMany', foreignKey: 'thread_id' },
+        tags: { model: 'policy_tags', type: 'belongsToMany', through: 'policy_thread_tags', foreignKey: 'thread_id', otherKey: 'tag_id' }
+      }
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('requires the roles configured for an operation', () => {
+    const policy = new AccessPolicy(schemaManager.getModel('policy_posts'));
+
+    expect(() => policy.assertAllowed('create', null)).toThrow(UnauthorizedError);
+    expect(() => policy.assertAllowed('create', { id: 'u1', role: 'reader' })).toThrow(ForbiddenError);
+    expect(() => policy.assertAllowed('create', { id: 'u1', roles: ['writer'] })).not.toThrow();
+    expect(() => policy.assertAllowed('read', null)).not.toThrow();
+  });
+
+  test('redacts included relationships with their own policy', () => {
+    const policy = new AccessPolicy(schemaManager.getModel('policy_posts'));
+    const records = [{
+      id: 'p1',
+      title: 'Hello',
+      secret: 's',
+      author: { id: 'a1', name: 'Ann', api_key: 'k' }
+    }];
+
+    expect(policy.redact(records, { id: 'a1' })).toEqual([
+      { id: 'p1', title: 'Hello', author: { id: 'a1', name: 'Ann' } }
+    ]);
+    expect(records[0].secret).toBe('s');
+  });
+
+  test('limits writable fields per operation', () => {
+    const policy = new AccessPolicy(schemaManager.getModel('policy_posts'));
+
+    expect(() => policy.assertWritable({ id: 'p1', title: 'x', version: 2 }, 'update')).not.toThrow();
+    expect(() => policy.assertWritable({ author_id: 'a2' }, 'update')).toThrow(/not writable on policy_posts: author_id/);
+    expect(() => policy.assertWritable({ author_id: 'a1', title: 'x' }, 'create')).not.toThrow();
+  });
+
+  test('leaves hidden and non-writable columns out of the JSON Schemas', () => {
+    const model = schemaManager.getModel('policy_posts');
+
+    expect(Object.keys(modelToJsonSchema(model, { mode: 'read' }).properties)).toEqual(['id', 'author_id', 'title']);
+    expect(Object.keys(modelToJsonSchema(model, { mode: 'update' }).properties)).toEqual(['title']);
+  });
+
+  describe('GenericDataService with a principal', () => {
+    let posts;
+
+    beforeEach(() => {
+      posts = new GenericDataService(mockD1Client, 'policy_posts');
+      posts.cacheEnabled = false;
+    });
+
+    test('restricts updates to the row filter and reports rows outside it as not found', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 0 } });
+      mockD1Client.first.mockResolvedValue({ count: 0 });
+
+      await expect(posts.update('p1', { title: 'x' }, { principal: { id: 'a1' } })).rejects.toThrow(NotFoundError);
+      expect(mockD1Client.run).toHaveBeenCalledWith(
+        'UPDATE policy_posts SET title = ? WHERE id = ? AND (author_id = ?)',
+        ['x', 'p1', 'a1']
+      );
+    });
+
+    test('leaves trusted calls without a principal unrestricted', async () => {
+      mockD1Client.all.mockResolvedValue([{ id: 'p1', author_id: 'a2', title: 'T', secret: 's' }]);
+
+      expect(await posts.findById('p1')).toEqual({ id: 'p1', author_id: 'a2', title: 'T', secret: 's' });
+      expect(mockD1Client.all).toHaveBeenCalledWith(expect.stringMatching(/WHERE id = \?$/), ['p1']);
+    });
+
+    test('rejects filters and sorts on hidden columns as unknown fields', async () => {
+      const principal = { id: 'a1' };
+      mockD1Client.all.mockResolvedValue([]);
+
+      await expect(posts.find({ secret: { like: 'hun%' } }, [], null, { principal }))
+        .rejects.toThrow("Unknown filter field 'secret' for model 'policy_posts'");
+      await expect(posts.find({ $or: [{ title: 'a' }, { secret: 'b' }] }, [], null, { principal }))
+        .rejects.toThrow(/filter field 'secret'/);
+      await expect(posts.findAll({ orderBy: { secret: 'asc' }, pagination: 'cursor', principal }))
+        .rejects.toThrow("Unknown sort field 'secret' for model 'policy_posts'");
+      await expect(posts.paginate({}, { page: 1, limit: 5 }, { orderBy: { secret: 'desc' }, principal }))
+        .rejects.toThrow(/sort field 'secret'/);
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+
+      await posts.find({ secret: 'x' }, [], null, { orderBy: { secret: 'asc' } });
+      expect(mockD1Client.all).toHaveBeenCalledWith(expect.stringMatching(/WHERE secret = \? ORDER BY secret ASC$/), ['x']);
+    });
+
+    test('checks roles for every item of a batch', async () => {
+      await expect(posts.createMany([{ title: 'a' }], { principal: { id: 'a1' } })).rejects.toThrow(ForbiddenError);
+      expect(mockD1Client.batch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('included relationships with a principal', () => {
+    let db;
+    let threads;
+
+    beforeEach(async () => {
+      db = createD1Client(new MemoryD1Database({
+        models: ['policy_accounts', 'policy_comments', 'policy_tags', 'policy_thread_tags', 'policy_threads']
+      }));
+      threads = new GenericDataService(db, 'policy_threads');
+
+      await new GenericDataService(db, 'policy_accounts').create({ id: 'acc1', name: 'Acme', secret_note: 'churn risk' });
+      await threads.create({ id: 't1', account_id: 'acc1', title: 'Launch' });
+      await new GenericDataService(db, 'policy_comments').createMany([
+        { id: 'c1', thread_id: 't1', author_id: 'u1', body: 'mine' },
+        { id: 'c2', thread_id: 't1', author_id: 'u2', body: 'theirs' }
+      ]);
+      await new GenericDataService(db, 'policy_tags').createMany([
+        { id: 'g1', label: 'ours', tenant_id: 'east' },
+        { id: 'g2', label: 'other', tenant_id: 'west' }
+      ]);
+      await new GenericDataService(db, 'policy_thread_tags').createMany([
+        { id: 'j1', thread_id: 't1', tag_id: 'g1' },
+        { id: 'j2', thread_id: 't1', tag_id: 'g2' }
+      ]);
+    });
+
+    test('rejects includes of models the principal may not read', async () => {
+      await expect(threads.find({}, ['account'], null, { principal: { id: 'u1' } })).rejects.toThrow(ForbiddenError);
+      await expect(threads.findAll({ include: 'account', principal: null })).rejects.toThrow(UnauthorizedError);
+      await expect(threads.paginate({}, { page: 1 }, { include: 'account', principal: { id: 'u1' } })).rejects.toThrow(ForbiddenError);
+
+      const [thread] = await threads.find({}, ['account'], null, { principal: { id: 'u1', roles: ['admin'] } });
+      expect(thread.account).toMatchObject({ id: 'acc1', secret_note: 'churn risk' });
+    });
+
+    test('leaves included rows outside their row filter out', async () => {
+      const include = ['comments', 'tags'];
+
+      const [mine] = await threads.find({}, include, null, { principal: { id: 'u1', tenant: 'east' } });
+      expect(mine.comments.map(({ id }) => id)).toEqual(['c1']);
+      expect(mine.tags.map(({ id }) => id)).toEqual(['g1']);
+
+      // Same criteria, different filters: the cached result must not be shared
+      const [theirs] = await threads.find({}, include, null, { principal: { id: 'u2', tenant: 'west' } });
+      expect(theirs.comments.map(({ id }) => id)).toEqual(['c2']);
+      expect(theirs.tags.map(({ id }) => id)).toEqual(['g2']);
+
+      const { data } = await threads.findAll({ include, principal: { id: 'u3', tenant: 'north' } });
+      expect(data[0]).toMatchObject({ comments: [], tags: [] });
+
+      const [trusted] = await threads.find({}, include);
+      expect(trusted.comments).toHaveLength(2);
+      expect(trusted.tags).toHaveLength(2);
+    });
+  });
+});
@@ -1,6 +1,9 @@
 import { jest } from '@jest/globals';
 import { GenericDataService, createDataService } from '../../src/services/GenericDataService.js';
 import { schemaManager } from '../../src/schema/SchemaManager.js';
+import { FilterError } from '../../src/schema/QueryFilter.js';
+import { ValidationError } from '../../src/errors/httpErrors.js';
+import { MemoryD1Database, createD1Client } from '../../src/testing/bindings/d1.js';
 
 // Mock D1 client
 const mockD1Client = {
@@ -8,7 +11,8 @@ const mockD1Client = {
   getCurrentTimestamp: jest.fn(() => '2024-01-01T00:00:00Z'),
   run: jest.fn(),
   all: jest.fn(),
-  first: jest.fn()
+  first: jest.fn(),
+  batch: jest.fn()
 };
 
 // Test schema definition
@@ -19,6 +23,7 @@ const testSchema = {
     name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
     email: { type: 'string', required: true, format: 'email' },
     age: { type: 'number', minimum: 0, maximum: 150 },
+    status: { type: 'string' },
     created_at: { type: 'datetime' },
     updated_at: { type: 'datetime' }
   },
@@ -210,6 +215,10 @@ describe('GenericDataService', () => {
       const invalidData = { name: '', email: 'invalid-email' };
 
       await expect(service.create(invalidData)).rejects.toThrow('Validation failed');
+      await expect(service.create(invalidData)).rejects.toMatchObject({
+        status: 400,
+        errors: expect.arrayContaining([expect.objectContaining({ field: 'email' })])
+      });
     });
 
     test('should throw error on database failure', async () => {
@@ -339,6 +348,30 @@ describe('GenericDataService', () => {
       );
     });
 
+    test('should compile operator filters', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      mockD1Client.first.mockResolvedValue({ total: 0 });
+
+      await service.findAll({
+        where: { age: { gte: 18 }, $or: [{ status: 'active' }, { status: { isNull: true } }] },
+        limit: 10
+      });
+
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        'SELECT * FROM test_users WHERE age >= ? AND ((status = ?) OR (status IS NULL)) LIMIT ? OFFSET ?',
+        [18, 'active', 10, 0]
+      );
+      expect(mockD1Client.first).toHaveBeenCalledWith(
+        'SELECT COUNT(*) as total FROM test_users WHERE age >= ? AND ((status = ?) OR (status IS NULL))',
+        [18, 'active']
+      );
+    });
+
+    test('should reject filters on undeclared columns', async () => {
+      await expect(service.findAll({ where: { password: 'x' } })).rejects.toThrow("Unknown filter field 'password'");
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+    });
+
     test('should handle ORDER BY clauses', async () => {
       const options = {
         orderBy: { created_at: 'desc', name: 'asc' },
@@ -357,6 +390,118 @@ describe('GenericDataService', () => {
     });
   });
 
+  describe('findAll cursor pagination', () => {
+    const rows = (...ids) => ids.map(n => ({ id: `id-${n}`, name: `User ${n}`, created_at: `2024-01-0${n}` }));
+
+    beforeEach(() => {
+      service = new GenericDataService(mockD1Client, 'User', { cacheEnabled: false, cursorSecret: 'test-secret' });
+    });
+
+    test('should fetch the first page with limit + 1 and skip COUNT(*)', async () => {
+      mockD1Client.all.mockResolvedValue(rows(1, 2, 3));
+
+      const result = await service.findAll({ pagination: 'cursor', limit: 2, orderBy: { created_at: 'desc' } });
+
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        'SELECT * FROM test_users ORDER BY created_at DESC, id ASC LIMIT ?',
+        [3]
+      );
+      expect(mockD1Client.first).not.toHaveBeenCalled();
+      expect(result.data).toHaveLength(2);
+      expect(result.pagination).toMatchObject({ limit: 2, hasNext: true, hasPrev: false, prevCursor: null });
+      expect(typeof result.pagination.nextCursor).toBe('string');
+      expect(result.pagination).not.toHaveProperty('total');
+    });
+
+    test('should continue after the cursor with a keyset condition', async () => {
+      mockD1Client.all.mockResolvedValueOnce(rows(1, 2, 3));
+      const first = await service.findAll({ pagination: 'cursor', limit: 2, orderBy: { created_at: 'desc' }, where: { status: 'active' } });
+
+      mockD1Client.all.mockResolvedValueOnce(rows(3));
+      const second = await service.findAll({
+        cursor: first.pagination.nextCursor,
+        limit: 2,
+        orderBy: { created_at: 'desc' },
+        where: { status: 'active' }
+      });
+
+      expect(mockD1Client.all).toHaveBeenLastCalledWith(
+        'SELECT * FROM test_users WHERE status = ? AND (created_at < ? OR (created_at = ? AND id > ?)) ' +
+          'ORDER BY created_at DESC, id ASC LIMIT ?',
+        ['active', '2024-01-02', '2024-01-02', 'id-2', 3]
+      );
+      expect(second.pagination).toMatchObject({ hasNext: false, hasPrev: true, nextCursor: null });
+      expect(typeof second.pagination.prevCursor).toBe('string');
+    });
+
+    test('should page backwards with reversed order and restore row order', async () => {
+      mockD1Client.all.mockResolvedValueOnce(rows(4));
+      const page = await service.findAll({ cursor: await service.cursorCodec.encode({ m: 'User', o: 'id:ASC', d: 'next', v: ['id-3'] }), limit: 2 });
+
+      mockD1Client.all.mockResolvedValueOnce([{ id: 'id-3' }, { id: 'id-2' }, { id: 'id-1' }]);
+      const previous = await service.findAll({ cursor: page.pagination.prevCursor, limit: 2 });
+
+      expect(mockD1Client.all).toHaveBeenLastCalledWith(
+        'SELECT * FROM test_users WHERE (id < ?) ORDER BY id DESC LIMIT ?',
+        ['id-4', 3]
+      );
+      expect(previous.data.map(r => r.id)).toEqual(['id-2', 'id-3']);
+      expect(previous.pagination).toMatchObject({ hasNext: true, hasPrev: true });
+    });
+
+    test('should include the total only when asked', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      mockD1Client.first.mockResolvedValue({ total: 7 });
+
+      const result = await service.findAll({ pagination: 'cursor', where: { age: { gte: 18 } }, withCount: true });
+
+      expect(mockD1Client.first).toHaveBeenCalledWith('SELECT COUNT(*) as total FROM test_users WHERE age >= ?', [18]);
+      expect(result.pagination.total).toBe(7);
+      expect(result.pagination.nextCursor).toBeNull();
+    });
+
+    test('should reject tampered cursors', async () => {
+      mockD1Client.all.mockResolvedValue(rows(1, 2, 3));
+      const { pagination } = await service.findAll({ pagination: 'cursor', limit: 2 });
+      const [body, signature] = pagination.nextCursor.split('.');
+      const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url').toString()), v: ['id-0'] }))
+        .toString('base64url');
+
+      await expect(service.findAll({ cursor: `${forged}.${signature}` })).rejects.toThrow('Invalid cursor');
+      await expect(service.findAll({ cursor: 'garbage' })).rejects.toThrow('Invalid cursor');
+    });
+
+    test('should reject cursors signed with another secret', async () => {
+      const other = new GenericDataService(mockD1Client, 'User', { cacheEnabled: false, cursorSecret: 'other' });
+      const token = await other.cursorCodec.encode({ m: 'User', o: 'id:ASC', d: 'next', v: ['id-1'] });
+
+      await expect(service.findAll({ cursor: token })).rejects.toThrow('Invalid cursor');
+    });
+
+    test('should require a cursor secret', async () => {
+      const unsigned = new GenericDataService(mockD1Client, 'User', { cacheEnabled: false });
+      mockD1Client.all.mockResolvedValue(rows(1, 2, 3));
+
+      await expect(unsigned.findAll({ pagination: 'cursor', limit: 2 })).rejects.toThrow('Cursor pagination requires a cursorSecret');
+      await expect(unsigned.findAll({ cursor: 'garbage' })).rejects.toThrow('Cursor pagination requires a cursorSecret');
+    });
+
+    test('should reject cursors issued for a different sort order', async () => {
+      mockD1Client.all.mockResolvedValue(rows(1, 2, 3));
+      const { pagination } = await service.findAll({ pagination: 'cursor', limit: 2, orderBy: { name: 'asc' } });
+
+      await expect(service.findAll({ cursor: pagination.nextCursor, orderBy: { name: 'desc' } }))
+        .rejects.toThrow('Cursor does not match this model or sort order');
+    });
+
+    test('should reject unknown sort fields and directions', async () => {
+      await expect(service.findAll({ pagination: 'cursor', orderBy: { password: 'asc' } }))
+        .rejects.toThrow("Unknown sort field 'password'");
+      await expect(service.findAll({ orderBy: { name: 'asc; DROP TABLE x' } }))
+        .rejects.toThrow('Invalid sort direction');
+    });
+  });
+
   describe('update', () => {
     test('should update record successfully', async () => {
       const updates = { name: 'Updated Name', age: 31 };
@@ -397,6 +542,562 @@ describe('GenericDataService', () => {
     });
   });
 
+  describe('batch writes', () => {
+    const validUser = (n) => ({ name: `User ${n}`, email: `user${n}@example.com` });
+
+    test('createMany should write every record in one batch', async () => {
+      mockD1Client.generateId.mockReturnValueOnce('a').mockReturnValueOnce('b');
+      mockD1Client.batch.mockResolvedValue([{ success: true }, { success: true }]);
+
+      const records = await service.createMany([validUser(1), validUser(2)]);
+
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+      expect(mockD1Client.batch).toHaveBeenCalledTimes(1);
+      const [statements] = mockD1Client.batch.mock.calls[0];
+      expect(statements).toHaveLength(2);
+      expect(statements[0].sql).toContain('INSERT INTO test_users');
+      expect(records.map(r => r.id)).toEqual(['a', 'b']);
+      expect(records[0].created_at).toBe('2024-01-01T00:00:00Z');
+    });
+
+    test('createMany should reject the whole batch when one record is invalid', async () => {
+      const error = await service.createMany([validUser(1), { name: 'X' }]).catch(e => e);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toMatch(/^Item 1: Validation failed/);
+      expect(error.errors.every(fieldError => fieldError.field.startsWith('1.'))).toBe(true);
+      expect(mockD1Client.batch).not.toHaveBeenCalled();
+    });
+
+    test('should enforce maxBulkOperationSize', async () => {
+      const small = new GenericDataService(mockD1Client, 'User', { securityConfig: { maxBulkOperationSize: 1 } });
+
+      await expect(small.createMany([validUser(1), validUser(2)])).rejects.toThrow('Bulk operation too large: 2');
+      await expect(service.createMany([])).rejects.toThrow('non-empty array');
+    });
+
+    test('should clear the cache once per batch', async () => {
+      mockD1Client.batch.mockResolvedValue([{ success: true }]);
+      const clearSpy = jest.spyOn(service, 'clearCache');
+
+      await service.createMany([validUser(1)]);
+
+      expect(clearSpy).toHaveBeenCalledTimes(1);
+      expect(clearSpy).toHaveBeenCalledWith();
+    });
+
+    test('updateMany should read records back inside the batch', async () => {
+      mockD1Client.batch.mockResolvedValue([
+        { success: true },
+        { success: true },
+        { success: true, results: [{ id: 'a', name: 'Ann' }, { id: 'b', name: 'Bob' }] }
+      ]);
+
+      const updated = await service.updateMany([{ id: 'a', name: 'Ann' }, { id: 'b', name: 'Bob' }]);
+
+      const [statements] = mockD1Client.batch.mock.calls[0];
+      expect(statements[0]).toEqual({
+        sql: 'UPDATE test_users SET name = ?, updated_at = ? WHERE id = ?',
+        params: ['Ann', '2024-01-01T00:00:00Z', 'a']
+      });
+      expect(statements[2]).toEqual({ sql: 'SELECT * FROM test_users WHERE id IN (?, ?)', params: ['a', 'b'] });
+      expect(updated).toHaveLength(2);
+    });
+
+    test('updateMany should require ids', async () => {
+      await expect(service.updateMany([{ name: 'Ann' }])).rejects.toThrow('Item 0: Missing id');
+    });
+
+    test('deleteMany should return the number of deleted rows', async () => {
+      mockD1Client.batch.mockResolvedValue([{ success: true, meta: { changes: 1 } }, { success: true, meta: { changes: 0 } }]);
+
+      await expect(service.deleteMany(['a', 'b'])).resolves.toBe(1);
+      expect(mockD1Client.batch.mock.calls[0][0][1]).toEqual({ sql: 'DELETE FROM test_users WHERE id = ?', params: ['b'] });
+    });
+
+    test('upsert should insert or update on id conflict', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true });
+
+      const record = await service.upsert({ id: 'a', ...validUser(1) });
+
+      const [sql] = mockD1Client.run.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT(id) DO UPDATE SET name = excluded.name');
+      expect(sql).not.toContain('created_at = excluded.created_at');
+      expect(record.id).toBe('a');
+    });
+
+    test('upsert should batch arrays', async () => {
+      mockD1Client.batch.mockResolvedValue([{ success: true }, { success: true }]);
+
+      const records = await service.upsert([{ id: 'a', ...validUser(1) }, { id: 'b', ...validUser(2) }]);
+
+      expect(mockD1Client.batch).toHaveBeenCalledTimes(1);
+      expect(records).toHaveLength(2);
+    });
+
+    test('transaction should commit queued writes as one batch', async () => {
+      mockD1Client.batch.mockResolvedValue([{ success: true }, { success: true }, { success: true }]);
+
+      const result = await service.transaction((tx) => {
+        const user = tx.create(validUser(1));
+        tx.update('other', { name: 'Renamed' });
+        tx.execute('UPDATE counters SET value = value + 1 WHERE name = ?', ['users']);
+        return user.id;
+      });
+
+      expect(result).toBe('test-id-123');
+      const [statements] = mockD1Client.batch.mock.calls[0];
+      expect(statements.map(s => s.sql.split(' ')[0])).toEqual(['INSERT', 'UPDATE', 'UPDATE']);
+      expect(statements[2].params).toEqual(['users']);
+    });
+
+    test('transaction should write nothing when the callback throws', async () => {
+      await expect(service.transaction((tx) => {
+        tx.create(validUser(1));
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(mockD1Client.batch).not.toHaveBeenCalled();
+    });
+
+    test('transaction should clear caches of other services it touched', async () => {
+      mockD1Client.batch.mockResolvedValue([{ success: true }, { success: true }]);
+      const other = new GenericDataService(mockD1Client, 'User');
+      const clearSpy = jest.spyOn(other, 'clearCache');
+
+      await service.transaction((tx) => {
+        tx.delete('a');
+        tx.model(other).delete('b');
+      });
+
+      expect(clearSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should prepare statements for a raw D1Database binding', async () => {
+      const bind = jest.fn(function () { return this; });
+      const db = {
+        ...mockD1Client,
+        prepare: jest.fn(() => ({ bind })),
+        batch: jest.fn().mockResolvedValue([{ success: true, meta: { changes: 1 } }])
+      };
+      const rawService = new GenericDataService(db, 'User');
+
+      await rawService.deleteMany(['a']);
+
+      expect(db.prepare).toHaveBeenCalledWith('DELETE FROM test_users WHERE id = ?');
+      expect(bind).toHaveBeenCalledWith('a');
+    });
+
+    test('should surface failed batches', async () => {
+      mockD1Client.batch.mockResolvedValue([{ success: true }, { success: false }]);
+      await expect(service.deleteMany(['a', 'b'])).rejects.toThrow('Batch statement 2 of 2 failed');
+
+      mockD1Client.batch.mockRejectedValue(new Error('D1_ERROR: UNIQUE constraint failed'));
+      await expect(service.createMany([validUser(1)])).rejects.toThrow('UNIQUE constraint failed');
+    });
+
+    test('should require a client with batch()', async () => {
+      const { batch, ...noBatch } = mockD1Client;
+      const limited = new GenericDataService(noBatch, 'User');
+
+      expect(batch).toBeDefined();
+      await expect(limited.deleteMany(['a'])).rejects.toThrow('does not support batch()');
+    });
+  });
+
+  describe('model behaviors', () => {
+    let tickets;
+
+    beforeAll(() => {
+      schemaManager.registerModel('Ticket', {
+        tableName: 'tickets',
+        columns: {
+          id: { type: 'string', primaryKey: true },
+          title: { type: 'string' },
+          created_at: { type: 'string' },
+          updated_at: { type: 'string' }
+        },
+        softDelete: true,
+        version: true,
+        audit: true
+      });
+    });
+
+    beforeEach(() => {
+      tickets = new GenericDataService(mockD1Client, 'Ticket', { cacheEnabled: false });
+    });
+
+    test('create should stamp audit columns and the initial version', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true });
+
+      const record = await tickets.create(
+        { title: 'Printer', created_by: 'spoofed', version: 9, deleted_at: 'x' },
+        { actor: 'user-1' }
+      );
+
+      expect(record).toMatchObject({ created_by: 'user-1', updated_by: 'user-1', version: 1 });
+      expect(record).not.toHaveProperty('deleted_at');
+    });
+
+    test('reads should exclude soft-deleted rows unless includeDeleted is set', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      mockD1Client.first.mockResolvedValue({ count: 0, total: 0 });
+
+      await tickets.find({ title: 'x' });
+      expect(mockD1Client.all).toHaveBeenLastCalledWith(expect.stringContaining('WHERE title = ? AND deleted_at IS NULL'), ['x']);
+
+      await tickets.findById('t1', [], null, { includeDeleted: true });
+      expect(mockD1Client.all.mock.calls.at(-1)[0]).not.toContain('deleted_at IS NULL');
+
+      await tickets.findAll({ limit: 5 });
+      expect(mockD1Client.all).toHaveBeenLastCalledWith('SELECT * FROM tickets WHERE deleted_at IS NULL LIMIT ? OFFSET ?', [5, 0]);
+
+      await tickets.count({}, { includeDeleted: true });
+      expect(mockD1Client.first).toHaveBeenLastCalledWith('SELECT COUNT(*) as count FROM tickets', []);
+    });
+
+    test('an explicit deleted_at filter should not bypass the soft-delete scope', async () => {
+      mockD1Client.first.mockResolvedValue({ count: 0 });
+
+      await tickets.count({ deleted_at: { isNull: false } });
+
+      expect(mockD1Client.first).toHaveBeenCalledWith(
+        'SELECT COUNT(*) as count FROM tickets WHERE ((deleted_at IS NOT NULL) AND (deleted_at IS NULL))',
+        []
+      );
+    });
+
+    test('delete should stamp deleted_at instead of removing the row', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 1 } });
+
+      await expect(tickets.delete('t1', { actor: 'user-2' })).resolves.toBe(true);
+
+      expect(mockD1Client.run).toHaveBeenCalledWith(
+        'UPDATE tickets SET deleted_at = ?, updated_at = ?, updated_by = ?, version = version + 1 WHERE id = ? AND deleted_at IS NULL',
+        ['2024-01-01T00:00:00Z', '2024-01-01T00:00:00Z', 'user-2', 't1']
+      );
+    });
+
+    test('delete with hard: true should remove the row', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true });
+
+      await tickets.delete('t1', { hard: true });
+
+      expect(mockD1Client.run).toHaveBeenCalledWith('DELETE FROM tickets WHERE id = ?', ['t1']);
+    });
+
+    test('restore should clear deleted_at', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 1 } });
+      mockD1Client.all.mockResolvedValue([{ id: 't1' }]);
+
+      await expect(tickets.restore('t1')).resolves.toEqual({ id: 't1' });
+      expect(mockD1Client.run.mock.calls[0][0]).toBe(
+        'UPDATE tickets SET deleted_at = ?, updated_at = ?, updated_by = ?, version = version + 1 WHERE id = ? AND deleted_at IS NOT NULL'
+      );
+      expect(mockD1Client.run.mock.calls[0][1][0]).toBeNull();
+
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 0 } });
+      await expect(tickets.restore('t1')).resolves.toBeNull();
+      await expect(service.restore('x')).rejects.toThrow('does not use soft delete');
+    });
+
+    test('update should check the version and record the actor', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 1 } });
+      mockD1Client.all.mockResolvedValue([{ id: 't1', version: 4 }]);
+
+      await tickets.update('t1', { title: 'New', version: 3, created_by: 'spoofed' }, { actor: 'user-3' });
+
+      expect(mockD1Client.run).toHaveBeenCalledWith(
+        'UPDATE tickets SET title = ?, updated_at = ?, updated_by = ?, version = version + 1 WHERE id = ? AND version = ? AND deleted_at IS NULL',
+        ['New', '2024-01-01T00:00:00Z', 'user-3', 't1', 3]
+      );
+    });
+
+    test('update should raise ConflictError for stale or missing versions', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 0 } });
+
+      await expect(tickets.update('t1', { title: 'New', version: 2 })).rejects.toMatchObject({
+        name: 'ConflictError',
+        code: 'VERSION_CONFLICT',
+        status: 409
+      });
+      await expect(tickets.update('t1', { title: 'New' })).rejects.toMatchObject({ code: 'VERSION_REQUIRED' });
+    });
+
+    test('update should raise NotFoundError for a missing id', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 0 } });
+      mockD1Client.first.mockResolvedValue(null);
+
+      await expect(tickets.update('gone', { title: 'New', version: 1 })).rejects.toMatchObject({ name: 'NotFoundError', status: 404 });
+    });
+
+    test('delete should raise NotFoundError when no row was deleted', async () => {
+      mockD1Client.run.mockResolvedValue({ success: true, meta: { changes: 0 } });
+
+      await expect(tickets.delete('t1')).rejects.toMatchObject({ name: 'NotFoundError', status: 404 });
+    });
+
+    describe('against SQLite', () => {
+      let db;
+
+      beforeEach(async () => {
+        db = createD1Client(new MemoryD1Database({ models: ['Ticket'] }));
+        tickets = new GenericDataService(db, 'Ticket', { cacheEnabled: false });
+        await tickets.createMany([{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]);
+        await tickets.update('b', { title: 'B2', version: 1 });
+      });
+
+      test('a stale item should roll back the whole updateMany batch', async () => {
+        await expect(tickets.updateMany([{ id: 'a', title: 'A2', version: 1 }, { id: 'b', title: 'B3', version: 1 }]))
+          .rejects.toMatchObject({ code: 'VERSION_CONFLICT', details: { id: 'b', expectedVersion: 1 } });
+        await expect(tickets.updateMany([{ id: 'a', title: 'A2', version: 1 }, { id: 'c', title: 'C', version: 1 }]))
+          .rejects.toMatchObject({ name: 'NotFoundError' });
+        expect(await tickets.findById('a')).toMatchObject({ title: 'A', version: 1 });
+
+        await expect(tickets.transaction((tx) => {
+          tx.update('a', { title: 'A2', version: 1 });
+          tx.update('b', { title: 'B3', version: 1 });
+        })).rejects.toMatchObject({ code: 'VERSION_CONFLICT' });
+        expect(await tickets.findById('a')).toMatchObject({ title: 'A', version: 1 });
+
+        const updated = await tickets.updateMany([{ id: 'a', title: 'A2', version: 1 }, { id: 'b', title: 'B3', version: 2 }]);
+        expect(updated.map(({ title, version }) => [title, version])).toEqual([['A2', 2], ['B3', 3]]);
+      });
+
+      test('update and delete should tell missing rows from stale ones', async () => {
+        await expect(tickets.update('c', { title: 'C', version: 1 })).rejects.toMatchObject({ status: 404 });
+        await expect(tickets.update('b', { title: 'B3', version: 1 })).rejects.toMatchObject({ status: 409 });
+
+        await expect(tickets.delete('a')).resolves.toBe(true);
+        await expect(tickets.delete('a')).rejects.toMatchObject({ status: 404 });
+      });
+
+      test('writes should leave soft-deleted rows alone', async () => {
+        await tickets.delete('a');
+
+        await expect(tickets.update('a', { title: 'changed', version: 2 })).rejects.toMatchObject({ status: 404 });
+        await expect(tickets.updateMany([{ id: 'a', title: 'changed', version: 2 }])).rejects.toMatchObject({ status: 404 });
+        await expect(tickets.transaction((tx) => {
+          tx.update('a', { title: 'changed', version: 2 });
+        })).rejects.toMatchObject({ status: 404 });
+        expect(await tickets.findById('a', [], null, { includeDeleted: true })).toMatchObject({ title: 'A', version: 2 });
+      });
+
+      test('paginate should count what it lists when includeDeleted is set', async () => {
+        await tickets.delete('a');
+
+        const page = await tickets.paginate({}, { page: 1, limit: 10 }, { includeDeleted: true });
+        expect(page.data).toHaveLength(2);
+        expect(page.pagination.total).toBe(2);
+        expect((await tickets.paginate({}, { page: 1, limit: 10 })).pagination.total).toBe(1);
+      });
+    });
+
+    test('transaction should apply the actor to queued writes', async () => {
+      mockD1Client.batch.mockResolvedValue([{ success: true }, { success: true, meta: { changes: 1 } }]);
+
+      await tickets.transaction((tx) => {
+        tx.create({ title: 'A' });
+        tx.delete('b');
+      }, { actor: 'user-4' });
+
+      const [statements] = mockD1Client.batch.mock.calls[0];
+      expect(statements[0].params).toContain('user-4');
+      expect(statements[1].sql).toContain('SET deleted_at = ?');
+      expect(statements[1].params).toContain('user-4');
+    });
+  });
+
+  describe('column types', () => {
+    let accounts;
+
+    beforeAll(() => {
+      schemaManager.registerModel('Account', {
+        tableName: 'accounts',
+        columns: {
+          id: { type: 'string', primaryKey: true },
+          email: { type: 'email', unique: true },
+          active: { type: 'boolean', default: true },
+          settings: { type: 'json' }
+        }
+      });
+    });
+
+    beforeEach(() => {
+      accounts = new GenericDataService(mockD1Client, 'Account', { cacheEnabled: false });
+    });
+
+    test('create should store serialized values and return JS values', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+      mockD1Client.run.mockResolvedValue({ success: true });
+
+      const record = await accounts.create({ email: 'ann@example.com', settings: { theme: 'dark' } });
+
+      expect(record).toMatchObject({ active: true, settings: { theme: 'dark' } });
+      const [sql, params] = mockD1Client.run.mock.calls[0];
+      expect(sql).toContain('INSERT INTO accounts');
+      expect(params).toEqual(expect.arrayContaining([1, '{"theme":"dark"}']));
+    });
+
+    test('reads should convert stored values back', async () => {
+      mockD1Client.all.mockResolvedValue([{ id: 'a1', active: 0, settings: '{"theme":"dark"}' }]);
+
+      const [account] = await accounts.find({ id: 'a1' });
+
+      expect(account).toEqual({ id: 'a1', active: false, settings: { theme: 'dark' } });
+    });
+
+    test('should reject values already used by another record', async () => {
+      mockD1Client.all.mockResolvedValue([{ id: 'other', email: 'ann@example.com' }]);
+
+      await expect(accounts.create({ email: 'ann@example.com' })).rejects.toMatchObject({
+        status: 409,
+        code: 'UNIQUE_VIOLATION'
+      });
+      expect(mockD1Client.all).toHaveBeenCalledWith('SELECT id, email FROM accounts WHERE email IN (?)', ['ann@example.com']);
+      expect(mockD1Client.run).not.toHaveBeenCalled();
+    });
+
+    test('should allow a record to keep its own unique value', async () => {
+      mockD1Client.all.mockResolvedValueOnce([{ id: 'a1', email: 'ann@example.com' }]).mockResolvedValue([{ id: 'a1' }]);
+      mockD1Client.run.mockResolvedValue({ success: true });
+
+      await expect(accounts.update('a1', { email: 'ann@example.com' })).resolves.toMatchObject({ id: 'a1' });
+    });
+
+    test('should reject duplicates within one batch', async () => {
+      await expect(accounts.createMany([{ email: 'x@example.com' }, { id: 'b', email: 'x@example.com' }]))
+        .rejects.toMatchObject({ code: 'UNIQUE_VIOLATION' });
+      expect(mockD1Client.batch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('eager loading', () => {
+    let posts;
+
+    beforeAll(() => {
+      schemaManager.registerModel('Author', {
+        tableName: 'authors',
+        columns: { id: { type: 'string', primaryKey: true }, name: { type: 'string' } },
+        relationships: {
+          profile: { model: 'Profile', type: 'hasOne', foreignKey: 'author_id' }
+        }
+      });
+      schemaManager.registerModel('Profile', {
+        tableName: 'profiles',
+        columns: { id: { type: 'string', primaryKey: true }, author_id: { type: 'string' }, bio: { type: 'string' } }
+      });
+      schemaManager.registerModel('Comment', {
+        tableName: 'comments',
+        columns: { id: { type: 'string', primaryKey: true }, post_id: { type: 'string' }, author_id: { type: 'string' } },
+        relationships: {
+          author: { model: 'Author', type: 'belongsTo', foreignKey: 'author_id' }
+        },
+        softDelete: true
+      });
+      schemaManager.registerModel('Tag', {
+        tableName: 'tags',
+        columns: { id: { type: 'string', primaryKey: true }, label: { type: 'string' } }
+      });
+      schemaManager.registerModel('PostTag', {
+        tableName: 'post_tags',
+        columns: { post_id: { type: 'string' }, tag_id: { type: 'string' } }
+      });
+      schemaManager.registerModel('Post', {
+        tableName: 'posts',
+        columns: { id: { type: 'string', primaryKey: true }, title: { type: 'string' }, author_id: { type: 'string' } },
+        relationships: {
+          author: { model: 'Author', type: 'belongsTo', foreignKey: 'author_id' },
+          comments: { model: 'Comment', type: 'hasMany', foreignKey: 'post_id' },
+          tags: { model: 'Tag', type: 'belongsToMany', through: 'PostTag', foreignKey: 'post_id', otherKey: 'tag_id' }
+        }
+      });
+    });
+
+    beforeEach(() => {
+      posts = new GenericDataService(mockD1Client, 'Post', { cacheEnabled: false });
+    });
+
+    test('should load belongsTo and hasMany relationships with one query each', async () => {
+      mockD1Client.all
+        .mockResolvedValueOnce([
+          { id: 'p1', author_id: 'a1' },
+          { id: 'p2', author_id: 'a1' },
+          { id: 'p3', author_id: null }
+        ])
+        .mockResolvedValueOnce([{ id: 'a1', name: 'Ada' }])
+        .mockResolvedValueOnce([
+          { id: 'c1', post_id: 'p1' },
+          { id: 'c2', post_id: 'p1' },
+          { id: 'c3', post_id: 'p2' }
+        ]);
+
+      const result = await posts.find({}, ['author', 'comments']);
+
+      expect(mockD1Client.all).toHaveBeenCalledTimes(3);
+      expect(mockD1Client.all).toHaveBeenNthCalledWith(2, 'SELECT * FROM authors WHERE id IN (?)', ['a1']);
+      expect(mockD1Client.all).toHaveBeenNthCalledWith(
+        3,
+        'SELECT * FROM comments WHERE post_id IN (?, ?, ?) AND deleted_at IS NULL',
+        ['p1', 'p2', 'p3']
+      );
+      expect(result[0].author).toEqual({ id: 'a1', name: 'Ada' });
+      expect(result[2].author).toBeNull();
+      expect(result[0].comments.map(c => c.id)).toEqual(['c1', 'c2']);
+      expect(result[2].comments).toEqual([]);
+    });
+
+    test('should load nested paths and many-to-many relationships level by level', async () => {
+      mockD1Client.all
+        .mockResolvedValueOnce([{ id: 'p1', author_id: 'a1' }, { id: 'p2', author_id: 'a2' }])
+        .mockResolvedValueOnce([{ id: 'a1' }, { id: 'a2' }])
+        .mockResolvedValueOnce([{ id: 'pr1', author_id: 'a2', bio: 'hi' }])
+        .mockResolvedValueOnce([
+          { id: 't1', label: 'js', __parent_key: 'p1' },
+          { id: 't1', label: 'js', __parent_key: 'p2' },
+          { id: 't2', label: 'sql', __parent_key: 'p2' }
+        ]);
+
+      const result = await posts.find({}, 'author.profile,tags');
+
+      expect(mockD1Client.all).toHaveBeenCalledTimes(4);
+      expect(mockD1Client.all).toHaveBeenNthCalledWith(3, 'SELECT * FROM profiles WHERE author_id IN (?, ?)', ['a1', 'a2']);
+      expect(mockD1Client.all.mock.calls[3][0]).toBe(
+        'SELECT t.*, j.post_id AS __parent_key FROM tags t INNER JOIN post_tags j ON j.tag_id = t.id WHERE j.post_id IN (?, ?)'
+      );
+      expect(result[0].author.profile).toBeNull();
+      expect(result[1].author.profile).toMatchObject({ bio: 'hi' });
+      expect(result[0].tags).toEqual([{ id: 't1', label: 'js' }]);
+      expect(result[1].tags.map(t => t.label)).toEqual(['js', 'sql']);
+    });
+
+    test('should split large key sets into chunks of 100', async () => {
+      const rows = Array.from({ length: 150 }, (_, i) => ({ id: `p${i}`, author_id: null }));
+      mockD1Client.all.mockResolvedValueOnce(rows).mockResolvedValue([]);
+      mockD1Client.first.mockResolvedValue({ total: 150 });
+
+      await posts.findAll({ limit: 150, include: ['comments'] });
+
+      expect(mockD1Client.all).toHaveBeenCalledTimes(3);
+      expect(mockD1Client.all.mock.calls[1][1]).toHaveLength(100);
+      expect(mockD1Client.all.mock.calls[2][1]).toHaveLength(50);
+    });
+
+    test('should add relationship keys to selected fields', async () => {
+      mockD1Client.all.mockResolvedValueOnce([{ title: 'x', author_id: 'a1' }]).mockResolvedValueOnce([]);
+
+      await posts.find({}, ['author'], ['title']);
+
+      expect(mockD1Client.all.mock.calls[0][0]).toMatch(/^SELECT title, author_id FROM posts/);
+    });
+
+    test('should reject undeclared or too deeply nested relationships', async () => {
+      await expect(posts.find({}, ['secrets'])).rejects.toThrow(FilterError);
+      await expect(posts.find({}, ['comments.author.profile.author'])).rejects.toThrow(/deeper than 3/);
+      await expect(posts.loadRelations([{ id: 'p1' }], 'author.password')).rejects.toThrow("Unknown relationship 'password' for model 'Author'");
+      expect(mockD1Client.all).not.toHaveBeenCalled();
+    });
+  });
+
   describe('delete', () => {
     test('should delete record successfully', async () => {
       mockD1Client.run.mockResolvedValue({ success: true });
@@ -443,6 +1144,30 @@ describe('GenericDataService', () => {
     });
   });
 
+  describe('find with operators', () => {
+    test('should pass operator filters through generateSQL', async () => {
+      mockD1Client.all.mockResolvedValue([]);
+
+      await service.find({ age: { between: [20, 30] }, status: { in: ['a', 'b'] } });
+
+      expect(mockD1Client.all).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE age BETWEEN ? AND ? AND status IN (?, ?)'),
+        [20, 30, 'a', 'b']
+      );
+    });
+
+    test('should count with operator filters', async () => {
+      mockD1Client.first.mockResolvedValue({ count: 3 });
+
+      await service.count({ age: { ne: 40 } });
+
+      expect(mockD1Client.first).toHaveBeenCalledWith(
+        'SELECT COUNT(*) as count FROM test_users WHERE age != ?',
+        [40]
+      );
+    });
+  });
+
   describe('exists', () => {
     test('should return true for existing record', async () => {
       const mockRecord = { id: 'test-id', name: 'Test User' };
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, jest } from '@jest/globals';
+import { GenericDataService } from '../../src/services/GenericDataService.js';
+import { OutboxRelay, generateOutboxSQL, resolveOutbox } from '../../src/services/Outbox.js';
+import { schemaManager } from '../../src/schema/SchemaManager.js';
+import { MemoryD1Database, createD1Client } from '../../src/testing/bindings/d1.js';
+import { MemoryQueue } from '../../src/testing/bindings/queues.js';
+import { createExecutionContext } from '../../src/testing/testEnv.js';
+import { QueueConsumer } from '../../src/utilities/queues/consumer.js';
+
+const setup = () => {
+  const d1Client = createD1Client(new MemoryD1Database({
+    models: ['outbox_orders'],
+    migrations: generateOutboxSQL()
+  }));
+  return { d1Client, orders: new GenericDataService(d1Client, 'outbox_orders'), queue: new MemoryQueue('order-events') };
+};
+
+const pending = (d1Client) => d1Client.all("SELECT * FROM outbox WHERE status = 'pending' ORDER BY rowid", []);
+
+describe('Transactional outbox', () => {
+  beforeAll(() => {
+    schemaManager.registerModel('outbox_orders', {
+      tableName: 'outbox_orders',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        total: { type: 'integer', required: true }
+      },
+      version: true,
+      outbox: true
+    });
+  });
+
+  it('writes an event row in the same batch as each mutation', async () => {
+    const { d1Client, orders } = setup();
+
+    const order = await orders.create({ total: 40 }, { actor: 'u1' });
+    await orders.update(order.id, { total: 55, version: 1 });
+    await orders.delete(order.id);
+
+    const rows = await pending(d1Client);
+    expect(rows.map(row => row.event_type)).toEqual(['outbox_orders.created', 'outbox_orders.updated', 'outbox_orders.deleted']);
+    expect(rows[0]).toMatchObject({ model: 'outbox_orders', operation: 'create', record_id: order.id, actor: 'u1', attempts: 0 });
+    expect(JSON.parse(rows[1].payload)).toEqual({ id: order.id, total: 55, version: 2 });
+  });
+
+  it('emits nothing for writes that change no row or roll back', async () => {
+    const { d1Client, orders } = setup();
+    const order = await orders.create({ total: 40 });
+
+    await expect(orders.update(order.id, { total: 1, version: 7 })).rejects.toMatchObject({ code: 'VERSION_CONFLICT' });
+    await expect(orders.transaction((tx) => {
+      tx.create({ total: 10 });
+      tx.execute('INSERT INTO missing_table VALUES (1)');
+    })).rejects.toThrow();
+    expect(await orders.deleteMany([order.id, 'nope'])).toBe(1);
+
+    expect((await pending(d1Client)).map(row => row.operation)).toEqual(['create', 'delete']);
+  });
+
+  it('relays pending rows to the queue in order and marks them dispatched', async () => {
+    const { d1Client, orders, queue } = setup();
+    const [first] = await orders.createMany([{ total: 1 }, { total: 2 }]);
+    const relay = new OutboxRelay(d1Client, queue);
+
+    expect(await relay.relay()).toEqual({ dispatched: 2, failed: 0 });
+    expect(await relay.relay()).toEqual({ dispatched: 0, failed: 0 });
+    expect(queue.sent.map(message => message.body.data.total)).toEqual([1, 2]);
+    expect(queue.sent[0].body).toMatchObject({
+      type: 'outbox_orders.created',
+      operation: 'create',
+      recordId: first.id,
+      _meta: { id: expect.any(String) }
+    });
+
+    // Re-sent events keep their outbox id, so deduplicating consumers handle them once
+    const handler = jest.fn(async () => {});
+    await new QueueConsumer(queue.drain(), {}).process(handler, { dedupe: true });
+    await queue.sendBatch(queue.sent.slice(0, 1));
+    await new QueueConsumer(queue.drain(), {}).process(handler, { dedupe: true });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps rows pending after a failed send and gives up after maxAttempts', async () => {
+    const { d1Client, orders } = setup();
+    await orders.create({ total: 5 });
+    const broken = { sendBatch: async () => { throw new Error('queue unavailable'); } };
+    const relay = new OutboxRelay(d1Client, broken, { maxAttempts: 2 });
+
+    expect(await relay.relay()).toEqual({ dispatched: 0, failed: 1 });
+    expect((await pending(d1Client))[0]).toMatchObject({ attempts: 1, last_error: 'queue unavailable' });
+
+    const ctx = createExecutionContext();
+    relay.dispatch(ctx);
+    await ctx.flush();
+    expect(await pending(d1Client)).toEqual([]);
+    expect(await d1Client.first('SELECT status FROM outbox', [])).toEqual({ status: 'failed' });
+  });
+
+  it('holds back only the rows a rejected batch fails for', async () => {
+    const { d1Client, orders, queue } = setup();
+    await orders.createMany([{ total: 1 }, { total: 13 }, { total: 3 }]);
+    const picky = {
+      sendBatch: jest.fn(async (messages) => {
+        if (messages.some(({ body }) => body.data.total === 13)) throw new Error('message rejected');
+        await queue.sendBatch(messages);
+      })
+    };
+    const relay = new OutboxRelay(d1Client, picky);
+
+    expect(await relay.relay()).toEqual({ dispatched: 2, failed: 1 });
+    expect(queue.sent.map(message => message.body.data.total)).toEqual([1, 3]);
+    expect((await pending(d1Client)).map(row => [JSON.parse(row.payload).total, row.attempts, row.last_error]))
+      .toEqual([[13, 1, 'message rejected']]);
+  });
+
+  it('splits sends at the batch byte limit', async () => {
+    const probe = setup();
+    await probe.orders.create({ total: 1 });
+    await new OutboxRelay(probe.d1Client, probe.queue).relay();
+    const size = new TextEncoder().encode(JSON.stringify(probe.queue.sent[0].body)).length;
+
+    const { d1Client, orders, queue } = setup();
+    await orders.createMany([{ total: 1 }, { total: 2 }, { total: 3 }]);
+    const sendBatch = jest.spyOn(queue, 'sendBatch');
+    const relay = new OutboxRelay(d1Client, queue, { maxBatchBytes: size * 2 });
+
+    expect(await relay.relay()).toEqual({ dispatched: 3, failed: 0 });
+    expect(sendBatch.mock.calls.map(([messages]) => messages.length)).toEqual([2, 1]);
+  });
+
+  it('resolves event names from the outbox option', () => {
+    expect(resolveOutbox('orders', false)).toBeNull();
+    expect(resolveOutbox('orders', { table: 'events', events: ['create'] }))
+      .toEqual({ table: 'events', events: { create: 'orders.created' } });
+    expect(resolveOutbox('orders', { events: { delete: 'order.cancelled' } }).events).toEqual({ delete: 'order.cancelled' });
+    expect(() => resolveOutbox('orders', { events: ['archive'] })).toThrow(/Unknown outbox operation 'archive'/);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, jest, beforeAll, afterEach } from '@jest/globals';
+import { createTestEnv, createExecutionContext } from '../../src/testing/testEnv.js';
+import { createD1Client, createMessageBatch } from '../../src/testing/bindings/index.js';
+import { GenericDataService } from '../../src/services/GenericDataService.js';
+import { schemaManager } from '../../src/schema/SchemaManager.js';
+import { KVStorage } from '../../src/utilities/kv/storage.js';
+import { R2Storage, serveFile } from '../../src/utilities/storage/r2.js';
+import { QueueConsumer } from '../../src/utilities/queues/consumer.js';
+import { Counter } from '../../src/utilities/durable-objects/counter.js';
+import { DurableObjectBase } from '../../src/utilities/durable-objects/base.js';
+import { AIClient, Models } from '../../src/utilities/ai/client.js';
+
+describe('MemoryD1Database', () => {
+  beforeAll(() => {
+    schemaManager.registerModel('testing_tasks', {
+      tableName: 'testing_tasks',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        title: { type: 'text', required: true },
+        done: { type: 'boolean' },
+        created_at: { type: 'datetime' },
+        updated_at: { type: 'datetime' }
+      }
+    });
+  });
+
+  it('runs GenericDataService against SQLite', async () => {
+    const env = createTestEnv({ d1: { DB: { models: ['testing_tasks'] } } });
+    const service = new GenericDataService(createD1Client(env.DB), 'testing_tasks');
+
+    const created = await service.create({ title: 'Write tests', done: false });
+    await service.update(created.id, { done: true });
+
+    expect(await service.findById(created.id)).toMatchObject({ title: 'Write tests', done: true });
+    expect(await env.DB.prepare('SELECT count(*) AS n FROM testing_tasks').first('n')).toBe(1);
+  });
+
+  it('reports changes and rolls back failed batches', async () => {
+    const { DB } = createTestEnv({
+      d1: { DB: { migrations: 'CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT UNIQUE);' } }
+    });
+
+    const insert = DB.prepare('INSERT INTO tags (name) VALUES (?)');
+    const { meta } = await insert.bind('a').run();
+    expect(meta).toMatchObject({ changes: 1, last_row_id: 1 });
+
+    await expect(DB.batch([insert.bind('b'), insert.bind('a')])).rejects.toThrow(/D1_ERROR: UNIQUE constraint failed/);
+    expect(await DB.prepare('SELECT name FROM tags').raw()).toEqual([['a']]);
+    expect(() => insert.bind(undefined)).toThrow(/D1_TYPE_ERROR/);
+  });
+});
+
+describe('MemoryKVNamespace', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('expires entries and pages through keys with cursors', async () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T12:00:00Z') });
+    const kv = new KVStorage(createTestEnv({ kv: 'CACHE' }).CACHE);
+
+    await kv.set('user:1', { name: 'Ada' }, { expirationTtl: 60, metadata: { role: 'admin' } });
+    await kv.set('user:2', { name: 'Grace' });
+    await kv.set('user:3', 'plain');
+
+    expect(await kv.getWithMetadata('user:1')).toMatchObject({ value: { name: 'Ada' }, metadata: { role: 'admin' } });
+
+    const page = await kv.list({ prefix: 'user:', limit: 2 });
+    expect(page.keys.map(key => key.name)).toEqual(['user:1', 'user:2']);
+    expect(page.list_complete).toBe(false);
+    expect((await kv.list({ prefix: 'user:', cursor: page.cursor })).keys).toEqual([{ name: 'user:3' }]);
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(await kv.exists('user:1')).toBe(false);
+    await expect(kv.set('short', 'x', { expirationTtl: 10 })).rejects.toThrow(/at least 60/);
+  });
+});
+
+describe('MemoryR2Bucket', () => {
+  it('stores metadata and serves ranged reads', async () => {
+    const storage = new R2Storage(createTestEnv({ r2: 'FILES' }).FILES);
+    await storage.upload('docs/a.txt', 'abcdefghij', { contentType: 'text/plain', metadata: { owner: 'u1' } });
+    await storage.upload('docs/nested/b.txt', 'b');
+
+    const head = await storage.head('docs/a.txt');
+    expect(head).toMatchObject({ size: 10, httpMetadata: { contentType: 'text/plain' }, customMetadata: { owner: 'u1' } });
+    expect(head.httpEtag).toBe(`"${head.etag}"`);
+
+    const response = await serveFile(storage, 'docs/a.txt', new Request('https://example.com/a.txt', {
+      headers: { Range: 'bytes=2-4' }
+    }));
+    expect(response.status).toBe(206);
+    expect(await response.text()).toBe('cde');
+
+    const listing = await storage.list('docs/', { delimiter: '/' });
+    expect(listing.objects.map(object => object.key)).toEqual(['docs/a.txt']);
+    expect(listing.delimitedPrefixes).toEqual(['docs/nested/']);
+
+    const unchanged = await storage.get('docs/a.txt', { onlyIf: { etagDoesNotMatch: head.etag } });
+    expect(unchanged.body).toBeUndefined();
+  });
+});
+
+describe('MemoryQueue', () => {
+  it('captures sends and redelivers retried messages to a consumer', async () => {
+    const env = createTestEnv({ queues: { JOBS: 'jobs', DLQ: 'jobs-dlq' } });
+    await env.JOBS.send({ type: 'ok' });
+    await env.JOBS.sendBatch([{ body: { type: 'fail' } }]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const handler = async (body) => {
+      if (body.type === 'fail') throw new Error('boom');
+    };
+    const first = env.JOBS.drain();
+    await new QueueConsumer(first, env).process(handler, { maxRetries: 2, deadLetterQueue: env.DLQ });
+    expect(first.queue).toBe('jobs');
+    expect(first.messages.map(message => message.outcome)).toEqual(['ack', 'retry']);
+
+    const second = env.JOBS.drain();
+    expect(second.messages).toHaveLength(1);
+    expect(second.messages[0].attempts).toBe(2);
+    await new QueueConsumer(second, env).process(handler, { maxRetries: 2, deadLetterQueue: env.DLQ });
+
+    expect(env.DLQ.sent.map(message => message.body)).toEqual([expect.objectContaining({ originalMessage: { type: 'fail' } })]);
+    expect(createMessageBatch([1, 2]).messages.map(message => message.body)).toEqual([1, 2]);
+    console.error.mockRestore();
+  });
+});
+
+describe('MemoryDurableObjectNamespace', () => {
+  class Reminder extends DurableObjectBase {
+    async schedule(ms) {
+      await this.setAlarm(ms);
+    }
+
+    async alarm() {
+      await this.setState('fired', (await this.getState('fired', 0)) + 1);
+    }
+
+    async fired() {
+      return this.getState('fired', 0);
+    }
+  }
+
+  it('keeps one instance per id and serves fetch and RPC calls', async () => {
+    const env = createTestEnv({ durableObjects: { COUNTER: Counter } });
+    const id = env.COUNTER.idFromName('views');
+    const counter = env.COUNTER.get(id);
+
+    await counter.fetch('https://counter/increment', { method: 'POST' });
+    await env.COUNTER.get(env.COUNTER.idFromName('views')).fetch('https://counter/increment?amount=2');
+    const other = await env.COUNTER.get(env.COUNTER.idFromName('other')).fetch('https://counter/value');
+
+    expect(await (await counter.fetch('https://counter/value')).json()).toEqual({ value: 3 });
+    expect(await other.json()).toEqual({ value: 0 });
+    expect(env.COUNTER.idFromString(id.toString()).equals(id)).toBe(true);
+    expect(await counter.getState('value')).toBe(3);
+  });
+
+  it('delivers alarms only once they are due', async () => {
+    const env = createTestEnv({ durableObjects: { REMINDERS: Reminder } });
+    const reminder = env.REMINDERS.get(env.REMINDERS.newUniqueId());
+
+    await reminder.schedule(60000);
+    expect(await env.REMINDERS.runAlarms()).toBe(0);
+    expect(await env.REMINDERS.runAlarms({ force: true })).toBe(1);
+    expect(await reminder.fired()).toBe(1);
+    expect(await reminder.getAlarm()).toBeNull();
+  });
+});
+
+describe('MemoryAI', () => {
+  it('answers from scripted responses and records calls', async () => {
+    const { AI } = createTestEnv({ ai: { AI: { responses: { [Models.CHAT]: { response: 'Hello!' } } } } });
+    AI.respondOnce(Models.CHAT, { response: 'First' });
+    const client = new AIClient(AI);
+
+    expect(await client.chat([{ role: 'user', content: 'Hi' }])).toBe('First');
+    expect(await client.chat([{ role: 'user', content: 'Again' }])).toBe('Hello!');
+    expect(AI.calls[1].inputs.messages[0].content).toBe('Again');
+    await expect(client.embed('text')).rejects.toThrow(/No scripted AI response/);
+  });
+});
+
+describe('createExecutionContext', () => {
+  it('waits for waitUntil work, including work it schedules', async () => {
+    const ctx = createExecutionContext();
+    const done = [];
+    ctx.waitUntil(Promise.resolve().then(() => {
+      done.push('first');
+      ctx.waitUntil(Promise.resolve().then(() => done.push('second')));
+    }));
+
+    expect(await ctx.flush()).toHaveLength(2);
+    expect(done).toEqual(['first', 'second']);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { createTestClient } from '../../src/testing/testClient.js';
+import { createTestEnv } from '../../src/testing/testEnv.js';
+import { createD1Client } from '../../src/testing/bindings/d1.js';
+import { EnhancedRouter } from '../../src/routing/EnhancedRouter.js';
+import { schemaManager } from '../../src/schema/SchemaManager.js';
+import { NotFoundError } from '../../src/errors/httpErrors.js';
+
+describe('createTestClient', () => {
+  it('dispatches into the router with env, query and JSON bodies', async () => {
+    const router = new EnhancedRouter(null);
+    router.post('/echo', async (c) => c.json({
+      body: await c.req.json(),
+      page: c.req.query('page'),
+      region: c.env.REGION
+    }, 201));
+    router.get('/missing', () => {
+      throw new NotFoundError('Nothing here');
+    });
+
+    const client = createTestClient(router, { env: { REGION: 'eu' } });
+
+    const response = await client.post('/echo', { name: 'Ada' }, { query: { page: '2' } });
+    response
+      .expectStatus(201)
+      .expectHeader('Content-Type', /json/)
+      .expectJson({ body: { name: 'Ada' }, page: '2', region: 'eu' });
+
+    (await client.get('/missing')).expectProblem(404, 'NOT_FOUND');
+  });
+
+  it('throws descriptive assertion errors', async () => {
+    const router = new EnhancedRouter(null);
+    router.get('/ok', () => new Response('fine'));
+    const response = await createTestClient(router).get('/ok');
+
+    expect(() => response.expectStatus(500)).toThrow('GET /ok: expected status 500, got 200: fine');
+    expect(() => response.expectHeader('ETag')).toThrow(/expected header ETag to be present, got none/);
+    expect(() => response.expectBody(/fine/).expectHeader('ETag', null)).not.toThrow();
+  });
+
+  it('drives the auto-CRUD routes over an in-memory D1', async () => {
+    schemaManager.registerModel('testing_notes', {
+      tableName: 'testing_notes',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        title: { type: 'text', required: true },
+        created_at: { type: 'datetime' },
+        updated_at: { type: 'datetime' }
+      }
+    });
+    const env = createTestEnv({ d1: { DB: { models: ['testing_notes'] } } });
+    const router = new EnhancedRouter(createD1Client(env.DB), {
+      authenticate: (request) => (request.headers.get('Authorization') === 'Bearer token' ? { id: 'tester' } : null)
+    });
+    const client = createTestClient(router, {
+      env,
+      headers: { Authorization: 'Bearer token' }
+    });
+
+    const created = (await client.post('/api/testing_notes', { title: 'First' }))
+      .expectStatus(201)
+      .expectJsonMatch({ success: true, data: { title: 'First' } });
+
+    (await client.get(`/api/testing_notes/${created.json.data.id}`))
+      .expectStatus(200)
+      .expectHeader('ETag')
+      .expectJsonMatch({ data: { id: created.json.data.id, title: 'First' } });
+  });
+});
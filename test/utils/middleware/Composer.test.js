@@ -1,5 +1,6 @@
 import { describe, it, expect } from '@jest/globals';
 import { MiddlewareComposer } from '../../../src/middleware/Composer.js';
+import { RequestContext } from '../../../src/routing/RequestContext.js';
 
 describe('MiddlewareComposer', () => {
   it('executes middleware in order and calls handler', async () => {
@@ -27,3 +28,177 @@ describe('MiddlewareComposer', () => {
     expect(res.status).toBe(403);
   });
 });
+
+describe('MiddlewareComposer onion middleware', () => {
+  it('runs functions around the handler in onion order', async () => {
+    const events = [];
+    const outer = async (c, next) => { events.push('outer:in'); await next(); events.push('outer:out'); };
+    const inner = async (c, next) => { events.push('inner:in'); const res = await next(); events.push('inner:out'); return res; };
+
+    const chain = MiddlewareComposer.compose(outer, inner);
+    const res = await chain.execute(new Request('https://example.com/'), async () => {
+      events.push('handler');
+      return new Response('ok');
+    });
+
+    expect(await res.text()).toBe('ok');
+    expect(events).toEqual(['outer:in', 'inner:in', 'handler', 'inner:out', 'outer:out']);
+  });
+
+  it('shares one RequestContext between middleware and the handler', async () => {
+    const auth = async (c, next) => { c.set('user', { id: 'u1' }); return next(); };
+    const legacy = { preprocess: (request, c) => { c.set('seen', request.url); return null; } };
+
+    const chain = MiddlewareComposer.compose(auth, legacy);
+    const c = new RequestContext(new Request('https://example.com/me'), {}, {});
+    const res = await chain.execute(c, (ctx) => ctx.json({ user: ctx.get('user'), seen: ctx.get('seen') }));
+
+    expect(await res.json()).toEqual({ user: { id: 'u1' }, seen: 'https://example.com/me' });
+  });
+
+  it('lets a function replace the downstream response', async () => {
+    const stamp = async (c, next) => {
+      const res = await next();
+      return new Response(res.body, { status: 201, headers: { 'X-Stamp': '1' } });
+    };
+
+    const res = await MiddlewareComposer.compose(stamp).execute(new Request('https://example.com/'), async () => new Response('ok'));
+    expect(res.status).toBe(201);
+    expect(res.headers.get('X-Stamp')).toBe('1');
+  });
+
+  it('runs lifecycle postprocess in reverse order with the request', async () => {
+    const events = [];
+    const m = (name) => ({
+      preprocess: () => { events.push(`${name}:pre`); return null; },
+      postprocess: (res, request) => { events.push(`${name}:post:${new URL(request.url).pathname}`); return res; }
+    });
+
+    await MiddlewareComposer.compose(m('a'), m('b')).execute(new Request('https://example.com/x'), async () => new Response('ok'));
+    expect(events).toEqual(['a:pre', 'b:pre', 'b:post:/x', 'a:post:/x']);
+  });
+
+  it('handles downstream errors with a lifecycle onError hook', async () => {
+    const guard = { onError: (error, c) => c.json({ error: error.message }, 500) };
+
+    const res = await MiddlewareComposer.compose(guard).execute(new Request('https://example.com/'), async () => {
+      throw new Error('boom');
+    });
+    expect(res.status).toBe(500);
+    expect(await res.json()).toEqual({ error: 'boom' });
+  });
+
+  it('rethrows when onError returns no Response', async () => {
+    const guard = { onError: () => null };
+    const chain = MiddlewareComposer.compose(guard);
+
+    await expect(chain.execute(new Request('https://example.com/'), async () => { throw new Error('boom'); }))
+      .rejects.toThrow('boom');
+  });
+
+  it('rejects middleware that neither calls next nor returns a Response', async () => {
+    const chain = MiddlewareComposer.compose(async () => {});
+    await expect(chain.execute(new Request('https://example.com/'), async () => new Response('ok')))
+      .rejects.toThrow('Middleware must return a Response or call next()');
+  });
+
+  it('rejects calling next more than once', async () => {
+    const chain = MiddlewareComposer.compose(async (c, next) => { await next(); return next(); });
+    await expect(chain.execute(new Request('https://example.com/'), async () => new Response('ok')))
+      .rejects.toThrow('next() called multiple times');
+  });
+
+  it('nests composed chains as middleware', async () => {
+    const events = [];
+    const inner = MiddlewareComposer.compose(async (c, next) => { events.push('inner'); return next(); });
+    const outer = MiddlewareComposer.compose(async (c, next) => { events.push('outer'); return next(); }, inner);
+
+    const res = await outer.execute(new Request('https://example.com/'), async () => new Response('ok'));
+    expect(res.status).toBe(200);
+    expect(events).toEqual(['outer', 'inner']);
+  });
+
+  it('runs around hooks outside the middleware\'s own phases and the rest of the chain', async () => {
+    const events = [];
+    const timing = {
+      around: async (c, next) => {
+        events.push('around:start');
+        const response = await next();
+        events.push('around:end');
+        return response;
+      },
+      preprocess: async () => { events.push('preprocess'); },
+      postprocess: async (response) => { events.push('postprocess'); return response; }
+    };
+    const inner = async (c, next) => { events.push('inner'); return next(); };
+
+    await MiddlewareComposer.compose(timing, inner).execute(new Request('https://example.com/'), async () => {
+      events.push('handler');
+      return new Response('ok');
+    });
+
+    expect(events).toEqual(['around:start', 'preprocess', 'inner', 'handler', 'postprocess', 'around:end']);
+  });
+
+  it('lets around hooks catch failures from preprocess and postprocess hooks', async () => {
+    const catcher = {
+      around: async (c, next) => {
+        try {
+          return await next();
+        } catch (error) {
+          return new Response(error.message, { status: 502 });
+        }
+      }
+    };
+    const failingPost = { postprocess: async () => { throw new Error('postprocess failed'); } };
+
+    const res = await MiddlewareComposer.compose(catcher, failingPost)
+      .execute(new Request('https://example.com/'), async () => new Response('ok'));
+
+    expect(res.status).toBe(502);
+    expect(await res.text()).toBe('postprocess failed');
+  });
+
+  it('supports wrapHandler objects', async () => {
+    const wrapper = {
+      wrapHandler: (handler) => async (request, env) => {
+        try {
+          return await handler(request, env);
+        } catch (error) {
+          return new Response(`${env.NAME}: ${error.message}`, { status: 500 });
+        }
+      }
+    };
+
+    const res = await MiddlewareComposer.compose(wrapper).execute(
+      new Request('https://example.com/'),
+      async () => { throw new Error('boom'); },
+      { NAME: 'api' }
+    );
+
+    expect(res.status).toBe(500);
+    expect(await res.text()).toBe('api: boom');
+  });
+
+  it('supports the baseline wrapHandler(request, handler) shape', async () => {
+    const seen = [];
+    const errorHandler = {
+      async wrapHandler(request, handler) {
+        try {
+          return await handler(request);
+        } catch (error) {
+          seen.push(request.url);
+          return new Response(error.message, { status: 500 });
+        }
+      }
+    };
+    const guard = { validate: async () => { throw new Error('invalid'); } };
+
+    const res = await MiddlewareComposer.compose(errorHandler, guard)
+      .execute(new Request('https://example.com/orders'), async () => new Response('ok'));
+
+    expect(res.status).toBe(500);
+    expect(await res.text()).toBe('invalid');
+    expect(seen).toEqual(['https://example.com/orders']);
+  });
+});
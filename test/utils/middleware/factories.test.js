@@ -0,0 +1,192 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  createCorsMiddleware,
+  createErrorHandler,
+  createRateLimitGuard,
+  createLogger,
+  createBearerAuth,
+  createApiKeyAuth,
+  createJwtAuth,
+  requireScopes,
+  requireRoles,
+  composeMiddleware
+} from '../../../src/middleware/factories.js';
+import { RequestContext } from '../../../src/routing/RequestContext.js';
+
+const context = (path = '/', init = {}) => new RequestContext(new Request(`https://example.com${path}`, init), {}, {});
+const ok = () => new Response('ok');
+
+const encodeJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+async function hs256(claims, secret = 'shh') {
+  const body = `${encodeJson({ alg: 'HS256', typ: 'JWT' })}.${encodeJson(claims)}`;
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return `${body}.${Buffer.from(signature).toString('base64url')}`;
+}
+
+describe('middleware factories', () => {
+  it('createCorsMiddleware answers preflights and decorates responses', async () => {
+    const cors = createCorsMiddleware({ origins: ['https://app.test'], credentials: true });
+
+    const preflight = await cors(context('/', { method: 'OPTIONS', headers: { Origin: 'https://app.test' } }), ok);
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('Access-Control-Allow-Origin')).toBe('https://app.test');
+
+    const res = await cors(context('/', { headers: { Origin: 'https://app.test' } }), async () => ok());
+    expect(res.headers.get('Access-Control-Allow-Origin')).toBe('https://app.test');
+    expect(res.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+  });
+
+  it('createErrorHandler converts downstream errors and passes the context to onError', async () => {
+    const quiet = createErrorHandler({ logErrors: false });
+    const error = Object.assign(new Error('Nope'), { status: 404 });
+    const res = await quiet(context(), async () => { throw error; });
+    expect(res.status).toBe(404);
+    expect(res.headers.get('Content-Type')).toBe('application/problem+json');
+    expect(await res.json()).toMatchObject({ title: 'Not Found', status: 404, detail: 'Nope' });
+
+    const onError = jest.fn((err, c) => c.json({ custom: err.message }, 418));
+    const custom = await createErrorHandler({ logErrors: false, onError })(context(), async () => { throw error; });
+    expect(custom.status).toBe(418);
+    expect(onError.mock.calls[0][1]).toBeInstanceOf(RequestContext);
+  });
+
+  it('createRateLimitGuard stores the window on the context and blocks over the limit', async () => {
+    const guard = createRateLimitGuard({ maxRequests: 1, keyFn: (c) => c.req.header('X-Client') });
+    const c = context('/', { headers: { 'X-Client': 'a' } });
+
+    const first = await guard(c, async () => ok());
+    expect(c.get('rateLimit')).toEqual(expect.objectContaining({ limit: 1, remaining: 0 }));
+    expect(first.headers.get('X-RateLimit-Remaining')).toBe('0');
+
+    const second = await guard(context('/', { headers: { 'X-Client': 'a' } }), async () => ok());
+    expect(second.status).toBe(429);
+    expect(second.headers.get('Retry-After')).toBeTruthy();
+  });
+
+  it('createLogger logs the request and the response latency', async () => {
+    const logger = { info: jest.fn(), debug: jest.fn() };
+    await createLogger({ prefix: 'api', logger })(context('/items?page=2'), async () => ok());
+
+    expect(logger.info).toHaveBeenCalledWith('[api] → GET /items?page=2');
+    expect(logger.info.mock.calls[1][0]).toMatch(/^\[api\] ← 200 \(\d+ms\)$/);
+  });
+
+  it('createBearerAuth hands the validated user to the handler', async () => {
+    const auth = createBearerAuth({ token: async (token) => (token === 'good' ? { id: 'u1' } : false) });
+
+    const missing = await auth(context(), async () => ok());
+    expect(missing.status).toBe(401);
+
+    const invalid = await auth(context('/', { headers: { Authorization: 'Bearer bad' } }), async () => ok());
+    expect(invalid.status).toBe(403);
+
+    const c = context('/', { headers: { Authorization: 'Bearer good' } });
+    const res = await composeMiddleware(auth).execute(c, (ctx) => ctx.json({ user: ctx.get('user'), token: ctx.get('token') }));
+    expect(await res.json()).toEqual({ user: { id: 'u1' }, token: 'good' });
+  });
+
+  it('createApiKeyAuth accepts header or query keys', async () => {
+    const auth = createApiKeyAuth({ keys: ['k1'], queryParam: 'api_key' });
+
+    const c = context('/?api_key=k1');
+    const res = await auth(c, async () => ok());
+    expect(res.status).toBe(200);
+    expect(c.get('apiKey')).toBe('k1');
+
+    const denied = await auth(context('/', { headers: { 'X-API-Key': 'nope' } }), async () => ok());
+    expect(denied.status).toBe(403);
+  });
+
+  it('composeMiddleware returns a chain usable directly or as middleware', async () => {
+    const composed = composeMiddleware(createErrorHandler({ logErrors: false }), createCorsMiddleware());
+
+    expect(typeof composed).toBe('function');
+    const res = await composed.execute(new Request('https://example.com/'), async () => { throw new Error('fail'); });
+    expect(res.status).toBe(500);
+  });
+
+  it('createJwtAuth stores verified claims on the context', async () => {
+    const auth = createJwtAuth({ secret: 'shh', audience: 'api' });
+    const token = await hs256({ sub: 'u1', aud: 'api', exp: Math.floor(Date.now() / 1000) + 60 });
+
+    const c = context('/', { headers: { Authorization: `Bearer ${token}` } });
+    const res = await composeMiddleware(auth).execute(c, (ctx) => ctx.json({ sub: ctx.get('user').sub }));
+    expect(await res.json()).toEqual({ sub: 'u1' });
+    expect(c.get('jwt')).toEqual(expect.objectContaining({ aud: 'api' }));
+  });
+
+  it('createJwtAuth answers 401 with the failure code', async () => {
+    const auth = createJwtAuth({ secret: 'shh' });
+
+    const missing = await auth(context(), async () => ok());
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('WWW-Authenticate')).toBe('Bearer realm="API"');
+
+    const expired = await auth(context('/', {
+      headers: { Authorization: `Bearer ${await hs256({ exp: Math.floor(Date.now() / 1000) - 3600 })}` }
+    }), async () => ok());
+    expect(expired.status).toBe(401);
+    expect(await expired.json()).toEqual({ error: 'Token has expired', code: 'TOKEN_EXPIRED' });
+    expect(expired.headers.get('WWW-Authenticate')).toContain('error="invalid_token"');
+
+    const optional = await createJwtAuth({ secret: 'shh', optional: true })(context(), async () => ok());
+    expect(optional.status).toBe(200);
+  });
+
+  it('requireScopes and requireRoles guard on the verified claims', async () => {
+    const run = async (claims, guard) => {
+      const c = context();
+      if (claims) c.set('jwt', claims);
+      return guard(c, async () => ok());
+    };
+
+    expect((await run(null, requireScopes('posts:write'))).status).toBe(401);
+    expect((await run({ scope: 'posts:read posts:write' }, requireScopes('posts:write', 'posts:read'))).status).toBe(200);
+    expect((await run({ scp: ['posts:read'] }, requireScopes('posts:write'))).status).toBe(403);
+    expect((await run({ roles: ['editor'] }, requireRoles('admin', 'editor'))).status).toBe(200);
+    expect((await run({ role: 'viewer' }, requireRoles('admin'))).status).toBe(403);
+  });
+
+  it('createRateLimitGuard sends draft and legacy headers and honors per-key limits', async () => {
+    const guard = createRateLimitGuard({
+      algorithm: 'fixed-window',
+      maxRequests: (c, key) => (key === 'premium' ? 5 : 1),
+      windowMs: 60000,
+      keyFn: (c) => c.req.header('X-Plan')
+    });
+
+    const res = await guard(context('/', { headers: { 'X-Plan': 'premium' } }), async () => ok());
+    expect(res.headers.get('RateLimit-Limit')).toBe('5');
+    expect(res.headers.get('RateLimit-Remaining')).toBe('4');
+    expect(res.headers.get('RateLimit-Policy')).toBe('5;w=60');
+    expect(Number(res.headers.get('RateLimit-Reset'))).toBeLessThanOrEqual(60);
+    expect(res.headers.get('X-RateLimit-Limit')).toBe('5');
+
+    await guard(context('/', { headers: { 'X-Plan': 'free' } }), async () => ok());
+    const denied = await guard(context('/', { headers: { 'X-Plan': 'free' } }), async () => ok());
+    expect(denied.status).toBe(429);
+  });
+
+  it('createRateLimitGuard can count each route separately and use a store factory', async () => {
+    const hit = jest.fn(async () => ({ allowed: true, limit: 10, remaining: 9, reset: Date.now() + 1000, retryAfter: 0 }));
+    const guard = createRateLimitGuard({ perRoute: true, store: () => ({ hit }), legacyHeaders: false });
+
+    const c = context('/users/1');
+    c.set('routePath', '/users/:id');
+    const res = await guard(c, async () => ok());
+
+    expect(hit).toHaveBeenCalledWith('rl:GET /users/:id:unknown', expect.objectContaining({ algorithm: 'sliding-window', limit: 100 }));
+    expect(res.headers.get('X-RateLimit-Limit')).toBeNull();
+  });
+
+  it('createRateLimitGuard fails open when the store is unavailable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = { hit: async () => { throw new Error('KV down'); } };
+
+    const res = await createRateLimitGuard({ store: failing })(context(), async () => ok());
+    expect(res.status).toBe(200);
+    await expect(createRateLimitGuard({ store: failing, failOpen: false })(context(), async () => ok())).rejects.toThrow('KV down');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { createIdempotencyMiddleware } from '../../../src/middleware/factories.js';
+import {
+  MemoryIdempotencyStore,
+  D1IdempotencyStore,
+  DurableObjectIdempotencyStore,
+  claimIdempotencyKey
+} from '../../../src/middleware/idempotencyStores.js';
+import { IdempotencyLedger } from '../../../src/utilities/durable-objects/idempotency-ledger.js';
+import { RequestContext } from '../../../src/routing/RequestContext.js';
+
+const post = (body, headers = {}) => new RequestContext(new Request('https://example.com/orders', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+}), {}, {});
+
+function createHandler() {
+  let count = 0;
+  return jest.fn(async () => new Response(JSON.stringify({ id: `order-${++count}` }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+describe('createIdempotencyMiddleware', () => {
+  it('replays the first response for a repeated key', async () => {
+    const idempotency = createIdempotencyMiddleware();
+    const handler = createHandler();
+
+    const first = await idempotency(post({ sku: 'a' }, { 'Idempotency-Key': 'k1' }), handler);
+    const second = await idempotency(post({ sku: 'a' }, { 'Idempotency-Key': 'k1' }), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(first.headers.get('Idempotent-Replayed')).toBeNull();
+    expect(second.status).toBe(201);
+    expect(second.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(second.headers.get('Content-Type')).toBe('application/json');
+    expect(await second.json()).toEqual(await first.json());
+  });
+
+  it('rejects a key reused for a different payload with 422', async () => {
+    const idempotency = createIdempotencyMiddleware();
+    const handler = createHandler();
+
+    await idempotency(post({ sku: 'a' }, { 'Idempotency-Key': 'k1' }), handler);
+    const response = await idempotency(post({ sku: 'b' }, { 'Idempotency-Key': 'k1' }), handler);
+
+    expect(response.status).toBe(422);
+    expect((await response.json()).code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('makes concurrent duplicates wait for the in-flight response', async () => {
+    const idempotency = createIdempotencyMiddleware({ pollInterval: 5 });
+    let finish;
+    const handler = jest.fn(() => new Promise(resolve => {
+      finish = () => resolve(new Response('created', { status: 201 }));
+    }));
+
+    const first = idempotency(post({ sku: 'a' }, { 'Idempotency-Key': 'k1' }), handler);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const second = idempotency(post({ sku: 'a' }, { 'Idempotency-Key': 'k1' }), handler);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    finish();
+
+    const responses = await Promise.all([first, second]);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(responses.map(response => response.status)).toEqual([201, 201]);
+    expect(await responses[1].text()).toBe('created');
+    expect(responses[1].headers.get('Idempotent-Replayed')).toBe('true');
+  });
+
+  it('answers 409 when the in-flight request outlasts waitTimeout', async () => {
+    const idempotency = createIdempotencyMiddleware({ waitTimeout: 0 });
+    idempotency(post({}, { 'Idempotency-Key': 'k1' }), () => new Promise(() => {}));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const response = await idempotency(post({}, { 'Idempotency-Key': 'k1' }), createHandler());
+
+    expect(response.status).toBe(409);
+    expect(response.headers.get('Retry-After')).toBe('60');
+    expect((await response.json()).code).toBe('IDEMPOTENCY_KEY_IN_USE');
+  });
+
+  it('does not store server errors and scopes keys per user', async () => {
+    const idempotency = createIdempotencyMiddleware();
+    const failing = jest.fn(async () => new Response('down', { status: 503 }));
+    const handler = createHandler();
+
+    await idempotency(post({}, { 'Idempotency-Key': 'k1' }), failing);
+    expect((await idempotency(post({}, { 'Idempotency-Key': 'k1' }), handler)).status).toBe(201);
+
+    const other = post({}, { 'Idempotency-Key': 'k1' });
+    other.set('user', { id: 'u2' });
+    await idempotency(other, handler);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('scopes keys by credential when no user is set yet', async () => {
+    const idempotency = createIdempotencyMiddleware();
+    const handler = createHandler();
+    const as = (token) => post({ sku: 'a' }, { 'Idempotency-Key': 'k1', Authorization: `Bearer ${token}` });
+
+    const alice = await idempotency(as('alice'), handler);
+    const bob = await idempotency(as('bob'), handler);
+    const replay = await idempotency(as('alice'), handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(await bob.json()).toEqual({ id: 'order-2' });
+    expect(replay.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(await replay.json()).toEqual(await alice.json());
+  });
+
+  it('ignores safe methods and enforces required keys', async () => {
+    const idempotency = createIdempotencyMiddleware({ required: true });
+    const get = new RequestContext(new Request('https://example.com/orders'), {}, {});
+
+    expect((await idempotency(get, async () => new Response('list'))).status).toBe(200);
+
+    const response = await idempotency(post({}), createHandler());
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe('IDEMPOTENCY_KEY_REQUIRED');
+  });
+});
+
+describe('idempotency stores', () => {
+  it('claimIdempotencyKey lets expired locks and records be claimed again', () => {
+    const { record } = claimIdempotencyKey(null, 'f1', 1000, 0);
+
+    expect(claimIdempotencyKey(record, 'f2', 1000, 500)).toEqual({ acquired: false, record });
+    expect(claimIdempotencyKey(record, 'f2', 1000, 1000).acquired).toBe(true);
+  });
+
+  it('MemoryIdempotencyStore releases pending keys', async () => {
+    const store = new MemoryIdempotencyStore();
+
+    expect(await store.acquire('k', 'f', 1000)).toBeNull();
+    expect(await store.acquire('k', 'f', 1000)).toMatchObject({ status: 'pending' });
+    await store.release('k');
+    expect(await store.acquire('k', 'f', 1000)).toBeNull();
+  });
+
+  it('D1IdempotencyStore claims with a conditional upsert', async () => {
+    const run = jest.fn(async () => ({ meta: { changes: 0 } }));
+    const first = jest.fn(async () => ({
+      fingerprint: 'f', status: 'complete', response: '{"status":201,"headers":[],"body":""}', locked_until: 1, expires_at: 2
+    }));
+    const db = { prepare: jest.fn(() => ({ bind: () => ({ run, first }), run })) };
+    const store = new D1IdempotencyStore(db);
+
+    const record = await store.acquire('k', 'f', 1000);
+
+    expect(record).toMatchObject({ status: 'complete', response: { status: 201 } });
+    expect(db.prepare.mock.calls[0][0]).toMatch(/CREATE TABLE IF NOT EXISTS idempotency_keys/);
+    expect(db.prepare.mock.calls[1][0]).toMatch(/ON CONFLICT\(key\) DO UPDATE[\s\S]*WHERE \(status = 'complete' AND expires_at <= \?\)/);
+  });
+
+  it('DurableObjectIdempotencyStore keeps records in the IdempotencyLedger object', async () => {
+    const instances = new Map();
+    const namespace = {
+      idFromName: (name) => name,
+      get: (id) => {
+        if (!instances.has(id)) {
+          const storage = new Map();
+          const state = {
+            id,
+            storage: {
+              get: async (key) => storage.get(key),
+              put: async (key, value) => { storage.set(key, value); },
+              delete: async (key) => storage.delete(key),
+              setAlarm: async () => {}
+            },
+            blockConcurrencyWhile: (fn) => fn()
+          };
+          const ledger = new IdempotencyLedger(state, {});
+          instances.set(id, { fetch: (url, init) => ledger.fetch(new Request(url, init)) });
+        }
+        return instances.get(id);
+      }
+    };
+    const store = new DurableObjectIdempotencyStore(namespace);
+    const response = { status: 201, headers: [], body: '' };
+
+    expect(await store.acquire('k', 'f', 1000)).toBeNull();
+    await store.complete('k', 'f', response, 60000);
+    expect(await store.acquire('k', 'f', 1000)).toMatchObject({ status: 'complete', response });
+    expect(await store.acquire('other', 'f', 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  applyRateLimit,
+  normalizeRateLimitRule,
+  MemoryRateLimitStore,
+  KVRateLimitStore,
+  DurableObjectRateLimitStore,
+  UpstashRateLimitStore
+} from '../../../src/middleware/rateLimitStores.js';
+import { RateLimiter } from '../../../src/utilities/durable-objects/rate-limiter.js';
+
+const rule = (overrides = {}) => normalizeRateLimitRule({ limit: 10, windowMs: 1000, ...overrides });
+
+function run(ruleConfig, times) {
+  let state = null;
+  return times.map((now) => {
+    const step = applyRateLimit(state, ruleConfig, now);
+    state = step.state;
+    return step.result;
+  });
+}
+
+describe('applyRateLimit', () => {
+  it('fixed-window resets at the window boundary', () => {
+    const results = run(rule({ algorithm: 'fixed-window', limit: 2 }), [0, 100, 200, 1000]);
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, false, true]);
+    expect(results[2]).toMatchObject({ remaining: 0, reset: 1000, retryAfter: 800 });
+  });
+
+  it('sliding-window weights the previous window', () => {
+    const results = run(rule({ limit: 4 }), [0, 100, 200, 300, 1250, 1300, 1800]);
+
+    // At 1250 the previous window (4 hits) still counts 75%: 3 + 1 fits, the next does not
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, true, true, false, true]);
+    expect(results[5].retryAfter).toBeGreaterThan(0);
+    expect(results[5].retryAfter).toBeLessThanOrEqual(700);
+  });
+
+  it('token-bucket allows bursts and refills over time', () => {
+    const results = run(rule({ algorithm: 'token-bucket', limit: 10, burst: 3 }), [0, 0, 0, 0, 100]);
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, false, true]);
+    expect(results[3]).toMatchObject({ limit: 3, remaining: 0, retryAfter: 100 });
+  });
+
+  it('rejects unknown algorithms and empty limits', () => {
+    expect(() => normalizeRateLimitRule({ algorithm: 'leaky', limit: 1, windowMs: 1 })).toThrow("Unknown rate limit algorithm 'leaky'");
+    expect(() => normalizeRateLimitRule({ limit: 0, windowMs: 1000 })).toThrow('positive limit');
+  });
+});
+
+describe('rate limit stores', () => {
+  it('MemoryRateLimitStore counts per key', async () => {
+    const store = new MemoryRateLimitStore();
+    const limited = rule({ limit: 1, windowMs: 60000 });
+
+    expect((await store.hit('a', limited)).allowed).toBe(true);
+    expect((await store.hit('a', limited)).allowed).toBe(false);
+    expect((await store.hit('b', limited)).allowed).toBe(true);
+
+    await store.reset('a');
+    expect((await store.hit('a', limited)).allowed).toBe(true);
+  });
+
+  it('KVRateLimitStore persists state with a TTL', async () => {
+    const data = new Map();
+    const kv = {
+      get: jest.fn(async (key) => (data.has(key) ? JSON.parse(data.get(key)) : null)),
+      put: jest.fn(async (key, value) => { data.set(key, value); }),
+      delete: jest.fn(async (key) => { data.delete(key); })
+    };
+    const store = new KVRateLimitStore(kv);
+    const limited = rule({ limit: 1, windowMs: 60000 });
+
+    expect((await store.hit('ip', limited)).allowed).toBe(true);
+    expect((await store.hit('ip', limited)).allowed).toBe(false);
+    expect(kv.put).toHaveBeenCalledWith('ratelimit:ip', expect.any(String), { expirationTtl: 120 });
+  });
+
+  it('DurableObjectRateLimitStore applies the rule inside the RateLimiter object', async () => {
+    const instances = new Map();
+    const namespace = {
+      idFromName: (name) => name,
+      get: (id) => {
+        if (!instances.has(id)) {
+          const storage = new Map();
+          const state = {
+            id,
+            storage: {
+              get: async (key) => storage.get(key),
+              put: async (key, value) => { storage.set(key, value); },
+              delete: async (key) => storage.delete(key)
+            },
+            blockConcurrencyWhile: (fn) => fn()
+          };
+          const limiter = new RateLimiter(state, {});
+          instances.set(id, { fetch: (url, init) => limiter.fetch(new Request(url, init)) });
+        }
+        return instances.get(id);
+      }
+    };
+    const store = new DurableObjectRateLimitStore(namespace);
+    const limited = { algorithm: 'token-bucket', limit: 1, windowMs: 60000 };
+
+    expect(await store.hit('user:1', limited)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await store.hit('user:1', limited)).toMatchObject({ allowed: false });
+    expect(await store.hit('user:2', limited)).toMatchObject({ allowed: true });
+  });
+
+  it('UpstashRateLimitStore runs one script per hit and parses the reply', async () => {
+    const redis = { pipeline: jest.fn(async () => [[0, 0, 1700000060000, 1500, 5]]), del: jest.fn() };
+    const store = new UpstashRateLimitStore(redis, { prefix: 'rl:' });
+
+    const result = await store.hit('ip', { limit: 5, windowMs: 60000 });
+
+    expect(result).toEqual({ allowed: false, limit: 5, remaining: 0, reset: 1700000060000, retryAfter: 1500 });
+    const [[command]] = redis.pipeline.mock.calls[0];
+    expect(command.slice(0, 1)).toEqual(['EVAL']);
+    expect(command.slice(2, 9)).toEqual([1, 'rl:ip', 'sliding-window', 5, 60000, 5, 1]);
+  });
+});
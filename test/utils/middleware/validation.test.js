@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { z } from 'zod';
+import { EnhancedRouter } from '../../../src/routing/EnhancedRouter.js';
+import { describeRoute } from '../../../src/routing/OpenApiBuilder.js';
+import { createRequestValidator, isValidationSpec } from '../../../src/middleware/validation.js';
+import { schemaManager } from '../../../src/schema/SchemaManager.js';
+
+function send(router, method, url, { body, headers = {} } = {}) {
+  const request = new Request(`https://api.example.com${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+  });
+  return router.handleRequest(method, new URL(request.url).pathname, request, {}, {});
+}
+
+describe('request validation', () => {
+  beforeAll(() => {
+    schemaManager.registerModel('validation_notes', {
+      tableName: 'validation_notes',
+      columns: {
+        id: { type: 'text', primaryKey: true },
+        title: { type: 'text', maxLength: 20 },
+        rating: { type: 'integer', min: 1, max: 5 },
+        pinned: { type: 'boolean' }
+      },
+      validation: { required: ['title'] }
+    });
+  });
+
+  afterAll(() => {
+    schemaManager.schemas.delete('validation_notes');
+    schemaManager.schemaCache.delete('validation_notes');
+  });
+
+  describe('isValidationSpec / createRequestValidator', () => {
+    it('recognizes plain objects keyed by request parts', () => {
+      expect(isValidationSpec({ body: 'users' })).toBe(true);
+      expect(isValidationSpec({ query: z.object({}), headers: z.object({}) })).toBe(true);
+      expect(isValidationSpec({})).toBe(false);
+      expect(isValidationSpec({ body: 'users', preprocess: () => {} })).toBe(false);
+      expect(isValidationSpec({ preprocess: () => {} })).toBe(false);
+    });
+
+    it('rejects schemas that are neither zod nor model names', () => {
+      expect(() => createRequestValidator({ body: { title: 'string' } })).toThrow(/zod schema or a model name/);
+      expect(() => createRequestValidator({ cookies: z.object({}) })).toThrow(/Validation spec/);
+    });
+
+    it('throws on the first request when a model name is unknown', async () => {
+      const validator = createRequestValidator({ body: 'validation_ntoes' });
+      const c = { request: new Request('https://api.example.com/notes', { method: 'POST', body: '{}' }) };
+
+      await expect(validator(c, () => {})).rejects.toThrow("Validation schema for 'body' names unknown model 'validation_ntoes'");
+    });
+  });
+
+  describe('zod schemas', () => {
+    let router;
+
+    beforeAll(() => {
+      router = new EnhancedRouter();
+      router.post('/notes/:id', {
+        params: z.object({ id: z.number().int() }),
+        query: z.object({ draft: z.boolean().optional(), tag: z.array(z.string()).optional(), limit: z.number().default(10) }),
+        body: z.object({ title: z.string().min(1) }),
+        headers: z.object({ 'x-tenant': z.string() })
+      }, async (c) => c.json({
+        params: c.req.valid('params'),
+        query: c.req.valid('query'),
+        body: c.req.valid('body'),
+        tenant: c.req.valid('headers')['x-tenant'],
+        raw: await c.req.json()
+      }));
+    });
+
+    it('coerces query strings and params and exposes validated data', async () => {
+      const response = await send(router, 'POST', '/notes/7?draft=true&tag=a', {
+        body: { title: 'Hello' },
+        headers: { 'X-Tenant': 'acme' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        params: { id: 7 },
+        query: { draft: true, tag: ['a'], limit: 10 },
+        body: { title: 'Hello' },
+        tenant: 'acme',
+        raw: { title: 'Hello' }
+      });
+    });
+
+    it('answers 422 problem+json listing every failing field', async () => {
+      const response = await send(router, 'POST', '/notes/abc?draft=maybe', { body: { title: '' } });
+
+      expect(response.status).toBe(422);
+      expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+      const problem = await response.json();
+      expect(problem).toMatchObject({ status: 422, code: 'REQUEST_VALIDATION_FAILED' });
+      expect(problem.errors.map(error => `${error.in}.${error.field}`)).toEqual([
+        'body.title',
+        'query.draft',
+        'params.id',
+        'headers.x-tenant'
+      ]);
+    });
+
+    it('answers 400 for a body that is not JSON', async () => {
+      const response = await send(router, 'POST', '/notes/1', { body: '{oops', headers: { 'X-Tenant': 'acme' } });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).code).toBe('INVALID_JSON');
+    });
+  });
+
+  describe('model names', () => {
+    let router;
+
+    beforeAll(() => {
+      router = new EnhancedRouter();
+      const echo = (c) => c.json({ body: c.req.valid('body'), query: c.req.valid('query') });
+      router.post('/notes', { body: 'validation_notes' }, echo);
+      router.patch('/notes/:id', { body: 'validation_notes' }, echo);
+      router.get('/notes', { query: 'validation_notes' }, echo);
+    });
+
+    it('enforces required fields on POST bodies only', async () => {
+      const created = await send(router, 'POST', '/notes', { body: { rating: 3 } });
+      expect(created.status).toBe(422);
+      expect((await created.json()).errors).toEqual([
+        expect.objectContaining({ in: 'body', field: 'title', code: 'REQUIRED_FIELD_MISSING' })
+      ]);
+
+      const patched = await send(router, 'PATCH', '/notes/1', { body: { rating: 3 } });
+      expect(patched.status).toBe(200);
+      expect((await patched.json()).body).toEqual({ rating: 3 });
+    });
+
+    it('checks column constraints', async () => {
+      const response = await send(router, 'PATCH', '/notes/1', { body: { rating: 9 } });
+
+      expect(response.status).toBe(422);
+      expect((await response.json()).errors[0]).toMatchObject({ in: 'body', field: 'rating' });
+    });
+
+    it('coerces query strings by column type', async () => {
+      const response = await send(router, 'GET', '/notes?rating=4&pinned=false');
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).query).toEqual({ rating: 4, pinned: false });
+    });
+  });
+
+  describe('OpenAPI', () => {
+    it('documents validated bodies, queries and headers', () => {
+      const router = new EnhancedRouter();
+      router.post('/notes', { body: 'validation_notes', headers: z.object({ 'x-tenant': z.string() }) }, () => new Response());
+      router.get('/search', { query: z.object({ q: z.string(), page: z.number().optional() }) }, () => new Response());
+      router.put('/described', { body: z.object({ a: z.string() }) }, describeRoute({ requestBody: { type: 'object' } }), () => new Response());
+
+      const { paths } = router.openapi();
+
+      expect(paths['/notes'].post.requestBody.content['application/json'].schema).toMatchObject({
+        type: 'object',
+        required: ['title']
+      });
+      expect(paths['/notes'].post.parameters).toEqual([
+        { name: 'x-tenant', in: 'header', required: true, schema: { type: 'string' } }
+      ]);
+      expect(paths['/search'].get.parameters).toEqual([
+        { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'page', in: 'query', required: false, schema: { type: 'number' } }
+      ]);
+      expect(paths['/described'].put.requestBody.content['application/json'].schema).toEqual({ type: 'object' });
+    });
+  });
+});
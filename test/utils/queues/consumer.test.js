@@ -0,0 +1,151 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { z } from 'zod';
+import {
+  QueueConsumer,
+  MessageTypes,
+  computeBackoff,
+  registerMessageSchema,
+  unregisterMessageSchema,
+  replayDeadLetters,
+  createMessage
+} from '../../../src/utilities/queues/consumer.js';
+import { QueueProducer } from '../../../src/utilities/queues/producer.js';
+import { MemoryQueue, createMessageBatch } from '../../../src/testing/bindings/queues.js';
+
+describe('QueueConsumer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    unregisterMessageSchema(MessageTypes.EMAIL_SEND);
+  });
+
+  it('retries failures with exponential backoff and dead-letters them after maxRetries', async () => {
+    const dlq = new MemoryQueue('dlq');
+    const batch = createMessageBatch([{ type: 'task:process' }], { queue: 'jobs', attempts: 3 });
+    const retrying = createMessageBatch([{ type: 'task:process' }], { attempts: 2 });
+    const fail = async () => {
+      throw new Error('boom');
+    };
+
+    await new QueueConsumer(retrying, {}).process(fail);
+    await new QueueConsumer(batch, {}).process(fail, { deadLetterQueue: dlq });
+
+    expect(retrying.messages[0]).toMatchObject({ outcome: 'retry', retryDelaySeconds: 20 });
+    expect(batch.messages[0].outcome).toBe('ack');
+    expect(dlq.sent[0].body).toMatchObject({
+      originalMessage: { type: 'task:process' },
+      error: 'boom',
+      reason: 'failed',
+      queue: 'jobs',
+      attempts: 3
+    });
+  });
+
+  it('computes capped, optionally jittered delays', () => {
+    expect([1, 2, 3].map(attempts => computeBackoff(attempts))).toEqual([10, 20, 40]);
+    expect(computeBackoff(30, { baseDelay: 60 })).toBe(43200);
+    const jittered = computeBackoff(2, { jitter: true });
+    expect(jittered).toBeGreaterThanOrEqual(10);
+    expect(jittered).toBeLessThanOrEqual(20);
+  });
+
+  it('processes up to `concurrency` messages at once', async () => {
+    const batch = createMessageBatch([1, 2, 3, 4, 5]);
+    let active = 0;
+    let peak = 0;
+
+    await new QueueConsumer(batch, {}).process(async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+    }, { concurrency: 2 });
+
+    expect(peak).toBe(2);
+    expect(batch.messages.every(message => message.outcome === 'ack')).toBe(true);
+  });
+
+  it('validates payloads against registered schemas and dead-letters invalid ones without retrying', async () => {
+    registerMessageSchema(MessageTypes.EMAIL_SEND, z.object({ to: z.string().email(), retries: z.number().default(0) }));
+    const dlq = new MemoryQueue('dlq');
+    const handler = jest.fn(async () => {});
+    const valid = createMessage(MessageTypes.EMAIL_SEND).data({ to: 'ada@example.com' }).build();
+    const batch = createMessageBatch([valid, { type: MessageTypes.EMAIL_SEND, to: 'nope' }]);
+
+    const results = await new QueueConsumer(batch, {}).process(handler, { deadLetterQueue: dlq });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0]).toEqual({ type: MessageTypes.EMAIL_SEND, to: 'ada@example.com', retries: 0, _meta: valid._meta });
+    expect(results.get(batch.messages[1].id)).toMatchObject({ status: 'invalid', error: expect.stringMatching(/^to: /) });
+    expect(batch.messages[1].outcome).toBe('ack');
+    expect(dlq.sent[0].body.reason).toBe('invalid');
+  });
+
+  it('skips messages whose envelope id was already processed', async () => {
+    const body = createMessage(MessageTypes.TASK_PROCESS).build();
+    const handler = jest.fn(async () => {});
+
+    await new QueueConsumer(createMessageBatch([body, body]), {}).process(handler, { dedupe: true, concurrency: 2 });
+    const redelivered = createMessageBatch([body]);
+    const results = await new QueueConsumer(redelivered, {}).process(handler, { dedupe: true });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(results.get(redelivered.messages[0].id)).toEqual({ status: 'duplicate' });
+    expect(redelivered.messages[0].outcome).toBe('ack');
+  });
+
+  it('stops at the first failure without continueOnError', async () => {
+    const batch = createMessageBatch([1, 2]);
+
+    await expect(new QueueConsumer(batch, {}).process(async () => {
+      throw new Error('stop');
+    }, { continueOnError: false })).rejects.toThrow('stop');
+    expect(batch.messages.map(message => message.outcome)).toEqual(['retry', null]);
+  });
+});
+
+describe('replayDeadLetters', () => {
+  it('re-enqueues matching dead letters and retries the rest', async () => {
+    const jobs = new MemoryQueue('jobs');
+    const original = createMessage(MessageTypes.WEBHOOK_DELIVER).data({ url: 'https://example.com' }).build();
+    const batch = createMessageBatch([
+      { originalMessage: original, error: 'timeout', reason: 'failed' },
+      { originalMessage: { type: 'other' }, error: 'bad', reason: 'invalid' }
+    ]);
+
+    const summary = await replayDeadLetters(batch, jobs, { filter: entry => entry.reason === 'failed' });
+
+    expect(summary).toEqual({ replayed: 1, skipped: 1 });
+    expect(batch.messages.map(message => message.outcome)).toEqual(['ack', 'retry']);
+    expect(jobs.sent[0].body).toMatchObject({ url: 'https://example.com', _meta: { id: original._meta.id, replays: 1 } });
+  });
+
+  it('moves skipped entries to the hold queue', async () => {
+    const jobs = new MemoryQueue('jobs');
+    const held = new MemoryQueue('jobs-held');
+    const skippedEntry = { originalMessage: { type: 'other' }, error: 'bad', reason: 'invalid' };
+    const batch = createMessageBatch([skippedEntry]);
+
+    const summary = await replayDeadLetters(batch, jobs, { filter: entry => entry.reason === 'failed', holdQueue: held });
+
+    expect(summary).toEqual({ replayed: 0, skipped: 1 });
+    expect(batch.messages[0].outcome).toBe('ack');
+    expect(held.sent.map(({ body }) => body)).toEqual([skippedEntry]);
+    expect(jobs.sent).toHaveLength(0);
+  });
+});
+
+describe('QueueProducer envelope', () => {
+  it('sends bodies unwrapped and tracks attempts under _meta', async () => {
+    const queue = new MemoryQueue('jobs');
+    const producer = new QueueProducer(queue);
+
+    const first = await producer.sendWithRetry({ type: 'task:process' }, { delaySeconds: 30 });
+    const second = await producer.sendWithRetry(first);
+
+    expect(queue.sent[0]).toMatchObject({ body: { type: 'task:process', _meta: { attempt: 1 } }, delaySeconds: 30 });
+    expect(second._meta).toMatchObject({ id: first._meta.id, attempt: 2, firstAttemptAt: first._meta.firstAttemptAt });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { CronExpression } from '../../../src/utilities/scheduled/cron.js';
+
+const at = (iso) => new Date(iso);
+
+describe('CronExpression', () => {
+  it('matches lists, ranges, steps and names in UTC', () => {
+    const cron = new CronExpression('*/15 9-17 * * MON-FRI');
+
+    expect(cron.matches(at('2026-10-19T09:45:30Z'))).toBe(true);
+    expect(cron.matches(at('2026-10-19T09:50:00Z'))).toBe(false);
+    expect(cron.matches(at('2026-10-18T09:45:00Z'))).toBe(false); // Sunday
+    expect(cron.matches(at('2026-10-19T18:00:00Z'))).toBe(false);
+  });
+
+  it('numbers days of the week from 1 = Sunday, like Cloudflare', () => {
+    expect(new CronExpression('0 17 * * 1').next(at('2026-10-19T00:00:00Z'))).toEqual(at('2026-10-25T17:00:00Z'));
+    expect(new CronExpression('0 17 * * sun').next(at('2026-10-19T00:00:00Z'))).toEqual(at('2026-10-25T17:00:00Z'));
+    expect(new CronExpression('@weekly').next(at('2026-10-19T00:00:00Z'))).toEqual(at('2026-10-25T00:00:00Z'));
+  });
+
+  it('computes next fire times for L, W and # modifiers', () => {
+    expect(new CronExpression('0 18 * * 6L').next(at('2026-10-19T00:00:00Z'))).toEqual(at('2026-10-30T18:00:00Z'));
+    expect(new CronExpression('59 23 LW * *').next(at('2026-05-01T00:00:00Z'))).toEqual(at('2026-05-29T23:59:00Z'));
+    expect(new CronExpression('0 9 1W * *').next(at('2026-01-15T00:00:00Z'))).toEqual(at('2026-02-02T09:00:00Z'));
+    expect(new CronExpression('0 0 L * *').next(at('2026-02-10T00:00:00Z'))).toEqual(at('2026-02-28T00:00:00Z'));
+    expect(new CronExpression('0 10 * * 2#1').next(at('2026-10-19T00:00:00Z'))).toEqual(at('2026-11-02T10:00:00Z'));
+  });
+
+  it('lists upcoming runs strictly after the start time', () => {
+    expect(new CronExpression('*/20 * * * *').nextRuns(3, at('2026-10-19T10:20:00Z')))
+      .toEqual([at('2026-10-19T10:40:00Z'), at('2026-10-19T11:00:00Z'), at('2026-10-19T11:20:00Z')]);
+    expect(new CronExpression('0 0 30 2 *').next()).toBeNull();
+  });
+
+  it('matches either day field when both are restricted', () => {
+    const cron = new CronExpression('0 0 13 * FRI');
+
+    expect(cron.matches(at('2026-10-13T00:00:00Z'))).toBe(true); // the 13th, a Tuesday
+    expect(cron.matches(at('2026-10-16T00:00:00Z'))).toBe(true); // a Friday
+    expect(cron.matches(at('2026-10-14T00:00:00Z'))).toBe(false);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => new CronExpression('* * *')).toThrow("Invalid cron expression '* * *': expected 5 fields, got 3");
+    expect(() => new CronExpression('0 0 * * 0')).toThrow("day of week '0' is outside 1-7 (1 is Sunday)");
+    expect(() => new CronExpression('5-1 * * * *')).toThrow("minute range '5-1' runs backwards");
+    expect(() => new CronExpression('*/0 * * * *')).toThrow("invalid step in minute '*/0'");
+    expect(() => new CronExpression('0 0 * FOO *')).toThrow("month 'FOO' is outside 1-12");
+  });
+});
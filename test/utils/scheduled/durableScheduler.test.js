@@ -0,0 +1,151 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { DurableObjectJobScheduler } from '../../../src/utilities/scheduled/durableScheduler.js';
+import { AlarmScheduler } from '../../../src/utilities/durable-objects/alarm-scheduler.js';
+import { MemoryDurableObjectNamespace } from '../../../src/testing/bindings/durableObjects.js';
+import { MemoryQueue } from '../../../src/testing/bindings/queues.js';
+
+const START = Date.parse('2026-10-19T10:00:00Z');
+
+describe('DurableObjectJobScheduler', () => {
+  let now;
+  let queue;
+  let namespace;
+  let jobs;
+
+  const advance = (ms) => {
+    now += ms;
+    return namespace.runAlarms();
+  };
+  const delivered = () => queue.sent.map(({ body }) => ({ jobId: body.jobId, runAt: body.runAt, id: body._meta.id }));
+
+  beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queue = new MemoryQueue('jobs');
+    namespace = new MemoryDurableObjectNamespace(AlarmScheduler, { JOBS: queue });
+    jobs = new DurableObjectJobScheduler(namespace, { tenant: 'acme' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('delivers a delayed job once it is due, with a stable delivery id', async () => {
+    const { scheduled, job } = await jobs.schedule('invoice-42', { invoiceId: 42 }, START + 60000, { type: 'invoice:send' });
+    expect(scheduled).toBe(true);
+    expect(job).toMatchObject({ id: 'invoice-42', runAt: START + 60000, status: 'scheduled', tenant: 'acme' });
+
+    const again = await jobs.schedule('invoice-42', { invoiceId: 43 }, START + 1000);
+    expect(again).toMatchObject({ scheduled: false, job: { runAt: START + 60000, data: { invoiceId: 42 } } });
+
+    expect(await advance(30000)).toBe(0);
+    expect(queue.sent).toHaveLength(0);
+
+    await advance(30000);
+    expect(queue.sent[0].body).toMatchObject({
+      type: 'invoice:send',
+      jobId: 'invoice-42',
+      tenant: 'acme',
+      data: { invoiceId: 42 },
+      _meta: { id: `invoice-42:${START + 60000}` }
+    });
+    expect(await jobs.get('invoice-42')).toBeNull();
+    expect(await advance(3600000)).toBe(0);
+  });
+
+  it('cancels and reschedules jobs', async () => {
+    await jobs.schedule('a', null, START + 1000);
+    await jobs.schedule('b', null, START + 2000);
+
+    expect(await jobs.cancel('a')).toBe(true);
+    expect(await jobs.cancel('a')).toBe(false);
+    expect(await jobs.reschedule('b', new Date(START + 5000))).toMatchObject({ id: 'b', runAt: START + 5000 });
+    expect(await jobs.reschedule('missing', START)).toBeNull();
+
+    await advance(2000);
+    expect(queue.sent).toHaveLength(0);
+    await advance(3000);
+    expect(delivered()).toEqual([{ jobId: 'b', runAt: START + 5000, id: `b:${START + 5000}` }]);
+  });
+
+  it('repeats interval and cron jobs, skipping occurrences missed while idle', async () => {
+    await jobs.schedule('heartbeat', null, null, { every: 60000 });
+    await jobs.schedule('digest', null, null, { cron: '0 * * * *' });
+    expect((await jobs.list()).map(job => [job.id, job.runAt])).toEqual([
+      ['heartbeat', START + 60000],
+      ['digest', START + 3600000]
+    ]);
+
+    await advance(60000);
+    await advance(60000);
+    await advance(3600000);
+
+    expect(delivered().map(({ jobId, runAt }) => [jobId, runAt])).toEqual([
+      ['heartbeat', START + 60000],
+      ['heartbeat', START + 120000],
+      ['heartbeat', START + 180000],
+      ['digest', START + 3600000]
+    ]);
+    expect(await jobs.get('heartbeat')).toMatchObject({ runAt: START + 3780000 });
+    expect(await jobs.get('digest')).toMatchObject({ runAt: START + 7200000 });
+  });
+
+  it('retries failed deliveries with backoff, then marks one-off jobs failed', async () => {
+    await jobs.schedule('orphan', null, START, { queue: 'MISSING', maxAttempts: 2 });
+
+    await advance(0);
+    const retrying = await jobs.get('orphan');
+    expect(retrying).toMatchObject({ attempts: 1, status: 'scheduled', lastError: "Queue binding 'MISSING' is not configured" });
+    expect(retrying.runAt).toBeGreaterThan(START);
+
+    await advance(retrying.runAt - now);
+    expect(await jobs.get('orphan')).toMatchObject({ attempts: 2, status: 'failed' });
+    expect((await jobs.list()).map(job => job.status)).toEqual(['failed']);
+
+    namespace.env.MISSING = queue;
+    await jobs.reschedule('orphan', now + 1000);
+    await advance(1000);
+    expect(delivered()).toEqual([{ jobId: 'orphan', runAt: now, id: `orphan:${now}` }]);
+  });
+
+  it('keeps tenants apart and spreads a tenant over its shards', async () => {
+    const sharded = new DurableObjectJobScheduler(namespace, { tenant: 'acme', shards: 4 });
+    for (let i = 0; i < 12; i++) {
+      await sharded.schedule(`job-${i}`, null, START + i * 1000);
+    }
+    await sharded.forTenant('globex').schedule('job-0', null, START);
+
+    const names = [...namespace.instances.values()].map(({ state }) => state.id.name);
+    expect(names.filter(name => name.startsWith('acme:')).length).toBeGreaterThan(1);
+    expect(names.filter(name => name.startsWith('globex:'))).toHaveLength(1);
+
+    expect((await sharded.list()).map(job => job.id)).toEqual(Array.from({ length: 12 }, (_, i) => `job-${i}`));
+    expect(await sharded.list({ limit: 3 })).toHaveLength(3);
+    expect((await sharded.forTenant('globex').list()).map(job => job.tenant)).toEqual(['globex']);
+
+    await expect(jobs.schedule('bad', null, 'soon')).rejects.toThrow('Invalid runAt: soon');
+  });
+
+  it('rejects run times that are not whole, non-negative milliseconds before storing anything', async () => {
+    await expect(jobs.schedule('nan', null, NaN)).rejects.toThrow('Invalid runAt: NaN');
+    await expect(jobs.schedule('negative', null, -1)).rejects.toThrow('Invalid runAt: -1');
+    await expect(jobs.schedule('fraction', null, START + 0.5)).rejects.toThrow('Invalid runAt');
+    await expect(jobs.schedule('date', null, new Date('nope'))).rejects.toThrow('Invalid runAt: Invalid Date');
+    await jobs.schedule('kept', null, START + 1000);
+    await expect(jobs.reschedule('kept', -5)).rejects.toThrow('Invalid runAt: -5');
+
+    const stub = namespace.get(namespace.idFromName('acme'));
+    for (const delay of [-1000, 1.5, '1000']) {
+      const response = await stub.fetch('https://scheduler/schedule', {
+        method: 'POST',
+        body: JSON.stringify({ id: `delay-${delay}`, delay })
+      });
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: `Invalid delay: ${delay}` });
+    }
+
+    expect((await jobs.list()).map(job => [job.id, job.runAt])).toEqual([['kept', START + 1000]]);
+    expect(await advance(0)).toBe(0);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { ScheduledHandler, CronJob } from '../../../src/utilities/scheduled/handler.js';
+import { MemoryCronStore, KVCronStore, D1CronStore } from '../../../src/utilities/scheduled/stores.js';
+import { MemoryD1Database } from '../../../src/testing/bindings/d1.js';
+import { MemoryKVNamespace } from '../../../src/testing/bindings/kv.js';
+
+const tick = (iso, cron = '* * * * *') => ({ type: 'scheduled', cron, scheduledTime: Date.parse(iso) });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ScheduledHandler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('runs every job whose expression matches the scheduled time', async () => {
+    const ran = [];
+    const handler = new ScheduledHandler()
+      .register('*/15 * * * *', () => ran.push('quarterly'), { name: 'quarterly' })
+      .register('0 * * * *', () => ran.push('hourly'), { name: 'hourly' })
+      .register('30 9 * * *', () => ran.push('daily'), { name: 'daily' });
+
+    const runs = await handler.handle(tick('2026-10-19T10:00:00Z'), {});
+
+    expect(ran.sort()).toEqual(['hourly', 'quarterly']);
+    expect(runs.map(run => run.status)).toEqual(['success', 'success']);
+    expect(runs[0]).toMatchObject({ job: 'quarterly', scheduledTime: Date.parse('2026-10-19T10:00:00Z'), result: 1 });
+  });
+
+  it('still runs a job registered with the exact trigger string', async () => {
+    const job = jest.fn();
+    await new ScheduledHandler().register('0 * * * *', job).handle({ cron: '0 * * * *' }, {});
+    expect(job).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips a run while the previous one holds the lock, and repeated deliveries of a tick', async () => {
+    const store = new MemoryCronStore();
+    let calls = 0;
+    const handler = new ScheduledHandler({ store }).register('* * * * *', async () => {
+      calls++;
+      await sleep(20);
+    }, { name: 'slow' });
+
+    const [first, overlapping] = await Promise.all([
+      handler.handle(tick('2026-10-19T10:00:00Z'), {}),
+      handler.handle(tick('2026-10-19T10:01:00Z'), {})
+    ]);
+    const redelivered = await handler.handle(tick('2026-10-19T10:00:00Z'), {});
+    await handler.handle(tick('2026-10-19T10:02:00Z'), {});
+
+    expect(calls).toBe(2);
+    expect([first[0].status, overlapping[0].status, redelivered[0].status]).toEqual(['success', 'skipped', 'skipped']);
+    expect((await handler.history('slow')).map(run => run.status)).toEqual(['success', 'skipped', 'success', 'skipped']);
+  });
+
+  it('times jobs out and rethrows failures after every due job finished', async () => {
+    const handler = new ScheduledHandler()
+      .register('* * * * *', () => sleep(50), { name: 'stuck', timeout: 10 })
+      .register('*/5 * * * *', () => 'done', { name: 'fine' });
+
+    await expect(handler.handle(tick('2026-10-19T10:00:00Z'), {})).rejects.toThrow("Job 'stuck' timed out after 10ms");
+    expect((await handler.history('stuck'))[0]).toMatchObject({ status: 'timeout', error: "Job 'stuck' timed out after 10ms" });
+    expect((await handler.history('fine'))[0].status).toBe('success');
+
+    class FailingJob extends CronJob {
+      async execute() {
+        throw new Error('boom');
+      }
+    }
+    const failing = new ScheduledHandler()
+      .register('* * * * *', new FailingJob(), { name: 'a' })
+      .register('* * * * *', new FailingJob(), { name: 'b' });
+    await expect(failing.handle(tick('2026-10-19T10:00:00Z'), {})).rejects.toThrow('2 scheduled jobs failed');
+  });
+
+  it('throws job failures through the middleware chain', async () => {
+    const seen = [];
+    const fail = () => {
+      throw new Error('boom');
+    };
+    const reporting = new ScheduledHandler()
+      .use(async (event, env, next) => {
+        try {
+          await next();
+        } catch (error) {
+          seen.push(error.message);
+          throw error;
+        }
+      })
+      .register('* * * * *', fail, { name: 'failing' });
+
+    await expect(reporting.handle(tick('2026-10-19T10:00:00Z'), {})).rejects.toThrow('boom');
+    expect(seen).toEqual(['boom']);
+
+    const swallowing = new ScheduledHandler()
+      .use(async (event, env, next) => {
+        await next().catch(() => {});
+      })
+      .register('* * * * *', fail, { name: 'failing' });
+    expect((await swallowing.handle(tick('2026-10-19T10:00:00Z'), {})).map(run => run.status)).toEqual(['failed']);
+  });
+
+  it('lists next fire times and triggers jobs by name', async () => {
+    const handler = new ScheduledHandler().register('0 3 * * 2-6', (event) => event.cron, { name: 'nightly' });
+
+    expect(handler.schedules({ count: 2, from: new Date('2026-10-23T12:00:00Z') })).toEqual([{
+      name: 'nightly',
+      cron: '0 3 * * 2-6',
+      next: [new Date('2026-10-26T03:00:00Z'), new Date('2026-10-27T03:00:00Z')]
+    }]);
+    expect(await handler.trigger('nightly', {})).toMatchObject({ status: 'success', result: '0 3 * * 2-6' });
+    await expect(handler.trigger('missing')).rejects.toThrow('Unknown job: missing');
+  });
+});
+
+describe('Cron stores', () => {
+  it.each([
+    ['D1CronStore', () => new D1CronStore(new MemoryD1Database())],
+    ['KVCronStore', () => new KVCronStore(new MemoryKVNamespace())]
+  ])('%s locks per schedule and keeps history newest first', async (name, createStore) => {
+    const store = createStore();
+    const lock = (owner, scheduledTime) => store.acquire('sync', { owner, ttlMs: 60000, scheduledTime });
+
+    expect(await lock('run-1', 1000)).toBe(true);
+    expect(await lock('run-2', 2000)).toBe(false);
+    await store.release('sync', 'run-2');
+    expect(await lock('run-3', 2000)).toBe(false);
+    await store.release('sync', 'run-1');
+    expect(await lock('run-4', 1000)).toBe(false);
+    expect(await lock('run-5', 2000)).toBe(true);
+
+    const run = { job: 'sync', cron: '* * * * *', scheduledTime: 1000, durationMs: 5, error: null };
+    await store.record({ ...run, id: 'a', startedAt: 1000, status: 'success' });
+    await store.record({ ...run, id: 'b', startedAt: 2000, status: 'failed', error: 'boom' });
+
+    expect((await store.history('sync')).map(({ id, status, error }) => ({ id, status, error })))
+      .toEqual([{ id: 'b', status: 'failed', error: 'boom' }, { id: 'a', status: 'success', error: null }]);
+    expect(await store.history('sync', { limit: 1 })).toHaveLength(1);
+  });
+
+  it('builds the store per env when given a factory', async () => {
+    const env = { DB: new MemoryD1Database() };
+    const handler = new ScheduledHandler({ store: (bindings) => new D1CronStore(bindings.DB) })
+      .register('* * * * *', () => 'ok', { name: 'job' });
+
+    await handler.handle(tick('2026-10-19T10:00:00Z'), env);
+    await handler.handle(tick('2026-10-19T10:01:00Z'), env);
+
+    expect((await handler.history('job', { env })).map(run => run.scheduledTime))
+      .toEqual([Date.parse('2026-10-19T10:01:00Z'), Date.parse('2026-10-19T10:00:00Z')]);
+  });
+});
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { R2Storage, serveFile } from '../../../src/utilities/storage/r2.js';
+
+const CONTENT = 'abcdefghijklmnopqrstuvwxyz';
+
+const metadata = {
+  etag: 'abc',
+  httpEtag: '"abc"',
+  uploaded: new Date('2024-03-01T12:00:00Z'),
+  size: CONTENT.length,
+  httpMetadata: { contentType: 'video/mp4' }
+};
+
+function createBucket() {
+  return {
+    head: jest.fn(async () => metadata),
+    get: jest.fn(async (key, options) => {
+      if (options?.onlyIf && options.onlyIf.etagMatches !== metadata.etag) return { ...metadata };
+      const range = options?.range;
+      const body = range ? CONTENT.slice(range.offset, range.offset + range.length) : CONTENT;
+      return { ...metadata, body: new Response(body).body };
+    })
+  };
+}
+
+const request = (headers = {}, method = 'GET') => new Request('https://example.com/video.mp4', { method, headers });
+
+describe('serveFile', () => {
+  let bucket;
+  let storage;
+
+  beforeEach(() => {
+    bucket = createBucket();
+    storage = new R2Storage(bucket);
+  });
+
+  test('serves the file with validators', async () => {
+    const response = await serveFile(storage, 'video.mp4', request());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('ETag')).toBe('"abc"');
+    expect(response.headers.get('Last-Modified')).toBe('Fri, 01 Mar 2024 12:00:00 GMT');
+    expect(response.headers.get('Accept-Ranges')).toBe('bytes');
+    expect(await response.text()).toBe(CONTENT);
+    expect(bucket.head).not.toHaveBeenCalled();
+  });
+
+  test('answers conditional requests from a HEAD without reading the body', async () => {
+    const notModified = await serveFile(storage, 'video.mp4', request({ 'If-None-Match': '"abc"' }));
+    const failed = await serveFile(storage, 'video.mp4', request({ 'If-Match': '"other"' }));
+
+    expect(notModified.status).toBe(304);
+    expect(notModified.headers.get('ETag')).toBe('"abc"');
+    expect(failed.status).toBe(412);
+    expect(bucket.get).not.toHaveBeenCalled();
+  });
+
+  test('reads a single range from R2 with the matching Content-Length', async () => {
+    const response = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=-4' }));
+
+    expect(response.status).toBe(206);
+    expect(response.headers.get('Content-Range')).toBe('bytes 22-25/26');
+    expect(response.headers.get('Content-Length')).toBe('4');
+    expect(await response.text()).toBe('wxyz');
+    expect(bucket.get).toHaveBeenCalledWith('video.mp4', { range: { offset: 22, length: 4 }, onlyIf: { etagMatches: 'abc' } });
+  });
+
+  test('answers several ranges as multipart/byteranges', async () => {
+    const response = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=0-2, 10-' }));
+    const body = await response.text();
+
+    expect(response.status).toBe(206);
+    const [, boundary] = response.headers.get('Content-Type').match(/^multipart\/byteranges; boundary=(.+)$/);
+    expect(Number(response.headers.get('Content-Length'))).toBe(new TextEncoder().encode(body).length);
+    expect(body).toBe(
+      `--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-2/26\r\n\r\nabc` +
+      `\r\n--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 10-25/26\r\n\r\nklmnopqrstuvwxyz` +
+      `\r\n--${boundary}--\r\n`
+    );
+  });
+
+  test('serves the whole file when it is replaced between the HEAD and the ranged read', async () => {
+    bucket.head.mockResolvedValueOnce({ ...metadata, etag: 'old', httpEtag: '"old"' });
+
+    const single = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=0-2' }));
+    bucket.head.mockResolvedValueOnce({ ...metadata, etag: 'old', httpEtag: '"old"' });
+    const multiple = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=0-2, 10-' }));
+
+    expect(single.status).toBe(200);
+    expect(single.headers.get('ETag')).toBe('"abc"');
+    expect(await single.text()).toBe(CONTENT);
+    expect(multiple.status).toBe(200);
+    expect(await multiple.text()).toBe(CONTENT);
+  });
+
+  test('answers 200 when the ranges add up to more than the file', async () => {
+    const response = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=0-,0-,0-' }));
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe(CONTENT);
+    expect(bucket.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers 416 for ranges past the end', async () => {
+    const response = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=26-' }));
+
+    expect(response.status).toBe(416);
+    expect(response.headers.get('Content-Range')).toBe('bytes */26');
+  });
+
+  test('serves the whole file when If-Range no longer matches', async () => {
+    const response = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=0-2', 'If-Range': '"old"' }));
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe(CONTENT);
+  });
+
+  test('answers HEAD with headers only', async () => {
+    const response = await serveFile(storage, 'video.mp4', request({ Range: 'bytes=0-2' }, 'HEAD'));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Length')).toBe('26');
+    expect(bucket.get).not.toHaveBeenCalled();
+  });
+});
@@ -10,11 +10,27 @@
 /**
  * Base interfaces and types
  */
+export type ColumnType =
+  | 'text' | 'string' | 'integer' | 'int' | 'real' | 'number' | 'float' | 'blob'
+  | 'boolean' | 'bool' | 'json' | 'datetime' | 'timestamp' | 'date'
+  | 'enum' | 'uuid' | 'email' | 'url';
+
 export interface FieldConfig {
-  type: 'text' | 'integer' | 'boolean' | 'real' | 'blob';
+  type: ColumnType;
   required?: boolean;
   defaultValue?: any;
+  /** Applied on create when the field is missing; functions are called per record */
+  default?: any | (() => any);
+  /** Checked against the database before writes (409 UNIQUE_VIOLATION) */
   unique?: boolean;
+  /** Allowed values for enum columns */
+  values?: any[];
+  /** Extra format check for text columns */
+  format?: 'email' | 'url' | 'uuid' | 'date' | 'datetime';
+  min?: number;
+  max?: number;
+  minLength?: number;
+  maxLength?: number;
   primaryKey?: boolean;
   foreignKey?: string;
   validation?: {
@@ -30,6 +46,16 @@ export interface SchemaDefinition {
   columns: Record<string, FieldConfig>;
   indexes?: string[];
   relationships?: Record<string, RelationshipConfig>;
+  /** Stamp deleted_at on delete and hide stamped rows from reads */
+  softDelete?: boolean;
+  /** Optimistic locking through a version column */
+  version?: boolean;
+  /** Fill created_by/updated_by from the acting user */
+  audit?: boolean;
+  /** Field- and row-level rules for callers of the auto-CRUD routes */
+  access?: AccessPolicyConfig;
+  /** Write a domain event to the outbox table in the same batch as every write */
+  outbox?: boolean | OutboxConfig;
   validation?: {
     required?: string[];
     unique?: string[];
@@ -37,25 +63,84 @@ export interface SchemaDefinition {
   };
 }
 
+export type AccessOperation = 'read' | 'create' | 'update' | 'delete';
+
+export interface AccessPolicyConfig {
+  /** Columns never serialized */
+  hidden?: string[];
+  /** Columns only these roles may see */
+  fieldRoles?: Record<string, string[]>;
+  /** Columns clients may not write */
+  readOnly?: string[];
+  /** Allow-list of writable columns, for both operations or per operation */
+  writable?: string[] | { create?: string[]; update?: string[] };
+  /** Rows the principal may access; equality entries are stamped on created rows */
+  rowFilter?: (principal: any, operation: AccessOperation) => Record<string, any> | null | undefined;
+  /** Roles accepted per operation (or for all operations) */
+  roles?: string[] | Partial<Record<AccessOperation, string[]>>;
+}
+
+export type OutboxOperation = 'create' | 'update' | 'upsert' | 'delete';
+
+export interface OutboxConfig {
+  /** Outbox table (default 'outbox') */
+  table?: string;
+  /** Operations to emit as `<model>.created` etc., or a map of operation to event type */
+  events?: OutboxOperation[] | Partial<Record<OutboxOperation, string>>;
+}
+
+export declare const OUTBOX_TABLE: 'outbox';
+export declare function generateOutboxSQL(options?: { table?: string }): string;
+
+/** Publishes pending outbox rows to a Queue and marks them dispatched */
+export declare class OutboxRelay {
+  constructor(d1Client: any, queue: any, options?: { table?: string; batchSize?: number; maxAttempts?: number; maxBatchBytes?: number });
+  relay(): Promise<{ dispatched: number; failed: number }>;
+  /** Relay inside ctx.waitUntil(); errors are logged */
+  dispatch(ctx: { waitUntil(promise: Promise<any>): void }): Promise<{ dispatched: number; failed: number } | undefined>;
+  /** Delete dispatched rows older than the cutoff */
+  prune(before: Date | string): Promise<number>;
+}
+
+export declare class AccessPolicy {
+  constructor(model: SchemaDefinition, manager?: any);
+  assertAllowed(operation: AccessOperation, principal: any): void;
+  rowFilter(principal: any, operation: AccessOperation): Record<string, any> | null;
+  scope(criteria: Record<string, any>, principal: any, operation?: AccessOperation): Record<string, any>;
+  assertWritable(data: Record<string, any>, operation: 'create' | 'update'): void;
+  applyOwnership(data: Record<string, any>, principal: any): Record<string, any>;
+  visibleFields(principal: any): string[];
+  assertQueryable(fields: string[], principal: any, usage?: 'filter' | 'sort'): void;
+  resolveFields(fields: string[] | null, principal: any): string[] | null;
+  redact<T>(records: T, principal: any, fields?: string[] | null): T;
+}
+
 export interface RelationshipConfig {
   type: 'hasOne' | 'hasMany' | 'belongsTo' | 'belongsToMany';
   to: string;
   foreignKey: string;
   localKey: string;
+  /** Target model name as declared in a schema's relationships */
+  model?: string;
+  /** belongsToMany: join model or table name */
   through?: string;
+  /** belongsToMany: join column referencing the target */
+  otherKey?: string;
+  /** belongsTo/belongsToMany: referenced target column (default 'id') */
+  ownerKey?: string;
 }
 
 export interface ValidationResult {
   valid: boolean;
-  errors: ValidationError[];
-  fieldErrors: Record<string, ValidationError[]>;
+  errors: FieldError[];
+  fieldErrors: Record<string, FieldError[]>;
   data: Record<string, any> | null;
 }
 
-export interface ValidationError {
+export interface FieldError {
   field: string;
   message: string;
-  code: string;
+  code?: string;
   value?: any;
 }
 
@@ -102,7 +187,7 @@ export declare class SchemaManager {
   /**
    * Generate SQL query for model operations with caching
    */
-  generateSQL(modelName: string, operation: 'create' | 'read' | 'update' | 'delete', params?: Record<string, any>): {
+  generateSQL(modelName: string, operation: 'create' | 'upsert' | 'read' | 'update' | 'delete', params?: Record<string, any>): {
     sql: string;
     params: any[];
   };
@@ -116,12 +201,27 @@ export declare class SchemaManager {
     skipCache?: boolean;
   }): ValidationResult;
 
+  /**
+   * Fill in column defaults for a new record
+   */
+  applyDefaults(modelName: string, data: Record<string, any>): Record<string, any>;
+
+  /**
+   * Convert JS values to their stored form (booleans as 0/1, json as text)
+   */
+  serializeRecord(modelName: string, record: Record<string, any>): Record<string, any>;
+
+  /**
+   * Convert a stored row back to JS values, in place
+   */
+  deserializeRecord<T extends Record<string, any>>(modelName: string, row: T): T;
+
   /**
    * Generate CREATE TABLE SQL for model
    */
   generateCreateSQL(modelName: string, options?: {
     ifNotExists?: boolean;
-    useCache?: boolean;
+    includeIndexes?: boolean;
   }): string;
 
   /**
@@ -145,6 +245,55 @@ export declare class SchemaManager {
   setCacheEnabled(enabled: boolean): void;
 }
 
+/**
+ * Schema migration snapshot and generator
+ */
+export interface SchemaSnapshot {
+  version: number;
+  tables: Record<string, {
+    tableName: string;
+    columns: Record<string, Record<string, any>>;
+    indexes: Array<{ name: string; columns: string[]; unique: boolean }>;
+  }>;
+}
+
+export interface SchemaRenameHints {
+  tables?: Record<string, string>;
+  columns?: Record<string, Record<string, string>>;
+}
+
+export interface GeneratedMigration {
+  number: number;
+  filename: string;
+  sql: string;
+  snapshot: SchemaSnapshot;
+  changes: Array<Record<string, any>>;
+  warnings: string[];
+  empty: boolean;
+}
+
+export declare class MigrationGenerator {
+  constructor(options?: { schemaManager?: SchemaManager; allowDestructive?: boolean });
+  createSnapshot(modelNames?: string[] | null): SchemaSnapshot;
+  generateDDL(modelNames?: string[] | null): string;
+  diff(previous: SchemaSnapshot | null, next?: SchemaSnapshot, renames?: SchemaRenameHints): {
+    statements: string[];
+    changes: Array<Record<string, any>>;
+    warnings: string[];
+  };
+  generateMigration(previous: SchemaSnapshot | null, options?: {
+    name?: string;
+    number?: number;
+    existing?: string[];
+    renames?: SchemaRenameHints;
+    models?: string[];
+  }): GeneratedMigration;
+}
+
+export declare function createMigrationGenerator(options?: { schemaManager?: SchemaManager; allowDestructive?: boolean }): MigrationGenerator;
+export declare function nextMigrationNumber(existing?: string[]): number;
+export declare function formatMigrationFilename(number: number, name: string): string;
+
 /**
  * Security configuration for GenericDataService
  */
@@ -184,6 +333,56 @@ export interface PaginatedResult<T = any> {
   meta?: Record<string, any>;
 }
 
+/**
+ * Keyset (cursor) page returned by findAll({ pagination: 'cursor' })
+ */
+export interface CursorPaginatedResult<T = any> {
+  data: T[];
+  pagination: {
+    limit: number;
+    nextCursor: string | null;
+    prevCursor: string | null;
+    hasNext: boolean;
+    hasPrev: boolean;
+    /** Present only when withCount is set */
+    total?: number;
+  };
+}
+
+export interface FindAllOptions {
+  limit?: number;
+  offset?: number;
+  orderBy?: Record<string, 'asc' | 'desc'>;
+  where?: Record<string, any>;
+  /** Include soft-deleted rows */
+  includeDeleted?: boolean;
+  /** 'cursor' selects keyset pagination; implied by a non-empty cursor */
+  pagination?: 'offset' | 'cursor';
+  cursor?: string | null;
+  withCount?: boolean;
+  /** Relationship paths to eager-load, e.g. ['author.profile', 'comments'] */
+  include?: string | string[];
+  /** Caller whose access policy applies (null for anonymous) */
+  principal?: any;
+  /** Sparse fieldset returned to the principal */
+  fields?: string[];
+}
+
+/**
+ * Statement queue passed to GenericDataService.transaction()
+ */
+export interface DataTransactionScope {
+  create(data: Record<string, any>): Record<string, any>;
+  update(id: string | number, updates: Record<string, any>): Record<string, any>;
+  delete(id: string | number): void;
+  upsert(data: Record<string, any>): Record<string, any>;
+}
+
+export interface DataTransaction extends DataTransactionScope {
+  model(target: string | GenericDataService): DataTransactionScope;
+  execute(sql: string, params?: any[]): void;
+}
+
 /**
  * Enhanced GenericDataService
  * NOTE: Some advanced features like security config and audit logging
@@ -196,17 +395,23 @@ export declare class GenericDataService {
   queryCache: Map<string, CacheEntry>;
   securityConfig: SecurityConfig;
   cacheEnabled: boolean;
+  accessPolicy: AccessPolicy;
 
   constructor(d1Client: any, modelName: string, options?: {
     securityConfig?: Partial<SecurityConfig>;
     cacheEnabled?: boolean;
     schema?: SchemaDefinition;
+    /** Secret used to sign pagination cursors */
+    cursorSecret?: string;
   });
 
   /**
    * Create a new record with validation and security checks
    */
   create(data: Record<string, any>, options?: {
+    actor?: string;
+    /** Caller whose access policy applies */
+    principal?: any;
     validateSecurity?: boolean;
     auditAction?: boolean;
     skipCache?: boolean;
@@ -224,6 +429,8 @@ export declare class GenericDataService {
    * Update a record with validation
    */
   update(id: string | number, data: Record<string, any>, options?: {
+    actor?: string;
+    principal?: any;
     validateSecurity?: boolean;
     invalidateCache?: boolean;
     auditAction?: boolean;
@@ -233,6 +440,8 @@ export declare class GenericDataService {
    * Delete a record with security checks
    */
   delete(id: string | number, options?: {
+    actor?: string;
+    principal?: any;
     validateSecurity?: boolean;
     auditAction?: boolean;
     cascadeDelete?: boolean;
@@ -248,9 +457,45 @@ export declare class GenericDataService {
   }): Promise<PaginatedResult>;
 
   /**
-   * Find records with relationships
+   * Bulk writes; each call is committed atomically as one D1 batch
+   */
+  createMany(records: Array<Record<string, any>>): Promise<any[]>;
+  updateMany(updates: Array<{ id: string | number; [field: string]: any }>): Promise<any[]>;
+  deleteMany(ids: Array<string | number>): Promise<number>;
+  upsert(data: Record<string, any>): Promise<any>;
+  upsert(data: Array<Record<string, any>>): Promise<any[]>;
+
+  /**
+   * Queue writes across models and commit them as one D1 batch
+   */
+  transaction<T>(fn: (tx: DataTransaction) => T | Promise<T>, options?: { actor?: string }): Promise<T>;
+
+  /**
+   * Clear deleted_at on a soft-deleted record
+   */
+  restore(id: string | number, options?: { actor?: string }): Promise<any | null>;
+
+  /**
+   * Find records with offset or keyset (cursor) pagination
    */
-  findWithRelations(criteria?: Record<string, any>, include?: string[], fields?: string[]): Promise<any[]>;
+  findAll(options: FindAllOptions & { pagination: 'cursor' }): Promise<CursorPaginatedResult>;
+  findAll(options?: FindAllOptions): Promise<PaginatedResult | CursorPaginatedResult>;
+
+  /**
+   * Find records with relationships; with a principal, included models apply their own access policies
+   */
+  findWithRelations(
+    criteria?: Record<string, any>,
+    include?: string | string[],
+    fields?: string[],
+    orderBy?: Record<string, 'asc' | 'desc'>,
+    options?: { principal?: any }
+  ): Promise<any[]>;
+
+  /**
+   * Eager-load declared relationships onto fetched records, one batched query per level
+   */
+  loadRelations<T extends Record<string, any>>(records: T[], include: string | string[], options?: { principal?: any }): Promise<T[]>;
 
   /**
    * Get cache metrics
@@ -536,7 +781,439 @@ export declare class VersionDetector {
 /**
  * Factory functions
  */
-export declare function createDataService(d1Client: any, modelName: string): GenericDataService;
+/**
+ * Base class for request-time errors that map to an HTTP status
+ */
+export declare class HttpError extends Error {
+  status: number;
+  code: string;
+  details: Record<string, any>;
+  /** Extra response headers (WWW-Authenticate, Retry-After) */
+  headers: Record<string, string>;
+  /** Whether the message may be returned to clients (true for 4xx) */
+  expose: boolean;
+  constructor(status?: number, message?: string, code?: string, details?: Record<string, any>);
+}
+
+export declare class ValidationError extends HttpError {
+  /** 400, or 422 from request validators */
+  status: 400 | 422;
+  errors: FieldError[];
+  constructor(message?: string, errors?: FieldError[], code?: string, status?: 400 | 422);
+  /** Build from a SchemaManager.validateData() result */
+  static fromValidation(validation: { errors?: FieldError[] }, message?: string): ValidationError;
+}
+
+export declare class UnauthorizedError extends HttpError {
+  status: 401;
+  constructor(message?: string, code?: string, details?: Record<string, any>);
+}
+
+export declare class ForbiddenError extends HttpError {
+  status: 403;
+  constructor(message?: string, code?: string, details?: Record<string, any>);
+}
+
+export declare class NotFoundError extends HttpError {
+  status: 404;
+  constructor(message?: string, code?: string, details?: Record<string, any>);
+}
+
+export declare class PreconditionFailedError extends HttpError {
+  status: 412;
+  constructor(message?: string, code?: string, details?: Record<string, any>);
+}
+
+export declare class TooManyRequestsError extends HttpError {
+  status: 429;
+  /** Seconds until the request may be retried */
+  retryAfter?: number;
+  constructor(message?: string, retryAfter?: number, code?: string);
+}
+
+/**
+ * Raised when an optimistic-locking update loses a race (HTTP 409)
+ */
+export declare class ConflictError extends HttpError {
+  code: 'CONFLICT' | 'VERSION_CONFLICT' | 'VERSION_REQUIRED' | string;
+  status: 409;
+  constructor(message: string, code?: string, details?: Record<string, any>);
+}
+
+/**
+ * RFC 7807 problem details
+ */
+export interface ProblemDetails {
+  type: string;
+  title: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  code?: string;
+  correlationId?: string;
+  errors?: FieldError[];
+  retryAfter?: number;
+}
+
+export declare const PROBLEM_CONTENT_TYPE: 'application/problem+json';
+export declare function toProblemDetails(
+  error: any,
+  options?: { instance?: string; correlationId?: string; exposeInternal?: boolean }
+): ProblemDetails;
+/** Render an error as application/problem+json; internal messages are hidden unless env is development or debug */
+export declare function problemResponse(error: any, source?: any, options?: { exposeInternal?: boolean }): Response;
+/** X-Request-Id / X-Correlation-Id / CF-Ray or a new UUID, stored as c.get('requestId') */
+export declare function getCorrelationId(source?: any): string;
+
+export type JwtAlgorithm = 'HS256' | 'RS256' | 'ES256';
+
+export interface JwtVerifierOptions {
+  /** Shared secret for HS256 */
+  secret?: string;
+  /** Static public JWKs (RS256/ES256) */
+  keys?: Array<Record<string, any>>;
+  /** JWKS endpoint, fetched on demand and cached */
+  jwksUrl?: string;
+  algorithms?: JwtAlgorithm[];
+  issuer?: string | string[];
+  audience?: string | string[];
+  /** Tolerance in seconds for exp/nbf (default 60) */
+  clockSkew?: number;
+  jwksCacheTtl?: number;
+  jwksMinRefreshMs?: number;
+  fetch?: typeof fetch;
+}
+
+/**
+ * Raised for tokens that are malformed, badly signed, expired or issued for another issuer/audience (HTTP 401)
+ */
+export declare class JwtError extends UnauthorizedError {
+  code: 'INVALID_TOKEN' | 'INVALID_SIGNATURE' | 'UNSUPPORTED_ALGORITHM' | 'UNKNOWN_KEY' |
+    'TOKEN_EXPIRED' | 'TOKEN_NOT_ACTIVE' | 'INVALID_ISSUER' | 'INVALID_AUDIENCE';
+  constructor(message: string, code?: string);
+}
+
+/**
+ * Verifies HS256/RS256/ES256 tokens with WebCrypto and enforces exp/nbf/iss/aud
+ */
+export declare class JwtVerifier {
+  constructor(options: JwtVerifierOptions);
+  verify(token: string): Promise<Record<string, any>>;
+}
+
+export declare const JWT_ALGORITHMS: JwtAlgorithm[];
+
+/**
+ * OpenAPI metadata for a route, attached with describeRoute()
+ */
+export interface RouteMeta {
+  summary?: string;
+  description?: string;
+  tags?: string[];
+  operationId?: string;
+  deprecated?: boolean;
+  security?: Array<Record<string, string[]>>;
+  /** JSON Schema object; each property becomes a query parameter */
+  query?: Record<string, any>;
+  parameters?: Array<Record<string, any>>;
+  /** JSON Schema of a JSON body, or a full OpenAPI requestBody object */
+  requestBody?: Record<string, any>;
+  /** Status → JSON Schema or OpenAPI response object */
+  responses?: Record<string | number, Record<string, any>>;
+  /** Leave the route out of the document */
+  hide?: boolean;
+}
+
+/** Route marker carrying OpenAPI metadata; pass it like route middleware */
+export declare function describeRoute(meta: RouteMeta): ((c: any, next: () => Promise<Response>) => Promise<Response>) & { openapi: RouteMeta };
+export declare const OPENAPI_VERSION: '3.1.0';
+
+/** Quoted SHA-256 entity tag of a representation (`W/"..."` when weak) */
+export declare function generateETag(body: string | ArrayBuffer | Uint8Array, options?: { weak?: boolean }): Promise<string>;
+export declare function parseETags(header: string | null): string[];
+export declare function etagMatches(header: string | null, etag: string | null, options?: { weak?: boolean }): boolean;
+/** RFC 9110 §13.2.2 evaluation; null means proceed */
+export declare function evaluatePreconditions(
+  request: Request,
+  validators?: { etag?: string | null; lastModified?: Date | string | number | null; weakIfMatch?: boolean }
+): 304 | 412 | null;
+export declare function notModifiedResponse(headers: HeadersInit): Response;
+/** Whether Range applies given If-Range */
+export declare function evaluateIfRange(
+  request: Request,
+  validators?: { etag?: string | null; lastModified?: Date | string | number | null }
+): boolean;
+/** Inclusive byte ranges; [] when unsatisfiable (416), null when the header is ignored */
+export declare function parseRange(
+  header: string | null,
+  size: number,
+  options?: { maxRanges?: number }
+): Array<{ start: number; end: number }> | null;
+export declare function columnToJsonSchema(column: Record<string, any>, options?: { nullable?: boolean }): Record<string, any>;
+export declare function modelToJsonSchema(model: Record<string, any>, options?: { mode?: 'read' | 'create' | 'update' }): Record<string, any>;
+
+export type RateLimitAlgorithm = 'sliding-window' | 'fixed-window' | 'token-bucket';
+
+export interface RateLimitRule {
+  algorithm?: RateLimitAlgorithm;
+  limit: number;
+  windowMs: number;
+  /** Bucket size for token-bucket (default limit) */
+  burst?: number;
+  cost?: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  /** Epoch ms at which the budget is fully restored */
+  reset: number;
+  /** Ms to wait before a denied request can succeed (0 when allowed) */
+  retryAfter: number;
+}
+
+/**
+ * Counter backend for createRateLimitGuard
+ */
+export interface RateLimitStore {
+  hit(key: string, rule: RateLimitRule): Promise<RateLimitResult>;
+  reset(key: string): Promise<void>;
+}
+
+export declare class MemoryRateLimitStore implements RateLimitStore {
+  hit(key: string, rule: RateLimitRule): Promise<RateLimitResult>;
+  reset(key: string): Promise<void>;
+}
+
+export declare class KVRateLimitStore implements RateLimitStore {
+  constructor(kv: any, options?: { prefix?: string });
+  hit(key: string, rule: RateLimitRule): Promise<RateLimitResult>;
+  reset(key: string): Promise<void>;
+}
+
+export declare class DurableObjectRateLimitStore implements RateLimitStore {
+  constructor(namespace: any);
+  hit(key: string, rule: RateLimitRule): Promise<RateLimitResult>;
+  reset(key: string): Promise<void>;
+}
+
+export declare class UpstashRateLimitStore implements RateLimitStore {
+  constructor(redis: any, options?: { prefix?: string });
+  hit(key: string, rule: RateLimitRule): Promise<RateLimitResult>;
+  reset(key: string): Promise<void>;
+}
+
+export declare function applyRateLimit(
+  state: Record<string, any> | null,
+  rule: Required<RateLimitRule>,
+  now?: number
+): { state: Record<string, any>; result: RateLimitResult };
+
+export declare const RATE_LIMIT_ALGORITHMS: RateLimitAlgorithm[];
+
+/** Stored state of one Idempotency-Key */
+export interface IdempotencyRecord {
+  fingerprint: string;
+  status: 'pending' | 'complete';
+  lockedUntil: number;
+  expiresAt: number;
+  /** Serialized response; body is base64 */
+  response?: { status: number; headers: Array<[string, string]>; body: string };
+}
+
+/**
+ * Record backend for createIdempotencyMiddleware
+ */
+export interface IdempotencyStore {
+  /** Null when the caller now holds the key, otherwise the live record */
+  acquire(key: string, fingerprint: string, lockTtlMs: number): Promise<IdempotencyRecord | null>;
+  complete(key: string, fingerprint: string, response: IdempotencyRecord['response'], ttlMs: number): Promise<void>;
+  release(key: string): Promise<void>;
+}
+
+export declare class MemoryIdempotencyStore implements IdempotencyStore {
+  acquire(key: string, fingerprint: string, lockTtlMs: number): Promise<IdempotencyRecord | null>;
+  complete(key: string, fingerprint: string, response: IdempotencyRecord['response'], ttlMs: number): Promise<void>;
+  release(key: string): Promise<void>;
+}
+
+export declare class KVIdempotencyStore implements IdempotencyStore {
+  constructor(kv: any, options?: { prefix?: string });
+  acquire(key: string, fingerprint: string, lockTtlMs: number): Promise<IdempotencyRecord | null>;
+  complete(key: string, fingerprint: string, response: IdempotencyRecord['response'], ttlMs: number): Promise<void>;
+  release(key: string): Promise<void>;
+}
+
+export declare class D1IdempotencyStore implements IdempotencyStore {
+  constructor(db: any, options?: { table?: string; autoCreate?: boolean });
+  acquire(key: string, fingerprint: string, lockTtlMs: number): Promise<IdempotencyRecord | null>;
+  complete(key: string, fingerprint: string, response: IdempotencyRecord['response'], ttlMs: number): Promise<void>;
+  release(key: string): Promise<void>;
+  /** Delete expired records; returns the number removed */
+  purgeExpired(): Promise<number>;
+}
+
+export declare class DurableObjectIdempotencyStore implements IdempotencyStore {
+  constructor(namespace: any);
+  acquire(key: string, fingerprint: string, lockTtlMs: number): Promise<IdempotencyRecord | null>;
+  complete(key: string, fingerprint: string, response: IdempotencyRecord['response'], ttlMs: number): Promise<void>;
+  release(key: string): Promise<void>;
+}
+
+export interface IdempotencyOptions {
+  store?: IdempotencyStore | ((c: any) => IdempotencyStore | Promise<IdempotencyStore>);
+  kvBinding?: any;
+  /** Seconds a response is replayed (default 86400) */
+  ttl?: number;
+  methods?: string[];
+  header?: string;
+  required?: boolean;
+  maxKeyLength?: number;
+  /** Seconds an in-flight request holds its key (default 60) */
+  lockTtl?: number;
+  /** Ms a duplicate waits for the in-flight response before 409 (default 10000) */
+  waitTimeout?: number;
+  pollInterval?: number;
+  scopeFn?: (c: any) => string | Promise<string>;
+  prefix?: string;
+}
+
+/** Replays the stored response for repeated Idempotency-Keys */
+export declare function createIdempotencyMiddleware(
+  options?: IdempotencyOptions
+): (c: any, next: () => Promise<Response>) => Promise<Response>;
+
+export type ValidationTarget = 'body' | 'query' | 'params' | 'headers';
+
+/**
+ * Per-route request validation: a zod schema (anything with safeParse) or a
+ * SchemaManager model name for each request part
+ */
+export type ValidationSpec = Partial<Record<ValidationTarget, string | { safeParse(input: unknown): any }>>;
+
+/** Entry of a 422 response's `errors` array */
+export interface RequestFieldError extends FieldError {
+  in: ValidationTarget;
+}
+
+/** Middleware validating the request; read the results with `c.req.valid(target)` */
+export declare function createRequestValidator(
+  spec: ValidationSpec,
+  options?: { message?: string }
+): ((c: any, next: () => Promise<Response>) => Promise<Response>) & { validation: ValidationSpec };
+export declare function isValidationSpec(value: unknown): value is ValidationSpec;
+export declare const VALIDATION_TARGETS: ValidationTarget[];
+
+/**
+ * Testing: in-memory bindings and an in-process router client
+ */
+export type BindingSpec<T = Record<string, any>> = string | string[] | Record<string, T>;
+
+export interface TestEnvOptions {
+  /** Per-binding: { migrations?: string | string[]; models?: string[]; driver?: any } */
+  d1?: BindingSpec<{ migrations?: string | string[]; models?: string[]; driver?: any }>;
+  kv?: BindingSpec;
+  r2?: BindingSpec;
+  /** Per-binding value is the queue name */
+  queues?: BindingSpec<string>;
+  /** Binding name → Durable Object class */
+  durableObjects?: Record<string, new (state: any, env: any) => any>;
+  /** Per-binding: { responses?: Record<model, response | (inputs, model) => response> } */
+  ai?: BindingSpec<{ responses?: Record<string, any> }>;
+  vars?: Record<string, any>;
+}
+
+export interface TestExecutionContext {
+  waitUntil(promise: Promise<any>): void;
+  passThroughOnException(): void;
+  props: Record<string, any>;
+  tasks: Promise<any>[];
+  /** Wait for every waitUntil() promise */
+  flush(): Promise<PromiseSettledResult<any>[]>;
+}
+
+export declare function createTestEnv(options?: TestEnvOptions): Record<string, any>;
+export declare function createExecutionContext(): TestExecutionContext;
+
+/** GenericDataService client over a D1 binding */
+export declare function createD1Client(
+  database: any,
+  options?: { generateId?: () => string; now?: () => string }
+): {
+  prepare(sql: string): any;
+  batch(statements: any[]): Promise<any[]>;
+  exec(sql: string): Promise<{ count: number; duration: number }>;
+  run(sql: string, params?: any[]): Promise<any>;
+  all(sql: string, params?: any[]): Promise<Record<string, any>[]>;
+  first(sql: string, params?: any[]): Promise<Record<string, any> | null>;
+  generateId(): string;
+  getCurrentTimestamp(): string;
+};
+
+export interface TestMessage {
+  id: string;
+  timestamp: Date;
+  body: any;
+  attempts: number;
+  /** 'ack', 'retry', or null while unsettled */
+  outcome: 'ack' | 'retry' | null;
+  retryDelaySeconds?: number;
+  ack(): void;
+  retry(options?: { delaySeconds?: number }): void;
+}
+
+export declare function createMessageBatch(
+  bodies: any[],
+  options?: { queue?: string; attempts?: number }
+): { queue: string; messages: TestMessage[]; ackAll(): void; retryAll(options?: { delaySeconds?: number }): void };
+
+export interface TestRequestOptions {
+  /** Plain objects and arrays are sent as JSON */
+  body?: any;
+  headers?: Record<string, string>;
+  query?: Record<string, string>;
+}
+
+export interface TestResponse {
+  response: Response;
+  request: Request;
+  ctx: TestExecutionContext;
+  status: number;
+  headers: Headers;
+  text: string;
+  readonly json: any;
+  expectStatus(status: number): this;
+  /** null asserts the header is absent; omit the value to assert presence */
+  expectHeader(name: string, expected?: string | RegExp | null): this;
+  expectBody(expected: string | RegExp): this;
+  expectJson(expected: any): this;
+  expectJsonMatch(expected: any): this;
+  expectProblem(status: number, code?: string): this;
+}
+
+export interface TestClient {
+  request(method: string, path: string, options?: TestRequestOptions): Promise<TestResponse>;
+  get(path: string, options?: TestRequestOptions): Promise<TestResponse>;
+  head(path: string, options?: TestRequestOptions): Promise<TestResponse>;
+  options(path: string, options?: TestRequestOptions): Promise<TestResponse>;
+  delete(path: string, options?: TestRequestOptions): Promise<TestResponse>;
+  post(path: string, body?: any, options?: TestRequestOptions): Promise<TestResponse>;
+  put(path: string, body?: any, options?: TestRequestOptions): Promise<TestResponse>;
+  patch(path: string, body?: any, options?: TestRequestOptions): Promise<TestResponse>;
+}
+
+export declare function createTestClient(
+  target: { handleRequest(method: string, path: string, request: Request, env: any, ctx: any): Promise<Response> } | { fetch(request: Request, env: any, ctx: any): Promise<Response> },
+  options?: {
+    env?: Record<string, any>;
+    ctx?: () => TestExecutionContext;
+    baseUrl?: string;
+    headers?: Record<string, string>;
+  }
+): TestClient;
+
+export declare function createDataService(d1Client: any, modelName: string, options?: { cursorSecret?: string; [key: string]: any }): GenericDataService;
 export declare function getAllDataServices(d1Client: any): Record<string, GenericDataService>;
 export declare function autoConfigureFramework(overrides?: Record<string, any>): any;
 export declare function getFrameworkVersion(): VersionInfo;